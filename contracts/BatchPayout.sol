@@ -0,0 +1,38 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+// Pays a settlement batch of netted driver earnings in one transaction.
+// Holds no funds: ETH comes with the call, tokens are pulled from the caller (the bridge wallet).
+contract BatchPayout {
+    event BatchPaid(bytes32 indexed batchId, address token, uint256 recipients, uint256 total);
+
+    function payETH(bytes32 batchId, address[] calldata recipients, uint256[] calldata amounts) external payable {
+        require(recipients.length == amounts.length, "Length mismatch");
+
+        uint256 total;
+        for (uint256 i = 0; i < recipients.length; i++) {
+            total += amounts[i];
+            (bool sent, ) = payable(recipients[i]).call{value: amounts[i]}("");
+            require(sent, "Payment failed");
+        }
+        require(total == msg.value, "Value does not match batch total");
+
+        emit BatchPaid(batchId, address(0), recipients.length, total);
+    }
+
+    function payToken(bytes32 batchId, address token, address[] calldata recipients, uint256[] calldata amounts) external {
+        require(recipients.length == amounts.length, "Length mismatch");
+
+        uint256 total;
+        for (uint256 i = 0; i < recipients.length; i++) {
+            total += amounts[i];
+            // Low-level call so tokens that return nothing from transferFrom are accepted too
+            (bool ok, bytes memory data) = token.call(
+                abi.encodeWithSignature("transferFrom(address,address,uint256)", msg.sender, recipients[i], amounts[i])
+            );
+            require(ok && (data.length == 0 || abi.decode(data, (bool))), "Transfer failed");
+        }
+
+        emit BatchPaid(batchId, token, recipients.length, total);
+    }
+}
@@ -14,6 +14,7 @@ contract InsurancePool {
 
     event ContributionReceived(address indexed contributor, uint256 amount);
     event AdminWithdrawal(address indexed admin, uint256 amount);
+    event ContributorWithdrawal(bytes32 indexed withdrawalId, address indexed contributor, address token, uint256 amount);
 
     constructor() {
         admin = msg.sender;
@@ -52,4 +53,25 @@ contract InsurancePool {
         payable(admin).transfer(amount);
         emit AdminWithdrawal(admin, amount);
     }
+
+    // Redemption queue payouts: the bridge (admin) prices each contributor's shares off-chain
+    function payWithdrawal(bytes32 withdrawalId, address payable contributor, uint256 amount) external {
+        require(msg.sender == admin, "Not authorized");
+        require(amount <= address(this).balance, "Insufficient funds");
+
+        (bool sent, ) = contributor.call{value: amount}("");
+        require(sent, "Payment failed");
+        emit ContributorWithdrawal(withdrawalId, contributor, address(0), amount);
+    }
+
+    function payTokenWithdrawal(bytes32 withdrawalId, address token, address contributor, uint256 amount) external {
+        require(msg.sender == admin, "Not authorized");
+
+        // Low-level call so tokens that return nothing from transfer are accepted too
+        (bool ok, bytes memory data) = token.call(
+            abi.encodeWithSignature("transfer(address,uint256)", contributor, amount)
+        );
+        require(ok && (data.length == 0 || abi.decode(data, (bool))), "Transfer failed");
+        emit ContributorWithdrawal(withdrawalId, contributor, token, amount);
+    }
 }
@@ -0,0 +1,99 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+// One contract per ride, deployed and funded by the bridge wallet (the operator).
+// The API verifies rider/driver signatures off-chain and then calls release() or cancel().
+contract SimpleEscrow {
+    address public operator;
+    address public rider;
+    address public driver;
+    uint256 public amount;
+    bool public released;
+    bool public cancelled;
+
+    event Released(uint256 driverAmount, uint256 riderRefund);
+    event Cancelled(uint256 riderRefund, uint256 driverFee, uint256 platformFee);
+    event ToppedUp(uint256 value, uint256 amount);
+    event DriverReassigned(address previousDriver, address newDriver);
+
+    // Only the operator settles, since it passes the amounts the API computed
+    modifier onlyOperator() {
+        require(msg.sender == operator, "Only operator");
+        _;
+    }
+
+    modifier notProcessed() {
+        require(!released && !cancelled, "Already processed");
+        _;
+    }
+
+    constructor(address _rider, address _driver) payable {
+        operator = msg.sender;
+        rider = _rider;
+        driver = _driver;
+        amount = msg.value;
+    }
+
+    // Fare top-ups and tips raise the amount held
+    receive() external payable notProcessed {
+        amount += msg.value;
+        emit ToppedUp(msg.value, amount);
+    }
+
+    // The platform hands the ride to another driver before it starts
+    function reassignDriver(address _driver) external onlyOperator notProcessed {
+        require(_driver != address(0), "Invalid driver");
+        emit DriverReassigned(driver, _driver);
+        driver = _driver;
+    }
+
+    // Pays the driver `driverAmount` and refunds the rest to the rider
+    function release(uint256 driverAmount) external onlyOperator notProcessed {
+        require(driverAmount <= amount, "Exceeds escrow amount");
+        released = true;
+
+        uint256 riderRefund = amount - driverAmount;
+        _pay(driver, driverAmount);
+        if (riderRefund > 0) {
+            _pay(rider, riderRefund);
+        }
+        emit Released(driverAmount, riderRefund);
+    }
+
+    // Batch settlement: refunds the rider and sends the driver's share to the operator,
+    // which pays it out later together with the driver's other earnings
+    function releaseToOperator(uint256 driverAmount) external onlyOperator notProcessed {
+        require(driverAmount <= amount, "Exceeds escrow amount");
+        released = true;
+
+        uint256 riderRefund = amount - driverAmount;
+        _pay(operator, driverAmount);
+        if (riderRefund > 0) {
+            _pay(rider, riderRefund);
+        }
+        emit Released(driverAmount, riderRefund);
+    }
+
+    // Refunds the rider, pays the driver's cancellation fee and sends the platform fee to the operator
+    function cancel(uint256 riderRefund, uint256 driverFee) external onlyOperator notProcessed {
+        require(riderRefund + driverFee <= amount, "Exceeds escrow amount");
+        cancelled = true;
+
+        uint256 platformFee = amount - riderRefund - driverFee;
+        if (riderRefund > 0) {
+            _pay(rider, riderRefund);
+        }
+        if (driverFee > 0) {
+            _pay(driver, driverFee);
+        }
+        if (platformFee > 0) {
+            _pay(operator, platformFee);
+        }
+        emit Cancelled(riderRefund, driverFee, platformFee);
+    }
+
+    function _pay(address to, uint256 value) internal {
+        (bool sent, ) = payable(to).call{value: value}("");
+        require(sent, "Payment failed");
+    }
+}
@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+/**
+ * Contract Compiler - compiles every contracts/*.sol with solc-js and writes
+ * ABI + bytecode artifacts to contracts/artifacts/<ContractName>.json
+ * Usage: node scripts/compile-contracts.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const solc = require('solc');
+
+const CONTRACTS_DIR = path.join(__dirname, '..', 'contracts');
+const ARTIFACTS_DIR = path.join(CONTRACTS_DIR, 'artifacts');
+
+function compileContracts() {
+  const sources = {};
+  fs.readdirSync(CONTRACTS_DIR)
+    .filter(file => file.endsWith('.sol'))
+    .forEach(file => {
+      sources[file] = { content: fs.readFileSync(path.join(CONTRACTS_DIR, file), 'utf8') };
+    });
+
+  const input = {
+    language: 'Solidity',
+    sources,
+    settings: {
+      optimizer: { enabled: true, runs: 200 },
+      // Widest node support (Ganache 7, older Hardhat) - no PUSH0/MCOPY
+      evmVersion: 'paris',
+      outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } }
+    }
+  };
+
+  const output = JSON.parse(solc.compile(JSON.stringify(input)));
+  const errors = (output.errors || []).filter(error => error.severity === 'error');
+  (output.errors || [])
+    .filter(error => error.severity !== 'error')
+    .forEach(warning => console.warn(`⚠️  ${warning.formattedMessage}`));
+
+  if (errors.length > 0) {
+    errors.forEach(error => console.error(`❌ ${error.formattedMessage}`));
+    throw new Error(`Compilation failed with ${errors.length} error(s)`);
+  }
+
+  fs.mkdirSync(ARTIFACTS_DIR, { recursive: true });
+
+  const written = [];
+  Object.entries(output.contracts).forEach(([sourceName, contracts]) => {
+    Object.entries(contracts).forEach(([contractName, contract]) => {
+      const artifact = {
+        contractName,
+        sourceName,
+        compiler: solc.version(),
+        abi: contract.abi,
+        bytecode: `0x${contract.evm.bytecode.object}`
+      };
+
+      fs.writeFileSync(
+        path.join(ARTIFACTS_DIR, `${contractName}.json`),
+        `${JSON.stringify(artifact, null, 2)}\n`
+      );
+      written.push(contractName);
+    });
+  });
+
+  return written;
+}
+
+if (require.main === module) {
+  try {
+    const written = compileContracts();
+    console.log(`✅ Compiled ${written.join(', ')} into contracts/artifacts`);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { compileContracts };
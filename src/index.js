@@ -11,9 +11,19 @@ const insuranceRoutes = require('./routes/insurance');
 const claimsRoutes = require('./routes/claims');
 const juryRoutes = require('./routes/jury');
 const reviewRoutes = require('./routes/review');
+const quoteRoutes = require('./routes/quotes');
+const settlementRoutes = require('./routes/settlements');
 const payoutRoutes = require('./routes/payouts');
 const validatorRoutes = require('./routes/validators');
 const { errorHandler } = require('./middleware/errorHandler');
+const { getBlockchainService } = require('./utils/blockchain-factory');
+const { isBatchSettlement } = require('./utils/blockchain');
+const EscrowExpirySweeper = require('./services/escrow-expiry');
+const PoolSnapshotService = require('./services/pool-snapshots');
+const PoolShareService = require('./services/pool-shares');
+const DriverSettlementService = require('./services/driver-settlement');
+const ReferralEligibilityService = require('./services/referral-eligibility');
+const ReferralPayoutService = require('./services/referral-payouts');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -37,7 +47,9 @@ app.get('/', (req, res) => {
       insurance: '/api/insurance',
       claims: '/api/claims',
       jury: '/api/jury',
-      review: '/api/review'
+      review: '/api/review',
+      quotes: '/api/quotes',
+      settlements: '/api/settlements'
     }
   });
 });
@@ -57,6 +69,8 @@ app.use('/api/insurance', insuranceRoutes);
 app.use('/api/claims', claimsRoutes);
 app.use('/api/jury', juryRoutes);
 app.use('/api/review', reviewRoutes);
+app.use('/api/quotes', quoteRoutes);
+app.use('/api/settlements', settlementRoutes);
 app.use('/api/payouts', payoutRoutes);
 app.use('/api/validators', validatorRoutes);
 
@@ -68,6 +82,9 @@ app.use('*', (req, res) => {
       'GET /',
       'GET /health',
       'POST /api/escrow/initiate',
+      'POST /api/escrow/accept',
+      'POST /api/escrow/start',
+      'POST /api/escrow/complete',
       'POST /api/escrow/release',
       'POST /api/escrow/cancel',
       'POST /api/referral/track',
@@ -78,6 +95,30 @@ app.use('*', (req, res) => {
 
 app.use(errorHandler);
 
+if (process.env.ESCROW_EXPIRY_ENABLED !== 'false') {
+  new EscrowExpirySweeper(getBlockchainService()).start();
+}
+
+if (process.env.REFERRAL_SWEEP_ENABLED !== 'false') {
+  new ReferralEligibilityService().start();
+}
+
+if (process.env.REFERRAL_PAYOUT_RETRY_ENABLED !== 'false') {
+  new ReferralPayoutService(getBlockchainService()).start();
+}
+
+if (process.env.POOL_SNAPSHOT_ENABLED !== 'false') {
+  new PoolSnapshotService(getBlockchainService()).start();
+}
+
+if (process.env.POOL_WITHDRAWAL_ENABLED !== 'false') {
+  new PoolShareService(getBlockchainService()).start();
+}
+
+if (isBatchSettlement()) {
+  new DriverSettlementService(getBlockchainService()).start();
+}
+
 app.listen(PORT, () => {
   console.log(`🚀 Rideshare Bridge API server running on port ${PORT}`);
   console.log(`📋 API documentation available at http://localhost:${PORT}`);
@@ -34,6 +34,20 @@ const errorHandler = (err, req, res, next) => {
     });
   }
 
+  if (err.code === 'INSUFFICIENT_ALLOWANCE') {
+    return res.status(400).json({
+      error: 'Insufficient Allowance',
+      message: err.message
+    });
+  }
+
+  if (err.code === 'DEPOSIT_NOT_CONFIRMED') {
+    return res.status(409).json({
+      error: 'Deposit Not Confirmed',
+      message: err.message
+    });
+  }
+
   if (err.code === 'ESCROW_NOT_FOUND') {
     return res.status(404).json({
       error: 'Escrow Not Found',
@@ -41,6 +55,132 @@ const errorHandler = (err, req, res, next) => {
     });
   }
 
+  if (err.code === 'INVALID_ESCROW_STATE') {
+    return res.status(409).json({
+      error: 'Invalid Escrow State',
+      message: err.message
+    });
+  }
+
+  if (err.code === 'QUOTE_NOT_FOUND') {
+    return res.status(404).json({
+      error: 'Quote Not Found',
+      message: err.message
+    });
+  }
+
+  if (err.code === 'QUOTE_EXPIRED') {
+    return res.status(410).json({
+      error: 'Quote Expired',
+      message: err.message
+    });
+  }
+
+  if (err.code === 'QUOTE_USED') {
+    return res.status(409).json({
+      error: 'Quote Already Used',
+      message: err.message
+    });
+  }
+
+  if (err.code === 'PRICE_ORACLE_NOT_CONFIGURED') {
+    return res.status(503).json({
+      error: 'Price Oracle Not Configured',
+      message: err.message
+    });
+  }
+
+  if (err.code === 'PRICE_UNAVAILABLE') {
+    return res.status(503).json({
+      error: 'Price Unavailable',
+      message: err.message
+    });
+  }
+
+  if (err.code === 'CAMPAIGN_NOT_FOUND') {
+    return res.status(404).json({
+      error: 'Campaign Not Found',
+      message: err.message
+    });
+  }
+
+  if (err.code === 'CAMPAIGN_NOT_ACTIVE') {
+    return res.status(409).json({
+      error: 'Campaign Not Active',
+      message: err.message
+    });
+  }
+
+  if (err.code === 'CAMPAIGN_BUDGET_EXHAUSTED') {
+    return res.status(409).json({
+      error: 'Campaign Budget Exhausted',
+      message: err.message
+    });
+  }
+
+  if (err.code === 'ALREADY_REFERRED') {
+    return res.status(409).json({
+      error: 'User Already Referred',
+      message: err.message
+    });
+  }
+
+  if (err.code === 'REFERRAL_CODE_NOT_FOUND') {
+    return res.status(404).json({
+      error: 'Referral Code Not Found',
+      message: err.message
+    });
+  }
+
+  if (err.code === 'REFERRAL_CODE_EXPIRED') {
+    return res.status(410).json({
+      error: 'Referral Code Expired',
+      message: err.message
+    });
+  }
+
+  if (err.code === 'REFERRAL_WALLET_ALREADY_SET') {
+    return res.status(409).json({
+      error: 'Referral Wallet Already Set',
+      message: err.message
+    });
+  }
+
+  if (err.code === 'REFERRAL_CODE_EXHAUSTED') {
+    return res.status(409).json({
+      error: 'Referral Code Exhausted',
+      message: err.message
+    });
+  }
+
+  if (err.code === 'REFERRAL_NOT_UNDER_REVIEW') {
+    return res.status(409).json({
+      error: 'Referral Not Under Review',
+      message: err.message
+    });
+  }
+
+  if (err.code === 'POOL_SHARES_LOCKED') {
+    return res.status(409).json({
+      error: 'Pool Shares Locked',
+      message: err.message
+    });
+  }
+
+  if (err.code === 'INSUFFICIENT_POOL_SHARES') {
+    return res.status(409).json({
+      error: 'Insufficient Pool Shares',
+      message: err.message
+    });
+  }
+
+  if (err.code === 'JURY_UNAVAILABLE') {
+    return res.status(503).json({
+      error: 'Jury Unavailable',
+      message: err.message
+    });
+  }
+
   const statusCode = err.statusCode || err.status || 500;
   const message = err.message || 'Internal Server Error';
 
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const { createRepository } = require('../storage');
+
+const DEFAULT_TTL_HOURS = 24;
+const MAX_KEY_LENGTH = 255;
+
+const keys = createRepository('idempotency_keys');
+
+// Key order must not change the fingerprint of an otherwise identical body
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+function ttlMs() {
+  const hours = parseFloat(process.env.IDEMPOTENCY_KEY_TTL_HOURS);
+  return (Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+}
+
+/**
+ * Honour an optional Idempotency-Key header on money-moving POSTs.
+ * The first response (< 500) is stored and replayed for retries with the same body;
+ * reusing a key with a different body is a 422. Keys expire after IDEMPOTENCY_KEY_TTL_HOURS.
+ */
+const idempotency = (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      error: 'Invalid Idempotency Key',
+      message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  const route = `${req.method} ${req.baseUrl}${req.path}`;
+  const id = sha256(`${route}\n${key}`);
+  const requestHash = sha256(canonicalJson(req.body || {}));
+  const now = Date.now();
+
+  const existing = keys.get(id);
+  if (existing && new Date(existing.expiresAt).getTime() > now) {
+    if (existing.requestHash !== requestHash) {
+      return res.status(422).json({
+        error: 'Idempotency Key Reused',
+        message: 'This Idempotency-Key was already used with a different request body'
+      });
+    }
+
+    if (existing.state === 'in_progress') {
+      return res.status(409).json({
+        error: 'Request In Progress',
+        message: 'A request with this Idempotency-Key is still being processed'
+      });
+    }
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.responseStatus).json(existing.responseBody);
+  }
+
+  keys.set(id, {
+    id,
+    key,
+    route,
+    requestHash,
+    state: 'in_progress',
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ttlMs()).toISOString()
+  });
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 500) {
+      // Let the client retry failures with the same key
+      keys.delete(id);
+    } else {
+      keys.set(id, {
+        ...keys.get(id),
+        state: 'completed',
+        responseStatus: res.statusCode,
+        responseBody: body,
+        completedAt: new Date().toISOString()
+      });
+    }
+    return json(body);
+  };
+
+  // A request that ends without a JSON response must not block retries until expiry
+  res.on('close', () => {
+    const record = keys.get(id);
+    if (record && record.state === 'in_progress') {
+      keys.delete(id);
+    }
+  });
+
+  next();
+};
+
+/**
+ * Delete stored keys that have expired; run by the escrow expiry sweeper. Returns how many were removed.
+ */
+function purgeExpiredKeys(now = new Date()) {
+  const expired = keys.filter(record => new Date(record.expiresAt) <= now);
+  expired.forEach(record => keys.delete(record.id));
+  return expired.length;
+}
+
+module.exports = { idempotency, purgeExpiredKeys };
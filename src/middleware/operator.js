@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest();
+
+/**
+ * Configured operators as [name, key]: OPERATOR_API_KEYS holds `name:key` pairs separated by
+ * commas, and OPERATOR_API_KEY is a single key for an operator named `operator`
+ */
+function operatorKeys() {
+  const named = (process.env.OPERATOR_API_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(entry => entry.includes(':'))
+    .map(entry => [entry.slice(0, entry.indexOf(':')).trim(), entry.slice(entry.indexOf(':') + 1).trim()])
+    .filter(([name, key]) => name && key);
+
+  return process.env.OPERATOR_API_KEY ? [...named, ['operator', process.env.OPERATOR_API_KEY]] : named;
+}
+
+/**
+ * Name of the operator whose key the request carries (X-Operator-Key), or null. Without any
+ * operator keys configured no request is an operator request.
+ */
+function operatorOf(req) {
+  const provided = req.get('X-Operator-Key');
+  if (!provided) {
+    return null;
+  }
+
+  // Compare digests against every key so the comparison takes the same time whatever matches
+  return operatorKeys().reduce((match, [name, key]) =>
+    (crypto.timingSafeEqual(sha256(provided), sha256(key)) && !match ? name : match), null);
+}
+
+const isOperator = (req) => operatorOf(req) !== null;
+
+// For routes only the platform's operators may call; the operator's name is on `req.operator`
+const requireOperator = (req, res, next) => {
+  const operator = operatorOf(req);
+  if (!operator) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'This action is restricted to platform operators'
+    });
+  }
+  req.operator = operator;
+  next();
+};
+
+module.exports = { isOperator, operatorOf, requireOperator };
@@ -3,6 +3,7 @@ const { v4: uuidv4 } = require('uuid');
 const multer = require('multer');
 const { claimCreateSchema } = require('../utils/validation');
 const AdvancedFraudDetection = require('../services/advanced-fraud-detection');
+const { createRepository } = require('../storage');
 
 const router = express.Router();
 
@@ -24,10 +25,9 @@ const upload = multer({
   }
 });
 
-// In-memory storage (would be in database in production)
-const claims = new Map();
-const claimDocuments = new Map();
-const reviews = new Map();
+const claims = createRepository('claims');
+const claimDocuments = createRepository('claim_documents');
+const reviews = createRepository('claim_reviews');
 
 // AI fraud detection simulation
 function calculateFraudScore(claim, documents = []) {
@@ -169,6 +169,8 @@ router.post('/upload/:claimId', upload.array('documents', 5), async (req, res, n
       claim.communityReview = reviewId;
     }
 
+    claims.set(claimId, claim);
+
     res.json({
       success: true,
       message: 'Documents uploaded successfully',
@@ -273,6 +275,8 @@ router.post('/process', async (req, res, next) => {
       claim.status = 'awaiting_review';
     }
 
+    claims.set(claimId, claim);
+
     res.json({
       success: true,
       message: 'Claim processed',
@@ -306,7 +310,7 @@ router.get('/wallet/:address', async (req, res, next) => {
       });
     }
 
-    const walletClaims = Array.from(claims.values()).filter(
+    const walletClaims = claims.filter(
       claim => claim.claimantWallet.toLowerCase() === address.toLowerCase()
     );
 
@@ -1,12 +1,72 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
-const { createBlockchainService } = require('../utils/blockchain-factory');
-const { escrowInitiateSchema, escrowActionSchema } = require('../utils/validation');
+const { getBlockchainService } = require('../utils/blockchain-factory');
+const {
+  escrowInitiateSchema,
+  escrowActionSchema,
+  escrowSearchSchema,
+  fareAdjustmentSchema,
+  fareAdjustmentResolveSchema,
+  tipSchema,
+  depositSchema,
+  escrowDisputeSchema,
+  driverReassignSchema,
+  validateEthereumAddress
+} = require('../utils/validation');
+const { getExpiresAt } = require('../services/escrow-expiry');
+const EscrowSearch = require('../services/escrow-search');
+const EscrowDisputeService = require('../services/escrow-disputes');
+const PriceQuoteService = require('../services/price-quotes');
+const ReferralEligibilityService = require('../services/referral-eligibility');
+const PoolShareService = require('../services/pool-shares');
+const { idempotency } = require('../middleware/idempotency');
+const { isOperator } = require('../middleware/operator');
 
 const router = express.Router();
-const blockchainService = createBlockchainService();
+const blockchainService = getBlockchainService();
+const escrowSearch = new EscrowSearch(blockchainService.escrows);
+const escrowDisputes = new EscrowDisputeService(blockchainService);
+const priceQuotes = new PriceQuoteService();
+const referralEligibility = new ReferralEligibilityService();
+const poolShares = new PoolShareService(blockchainService);
 
-router.post('/initiate', async (req, res, next) => {
+const TIP_MESSAGES = {
+  awaiting_deposit: 'Tip recorded, waiting for the rider\'s deposit',
+  approved: 'Tip deposited, paid to driver on release',
+  paid: 'Tip paid to driver',
+  accrued: 'Tip added to the driver\'s pending earnings for the next settlement batch'
+};
+
+// EIP-712 payload when nonce/deadline are supplied, otherwise the legacy personal_sign message
+function signedPayload(action, { rideId, nonce, deadline }, legacyMessage) {
+  if (nonce === undefined) {
+    return legacyMessage;
+  }
+  return { action, rideId, nonce, deadline };
+}
+
+// Wallet of the escrow rider who signed the payload, or null
+async function findSigningRider(escrow, message, signature) {
+  for (const rider of escrow.riders) {
+    if (await blockchainService.validateSignature(message, signature, rider.wallet)) {
+      return rider.wallet;
+    }
+  }
+  return null;
+}
+
+// Run the state transition a verified signature asked for; if it is refused the signer gets
+// their nonce back
+async function signedTransition(message, signer, transition) {
+  try {
+    return await transition();
+  } catch (error) {
+    blockchainService.restoreNonce(signer, message);
+    throw error;
+  }
+}
+
+router.post('/initiate', idempotency, async (req, res, next) => {
   try {
     const { error, value } = escrowInitiateSchema.validate(req.body);
     if (error) {
@@ -14,7 +74,20 @@ router.post('/initiate', async (req, res, next) => {
       return next(error);
     }
 
-    const { rideId, riderWallet, driverWallet, amount, currency, insuranceContribution, referrerId } = value;
+    const {
+      rideId,
+      riderWallet,
+      riders,
+      driverWallet,
+      quoteId,
+      insuranceContribution,
+      insuranceDeposit,
+      referrerId,
+      market,
+      permit,
+      scheduledPickupAt
+    } = value;
+    let { amount, currency } = value;
 
     const existingEscrow = await blockchainService.getEscrow(rideId);
     if (existingEscrow) {
@@ -25,20 +98,96 @@ router.post('/initiate', async (req, res, next) => {
       });
     }
 
-    const escrow = await blockchainService.createEscrow(
-      rideId,
-      riderWallet,
-      driverWallet,
-      amount,
-      currency
-    );
+    // A locked USD quote fixes the escrow amount and currency
+    let quote = null;
+    if (quoteId) {
+      quote = priceQuotes.getRedeemableQuote(quoteId);
+      if (req.body.currency && req.body.currency !== quote.currency) {
+        const currencyError = new Error(`Price quote ${quoteId} is for ${quote.currency}, not ${req.body.currency}`);
+        currencyError.name = 'ValidationError';
+        return next(currencyError);
+      }
+      amount = quote.amount;
+      currency = quote.currency;
+    }
 
-    let insuranceContrib = null;
-    if (insuranceContribution) {
-      insuranceContrib = await blockchainService.contributeToInsurance(
+    // The insurance contribution is paid by the (first) rider, who signs it as a PoolDeposit
+    const contributor = riderWallet || (riders && riders[0].wallet);
+    const depositMessage = insuranceContribution && {
+      primaryType: 'PoolDeposit',
+      contributor,
+      amount: insuranceContribution,
+      currency,
+      nonce: insuranceDeposit.nonce,
+      deadline: insuranceDeposit.deadline
+    };
+    if (depositMessage && !(await blockchainService.validateSignature(depositMessage, insuranceDeposit.signature, contributor))) {
+      return res.status(401).json({
+        error: 'Invalid Signature',
+        message: 'Signature validation failed. The insurance contribution must be signed by the rider\'s wallet.'
+      });
+    }
+
+    let escrow;
+    try {
+      escrow = await blockchainService.createEscrow(
+        rideId,
         riderWallet,
-        insuranceContribution
+        driverWallet,
+        amount,
+        currency,
+        market,
+        {
+          riders,
+          permit,
+          scheduledPickupAt,
+          ...(quote && {
+            fiat: {
+              amount: quote.fiatAmount,
+              currency: quote.fiatCurrency,
+              rate: quote.rate,
+              source: quote.source,
+              quoteId: quote.quoteId,
+              quotedAt: quote.createdAt
+            }
+          })
+        }
       );
+    } catch (error) {
+      if (depositMessage) blockchainService.restoreNonce(contributor, depositMessage);
+      throw error;
+    }
+
+    if (quote) {
+      priceQuotes.redeemQuote(quote, rideId);
+    }
+
+    let insuranceContrib = null;
+    if (insuranceContribution) {
+      // Minted and locked up like any other pool contribution
+      let collected;
+      try {
+        collected = await blockchainService.contributeToInsurance(contributor, insuranceContribution, escrow.currency, {
+          signature: insuranceDeposit.signature,
+          transactionHash: insuranceDeposit.transactionHash,
+          permit: insuranceDeposit.permit
+        });
+      } catch (error) {
+        blockchainService.restoreNonce(contributor, depositMessage);
+        throw error;
+      }
+      insuranceContrib = poolShares.recordContribution(collected);
+      blockchainService.recordEvent(escrow, 'insurance_contribution', {
+        actor: 'rider',
+        signer: insuranceContrib.contributor,
+        signature: insuranceContrib.signature,
+        transactionHash: insuranceContrib.transactionHash,
+        data: {
+          contributionId: insuranceContrib.contributionId,
+          amount: insuranceContrib.amount,
+          currency: insuranceContrib.currency
+        }
+      });
     }
 
     const response = {
@@ -51,7 +200,14 @@ router.post('/initiate', async (req, res, next) => {
         driverWallet: escrow.driverWallet,
         amount: escrow.amount,
         currency: escrow.currency,
+        ...(escrow.fiat && { fiat: escrow.fiat }),
+        market: escrow.market,
+        riders: escrow.riders,
         status: escrow.status,
+        ...(escrow.scheduledPickupAt && {
+          scheduledPickupAt: escrow.scheduledPickupAt,
+          fundingOpensAt: escrow.fundingOpensAt
+        }),
         createdAt: escrow.createdAt,
         milestones: escrow.milestones
       },
@@ -59,7 +215,9 @@ router.post('/initiate', async (req, res, next) => {
         insuranceContribution: {
           amount: insuranceContrib.amount,
           transactionHash: insuranceContrib.transactionHash,
-          contributor: insuranceContrib.contributor
+          contributor: insuranceContrib.contributor,
+          shares: insuranceContrib.shares,
+          unlocksAt: insuranceContrib.unlocksAt
         }
       }),
       ...(referrerId && { referrerId })
@@ -71,6 +229,116 @@ router.post('/initiate', async (req, res, next) => {
   }
 });
 
+// Each split-fare rider funds their own share, and scheduled holds are funded once their
+// funding window opens; the escrow goes active once all shares are funded
+router.post('/fund', async (req, res, next) => {
+  try {
+    const { error, value } = escrowActionSchema.validate(req.body);
+    if (error) {
+      error.isJoi = true;
+      return next(error);
+    }
+
+    const { rideId, signature } = value;
+
+    const escrow = await blockchainService.getEscrow(rideId);
+    if (!escrow) {
+      const notFoundError = new Error('Escrow not found');
+      notFoundError.code = 'ESCROW_NOT_FOUND';
+      return next(notFoundError);
+    }
+
+    const message = signedPayload('fund', value, `Fund share of ride ${rideId}`);
+    const riderWallet = await findSigningRider(escrow, message, signature);
+
+    if (!riderWallet) {
+      return res.status(401).json({
+        error: 'Invalid Signature',
+        message: 'Signature validation failed. Only a rider on this escrow can fund a share.'
+      });
+    }
+
+    const fundedEscrow = await signedTransition(message, riderWallet, () =>
+      blockchainService.fundShare(rideId, riderWallet, signature));
+
+    res.json({
+      success: true,
+      message: fundedEscrow.status === 'active'
+        ? 'All shares funded, escrow is active'
+        : 'Share funded, waiting for the remaining riders',
+      escrow: {
+        rideId: fundedEscrow.rideId,
+        escrowAddress: fundedEscrow.escrowAddress,
+        amount: fundedEscrow.amount,
+        status: fundedEscrow.status,
+        riders: fundedEscrow.riders,
+        ...(fundedEscrow.fundedAt && { fundedAt: fundedEscrow.fundedAt })
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Driver-signed milestone transitions: accept -> start -> complete
+function milestoneHandler(milestone, action, successMessage) {
+  return async (req, res, next) => {
+    try {
+      const { error, value } = escrowActionSchema.validate(req.body);
+      if (error) {
+        error.isJoi = true;
+        return next(error);
+      }
+
+      const { rideId, signature } = value;
+
+      const escrow = await blockchainService.getEscrow(rideId);
+      if (!escrow) {
+        const notFoundError = new Error('Escrow not found');
+        notFoundError.code = 'ESCROW_NOT_FOUND';
+        return next(notFoundError);
+      }
+
+      const message = signedPayload(action.toLowerCase(), value, `${action} ride ${rideId}`);
+      const isValidSignature = await blockchainService.validateSignature(
+        message,
+        signature,
+        escrow.driverWallet
+      );
+
+      if (!isValidSignature) {
+        return res.status(401).json({
+          error: 'Invalid Signature',
+          message: `Signature validation failed. Only the driver can ${action.toLowerCase()} the ride.`
+        });
+      }
+
+      const updatedEscrow = await signedTransition(message, escrow.driverWallet, () =>
+        blockchainService.advanceMilestone(rideId, milestone, signature));
+
+      res.json({
+        success: true,
+        message: successMessage,
+        escrow: {
+          rideId: updatedEscrow.rideId,
+          escrowAddress: updatedEscrow.escrowAddress,
+          status: updatedEscrow.status,
+          milestones: updatedEscrow.milestones,
+          ...(updatedEscrow.acceptedAt && { acceptedAt: updatedEscrow.acceptedAt }),
+          ...(updatedEscrow.startedAt && { startedAt: updatedEscrow.startedAt }),
+          ...(updatedEscrow.completedAt && { completedAt: updatedEscrow.completedAt })
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+router.post('/accept', milestoneHandler('driverAccepted', 'Accept', 'Driver acceptance recorded'));
+router.post('/start', milestoneHandler('rideStarted', 'Start', 'Ride started, escrow locked'));
+router.post('/complete', milestoneHandler('rideCompleted', 'Complete', 'Ride completed, escrow ready for release'));
+
 router.post('/release', async (req, res, next) => {
   try {
     const { error, value } = escrowActionSchema.validate(req.body);
@@ -88,7 +356,7 @@ router.post('/release', async (req, res, next) => {
       return next(notFoundError);
     }
 
-    const message = `Release escrow for ride ${rideId}`;
+    const message = signedPayload('release', value, `Release escrow for ride ${rideId}`);
     const isValidSignature = await blockchainService.validateSignature(
       message,
       signature,
@@ -102,7 +370,14 @@ router.post('/release', async (req, res, next) => {
       });
     }
 
-    const releasedEscrow = await blockchainService.releaseEscrow(rideId, signature);
+    const releasedEscrow = await signedTransition(message, escrow.driverWallet, () =>
+      blockchainService.releaseEscrow(rideId, signature));
+    // The ride counts towards referrals of its rider and driver; the release stands regardless
+    try {
+      await referralEligibility.recordRelease(releasedEscrow);
+    } catch (referralError) {
+      console.error(`Referral evaluation failed for ride ${rideId}:`, referralError.message);
+    }
 
     res.json({
       success: true,
@@ -113,6 +388,9 @@ router.post('/release', async (req, res, next) => {
         amount: releasedEscrow.amount,
         currency: releasedEscrow.currency,
         status: releasedEscrow.status,
+        fare: releasedEscrow.fare,
+        tipAmount: releasedEscrow.tipAmount,
+        settlement: releasedEscrow.settlement,
         releasedAt: releasedEscrow.releasedAt,
         driverWallet: releasedEscrow.driverWallet,
         milestones: releasedEscrow.milestones
@@ -140,26 +418,26 @@ router.post('/cancel', async (req, res, next) => {
       return next(notFoundError);
     }
 
-    const message = `Cancel escrow for ride ${rideId}`;
-    const isValidRiderSignature = await blockchainService.validateSignature(
-      message,
-      signature,
-      escrow.riderWallet
-    );
-    const isValidDriverSignature = await blockchainService.validateSignature(
+    const message = signedPayload('cancel', value, `Cancel escrow for ride ${rideId}`);
+    const riderWallet = await findSigningRider(escrow, message, signature);
+    const isValidDriverSignature = !riderWallet && await blockchainService.validateSignature(
       message,
       signature,
       escrow.driverWallet
     );
 
-    if (!isValidRiderSignature && !isValidDriverSignature) {
+    if (!riderWallet && !isValidDriverSignature) {
       return res.status(401).json({
         error: 'Invalid Signature',
         message: 'Signature validation failed. Only the rider or driver can cancel escrow.'
       });
     }
 
-    const cancelledEscrow = await blockchainService.cancelEscrow(rideId, signature);
+    const cancelledBy = riderWallet ? 'rider' : 'driver';
+    const cancelledEscrow = await signedTransition(message, riderWallet || escrow.driverWallet, () =>
+      blockchainService.cancelEscrow(rideId, signature, cancelledBy, {
+        cancelledByWallet: riderWallet || escrow.driverWallet
+      }));
 
     res.json({
       success: true,
@@ -169,9 +447,12 @@ router.post('/cancel', async (req, res, next) => {
         escrowAddress: cancelledEscrow.escrowAddress,
         amount: cancelledEscrow.amount,
         refundAmount: cancelledEscrow.refundAmount,
+        refundBreakdown: cancelledEscrow.refundBreakdown,
+        riderRefunds: cancelledEscrow.riderRefunds,
         currency: cancelledEscrow.currency,
         status: cancelledEscrow.status,
         cancelledAt: cancelledEscrow.cancelledAt,
+        cancelledBy: cancelledEscrow.cancelledBy,
         milestones: cancelledEscrow.milestones
       },
       note: 'Insurance contributions are non-refundable'
@@ -181,9 +462,196 @@ router.post('/cancel', async (req, res, next) => {
   }
 });
 
-router.get('/status/:rideId', async (req, res, next) => {
+// Either party proposes a new final fare; the other party approves or rejects it
+router.post('/adjustments', async (req, res, next) => {
   try {
-    const { rideId } = req.params;
+    const { error, value } = fareAdjustmentSchema.validate(req.body);
+    if (error) {
+      error.isJoi = true;
+      return next(error);
+    }
+
+    const { rideId, amount, reason, signature, nonce, deadline } = value;
+
+    const escrow = await blockchainService.getEscrow(rideId);
+    if (!escrow) {
+      const notFoundError = new Error('Escrow not found');
+      notFoundError.code = 'ESCROW_NOT_FOUND';
+      return next(notFoundError);
+    }
+
+    const message = { primaryType: 'FareAdjustment', action: 'propose', rideId, amount, nonce, deadline };
+    const riderWallet = await findSigningRider(escrow, message, signature);
+    const isValidDriverSignature = !riderWallet && await blockchainService.validateSignature(
+      message,
+      signature,
+      escrow.driverWallet
+    );
+
+    if (!riderWallet && !isValidDriverSignature) {
+      return res.status(401).json({
+        error: 'Invalid Signature',
+        message: 'Signature validation failed. Only the rider or driver can propose a fare adjustment.'
+      });
+    }
+
+    const { escrow: updatedEscrow, adjustment } = await signedTransition(message, riderWallet || escrow.driverWallet, () =>
+      blockchainService.proposeFareAdjustment(rideId, {
+        amount,
+        reason,
+        proposedBy: riderWallet ? 'rider' : 'driver',
+        proposedByWallet: riderWallet || escrow.driverWallet,
+        signature
+      }));
+
+    res.status(201).json({
+      success: true,
+      message: 'Fare adjustment proposed, awaiting approval',
+      adjustment,
+      escrow: {
+        rideId: updatedEscrow.rideId,
+        amount: updatedEscrow.amount,
+        fare: updatedEscrow.fare
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+function resolveAdjustmentHandler(approved) {
+  const action = approved ? 'approve' : 'reject';
+
+  return async (req, res, next) => {
+    try {
+      const { error, value } = fareAdjustmentResolveSchema.validate(req.body);
+      if (error) {
+        error.isJoi = true;
+        return next(error);
+      }
+
+      const { adjustmentId } = req.params;
+      const { rideId, signature, nonce, deadline } = value;
+
+      const escrow = await blockchainService.getEscrow(rideId);
+      if (!escrow) {
+        const notFoundError = new Error('Escrow not found');
+        notFoundError.code = 'ESCROW_NOT_FOUND';
+        return next(notFoundError);
+      }
+
+      const adjustment = escrow.adjustments.find(a => a.adjustmentId === adjustmentId);
+      if (!adjustment) {
+        return res.status(404).json({
+          error: 'Adjustment Not Found',
+          message: `Fare adjustment ${adjustmentId} does not exist for ride ${rideId}`
+        });
+      }
+
+      // The approver signs the amount they are agreeing to, not just the adjustment id
+      const counterparty = adjustment.proposedBy === 'rider' ? 'driver' : 'rider';
+      const message = { primaryType: 'FareAdjustment', action, rideId, amount: adjustment.amount, nonce, deadline };
+      const signer = counterparty === 'rider'
+        ? await findSigningRider(escrow, message, signature)
+        : (await blockchainService.validateSignature(message, signature, escrow.driverWallet) && escrow.driverWallet);
+
+      if (!signer) {
+        return res.status(401).json({
+          error: 'Invalid Signature',
+          message: `Signature validation failed. Only the ${counterparty} can ${action} this fare adjustment.`
+        });
+      }
+
+      const { escrow: updatedEscrow, adjustment: resolved } = await signedTransition(message, signer, () =>
+        blockchainService.resolveFareAdjustment(
+          rideId,
+          adjustmentId,
+          { approved, resolvedBy: counterparty, resolvedByWallet: signer, signature }
+        ));
+
+      res.json({
+        success: true,
+        message: resolved.status === 'awaiting_deposit'
+          ? `Fare adjustment approved, waiting for the rider's ${resolved.topUp} top-up deposit`
+          : `Fare adjustment ${resolved.status}`,
+        adjustment: resolved,
+        escrow: {
+          rideId: updatedEscrow.rideId,
+          amount: updatedEscrow.amount,
+          fare: updatedEscrow.fare
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+router.post('/adjustments/:adjustmentId/approve', resolveAdjustmentHandler(true));
+router.post('/adjustments/:adjustmentId/reject', resolveAdjustmentHandler(false));
+
+router.post('/tip', async (req, res, next) => {
+  try {
+    const { error, value } = tipSchema.validate(req.body);
+    if (error) {
+      error.isJoi = true;
+      return next(error);
+    }
+
+    const { rideId, amount, signature, nonce, deadline } = value;
+
+    const escrow = await blockchainService.getEscrow(rideId);
+    if (!escrow) {
+      const notFoundError = new Error('Escrow not found');
+      notFoundError.code = 'ESCROW_NOT_FOUND';
+      return next(notFoundError);
+    }
+
+    const message = { primaryType: 'Tip', rideId, amount, nonce, deadline };
+    const riderWallet = await findSigningRider(escrow, message, signature);
+
+    if (!riderWallet) {
+      return res.status(401).json({
+        error: 'Invalid Signature',
+        message: 'Signature validation failed. Only the rider can tip the driver.'
+      });
+    }
+
+    const { escrow: updatedEscrow, tip } = await signedTransition(message, riderWallet, () =>
+      blockchainService.addTip(rideId, {
+        amount,
+        signature,
+        tippedBy: riderWallet
+      }));
+
+    res.status(201).json({
+      success: true,
+      message: TIP_MESSAGES[tip.status],
+      tip,
+      escrow: {
+        rideId: updatedEscrow.rideId,
+        amount: updatedEscrow.amount,
+        fare: updatedEscrow.fare,
+        tipAmount: updatedEscrow.tipAmount,
+        status: updatedEscrow.status
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// A rider funds a tip or an approved fare top-up; nothing reaches the driver until it confirms
+router.post('/adjustments/:adjustmentId/deposit', async (req, res, next) => {
+  try {
+    const { error, value } = depositSchema.validate(req.body);
+    if (error) {
+      error.isJoi = true;
+      return next(error);
+    }
+
+    const { adjustmentId } = req.params;
+    const { rideId, signature, nonce, deadline, transactionHash, permit } = value;
 
     const escrow = await blockchainService.getEscrow(rideId);
     if (!escrow) {
@@ -192,22 +660,309 @@ router.get('/status/:rideId', async (req, res, next) => {
       return next(notFoundError);
     }
 
+    const adjustment = escrow.adjustments.find(a => a.adjustmentId === adjustmentId);
+    if (!adjustment) {
+      return res.status(404).json({
+        error: 'Adjustment Not Found',
+        message: `Fare adjustment ${adjustmentId} does not exist for ride ${rideId}`
+      });
+    }
+
+    // The rider signs the amount leaving their wallet
+    const amount = adjustment.type === 'tip' ? adjustment.amount : (adjustment.topUp || '0.0');
+    const message = { primaryType: 'Deposit', rideId, adjustmentId, amount, nonce, deadline };
+    const riderWallet = await findSigningRider(escrow, message, signature);
+
+    if (!riderWallet) {
+      return res.status(401).json({
+        error: 'Invalid Signature',
+        message: 'Signature validation failed. Only a rider on this escrow can make a deposit.'
+      });
+    }
+
+    const { escrow: updatedEscrow, adjustment: funded } = await signedTransition(message, riderWallet, () =>
+      blockchainService.depositFunds(rideId, adjustmentId, { wallet: riderWallet, signature, transactionHash, permit }));
+
     res.json({
       success: true,
+      message: funded.type === 'tip' ? TIP_MESSAGES[funded.status] : 'Fare top-up deposited, new fare applies',
+      adjustment: funded,
       escrow: {
-        rideId: escrow.rideId,
-        escrowAddress: escrow.escrowAddress,
-        riderWallet: escrow.riderWallet,
-        driverWallet: escrow.driverWallet,
-        amount: escrow.amount,
-        currency: escrow.currency,
-        status: escrow.status,
-        createdAt: escrow.createdAt,
-        milestones: escrow.milestones,
-        ...(escrow.releasedAt && { releasedAt: escrow.releasedAt }),
-        ...(escrow.cancelledAt && { cancelledAt: escrow.cancelledAt }),
-        ...(escrow.refundAmount && { refundAmount: escrow.refundAmount })
+        rideId: updatedEscrow.rideId,
+        amount: updatedEscrow.amount,
+        fare: updatedEscrow.fare,
+        tipAmount: updatedEscrow.tipAmount,
+        status: updatedEscrow.status
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// The outgoing driver or the platform hands an accepted ride to another driver before it
+// starts. Riders cannot: they could hand it to a wallet of their own and cancel as its driver.
+router.post('/reassign', async (req, res, next) => {
+  try {
+    const { error, value } = driverReassignSchema.validate(req.body);
+    if (error) {
+      error.isJoi = true;
+      return next(error);
+    }
+
+    const { rideId, newDriverWallet, reason, signature, nonce, deadline } = value;
+
+    const escrow = await blockchainService.getEscrow(rideId);
+    if (!escrow) {
+      const notFoundError = new Error('Escrow not found');
+      notFoundError.code = 'ESCROW_NOT_FOUND';
+      return next(notFoundError);
+    }
+
+    let reassignedEscrow;
+    if (isOperator(req)) {
+      reassignedEscrow = await blockchainService.reassignDriver(rideId, {
+        newDriverWallet,
+        reason,
+        requestedBy: 'platform',
+        signature: null
+      });
+    } else {
+      const message = { primaryType: 'DriverReassignment', rideId, newDriverWallet, nonce, deadline };
+      const isValidDriverSignature = Boolean(signature) &&
+        await blockchainService.validateSignature(message, signature, escrow.driverWallet);
+
+      if (!isValidDriverSignature) {
+        return res.status(401).json({
+          error: 'Invalid Signature',
+          message: 'Signature validation failed. Only the current driver or the platform can reassign the ride.'
+        });
       }
+
+      reassignedEscrow = await signedTransition(message, escrow.driverWallet, () =>
+        blockchainService.reassignDriver(rideId, {
+          newDriverWallet,
+          reason,
+          requestedBy: 'driver',
+          requestedByWallet: escrow.driverWallet,
+          signature
+        }));
+    }
+
+    res.json({
+      success: true,
+      message: 'Driver reassigned, waiting for the new driver to accept',
+      escrow: {
+        rideId: reassignedEscrow.rideId,
+        escrowAddress: reassignedEscrow.escrowAddress,
+        driverWallet: reassignedEscrow.driverWallet,
+        previousDrivers: reassignedEscrow.previousDrivers,
+        status: reassignedEscrow.status,
+        milestones: reassignedEscrow.milestones,
+        reassignedAt: reassignedEscrow.reassignedAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// A rider disputes the ride: the escrow is frozen and settled by a community review
+router.post('/dispute', async (req, res, next) => {
+  try {
+    const { error, value } = escrowDisputeSchema.validate(req.body);
+    if (error) {
+      error.isJoi = true;
+      return next(error);
+    }
+
+    const { rideId, reason, signature } = value;
+
+    const escrow = await blockchainService.getEscrow(rideId);
+    if (!escrow) {
+      const notFoundError = new Error('Escrow not found');
+      notFoundError.code = 'ESCROW_NOT_FOUND';
+      return next(notFoundError);
+    }
+
+    const message = signedPayload('dispute', value);
+    const riderWallet = await findSigningRider(escrow, message, signature);
+
+    if (!riderWallet) {
+      return res.status(401).json({
+        error: 'Invalid Signature',
+        message: 'Signature validation failed. Only a rider on this escrow can dispute it.'
+      });
+    }
+
+    const { escrow: disputedEscrow, review } = await signedTransition(message, riderWallet, () =>
+      escrowDisputes.open(escrow, {
+        raisedByWallet: riderWallet,
+        reason,
+        signature
+      }));
+
+    res.status(201).json({
+      success: true,
+      message: 'Dispute opened, escrow frozen until the community review settles it',
+      dispute: disputedEscrow.dispute,
+      // Juror wallets stay private to the review so the parties cannot approach them
+      review: {
+        reviewId: review.reviewId,
+        jurorsAssigned: review.jurors.length,
+        deadline: review.deadline,
+        consensusThreshold: review.consensusThreshold
+      },
+      escrow: {
+        rideId: disputedEscrow.rideId,
+        amount: disputedEscrow.amount,
+        currency: disputedEscrow.currency,
+        status: disputedEscrow.status
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/refund-policy', async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      rules: blockchainService.refundPolicy.rules
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/nonce/:wallet', async (req, res, next) => {
+  try {
+    const { wallet } = req.params;
+
+    if (!validateEthereumAddress(wallet)) {
+      return res.status(400).json({
+        error: 'Invalid Ethereum Address',
+        message: 'wallet must be a valid Ethereum address'
+      });
+    }
+
+    res.json({
+      success: true,
+      wallet,
+      nonce: blockchainService.getNonce(wallet),
+      domain: blockchainService.getSigningDomain(),
+      types: blockchainService.getSigningTypes(),
+      primaryType: 'EscrowAction'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Public view of an escrow, shared by status and search
+function serializeEscrow(escrow) {
+  const expiresAt = getExpiresAt(escrow);
+
+  return {
+    rideId: escrow.rideId,
+    escrowAddress: escrow.escrowAddress,
+    riderWallet: escrow.riderWallet,
+    driverWallet: escrow.driverWallet,
+    amount: escrow.amount,
+    fare: escrow.fare,
+    tipAmount: escrow.tipAmount,
+    currency: escrow.currency,
+    ...(escrow.fiat && { fiat: escrow.fiat }),
+    market: escrow.market,
+    status: escrow.status,
+    createdAt: escrow.createdAt,
+    ...(escrow.scheduledPickupAt && {
+      scheduledPickupAt: escrow.scheduledPickupAt,
+      fundingOpensAt: escrow.fundingOpensAt
+    }),
+    milestones: escrow.milestones,
+    riders: escrow.riders,
+    adjustments: escrow.adjustments,
+    ...(escrow.fundedAt && { fundedAt: escrow.fundedAt }),
+    ...(escrow.acceptedAt && { acceptedAt: escrow.acceptedAt }),
+    ...(escrow.startedAt && { startedAt: escrow.startedAt }),
+    ...(escrow.completedAt && { completedAt: escrow.completedAt }),
+    ...(expiresAt && { expiresAt: expiresAt.toISOString() }),
+    ...(escrow.releasedAt && { releasedAt: escrow.releasedAt }),
+    ...(escrow.cancelledAt && { cancelledAt: escrow.cancelledAt }),
+    ...(escrow.cancelledBy && { cancelledBy: escrow.cancelledBy }),
+    ...(escrow.cancellationReason && { cancellationReason: escrow.cancellationReason }),
+    ...(escrow.refundAmount && { refundAmount: escrow.refundAmount }),
+    ...(escrow.refundBreakdown && { refundBreakdown: escrow.refundBreakdown }),
+    ...(escrow.riderRefunds && { riderRefunds: escrow.riderRefunds }),
+    ...(escrow.settlement && { settlement: escrow.settlement }),
+    ...(escrow.previousDrivers && { previousDrivers: escrow.previousDrivers }),
+    ...(escrow.reassignedAt && { reassignedAt: escrow.reassignedAt }),
+    ...(escrow.dispute && { dispute: escrow.dispute }),
+    ...(escrow.resolvedAt && { resolvedAt: escrow.resolvedAt })
+  };
+}
+
+router.get('/', async (req, res, next) => {
+  try {
+    const { error, value } = escrowSearchSchema.validate(req.query);
+    if (error) {
+      error.isJoi = true;
+      return next(error);
+    }
+
+    const { sortBy, order, limit, cursor, ...filters } = value;
+    const result = escrowSearch.search(filters, { sortBy, order, limit, cursor });
+
+    res.json({
+      success: true,
+      escrows: result.escrows.map(serializeEscrow),
+      pagination: result.pagination,
+      totals: result.totals
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Append-only audit trail: creation, funding, milestones, adjustments, tips and settlement
+router.get('/:rideId/history', async (req, res, next) => {
+  try {
+    const { rideId } = req.params;
+
+    const escrow = await blockchainService.getEscrow(rideId);
+    if (!escrow) {
+      const notFoundError = new Error('Escrow not found');
+      notFoundError.code = 'ESCROW_NOT_FOUND';
+      return next(notFoundError);
+    }
+
+    res.json({
+      success: true,
+      rideId,
+      status: escrow.status,
+      events: blockchainService.getEscrowHistory(rideId)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/status/:rideId', async (req, res, next) => {
+  try {
+    const { rideId } = req.params;
+
+    const escrow = await blockchainService.getEscrow(rideId);
+    if (!escrow) {
+      const notFoundError = new Error('Escrow not found');
+      notFoundError.code = 'ESCROW_NOT_FOUND';
+      return next(notFoundError);
+    }
+
+    res.json({
+      success: true,
+      escrow: serializeEscrow(escrow)
     });
   } catch (error) {
     next(error);
@@ -1,14 +1,15 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
-const { createBlockchainService } = require('../utils/blockchain-factory');
+const { getBlockchainService } = require('../utils/blockchain-factory');
 const { insuranceQuoteSchema, insurancePurchaseSchema } = require('../utils/validation');
+const { createRepository } = require('../storage');
+const { idempotency } = require('../middleware/idempotency');
 
 const router = express.Router();
-const blockchainService = createBlockchainService();
+const blockchainService = getBlockchainService();
 
-// In-memory storage for insurance policies (would be in database in production)
-const policies = new Map();
-const driverProfiles = new Map();
+const policies = createRepository('policies');
+const driverProfiles = createRepository('driver_profiles');
 
 // Calculate insurance premium based on driver profile and ride details
 function calculatePremium(rideAmount, driverProfile = {}) {
@@ -94,7 +95,7 @@ router.post('/quote', async (req, res, next) => {
 });
 
 // Purchase insurance policy
-router.post('/purchase', async (req, res, next) => {
+router.post('/purchase', idempotency, async (req, res, next) => {
   try {
     const { error, value } = insurancePurchaseSchema.validate(req.body);
     if (error) {
@@ -128,6 +129,7 @@ router.post('/purchase', async (req, res, next) => {
       driverProfile.poolContributions = (
         parseFloat(driverProfile.poolContributions) + parseFloat(premium)
       ).toFixed(2);
+      driverProfiles.set(walletAddress, driverProfile);
     }
 
     res.status(201).json({
@@ -164,7 +166,7 @@ router.get('/policies/:wallet', async (req, res, next) => {
       });
     }
 
-    const userPolicies = Array.from(policies.values()).filter(
+    const userPolicies = policies.filter(
       policy => policy.walletAddress.toLowerCase() === wallet.toLowerCase()
     );
 
@@ -1,12 +1,13 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
+const { createRepository } = require('../storage');
+const { requireOperator } = require('../middleware/operator');
 
 const router = express.Router();
 
-// In-memory storage (would be in database in production)
-const jurors = new Map();
-const jurorAssignments = new Map();
-const jurorVotes = new Map();
+const jurors = createRepository('jurors');
+const jurorAssignments = createRepository('juror_assignments');
+const jurorVotes = createRepository('juror_votes');
 
 // Check if driver is eligible to be a juror
 function checkJurorEligibility(driverProfile) {
@@ -71,7 +72,7 @@ router.get('/eligible', async (req, res, next) => {
   }
 });
 
-// Volunteer to be a juror
+// Volunteer to be a juror; volunteers only sit on juries once an operator has vetted them
 router.post('/volunteer', async (req, res, next) => {
   try {
     const { wallet } = req.body;
@@ -110,7 +111,14 @@ router.post('/volunteer', async (req, res, next) => {
       });
     }
 
-    // Register as juror
+    if (jurors.has(wallet)) {
+      return res.status(409).json({
+        error: 'Already Registered',
+        message: 'This wallet has already volunteered as a juror'
+      });
+    }
+
+    // Register as juror, pending review by an operator
     const juror = {
       wallet,
       reputation: 850,
@@ -118,14 +126,14 @@ router.post('/volunteer', async (req, res, next) => {
       correctVotes: 0,
       earnings: '0',
       joinedAt: new Date().toISOString(),
-      status: 'active'
+      status: 'pending_vetting'
     };
 
     jurors.set(wallet, juror);
 
     res.status(201).json({
       success: true,
-      message: 'Successfully registered as a juror',
+      message: 'Registered as a juror, pending vetting by an operator',
       juror: {
         wallet: juror.wallet,
         reputation: juror.reputation,
@@ -138,6 +146,39 @@ router.post('/volunteer', async (req, res, next) => {
   }
 });
 
+// An operator admits a volunteer to the juror pool, or removes a juror from it
+function vettingHandler(status) {
+  return async (req, res, next) => {
+    try {
+      const juror = jurors.get(req.params.wallet);
+      if (!juror) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Juror not found'
+        });
+      }
+
+      const vetted = { ...juror, status, vettedBy: req.operator, vettedAt: new Date().toISOString() };
+      jurors.set(vetted.wallet, vetted);
+
+      res.json({
+        success: true,
+        juror: {
+          wallet: vetted.wallet,
+          status: vetted.status,
+          vettedBy: vetted.vettedBy,
+          vettedAt: vetted.vettedAt
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+router.post('/:wallet/approve', requireOperator, vettingHandler('active'));
+router.post('/:wallet/remove', requireOperator, vettingHandler('removed'));
+
 // Get juror assignments
 router.get('/assignments/:wallet', async (req, res, next) => {
   try {
@@ -151,7 +192,7 @@ router.get('/assignments/:wallet', async (req, res, next) => {
       });
     }
 
-    const assignments = jurorAssignments.get(wallet) || [];
+    const assignments = jurorAssignments.filter(assignment => assignment.juror === wallet);
 
     res.json({
       success: true,
@@ -234,7 +275,7 @@ router.get('/history/:wallet', async (req, res, next) => {
       });
     }
 
-    const votes = jurorVotes.get(wallet) || [];
+    const votes = jurorVotes.filter(vote => vote.juror === wallet);
 
     res.json({
       success: true,
@@ -6,17 +6,29 @@
 const express = require('express');
 const Joi = require('joi');
 const { v4: uuidv4 } = require('uuid');
+const { createRepository } = require('../storage');
+const { idempotency } = require('../middleware/idempotency');
+const { FIAT_CURRENCY, createPriceAdapter } = require('../services/price-oracle');
+const { convertFiat } = require('../services/price-quotes');
 const router = express.Router();
 
-// Mock database for payouts
-const payouts = new Map();
-const emergencyFund = {
-  totalFund: 1000000, // $1M emergency fund
-  availableAmount: 800000,
-  lastActivation: null,
-  emergencyActive: false,
-  activationThreshold: 0.8 // 80% pool utilization
-};
+// Claims are assessed in USD and paid out of the insurance pool's holdings in this currency
+const CLAIM_PAYOUT_CURRENCY = process.env.CLAIM_PAYOUT_CURRENCY || 'USDC';
+// Created on the first payout, so a missing oracle fails payouts rather than startup
+let priceAdapter = null;
+
+const payouts = createRepository('payouts');
+const emergencyFunds = createRepository('emergency_fund');
+
+if (!emergencyFunds.has('default')) {
+  emergencyFunds.set('default', {
+    totalFund: 1000000, // $1M emergency fund
+    availableAmount: 800000,
+    lastActivation: null,
+    emergencyActive: false,
+    activationThreshold: 0.8 // 80% pool utilization
+  });
+}
 
 // Validation schemas
 const payoutExecutionSchema = Joi.object({
@@ -99,7 +111,7 @@ function calculatePayoutEligibility(claim, validationResults) {
 }
 
 /**
- * Execute claim payout
+ * Execute claim payout. `amount` is in USD; `paidFrom` records what left the pool once paid.
  */
 function executePayout(claim, amount, trigger) {
   const payoutId = uuidv4();
@@ -108,6 +120,7 @@ function executePayout(claim, amount, trigger) {
     claimId: claim.claimId,
     beneficiaryWallet: claim.claimantWallet,
     amount,
+    currency: FIAT_CURRENCY,
     trigger,
     status: 'processing',
     createdAt: new Date().toISOString(),
@@ -117,11 +130,26 @@ function executePayout(claim, amount, trigger) {
   };
   
   // Simulate blockchain transaction
-  setTimeout(() => {
-    payout.status = 'completed';
-    payout.executedAt = new Date().toISOString();
-    payout.transactionHash = '0x' + Math.random().toString(16).substr(2, 64);
-    payout.gasUsed = Math.floor(Math.random() * 50000) + 21000;
+  setTimeout(async () => {
+    try {
+      priceAdapter = priceAdapter || createPriceAdapter();
+      const { rate, source } = await priceAdapter.getRate(CLAIM_PAYOUT_CURRENCY);
+      payout.paidFrom = {
+        currency: CLAIM_PAYOUT_CURRENCY,
+        amount: convertFiat(String(amount), rate, CLAIM_PAYOUT_CURRENCY),
+        rate,
+        rateSource: source
+      };
+      payout.status = 'completed';
+      payout.executedAt = new Date().toISOString();
+      payout.transactionHash = '0x' + Math.random().toString(16).substr(2, 64);
+      payout.gasUsed = Math.floor(Math.random() * 50000) + 21000;
+    } catch (error) {
+      payout.status = 'failed';
+      payout.error = error.message;
+      console.error(`Claim payout ${payoutId} failed:`, error.message);
+    }
+    payouts.set(payoutId, payout);
   }, 2000);
   
   payouts.set(payoutId, payout);
@@ -163,7 +191,7 @@ function checkEmergencyConditions() {
  * POST /api/payouts/execute
  * Execute approved claim payout
  */
-router.post('/execute', async (req, res) => {
+router.post('/execute', idempotency, async (req, res) => {
   try {
     const { error, value } = payoutExecutionSchema.validate(req.body);
     if (error) {
@@ -283,7 +311,7 @@ router.get('/:payoutId', (req, res) => {
 router.get('/claim/:claimId', (req, res) => {
   try {
     const { claimId } = req.params;
-    const claimPayouts = Array.from(payouts.values())
+    const claimPayouts = payouts
       .filter(payout => payout.claimId === claimId)
       .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
     
@@ -335,6 +363,7 @@ router.post('/emergency', async (req, res) => {
     }
     
     // Check emergency fund availability
+    const emergencyFund = emergencyFunds.get('default');
     if (amount > emergencyFund.availableAmount) {
       return res.status(422).json({
         success: false,
@@ -354,6 +383,7 @@ router.post('/emergency', async (req, res) => {
     // Update emergency fund
     emergencyFund.availableAmount -= amount;
     emergencyFund.lastActivation = new Date().toISOString();
+    emergencyFunds.set('default', emergencyFund);
     
     res.status(201).json({
       success: true,
@@ -388,6 +418,7 @@ router.post('/emergency', async (req, res) => {
 router.get('/emergency/status', (req, res) => {
   try {
     const emergencyStatus = checkEmergencyConditions();
+    const emergencyFund = emergencyFunds.get('default');
     
     res.json({
       success: true,
@@ -429,7 +460,8 @@ router.get('/emergency/status', (req, res) => {
  */
 router.get('/stats', (req, res) => {
   try {
-    const allPayouts = Array.from(payouts.values());
+    const allPayouts = payouts.values();
+    const emergencyFund = emergencyFunds.get('default');
     const completedPayouts = allPayouts.filter(p => p.status === 'completed');
     
     const stats = {
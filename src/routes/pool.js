@@ -1,9 +1,24 @@
 const express = require('express');
-const { createBlockchainService } = require("../utils/blockchain-factory");
-const { validateEthereumAddress, validateAmount } = require('../utils/validation');
+const { getBlockchainService } = require("../utils/blockchain-factory");
+const {
+  validateEthereumAddress,
+  validateAmount,
+  poolDepositSchema,
+  poolHistorySchema,
+  poolWithdrawalSchema,
+  poolWithdrawalSearchSchema
+} = require('../utils/validation');
+const { idempotency } = require('../middleware/idempotency');
+const { requireOperator } = require('../middleware/operator');
+const PoolSnapshotService = require('../services/pool-snapshots');
+const PoolShareService = require('../services/pool-shares');
+const { compareAmounts, toUnits } = require('../utils/amounts');
 
 const router = express.Router();
-const blockchainService = createBlockchainService();
+const SUPPORTED_CURRENCIES = ['ETH', 'USDC', 'DAI'];
+const blockchainService = getBlockchainService();
+const poolSnapshots = new PoolSnapshotService(blockchainService);
+const poolShares = new PoolShareService(blockchainService);
 
 router.get('/status', async (req, res, next) => {
   try {
@@ -17,7 +32,8 @@ router.get('/status', async (req, res, next) => {
         contributorCount: poolStatus.contributorCount,
         totalContributions: poolStatus.totalContributions,
         lastUpdated: poolStatus.lastUpdated,
-        currency: 'ETH'
+        currency: 'ETH',
+        balances: poolStatus.balances
       },
       stats: {
         averageContribution: poolStatus.totalContributions > 0 
@@ -32,9 +48,12 @@ router.get('/status', async (req, res, next) => {
   }
 });
 
-router.post('/contribute', async (req, res, next) => {
+// Shares are only minted for the contributor's own funds: they sign EIP-712 PoolDeposit
+// { contributor, amount, currency, nonce, deadline } and send ETH to the pool themselves
+// (transactionHash), or let the bridge wallet pull USDC/DAI (approve() or permit)
+router.post('/contribute', idempotency, async (req, res, next) => {
   try {
-    const { contributor, amount } = req.body;
+    const { contributor, amount, currency = 'ETH', ...deposit } = req.body;
 
     if (!contributor || !amount) {
       return res.status(400).json({
@@ -57,7 +76,37 @@ router.post('/contribute', async (req, res, next) => {
       });
     }
 
-    const contribution = await blockchainService.contributeToInsurance(contributor, amount);
+    if (!SUPPORTED_CURRENCIES.includes(currency)) {
+      return res.status(400).json({
+        error: 'Invalid Currency',
+        message: `currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`
+      });
+    }
+
+    const { error, value } = poolDepositSchema.validate(deposit);
+    if (error) {
+      error.isJoi = true;
+      return next(error);
+    }
+
+    const { signature, nonce, deadline, transactionHash, permit } = value;
+    const message = { primaryType: 'PoolDeposit', contributor, amount, currency, nonce, deadline };
+    if (!(await blockchainService.validateSignature(message, signature, contributor))) {
+      return res.status(401).json({
+        error: 'Invalid Signature',
+        message: 'Signature validation failed. Contributions must be signed by the contributor\'s wallet.'
+      });
+    }
+
+    let collected;
+    try {
+      collected = await blockchainService.contributeToInsurance(contributor, amount, currency, { signature, transactionHash, permit });
+    } catch (error) {
+      // Nothing was collected: the contributor can retry with the same nonce
+      blockchainService.restoreNonce(contributor, message);
+      throw error;
+    }
+    const contribution = poolShares.recordContribution(collected);
 
     res.status(201).json({
       success: true,
@@ -65,8 +114,11 @@ router.post('/contribute', async (req, res, next) => {
       contribution: {
         contributor: contribution.contributor,
         amount: contribution.amount,
+        currency: contribution.currency,
         timestamp: contribution.timestamp,
-        transactionHash: contribution.transactionHash
+        transactionHash: contribution.transactionHash,
+        shares: contribution.shares,
+        unlocksAt: contribution.unlocksAt
       },
       poolStatus: blockchainService.getInsurancePoolStatus()
     });
@@ -86,9 +138,11 @@ router.get('/contributions/:address', async (req, res, next) => {
       });
     }
 
-    const poolData = blockchainService.getInsurancePoolStatus();
-    const allContributions = blockchainService.insurancePool.contributions;
-    
+    const allContributions = blockchainService.getInsuranceContributions();
+    const holdings = poolShares.holdingsOf(address);
+    const ethHolding = holdings.find(holding => holding.currency === 'ETH');
+    const { totalShares } = poolShares.poolState('ETH');
+
     const userContributions = allContributions.filter(
       contrib => contrib.contributor.toLowerCase() === address.toLowerCase()
     );
@@ -105,11 +159,15 @@ router.get('/contributions/:address', async (req, res, next) => {
       contributions: userContributions.map(contrib => ({
         amount: contrib.amount,
         timestamp: contrib.timestamp,
-        transactionHash: contrib.transactionHash
+        transactionHash: contrib.transactionHash,
+        shares: contrib.shares,
+        unlocksAt: contrib.unlocksAt
       })),
-      poolShare: poolData.totalBalance !== '0' 
-        ? ((totalUserContribution / parseFloat(poolData.totalBalance)) * 100).toFixed(2) + '%'
-        : '0%'
+      // Share of the ETH pool the contributor's shares are a claim on
+      poolShare: compareAmounts(totalShares, '0') > 0
+        ? (Number((toUnits(ethHolding ? ethHolding.shares : '0') * 10000n) / toUnits(totalShares)) / 100).toFixed(2) + '%'
+        : '0%',
+      holdings
     });
   } catch (error) {
     next(error);
@@ -119,7 +177,7 @@ router.get('/contributions/:address', async (req, res, next) => {
 router.get('/analytics', async (req, res, next) => {
   try {
     const poolData = blockchainService.getInsurancePoolStatus();
-    const allContributions = blockchainService.insurancePool.contributions;
+    const allContributions = blockchainService.getInsuranceContributions();
 
     const last30Days = new Date();
     last30Days.setDate(last30Days.getDate() - 30);
@@ -148,6 +206,8 @@ router.get('/analytics', async (req, res, next) => {
       topContributors[addr].total += parseFloat(contrib.amount);
     });
 
+    const trends = poolSnapshots.getTrends(30);
+
     const sortedContributors = Object.entries(topContributors)
       .sort(([,a], [,b]) => b.total - a.total)
       .slice(0, 10)
@@ -175,7 +235,11 @@ router.get('/analytics', async (req, res, next) => {
           averageContribution: poolData.totalContributions > 0 
             ? (parseFloat(poolData.totalBalance) / poolData.totalContributions).toFixed(4)
             : '0',
-          growthRate: '12.5%' // Placeholder - would calculate from historical data
+          // 30-day change in the ETH balance, from pool snapshots; null until there is one to compare against
+          growthRate: trends.growthRates.ETH || null,
+          growthRates: trends.growthRates,
+          netFlow: trends.netFlow,
+          contributorChurn: trends.contributorChurn
         }
       }
     });
@@ -184,4 +248,129 @@ router.get('/analytics', async (req, res, next) => {
   }
 });
 
+// Queue unlocked shares for withdrawal; paid out in request order as the reserve allows. Signed by the
+// contributor's wallet as EIP-712 PoolWithdrawal { contributor, currency, shares, nonce, deadline }
+router.post('/withdrawals', idempotency, async (req, res, next) => {
+  try {
+    const { error, value } = poolWithdrawalSchema.validate(req.body);
+    if (error) {
+      error.isJoi = true;
+      return next(error);
+    }
+
+    if (value.shares !== undefined && !validateAmount(value.shares)) {
+      return res.status(400).json({
+        error: 'Invalid Amount',
+        message: 'shares must be a positive number with up to 18 decimal places'
+      });
+    }
+
+    const { signature, nonce, deadline, ...request } = value;
+    const message = {
+      primaryType: 'PoolWithdrawal',
+      contributor: request.contributor,
+      currency: request.currency,
+      shares: request.shares || 'all',
+      nonce,
+      deadline
+    };
+    if (!(await blockchainService.validateSignature(message, signature, request.contributor))) {
+      return res.status(401).json({
+        error: 'Invalid Signature',
+        message: 'Signature validation failed. Withdrawals must be signed by the contributor\'s wallet.'
+      });
+    }
+
+    let withdrawal;
+    try {
+      withdrawal = poolShares.requestWithdrawal(request);
+    } catch (error) {
+      // Refused (locked or too few shares): the contributor can retry with the same nonce
+      blockchainService.restoreNonce(request.contributor, message);
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Withdrawal queued at position ${withdrawal.queuePosition}`,
+      withdrawal,
+      holdings: poolShares.holdingsOf(request.contributor)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/withdrawals', async (req, res, next) => {
+  try {
+    const { error, value } = poolWithdrawalSearchSchema.validate(req.query);
+    if (error) {
+      error.isJoi = true;
+      return next(error);
+    }
+
+    res.json({
+      success: true,
+      withdrawals: poolShares.listWithdrawals(value)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Pay the queue now instead of waiting for the next scheduled run (operators only)
+router.post('/withdrawals/process', requireOperator, async (req, res, next) => {
+  try {
+    const paid = await poolShares.processQueue();
+
+    res.json({
+      success: true,
+      message: paid.length > 0
+        ? `${paid.length} withdrawal(s) paid`
+        : 'No queued withdrawals could be paid',
+      paid,
+      queued: poolShares.listWithdrawals({ status: 'queued' }).length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/withdrawals/:withdrawalId', async (req, res, next) => {
+  try {
+    const withdrawal = poolShares.getWithdrawal(req.params.withdrawalId);
+    if (!withdrawal) {
+      return res.status(404).json({
+        error: 'Withdrawal Not Found',
+        message: `Withdrawal ${req.params.withdrawalId} does not exist`
+      });
+    }
+
+    res.json({
+      success: true,
+      withdrawal
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Pool balances, flows and contributor churn over time, from periodic snapshots
+router.get('/history', async (req, res, next) => {
+  try {
+    const { error, value } = poolHistorySchema.validate(req.query);
+    if (error) {
+      error.isJoi = true;
+      return next(error);
+    }
+
+    res.json({
+      success: true,
+      ...poolSnapshots.getHistory(value)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,66 @@
+const express = require('express');
+const { priceQuoteSchema } = require('../utils/validation');
+const PriceQuoteService = require('../services/price-quotes');
+
+const router = express.Router();
+const priceQuotes = new PriceQuoteService();
+
+// Serialized quote without internal bookkeeping
+function serializeQuote(quote) {
+  return {
+    quoteId: quote.quoteId,
+    fiatAmount: quote.fiatAmount,
+    fiatCurrency: quote.fiatCurrency,
+    amount: quote.amount,
+    currency: quote.currency,
+    rate: quote.rate,
+    source: quote.source,
+    rateUpdatedAt: quote.rateUpdatedAt,
+    status: quote.status,
+    createdAt: quote.createdAt,
+    expiresAt: quote.expiresAt,
+    ...(quote.rideId && { rideId: quote.rideId, redeemedAt: quote.redeemedAt })
+  };
+}
+
+// Lock a USD fare into an escrow amount for PRICE_QUOTE_TTL_SECONDS
+router.post('/', async (req, res, next) => {
+  try {
+    const { error, value } = priceQuoteSchema.validate(req.body);
+    if (error) {
+      error.isJoi = true;
+      return next(error);
+    }
+
+    const quote = await priceQuotes.createQuote(value);
+
+    res.status(201).json({
+      success: true,
+      message: 'Price quote locked; pass quoteId to /api/escrow/initiate before it expires',
+      quote: serializeQuote(quote)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/:quoteId', async (req, res, next) => {
+  try {
+    const quote = priceQuotes.getQuote(req.params.quoteId);
+    if (!quote) {
+      return res.status(404).json({
+        error: 'Quote Not Found',
+        message: `Price quote ${req.params.quoteId} does not exist`
+      });
+    }
+
+    res.json({
+      success: true,
+      quote: serializeQuote(quote)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,178 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
-const { referralTrackSchema } = require('../utils/validation');
+const {
+  referralTrackSchema,
+  referralCampaignSchema,
+  referralCodeSchema,
+  referralRedeemSchema,
+  referralReviewSchema,
+  referralReviewSearchSchema,
+  referralAnalyticsSchema,
+  referralLeaderboardSchema
+} = require('../utils/validation');
+const { createRepository } = require('../storage');
+const ReferralEligibilityService = require('../services/referral-eligibility');
+const ReferralCampaignService = require('../services/referral-campaigns');
+const ReferralCodeService = require('../services/referral-codes');
+const ReferralAnalytics = require('../services/referral-analytics');
+const { requireOperator } = require('../middleware/operator');
+const { getBlockchainService } = require('../utils/blockchain-factory');
+const { describeCriteria, screeningPending } = ReferralEligibilityService;
 
 const router = express.Router();
 
-const referralDatabase = new Map();
-const rewardHistory = [];
+const blockchainService = getBlockchainService();
+const referralDatabase = createRepository('referrals');
+const rewardHistory = createRepository('referral_rewards');
+const referralEligibility = new ReferralEligibilityService();
+const referralCampaigns = new ReferralCampaignService();
+const referralCodes = new ReferralCodeService();
+const referralAnalytics = new ReferralAnalytics();
+
+// Campaign with its current status and budget usage
+function serializeCampaign(campaign) {
+  return {
+    ...campaign,
+    status: referralCampaigns.statusOf(campaign),
+    usage: referralCampaigns.getBudgetUsage(campaign)
+  };
+}
+
+// Eligibility progress as shown to clients, e.g. 2/3 rides before windowEndsAt
+function serializeProgress(progress) {
+  return {
+    completedRides: progress.completedRides,
+    requiredRides: progress.requiredRides,
+    windowEndsAt: progress.windowEndsAt,
+    rideIds: progress.rideIds
+  };
+}
+
+/**
+ * Create a pending referral for `newUserId`, joining the named or best running campaign, and
+ * start screening the pair for abuse. Throws ALREADY_REFERRED if the user or their wallet was referred before.
+ */
+async function trackReferral({
+  referrerId,
+  newUserId,
+  newUserWallet,
+  userType,
+  market,
+  campaignId,
+  code,
+  newUserDevice,
+  referrerDevice
+}) {
+  const existingReferral = referralDatabase.find(
+    ref => ref.newUserId === newUserId ||
+      (newUserWallet && ref.newUserWallet && ref.newUserWallet.toLowerCase() === newUserWallet.toLowerCase())
+  );
+
+  if (existingReferral) {
+    const referredError = new Error(`User ${newUserId} has already been referred by ${existingReferral.referrerId}`);
+    referredError.code = 'ALREADY_REFERRED';
+    throw referredError;
+  }
+
+  // A running campaign sets the reward; without one the defaults apply. Callers never set it.
+  const campaign = campaignId
+    ? referralCampaigns.getJoinableCampaign(campaignId, market)
+    : referralCampaigns.findActive(market);
+
+  const rewards = campaign && referralCampaigns.rewardsFor(campaign, { userType, referrerId });
+  const referralId = uuidv4();
+  const defaultReward = userType === 'driver' ? '25.0' : '10.0';
+  const actualReward = rewards ? rewards.rewardAmount : defaultReward;
+  const createdAt = new Date().toISOString();
+  // Screened against the referrer's verified payout wallet, if they have one yet
+  const referrerWallet = referralCodes.verifiedWalletOf(referrerId);
+
+  // Rides are counted against newUserWallet; without it the referral can only expire
+  const referral = {
+    referralId,
+    referrerId,
+    ...(referrerWallet && { referrerWallet }),
+    newUserId,
+    ...(newUserWallet && { newUserWallet }),
+    userType,
+    market,
+    rewardAmount: actualReward,
+    ...(campaign && { campaignId: campaign.campaignId }),
+    ...(rewards && rewards.secondLevel && { secondLevel: rewards.secondLevel }),
+    ...(code && { code }),
+    status: 'pending',
+    screening: { status: 'pending', riskFactors: [], requestedAt: createdAt },
+    createdAt,
+    eligibility: referralEligibility.eligibilityFor(userType, createdAt, rewards ? rewards.tier : {}),
+    eligibilityMet: false,
+    rewardPaid: false
+  };
+
+  // Screening scans the chain for transfers between the wallets, so it runs after the response;
+  // stored first so concurrent requests see the user as referred
+  referralDatabase.set(referralId, referral);
+
+  if (referrerDevice) referralEligibility.abuse.recordDevice(referrerId, referrerDevice);
+  if (newUserDevice) referralEligibility.abuse.recordDevice(newUserId, newUserDevice);
+
+  referralEligibility.screenInBackground(referralId);
+  return { referral, campaign };
+}
+
+// Response body for a newly tracked referral
+function serializeTrackedReferral({ referral, campaign }) {
+  return {
+    referral: {
+      referralId: referral.referralId,
+      referrerId: referral.referrerId,
+      ...(referral.referrerWallet && { referrerWallet: referral.referrerWallet }),
+      newUserId: referral.newUserId,
+      ...(referral.newUserWallet && { newUserWallet: referral.newUserWallet }),
+      userType: referral.userType,
+      rewardAmount: referral.rewardAmount,
+      ...(campaign && { campaign: { campaignId: campaign.campaignId, name: campaign.name } }),
+      ...(referral.secondLevel && { secondLevel: referral.secondLevel }),
+      ...(referral.code && { code: referral.code }),
+      status: referral.status,
+      screening: serializeScreening(referral.screening),
+      createdAt: referral.createdAt,
+      eligibility: referral.eligibility
+    },
+    eligibilityCriteria: describeCriteria(referral.eligibility)
+  };
+}
+
+// Abuse screening outcome without the raw evidence, e.g. { status: 'flagged', riskFactors: [...] }
+function serializeScreening(screening) {
+  if (!screening) return { status: 'clear', riskFactors: [] };
+
+  return {
+    status: screening.status,
+    fraudScore: screening.fraudScore,
+    riskFactors: screening.riskFactors,
+    ...(screening.review && { review: screening.review })
+  };
+}
+
+// Reward payout with its status and, once confirmed, the transaction receipt
+function serializeReward(reward) {
+  return {
+    rewardId: reward.rewardId,
+    referralId: reward.referralId,
+    level: reward.level,
+    fiatAmount: reward.fiatAmount,
+    fiatCurrency: reward.fiatCurrency,
+    amount: reward.rewardAmount,
+    currency: reward.currency,
+    status: reward.status,
+    referrerWallet: reward.referrerWallet,
+    transactionHash: reward.transactionHash,
+    ...(reward.receipt && { receipt: reward.receipt }),
+    ...(reward.paidAt && { paidAt: reward.paidAt }),
+    attempts: reward.attempts,
+    ...(reward.status === 'failed' && { error: reward.error, nextAttemptAt: reward.nextAttemptAt })
+  };
+}
 
 router.post('/track', async (req, res, next) => {
   try {
@@ -15,58 +182,125 @@ router.post('/track', async (req, res, next) => {
       return next(error);
     }
 
-    const { referrerId, newUserId, userType, rewardAmount } = value;
+    res.status(201).json({
+      success: true,
+      message: 'Referral tracked successfully',
+      ...serializeTrackedReferral(await trackReferral(value))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    const existingReferral = Array.from(referralDatabase.values()).find(
-      ref => ref.newUserId === newUserId
-    );
+// Mint a shareable code that stands in for the user's referrerId. A `wallet` to pay the user's
+// rewards to is signed by that wallet as EIP-712 ReferralWallet { userId, wallet, nonce, deadline }
+router.post('/codes', async (req, res, next) => {
+  try {
+    const { error, value } = referralCodeSchema.validate(req.body);
+    if (error) {
+      error.isJoi = true;
+      return next(error);
+    }
 
-    if (existingReferral) {
-      return res.status(409).json({
-        error: 'User Already Referred',
-        message: `User ${newUserId} has already been referred by ${existingReferral.referrerId}`
+    const { signature, nonce, deadline, ...request } = value;
+    const message = request.wallet && {
+      primaryType: 'ReferralWallet',
+      userId: request.userId,
+      wallet: request.wallet,
+      nonce,
+      deadline
+    };
+    if (message && !(await blockchainService.validateSignature(message, signature, request.wallet))) {
+      return res.status(401).json({
+        error: 'Invalid Signature',
+        message: 'Signature validation failed. The payout wallet must sign for the referral code.'
       });
     }
 
-    const referralId = uuidv4();
-    const defaultReward = userType === 'driver' ? '25.0' : '10.0';
-    const actualReward = rewardAmount || defaultReward;
-
-    const referral = {
-      referralId,
-      referrerId,
-      newUserId,
-      userType,
-      rewardAmount: actualReward,
-      status: 'pending',
-      createdAt: new Date().toISOString(),
-      eligibilityMet: false,
-      rewardPaid: false
-    };
+    if (request.campaignId && !referralCampaigns.getCampaign(request.campaignId)) {
+      if (message) blockchainService.restoreNonce(request.wallet, message);
+      return res.status(404).json({
+        error: 'Campaign Not Found',
+        message: `Referral campaign ${request.campaignId} does not exist`
+      });
+    }
 
-    referralDatabase.set(referralId, referral);
+    let code;
+    try {
+      code = referralCodes.issueCode(request);
+    } catch (issueError) {
+      if (message) blockchainService.restoreNonce(request.wallet, message);
+      throw issueError;
+    }
+    if (request.device) {
+      referralEligibility.abuse.recordDevice(request.userId, request.device);
+    }
 
     res.status(201).json({
       success: true,
-      message: 'Referral tracked successfully',
-      referral: {
-        referralId: referral.referralId,
-        referrerId: referral.referrerId,
-        newUserId: referral.newUserId,
-        userType: referral.userType,
-        rewardAmount: referral.rewardAmount,
-        status: referral.status,
-        createdAt: referral.createdAt
-      },
-      eligibilityCriteria: userType === 'driver' 
-        ? 'Complete 5 rides within 30 days'
-        : 'Complete 3 rides within 14 days'
+      message: 'Referral code created',
+      code: { ...code, status: referralCodes.statusOf(code) }
     });
   } catch (error) {
     next(error);
   }
 });
 
+// Resolve a code for a sign-up page; every lookup counts as a click
+router.get('/codes/:code', async (req, res, next) => {
+  try {
+    const code = referralCodes.recordClick(req.params.code);
+
+    res.json({
+      success: true,
+      code: {
+        code: code.code,
+        referrerId: code.userId,
+        status: referralCodes.statusOf(code),
+        expiresAt: code.expiresAt,
+        ...(code.campaignId && { campaignId: code.campaignId })
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Sign a new user up through a code: the code's owner becomes the referrer
+router.post('/codes/:code/redeem', async (req, res, next) => {
+  try {
+    const { error, value } = referralRedeemSchema.validate(req.body);
+    if (error) {
+      error.isJoi = true;
+      return next(error);
+    }
+
+    const code = referralCodes.getRedeemableCode(req.params.code);
+    if (code.userId === value.newUserId) {
+      const selfError = new Error('Users cannot redeem their own referral code');
+      selfError.name = 'ValidationError';
+      return next(selfError);
+    }
+
+    const tracked = await trackReferral({
+      ...value,
+      referrerId: code.userId,
+      campaignId: code.campaignId || undefined,
+      code: code.code
+    });
+    referralCodes.recordRedemption(code);
+
+    res.status(201).json({
+      success: true,
+      message: 'Referral code redeemed',
+      ...serializeTrackedReferral(tracked)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Re-check eligibility now; referrals are also evaluated on every escrow release and by the sweeper
 router.post('/complete', async (req, res, next) => {
   try {
     const { referralId } = req.body;
@@ -78,40 +312,74 @@ router.post('/complete', async (req, res, next) => {
       });
     }
 
-    const referral = referralDatabase.get(referralId);
-    if (!referral) {
+    const existing = referralDatabase.get(referralId);
+    if (!existing) {
       return res.status(404).json({
         error: 'Referral Not Found',
         message: `Referral ${referralId} not found`
       });
     }
 
-    if (referral.status === 'completed') {
+    if (existing.status === 'completed') {
       return res.status(409).json({
         error: 'Referral Already Completed',
         message: 'This referral has already been completed'
       });
     }
 
-    referral.status = 'completed';
-    referral.eligibilityMet = true;
-    referral.rewardPaid = true;
-    referral.completedAt = new Date().toISOString();
+    if (existing.status === 'rejected') {
+      return res.status(409).json({
+        error: 'Referral Rejected',
+        message: `Referral ${referralId} was rejected in review and pays no reward`
+      });
+    }
 
-    const rewardRecord = {
-      referralId: referral.referralId,
-      referrerId: referral.referrerId,
-      newUserId: referral.newUserId,
-      rewardAmount: referral.rewardAmount,
-      paidAt: referral.completedAt,
-      transactionHash: `0x${Buffer.from(`reward_${referralId}_${Date.now()}`).toString('hex').slice(0, 64)}`
-    };
+    const referral = await referralEligibility.evaluate(existing);
+    if (referral.status === 'completed') {
+      await referralEligibility.payouts.payReferral(referralId);
+    }
+    const progress = referralEligibility.getProgress(referral);
+
+    if (referral.status === 'expired') {
+      return res.status(410).json({
+        error: 'Referral Expired',
+        message: `The eligibility window closed at ${progress.windowEndsAt} with ${progress.completedRides}/${progress.requiredRides} rides`,
+        progress: serializeProgress(progress)
+      });
+    }
 
-    rewardHistory.push(rewardRecord);
+    if (referral.status === 'held') {
+      return res.status(409).json({
+        error: 'Referral Held For Review',
+        message: 'The referral met its criteria but is held for manual review before any reward is paid',
+        screening: serializeScreening(referral.screening),
+        progress: serializeProgress(progress)
+      });
+    }
+
+    if (referral.status === 'pending' && screeningPending(referral) && progress.completedRides >= progress.requiredRides) {
+      return res.status(409).json({
+        error: 'Screening In Progress',
+        message: 'The referral met its criteria; it completes once its abuse screening has finished',
+        progress: serializeProgress(progress)
+      });
+    }
+
+    if (referral.status !== 'completed') {
+      return res.status(409).json({
+        error: 'Eligibility Not Met',
+        message: `${describeCriteria(referralEligibility.windowOf(referral))}: ${progress.completedRides}/${progress.requiredRides} rides so far`,
+        progress: serializeProgress(progress)
+      });
+    }
+
+    const rewardRecord = rewardHistory.get(referralId);
 
     res.json({
       success: true,
-      message: 'Referral completed and reward paid',
+      message: rewardRecord.status === 'confirmed'
+        ? 'Referral completed and reward paid'
+        : 'Referral completed; the reward payout failed and will be retried',
       referral: {
         referralId: referral.referralId,
         referrerId: referral.referrerId,
@@ -119,13 +387,10 @@ router.post('/complete', async (req, res, next) => {
         userType: referral.userType,
         rewardAmount: referral.rewardAmount,
         status: referral.status,
-        completedAt: referral.completedAt
+        completedAt: referral.completedAt,
+        progress: serializeProgress(progress)
       },
-      reward: {
-        amount: rewardRecord.rewardAmount,
-        transactionHash: rewardRecord.transactionHash,
-        paidAt: rewardRecord.paidAt
-      }
+      reward: serializeReward(rewardRecord)
     });
   } catch (error) {
     next(error);
@@ -144,19 +409,29 @@ router.get('/status/:referralId', async (req, res, next) => {
       });
     }
 
+    const progress = referralEligibility.getProgress(referral);
+
     res.json({
       success: true,
       referral: {
         referralId: referral.referralId,
         referrerId: referral.referrerId,
+        ...(referral.referrerWallet && { referrerWallet: referral.referrerWallet }),
         newUserId: referral.newUserId,
+        ...(referral.newUserWallet && { newUserWallet: referral.newUserWallet }),
         userType: referral.userType,
         rewardAmount: referral.rewardAmount,
-        status: referral.status,
+        ...(referral.campaignId && { campaignId: referral.campaignId }),
+        ...(referral.secondLevel && { secondLevel: referral.secondLevel }),
+        ...(referral.code && { code: referral.code }),
+        status: progress.status,
+        screening: serializeScreening(referral.screening),
         createdAt: referral.createdAt,
         eligibilityMet: referral.eligibilityMet,
         rewardPaid: referral.rewardPaid,
-        ...(referral.completedAt && { completedAt: referral.completedAt })
+        progress: serializeProgress(progress),
+        ...(referral.completedAt && { completedAt: referral.completedAt }),
+        ...(referral.expiredAt && { expiredAt: referral.expiredAt })
       }
     });
   } catch (error) {
@@ -164,17 +439,195 @@ router.get('/status/:referralId', async (req, res, next) => {
   }
 });
 
+// Campaign rewards are paid on-chain, so only operators create and end campaigns
+router.post('/campaigns', requireOperator, async (req, res, next) => {
+  try {
+    const { error, value } = referralCampaignSchema.validate(req.body);
+    if (error) {
+      error.isJoi = true;
+      return next(error);
+    }
+
+    const campaign = referralCampaigns.createCampaign({ ...value, createdBy: req.operator });
+
+    res.status(201).json({
+      success: true,
+      message: 'Referral campaign created',
+      campaign: serializeCampaign(campaign)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/campaigns', async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      campaigns: referralCampaigns.listCampaigns({ status: req.query.status }).map(serializeCampaign)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/campaigns/:campaignId', async (req, res, next) => {
+  try {
+    const campaign = referralCampaigns.getCampaign(req.params.campaignId);
+    if (!campaign) {
+      return res.status(404).json({
+        error: 'Campaign Not Found',
+        message: `Referral campaign ${req.params.campaignId} does not exist`
+      });
+    }
+
+    res.json({
+      success: true,
+      campaign: serializeCampaign(campaign)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// End a campaign early; its tracked referrals keep their rewards
+router.post('/campaigns/:campaignId/end', requireOperator, async (req, res, next) => {
+  try {
+    const campaign = referralCampaigns.endCampaign(req.params.campaignId);
+
+    res.json({
+      success: true,
+      message: 'Referral campaign ended',
+      campaign: serializeCampaign(campaign)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Referrals flagged or held by abuse screening that await a reviewer's decision (operators only)
+router.get('/reviews', requireOperator, async (req, res, next) => {
+  try {
+    const { error, value } = referralReviewSearchSchema.validate(req.query);
+    if (error) {
+      error.isJoi = true;
+      return next(error);
+    }
+
+    const statuses = value.status ? [value.status] : ['flagged', 'held'];
+    const referrals = referralDatabase
+      .filter(ref => ref.screening && statuses.includes(ref.screening.status) && ['pending', 'held'].includes(ref.status))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    res.json({
+      success: true,
+      referrals: referrals.map(ref => ({
+        referralId: ref.referralId,
+        referrerId: ref.referrerId,
+        newUserId: ref.newUserId,
+        status: ref.status,
+        rewardAmount: ref.rewardAmount,
+        screening: {
+          ...serializeScreening(ref.screening),
+          evidence: ref.screening.evidence,
+          checkedAt: ref.screening.checkedAt
+        },
+        createdAt: ref.createdAt
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+function reviewReferralHandler(decision) {
+  return async (req, res, next) => {
+    try {
+      const { error, value } = referralReviewSchema.validate(req.body);
+      if (error) {
+        error.isJoi = true;
+        return next(error);
+      }
+
+      if (!referralDatabase.has(req.params.referralId)) {
+        return res.status(404).json({
+          error: 'Referral Not Found',
+          message: `Referral ${req.params.referralId} not found`
+        });
+      }
+
+      // The reviewer is the operator whose key the request carries
+      const referral = referralEligibility.review(req.params.referralId, { decision, ...value, reviewedBy: req.operator });
+
+      res.json({
+        success: true,
+        message: decision === 'approve' ? 'Referral approved' : 'Referral rejected',
+        referral: {
+          referralId: referral.referralId,
+          referrerId: referral.referrerId,
+          newUserId: referral.newUserId,
+          status: referral.status,
+          screening: serializeScreening(referral.screening)
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+router.post('/:referralId/approve', requireOperator, reviewReferralHandler('approve'));
+router.post('/:referralId/reject', requireOperator, reviewReferralHandler('reject'));
+
+// Program funnel, conversion times, cost per acquisition and reward spend for referrals tracked in the window
+router.get('/analytics', async (req, res, next) => {
+  try {
+    const { error, value } = referralAnalyticsSchema.validate(req.query);
+    if (error) {
+      error.isJoi = true;
+      return next(error);
+    }
+
+    res.json({
+      success: true,
+      analytics: referralAnalytics.getProgramAnalytics(value)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/leaderboard', async (req, res, next) => {
+  try {
+    const { error, value } = referralLeaderboardSchema.validate(req.query);
+    if (error) {
+      error.isJoi = true;
+      return next(error);
+    }
+
+    res.json({
+      success: true,
+      ...referralAnalytics.getLeaderboard(value)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 router.get('/user/:userId', async (req, res, next) => {
   try {
     const { userId } = req.params;
 
-    const userReferrals = Array.from(referralDatabase.values()).filter(
-      ref => ref.referrerId === userId
-    );
+    const userReferrals = referralDatabase
+      .filter(ref => ref.referrerId === userId)
+      .map(ref => ({ ...ref, status: referralEligibility.getProgress(ref).status }));
 
-    const totalRewards = rewardHistory
-      .filter(reward => reward.referrerId === userId)
-      .reduce((sum, reward) => sum + parseFloat(reward.rewardAmount), 0);
+    const userRewards = rewardHistory.filter(reward => reward.referrerId === userId);
+    // USD totals of the rewards in a status; older records kept the USD amount in rewardAmount
+    const totalRewards = (status) => userRewards
+      .filter(reward => reward.status === status)
+      .reduce((sum, reward) => sum + parseFloat(reward.fiatAmount || reward.rewardAmount), 0)
+      .toString();
 
     res.json({
       success: true,
@@ -182,7 +635,12 @@ router.get('/user/:userId', async (req, res, next) => {
       totalReferrals: userReferrals.length,
       completedReferrals: userReferrals.filter(ref => ref.status === 'completed').length,
       pendingReferrals: userReferrals.filter(ref => ref.status === 'pending').length,
-      totalRewardsEarned: totalRewards.toString(),
+      expiredReferrals: userReferrals.filter(ref => ref.status === 'expired').length,
+      heldReferrals: userReferrals.filter(ref => ref.status === 'held').length,
+      // Only confirmed payouts count as earned; rewards in flight or failed are reported apart
+      totalRewardsEarned: totalRewards('confirmed'),
+      pendingRewards: totalRewards('pending'),
+      failedRewards: totalRewards('failed'),
       referrals: userReferrals.map(ref => ({
         referralId: ref.referralId,
         newUserId: ref.newUserId,
@@ -190,8 +648,11 @@ router.get('/user/:userId', async (req, res, next) => {
         rewardAmount: ref.rewardAmount,
         status: ref.status,
         createdAt: ref.createdAt,
+        ...(ref.code && { code: ref.code }),
         ...(ref.completedAt && { completedAt: ref.completedAt })
-      }))
+      })),
+      codes: referralCodes.statsFor(userId),
+      rewards: userRewards.map(serializeReward)
     });
   } catch (error) {
     next(error);
@@ -1,11 +1,17 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
+const { createRepository } = require('../storage');
+const { getBlockchainService } = require('../utils/blockchain-factory');
+const EscrowDisputeService = require('../services/escrow-disputes');
+
+const { checkConsensus, finalizeReview } = EscrowDisputeService;
 
 const router = express.Router();
 
-// In-memory storage (would be in database in production)
-const reviews = new Map();
-const votes = new Map();
+const reviews = createRepository('reviews');
+const votes = createRepository('review_votes');
+const blockchainService = getBlockchainService();
+const escrowDisputes = new EscrowDisputeService(blockchainService);
 
 // Mock review for testing
 const mockReview = {
@@ -41,7 +47,9 @@ const mockReview = {
   ]
 };
 
-reviews.set(mockReview.reviewId, mockReview);
+if (!reviews.has(mockReview.reviewId)) {
+  reviews.set(mockReview.reviewId, mockReview);
+}
 
 // Get review details
 router.get('/:reviewId', async (req, res, next) => {
@@ -87,11 +95,11 @@ router.get('/:reviewId', async (req, res, next) => {
   }
 });
 
-// Submit vote
+// Submit vote, signed by the juror's wallet as EIP-712 JurorVote { reviewId, decision, nonce, deadline }
 router.post('/:reviewId/vote', async (req, res, next) => {
   try {
     const { reviewId } = req.params;
-    const { juror, decision, reasoning, confidence } = req.body;
+    const { juror, decision, reasoning, confidence, signature, nonce, deadline } = req.body;
 
     // Validate inputs
     if (!juror || !decision || !reasoning) {
@@ -101,6 +109,13 @@ router.post('/:reviewId/vote', async (req, res, next) => {
       });
     }
 
+    if (!signature || !Number.isInteger(nonce) || !Number.isInteger(deadline)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'signature, nonce and deadline are required'
+      });
+    }
+
     // Validate decision
     const validDecisions = ['approve', 'deny', 'need_info'];
     if (!validDecisions.includes(decision)) {
@@ -135,14 +150,23 @@ router.post('/:reviewId/vote', async (req, res, next) => {
       });
     }
 
-    // Check deadline
-    if (new Date() > new Date(review.deadline)) {
+    // Check deadline, and that the deadline sweep has not already closed the review
+    if (new Date() > new Date(review.deadline) || review.status !== 'in_review') {
       return res.status(410).json({
         error: 'Gone',
         message: 'Review deadline has passed'
       });
     }
 
+    // Only the juror's own wallet can cast their vote
+    const message = { primaryType: 'JurorVote', reviewId, decision, nonce, deadline };
+    if (!(await blockchainService.validateSignature(message, signature, juror))) {
+      return res.status(401).json({
+        error: 'Invalid Signature',
+        message: 'Signature validation failed. Votes must be signed by the juror\'s wallet.'
+      });
+    }
+
     // Record vote
     const vote = {
       voteId: `vote_${uuidv4()}`,
@@ -155,18 +179,24 @@ router.post('/:reviewId/vote', async (req, res, next) => {
     };
 
     review.votes.push(vote);
+    reviews.set(reviewId, review);
     
     // Store vote in juror's history
-    if (!votes.has(juror)) {
-      votes.set(juror, []);
-    }
-    votes.get(juror).push(vote);
+    votes.set(vote.voteId, vote);
 
     // Check if consensus reached
     const voteCount = review.votes.length;
     const jurorCount = review.jurors.length;
     const consensus = checkConsensus(review);
 
+    // Auto-finalize if all votes are in; disputed escrows are settled from the verdict
+    let settledEscrow = null;
+    if (voteCount === jurorCount) {
+      finalizeReview(review);
+      reviews.set(reviewId, review);
+      settledEscrow = await escrowDisputes.settle(review);
+    }
+
     res.json({
       success: true,
       message: 'Vote submitted successfully',
@@ -180,13 +210,16 @@ router.post('/:reviewId/vote', async (req, res, next) => {
         votesRequired: jurorCount,
         consensusReached: consensus.reached,
         currentConsensus: consensus.decision
-      }
+      },
+      ...(settledEscrow && {
+        escrow: {
+          rideId: settledEscrow.rideId,
+          status: settledEscrow.status,
+          dispute: settledEscrow.dispute,
+          settlement: settledEscrow.settlement
+        }
+      })
     });
-
-    // Auto-finalize if all votes are in
-    if (voteCount === jurorCount) {
-      finalizeReview(review);
-    }
   } catch (error) {
     next(error);
   }
@@ -300,32 +333,6 @@ function calculateTimeRemaining(deadline) {
   return `${hours}h ${minutes}m`;
 }
 
-function checkConsensus(review) {
-  if (review.votes.length === 0) {
-    return { reached: false, decision: null, percentage: 0 };
-  }
-
-  const voteCount = {};
-  review.votes.forEach(vote => {
-    voteCount[vote.decision] = (voteCount[vote.decision] || 0) + 1;
-  });
-
-  let maxVotes = 0;
-  let leadingDecision = null;
-  
-  Object.entries(voteCount).forEach(([decision, count]) => {
-    if (count > maxVotes) {
-      maxVotes = count;
-      leadingDecision = decision;
-    }
-  });
-
-  const percentage = Math.round((maxVotes / review.votes.length) * 100);
-  const reached = maxVotes / review.votes.length >= review.consensusThreshold;
-
-  return { reached, decision: leadingDecision, percentage };
-}
-
 function getVoteBreakdown(review) {
   const breakdown = {
     approve: 0,
@@ -342,20 +349,4 @@ function getVoteBreakdown(review) {
   return breakdown;
 }
 
-function finalizeReview(review) {
-  const consensus = checkConsensus(review);
-  
-  if (consensus.reached) {
-    review.status = 'completed';
-    review.finalDecision = consensus.decision;
-    review.completedAt = new Date().toISOString();
-    
-    // In production, would trigger claim approval/denial
-    // and distribute rewards to correct voters
-  } else {
-    review.status = 'no_consensus';
-    // Would escalate to higher review tier
-  }
-}
-
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,95 @@
+const express = require('express');
+const { getBlockchainService } = require('../utils/blockchain-factory');
+const {
+  settlementBatchSchema,
+  settlementBatchSearchSchema,
+  validateEthereumAddress
+} = require('../utils/validation');
+const DriverSettlementService = require('../services/driver-settlement');
+const { idempotency } = require('../middleware/idempotency');
+const { requireOperator } = require('../middleware/operator');
+
+const router = express.Router();
+const driverSettlement = new DriverSettlementService(getBlockchainService());
+
+// A driver's pending (not yet batched or paid) and settled earnings
+router.get('/drivers/:wallet', async (req, res, next) => {
+  try {
+    const { wallet } = req.params;
+    if (!validateEthereumAddress(wallet)) {
+      return res.status(400).json({
+        error: 'Invalid Address',
+        message: 'Wallet must be a valid Ethereum address'
+      });
+    }
+
+    res.json({
+      success: true,
+      ...driverSettlement.getDriverEarnings(wallet)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Settle pending earnings now instead of waiting for the next scheduled batch (operators only)
+router.post('/batches', requireOperator, idempotency, async (req, res, next) => {
+  try {
+    const { error, value } = settlementBatchSchema.validate(req.body);
+    if (error) {
+      error.isJoi = true;
+      return next(error);
+    }
+
+    const batches = await driverSettlement.runBatches({ ...value, authorizedBy: req.operator });
+
+    res.status(batches.length > 0 ? 201 : 200).json({
+      success: true,
+      message: batches.length > 0
+        ? `${batches.length} settlement batch(es) processed`
+        : 'No pending driver earnings to settle',
+      batches
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/batches', async (req, res, next) => {
+  try {
+    const { error, value } = settlementBatchSearchSchema.validate(req.query);
+    if (error) {
+      error.isJoi = true;
+      return next(error);
+    }
+
+    res.json({
+      success: true,
+      batches: driverSettlement.listBatches(value)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Settlement report for one batch
+router.get('/batches/:batchId', async (req, res, next) => {
+  try {
+    const batch = driverSettlement.getBatch(req.params.batchId);
+    if (!batch) {
+      return res.status(404).json({
+        error: 'Batch Not Found',
+        message: `Settlement batch ${req.params.batchId} does not exist`
+      });
+    }
+
+    res.json({
+      success: true,
+      batch
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
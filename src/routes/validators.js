@@ -6,10 +6,10 @@
 const express = require('express');
 const Joi = require('joi');
 const { v4: uuidv4 } = require('uuid');
+const { createRepository } = require('../storage');
 const router = express.Router();
 
-// Mock database for validators
-const validators = new Map();
+const validators = createRepository('validators');
 const stakingConfig = {
   minimumStake: 1000, // 1000 tokens
   slashPercentage: 10, // 10% slashing
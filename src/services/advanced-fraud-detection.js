@@ -371,6 +371,37 @@ class AdvancedFraudDetection {
     return Math.min(collusionScore, 1);
   }
 
+  /**
+   * Collusion checks for a referrer/new-user pair, from signals gathered by the caller:
+   * device fingerprints both users were seen on, transfers between their wallets, and
+   * the referral chain that leads back to the new user. Unlike claims, every factor is
+   * observed rather than simulated, so confidence is full.
+   */
+  detectReferralCollusion({ sharedDevices = [], transfers = [], circularChain = null }) {
+    const fraudFactors = {
+      // A family may share a tablet; two accounts on one phone is the classic self-referral
+      sharedDevice: sharedDevices.length > 0 ? 0.7 : 0,
+      // Friends send each other money, so funding alone only warrants a look
+      fundingTransfers: transfers.length > 0 ? Math.min(0.4 + 0.1 * (transfers.length - 1), 0.6) : 0,
+      circularReferral: circularChain ? 1 : 0
+    };
+
+    // Independent signals compound: 1 - P(no factor is collusion)
+    const fraudScore = 1 - Object.values(fraudFactors).reduce((clean, score) => clean * (1 - score), 1);
+
+    return {
+      fraudScore,
+      riskFactors: this.identifyRiskFactors(fraudFactors),
+      recommendation: this.determineRecommendation(fraudScore, 1),
+      breakdown: fraudFactors,
+      evidence: { sharedDevices, transfers, circularChain },
+      metadata: {
+        algorithm: 'Referral Collusion v1',
+        processedAt: new Date().toISOString()
+      }
+    };
+  }
+
   /**
    * Analyze social connections for fraud networks
    */
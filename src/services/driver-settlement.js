@@ -0,0 +1,251 @@
+/**
+ * Driver Settlement
+ * Under SETTLEMENT_MODE=batch, released escrows credit the driver's pending earnings instead
+ * of paying out per ride. Each batch nets a driver's pending earnings into one payout and pays
+ * every driver in a currency with a single transaction, keeping the batch as its settlement report.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { createRepository } = require('../storage');
+const { addAmounts } = require('../utils/amounts');
+
+const DEFAULT_BATCH_INTERVAL_MS = 60 * 60 * 1000;
+
+// How long a sent batch transaction the node no longer knows may still be mined before its
+// earnings are released for another batch
+const DROPPED_AFTER_MS = 30 * 60 * 1000;
+
+// Earnings not yet paid out; `processing` ones are part of a batch awaiting its transaction
+const UNSETTLED_STATUSES = ['pending', 'processing'];
+
+// Per-currency sums of the earnings' amounts
+function totalsByCurrency(earnings) {
+  return earnings.reduce((totals, earning) => ({
+    ...totals,
+    [earning.currency]: addAmounts(totals[earning.currency] || '0', earning.amount)
+  }), {});
+}
+
+class DriverSettlementService {
+  constructor(blockchainService, options = {}) {
+    this.blockchainService = blockchainService;
+    this.earnings = blockchainService.driverEarnings;
+    this.batches = createRepository('settlement_batches');
+    this.intervalMs = options.intervalMs ||
+      parseInt(process.env.SETTLEMENT_BATCH_INTERVAL_MS || String(DEFAULT_BATCH_INTERVAL_MS), 10);
+    this.droppedAfterMs = options.droppedAfterMs || DROPPED_AFTER_MS;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    // Batches a previous run left processing (e.g. a crash while waiting for the transaction)
+    this.reconcile().catch(error => console.error('Driver settlement reconciliation failed:', error));
+
+    this.timer = setInterval(() => {
+      this.runBatches().catch(error => console.error('Driver settlement batch failed:', error));
+    }, this.intervalMs);
+    // Never keep the process alive just for settlement
+    this.timer.unref();
+
+    console.log(`💸 Driver settlement batches running every ${this.intervalMs / 1000}s`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Settle every pending earning, one batch per currency; returns the batches
+   */
+  async runBatches({ currency, authorizedBy = 'scheduler' } = {}) {
+    await this.reconcile();
+
+    const pending = this.earnings.filter(earning =>
+      earning.status === 'pending' && (!currency || earning.currency === currency));
+
+    const batches = [];
+    for (const batchCurrency of [...new Set(pending.map(earning => earning.currency))]) {
+      const earnings = pending.filter(earning => earning.currency === batchCurrency);
+      batches.push(await this.settleBatch(batchCurrency, earnings, authorizedBy));
+    }
+
+    return batches;
+  }
+
+  async settleBatch(currency, earnings, authorizedBy) {
+    const byDriver = new Map();
+    earnings.forEach(earning => {
+      const key = earning.driverWallet.toLowerCase();
+      if (!byDriver.has(key)) {
+        byDriver.set(key, { driverWallet: earning.driverWallet, earnings: [] });
+      }
+      byDriver.get(key).earnings.push(earning);
+    });
+
+    const payouts = [...byDriver.values()].map(({ driverWallet, earnings: driverEarnings }) => ({
+      driverWallet,
+      amount: addAmounts(...driverEarnings.map(earning => earning.amount)),
+      earningIds: driverEarnings.map(earning => earning.earningId),
+      rideIds: [...new Set(driverEarnings.map(earning => earning.rideId))]
+    }));
+
+    const batch = {
+      batchId: `batch_${uuidv4()}`,
+      currency,
+      status: 'processing',
+      authorizedBy,
+      totalAmount: addAmounts(...payouts.map(payout => payout.amount)),
+      driverCount: payouts.length,
+      earningCount: earnings.length,
+      // Transactions saved over paying each earning on its own
+      transfersSaved: earnings.length - 1,
+      payouts,
+      transactionHash: null,
+      createdAt: new Date().toISOString()
+    };
+
+    // Claim the earnings before the transaction so an overlapping run cannot pay them twice
+    this.batches.set(batch.batchId, batch);
+    this.updateEarnings(earnings, { status: 'processing', batchId: batch.batchId });
+
+    try {
+      const transactionHash = await this.blockchainService.payoutBatch(batch, {
+        // Saved before waiting for the receipt: a sent batch is reconciled by hash, never resent
+        onSent: (hash) => {
+          batch.transactionHash = hash;
+          batch.sentAt = new Date().toISOString();
+          this.batches.set(batch.batchId, batch);
+        }
+      });
+      return this.completeBatch(batch, transactionHash);
+    } catch (error) {
+      if (!batch.transactionHash) {
+        return this.failBatch(batch, error.message);
+      }
+
+      console.error(`Settlement batch ${batch.batchId} failed after sending ${batch.transactionHash}:`, error.message);
+      return this.reconcileBatch({ ...batch, error: error.message });
+    }
+  }
+
+  completeBatch(batch, transactionHash) {
+    const settled = {
+      ...batch,
+      status: 'settled',
+      transactionHash,
+      settledAt: new Date().toISOString()
+    };
+    delete settled.error;
+
+    this.updateEarnings(this.earningsOf(settled), {
+      status: 'settled',
+      batchId: settled.batchId,
+      transactionHash,
+      settledAt: settled.settledAt
+    });
+    this.batches.set(settled.batchId, settled);
+    console.log(`💸 Settled ${settled.totalAmount} ${settled.currency} to ${settled.driverCount} driver(s) in ${settled.batchId}`);
+    return settled;
+  }
+
+  // Earnings go back to pending and are retried in the next batch
+  failBatch(batch, reason) {
+    const failed = { ...batch, status: 'failed', error: reason };
+
+    this.updateEarnings(this.earningsOf(failed), { status: 'pending', batchId: null });
+    this.batches.set(failed.batchId, failed);
+    console.error(`Settlement batch ${failed.batchId} failed:`, reason);
+    return failed;
+  }
+
+  /**
+   * Settle or fail a processing batch from what became of its transaction. A batch still
+   * pending on chain, or that cannot be checked, stays processing for the next reconciliation.
+   */
+  async reconcileBatch(batch, now = new Date()) {
+    // Without a hash the transaction was never broadcast
+    if (!batch.transactionHash) {
+      return this.failBatch(batch, batch.error || 'Interrupted before its transaction was sent');
+    }
+
+    let outcome;
+    try {
+      outcome = await this.blockchainService.getTransactionOutcome(batch.transactionHash);
+    } catch (error) {
+      console.error(`Could not check settlement batch ${batch.batchId}:`, error.message);
+      outcome = 'unknown';
+    }
+
+    if (outcome === 'confirmed') {
+      return this.completeBatch(batch, batch.transactionHash);
+    }
+    if (outcome === 'reverted' ||
+      (outcome === 'dropped' && now - new Date(batch.sentAt || batch.createdAt) >= this.droppedAfterMs)) {
+      return this.failBatch(batch, `Transaction ${batch.transactionHash} ${outcome}`);
+    }
+
+    this.batches.set(batch.batchId, batch);
+    return batch;
+  }
+
+  /**
+   * Reconcile every batch left processing; returns them as reconciled
+   */
+  async reconcile(now = new Date()) {
+    const reconciled = [];
+    for (const batch of this.batches.filter(entry => entry.status === 'processing')) {
+      reconciled.push(await this.reconcileBatch(batch, now));
+    }
+    return reconciled;
+  }
+
+  // The batch's earnings that it still holds
+  earningsOf(batch) {
+    return batch.payouts
+      .flatMap(payout => payout.earningIds)
+      .map(earningId => this.earnings.get(earningId))
+      .filter(earning => earning && earning.batchId === batch.batchId);
+  }
+
+  updateEarnings(earnings, changes) {
+    earnings.forEach(earning => {
+      this.earnings.set(earning.earningId, { ...this.earnings.get(earning.earningId), ...changes });
+    });
+  }
+
+  /**
+   * A driver's earnings with per-currency pending and settled totals
+   */
+  getDriverEarnings(driverWallet) {
+    const wallet = driverWallet.toLowerCase();
+    const earnings = this.earnings
+      .filter(earning => earning.driverWallet.toLowerCase() === wallet)
+      .sort((a, b) => a.accruedAt.localeCompare(b.accruedAt));
+
+    return {
+      driverWallet,
+      pending: totalsByCurrency(earnings.filter(earning => UNSETTLED_STATUSES.includes(earning.status))),
+      settled: totalsByCurrency(earnings.filter(earning => earning.status === 'settled')),
+      earnings
+    };
+  }
+
+  getBatch(batchId) {
+    return this.batches.get(batchId);
+  }
+
+  // Most recent first
+  listBatches({ status, limit = 20 } = {}) {
+    return this.batches
+      .filter(batch => !status || batch.status === status)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit);
+  }
+}
+
+module.exports = DriverSettlementService;
@@ -0,0 +1,272 @@
+/**
+ * Escrow Disputes
+ * Freezes a disputed escrow, puts it in front of a community jury through the review
+ * system and settles it from the jury's verdict
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { createRepository } = require('../storage');
+const { splitAmount } = require('../utils/amounts');
+
+const DEFAULT_JURY_SIZE = 5;
+const MIN_JURY_SIZE = 3;
+const DEFAULT_REVIEW_HOURS = 48;
+const CONSENSUS_THRESHOLD = 0.66;
+// Share of the assigned jurors who must have voted for a review past its deadline to count
+const QUORUM_RATIO = 0.66;
+// Settlement for a dispute whose jury missed the deadline without a quorum
+const DEFAULT_OUTCOMES = ['split', 'rider', 'driver'];
+
+function loadDisputeConfig() {
+  const fromEnv = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+  };
+
+  return {
+    jurySize: Math.max(MIN_JURY_SIZE, Math.floor(fromEnv('DISPUTE_JURY_SIZE', DEFAULT_JURY_SIZE))),
+    reviewHours: fromEnv('DISPUTE_REVIEW_HOURS', DEFAULT_REVIEW_HOURS),
+    defaultOutcome: DEFAULT_OUTCOMES.includes(process.env.DISPUTE_DEFAULT_OUTCOME)
+      ? process.env.DISPUTE_DEFAULT_OUTCOME
+      : 'split'
+  };
+}
+
+/**
+ * Leading decision among the votes cast and whether it reaches the review's consensus threshold
+ */
+function checkConsensus(review) {
+  if (review.votes.length === 0) {
+    return { reached: false, decision: null, percentage: 0 };
+  }
+
+  const voteCount = {};
+  review.votes.forEach(vote => {
+    voteCount[vote.decision] = (voteCount[vote.decision] || 0) + 1;
+  });
+
+  let maxVotes = 0;
+  let leadingDecision = null;
+
+  Object.entries(voteCount).forEach(([decision, count]) => {
+    if (count > maxVotes) {
+      maxVotes = count;
+      leadingDecision = decision;
+    }
+  });
+
+  const percentage = Math.round((maxVotes / review.votes.length) * 100);
+  const reached = maxVotes / review.votes.length >= review.consensusThreshold;
+
+  return { reached, decision: leadingDecision, percentage };
+}
+
+function finalizeReview(review, now = new Date()) {
+  const consensus = checkConsensus(review);
+
+  if (consensus.reached) {
+    review.status = 'completed';
+    review.finalDecision = consensus.decision;
+    review.completedAt = now.toISOString();
+
+    // In production, would trigger claim approval/denial
+    // and distribute rewards to correct voters
+  } else {
+    review.status = 'no_consensus';
+    // Would escalate to higher review tier
+  }
+}
+
+class EscrowDisputeService {
+  constructor(blockchainService, config = loadDisputeConfig()) {
+    this.blockchainService = blockchainService;
+    this.config = config;
+    this.reviews = createRepository('reviews');
+    this.jurors = createRepository('jurors');
+    this.jurorAssignments = createRepository('juror_assignments');
+  }
+
+  /**
+   * Active registered jurors who are not a party to the ride, in random order
+   */
+  selectJurors(escrow) {
+    const parties = [escrow.driverWallet, ...escrow.riders.map(rider => rider.wallet)]
+      .map(wallet => wallet.toLowerCase());
+
+    const candidates = this.jurors
+      .filter(juror => juror.status === 'active' && !parties.includes(juror.wallet.toLowerCase()))
+      .map(juror => juror.wallet);
+
+    for (let i = candidates.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+    }
+
+    return candidates.slice(0, this.config.jurySize);
+  }
+
+  /**
+   * Open a review for the escrow and freeze it, before release or while its payout is held
+   * for the dispute window. Jurors vote `approve` to uphold the rider's claim and refund them,
+   * `deny` to pay the driver.
+   */
+  async open(escrow, { raisedByWallet, reason, signature }) {
+    if (!this.blockchainService.isDisputable(escrow)) {
+      const stateError = new Error('Only active escrows, or released escrows within their dispute window, can be disputed');
+      stateError.code = 'INVALID_ESCROW_STATE';
+      throw stateError;
+    }
+
+    const jurors = this.selectJurors(escrow);
+    if (jurors.length < MIN_JURY_SIZE) {
+      const juryError = new Error(`At least ${MIN_JURY_SIZE} eligible jurors are needed to review a dispute`);
+      juryError.code = 'JURY_UNAVAILABLE';
+      throw juryError;
+    }
+
+    const now = new Date();
+    const review = {
+      reviewId: `review_${uuidv4()}`,
+      type: 'escrow_dispute',
+      rideId: escrow.rideId,
+      claimId: null,
+      claimDetails: {
+        incidentType: 'escrow_dispute',
+        claimAmount: escrow.amount,
+        currency: escrow.currency,
+        incidentDate: escrow.createdAt,
+        description: reason,
+        milestones: escrow.milestones
+      },
+      // Disputes skip AI scoring and go straight to the jury
+      aiAssessment: {
+        fraudScore: 0,
+        confidence: 0,
+        redFlags: [],
+        recommendation: 'community_review'
+      },
+      jurors,
+      votes: [],
+      deadline: new Date(now.getTime() + this.config.reviewHours * 60 * 60 * 1000).toISOString(),
+      status: 'in_review',
+      consensusThreshold: CONSENSUS_THRESHOLD,
+      documents: [],
+      createdAt: now.toISOString()
+    };
+
+    const disputed = await this.blockchainService.openDispute(escrow.rideId, {
+      reviewId: review.reviewId,
+      raisedBy: 'rider',
+      raisedByWallet,
+      reason,
+      signature
+    });
+
+    this.reviews.set(review.reviewId, review);
+    jurors.forEach(juror => {
+      this.jurorAssignments.set(`${review.reviewId}:${juror}`, {
+        reviewId: review.reviewId,
+        claimId: null,
+        rideId: escrow.rideId,
+        juror,
+        assignedAt: review.createdAt,
+        deadline: review.deadline,
+        status: 'pending',
+        aiAssessment: review.aiAssessment
+      });
+    });
+
+    return { escrow: disputed, review };
+  }
+
+  /**
+   * Rider refund for a finalized review: full on an `approve` verdict, nothing on `deny`,
+   * split by approve/deny votes when the jury did not reach consensus, and the configured
+   * default outcome when the deadline passed without a quorum
+   */
+  refundFor(escrow, review) {
+    if (review.status === 'expired') {
+      return {
+        outcome: review.defaultOutcome,
+        riderRefund: { rider: escrow.amount, driver: '0.0', split: splitAmount(escrow.amount, ['1', '1'])[0] }[review.defaultOutcome]
+      };
+    }
+    if (review.status === 'completed' && review.finalDecision === 'approve') {
+      return { outcome: 'rider', riderRefund: escrow.amount };
+    }
+    if (review.status === 'completed' && review.finalDecision === 'deny') {
+      return { outcome: 'driver', riderRefund: '0.0' };
+    }
+
+    const approvals = review.votes.filter(vote => vote.decision === 'approve').length;
+    const denials = review.votes.filter(vote => vote.decision === 'deny').length;
+    const weights = approvals + denials > 0 ? [String(approvals), String(denials)] : ['1', '1'];
+
+    return { outcome: 'split', riderRefund: splitAmount(escrow.amount, weights)[0] };
+  }
+
+  /**
+   * Settle the escrow behind a finalized dispute review; other reviews are ignored
+   */
+  async settle(review) {
+    if (review.type !== 'escrow_dispute' || !['completed', 'no_consensus', 'expired'].includes(review.status)) {
+      return null;
+    }
+
+    const escrow = await this.blockchainService.getEscrow(review.rideId);
+    if (!escrow || escrow.status !== 'disputed') {
+      return null;
+    }
+
+    const settled = await this.blockchainService.settleDispute(review.rideId, this.refundFor(escrow, review));
+    this.reviews.set(review.reviewId, { ...review, settledAt: settled.resolvedAt });
+
+    this.jurorAssignments
+      .filter(assignment => assignment.reviewId === review.reviewId)
+      .forEach(assignment => {
+        this.jurorAssignments.set(`${review.reviewId}:${assignment.juror}`, { ...assignment, status: 'completed' });
+      });
+
+    return settled;
+  }
+
+  /**
+   * Settle disputes whose review deadline has passed. With a quorum of votes the votes cast
+   * decide as usual; without one the review expires and the dispute settles with the
+   * configured default outcome. Reviews whose settlement failed earlier are retried.
+   * Returns the settled escrows.
+   */
+  async sweepExpired(now = new Date()) {
+    const due = this.reviews.filter(review => review.type === 'escrow_dispute' &&
+      !review.settledAt &&
+      new Date(review.deadline) <= now);
+
+    const settled = [];
+    for (const review of due) {
+      if (review.status === 'in_review') {
+        if (review.votes.length / review.jurors.length >= QUORUM_RATIO) {
+          finalizeReview(review, now);
+        } else {
+          review.status = 'expired';
+          review.defaultOutcome = this.config.defaultOutcome;
+          review.expiredAt = now.toISOString();
+        }
+        this.reviews.set(review.reviewId, review);
+      }
+
+      try {
+        const escrow = await this.settle(review);
+        if (escrow) settled.push(escrow);
+      } catch (error) {
+        console.error(`Failed to settle dispute ${review.reviewId}:`, error.message);
+      }
+    }
+
+    return settled;
+  }
+}
+
+module.exports = EscrowDisputeService;
+module.exports.loadDisputeConfig = loadDisputeConfig;
+module.exports.checkConsensus = checkConsensus;
+module.exports.finalizeReview = finalizeReview;
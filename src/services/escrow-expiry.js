@@ -0,0 +1,133 @@
+/**
+ * Escrow Expiry Sweeper
+ * Periodically refunds active escrows that stall at a milestone and marks them expired,
+ * releases scheduled holds that are not funded by pickup time, settles disputes whose
+ * review deadline has passed (disputed escrows never expire), pays out released escrows
+ * whose dispute window has closed, and purges expired Idempotency-Key records
+ */
+
+const { purgeExpiredKeys } = require('../middleware/idempotency');
+const EscrowDisputeService = require('./escrow-disputes');
+
+// Minutes an escrow may wait at each milestone before it expires.
+// Completed rides are never expired; they wait for the driver's release.
+const DEFAULT_WINDOWS = {
+  initiated: 15, // waiting for split-fare funding and a driver to accept (from pickup for scheduled rides)
+  driverAccepted: 30, // waiting for the ride to start
+  rideStarted: 240 // waiting for the ride to complete
+};
+
+// Timestamp each window is measured from; see getExpiresAt for initiated
+const WINDOW_START = {
+  driverAccepted: 'acceptedAt',
+  rideStarted: 'startedAt'
+};
+
+function loadExpiryWindows() {
+  const fromEnv = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+  };
+
+  return {
+    initiated: fromEnv('ESCROW_EXPIRY_INITIATED_MINUTES', DEFAULT_WINDOWS.initiated),
+    driverAccepted: fromEnv('ESCROW_EXPIRY_ACCEPTED_MINUTES', DEFAULT_WINDOWS.driverAccepted),
+    rideStarted: fromEnv('ESCROW_EXPIRY_STARTED_MINUTES', DEFAULT_WINDOWS.rideStarted)
+  };
+}
+
+/**
+ * Milestone whose expiry window currently applies, or null if the escrow cannot expire
+ */
+function pendingMilestone(escrow) {
+  if (!['active', 'funding'].includes(escrow.status) || escrow.milestones.rideCompleted) return null;
+  if (escrow.milestones.rideStarted) return 'rideStarted';
+  if (escrow.milestones.driverAccepted) return 'driverAccepted';
+  return 'initiated';
+}
+
+/**
+ * When an active escrow will expire, or null if it cannot expire
+ */
+function getExpiresAt(escrow, windows = loadExpiryWindows()) {
+  // A scheduled hold must be funded by pickup time
+  if (escrow.status === 'scheduled') {
+    return new Date(escrow.scheduledPickupAt);
+  }
+
+  const milestone = pendingMilestone(escrow);
+  if (!milestone) return null;
+
+  // Scheduled rides look for a driver from pickup time, and a reassigned ride gets a
+  // fresh window to find its new driver
+  const startedAt = milestone === 'initiated'
+    ? Math.max(...[escrow.createdAt, escrow.scheduledPickupAt, escrow.reassignedAt]
+      .filter(Boolean)
+      .map(timestamp => new Date(timestamp).getTime()))
+    : new Date(escrow[WINDOW_START[milestone]]).getTime();
+  return new Date(startedAt + windows[milestone] * 60 * 1000);
+}
+
+class EscrowExpirySweeper {
+  constructor(blockchainService, options = {}) {
+    this.blockchainService = blockchainService;
+    this.windows = options.windows || loadExpiryWindows();
+    this.disputes = options.disputes || new EscrowDisputeService(blockchainService);
+    this.intervalMs = options.intervalMs || parseInt(process.env.ESCROW_SWEEP_INTERVAL_MS || '60000', 10);
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.sweep().catch(error => console.error('Escrow expiry sweep failed:', error));
+    }, this.intervalMs);
+    // Never keep the process alive just for the sweeper
+    this.timer.unref();
+
+    console.log(`⏱️  Escrow expiry sweeper running every ${this.intervalMs / 1000}s`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Expire every stale escrow; returns the expired escrows
+   */
+  async sweep(now = new Date()) {
+    const stale = this.blockchainService.escrows.filter(escrow => {
+      const expiresAt = getExpiresAt(escrow, this.windows);
+      return expiresAt !== null && expiresAt <= now;
+    });
+
+    const expired = [];
+    for (const escrow of stale) {
+      const milestone = pendingMilestone(escrow);
+      const reason = escrow.status === 'scheduled'
+        ? `Scheduled hold not funded before pickup at ${escrow.scheduledPickupAt}`
+        : `No progress past ${milestone} within ${this.windows[milestone]} minutes`;
+      try {
+        expired.push(await this.blockchainService.cancelEscrow(escrow.rideId, null, 'platform', {
+          status: 'expired',
+          reason
+        }));
+      } catch (error) {
+        console.error(`Failed to expire escrow ${escrow.rideId}:`, error.message);
+      }
+    }
+
+    await this.disputes.sweepExpired(now);
+    await this.blockchainService.payHeldReleases(now);
+    purgeExpiredKeys(now);
+    return expired;
+  }
+}
+
+module.exports = EscrowExpirySweeper;
+module.exports.getExpiresAt = getExpiresAt;
+module.exports.loadExpiryWindows = loadExpiryWindows;
@@ -0,0 +1,123 @@
+/**
+ * Escrow Search
+ * Filters, sorts and cursor-paginates escrows, with per-currency totals for the full result set
+ */
+
+const { addAmounts, compareAmounts } = require('../utils/amounts');
+
+const HELD_STATUSES = ['active', 'disputed'];
+// Released by the driver or settled by a dispute review
+const SETTLED_STATUSES = ['released', 'resolved'];
+const REFUNDED_STATUSES = ['cancelled', 'expired'];
+
+// Cursors are opaque base64url JSON of the last row's sort value and rideId
+function encodeCursor(escrow, sortBy) {
+  return Buffer.from(JSON.stringify([escrow[sortBy], escrow.rideId])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [value, rideId] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof rideId !== 'string') throw new Error('bad cursor');
+    return { value, rideId };
+  } catch (error) {
+    const cursorError = new Error('Invalid pagination cursor');
+    cursorError.name = 'ValidationError';
+    throw cursorError;
+  }
+}
+
+class EscrowSearch {
+  constructor(escrows) {
+    this.escrows = escrows;
+  }
+
+  /**
+   * filters: riderWallet, driverWallet, wallet (either side), status, currency, from, to
+   * options: sortBy (createdAt | amount), order (asc | desc), limit, cursor
+   */
+  search(filters = {}, { sortBy = 'createdAt', order = 'desc', limit = 20, cursor } = {}) {
+    const matches = this.escrows.filter(escrow => this.matches(escrow, filters));
+    const direction = order === 'asc' ? 1 : -1;
+    const compare = (a, b) => {
+      const byValue = this.compareValues(a[sortBy], b[sortBy], sortBy);
+      return (byValue !== 0 ? byValue : a.rideId.localeCompare(b.rideId)) * direction;
+    };
+    matches.sort(compare);
+
+    let start = 0;
+    if (cursor) {
+      const { value, rideId } = decodeCursor(cursor);
+      const position = { [sortBy]: value, rideId };
+      start = matches.findIndex(escrow => compare(escrow, position) > 0);
+      if (start === -1) start = matches.length;
+    }
+
+    const page = matches.slice(start, start + limit);
+    const hasMore = start + limit < matches.length;
+
+    return {
+      escrows: page,
+      pagination: {
+        limit,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1], sortBy) : null
+      },
+      totals: this.aggregate(matches)
+    };
+  }
+
+  matches(escrow, filters) {
+    const sameWallet = (a, b) => typeof a === 'string' && a.toLowerCase() === b.toLowerCase();
+    const riderWallets = (escrow.riders || [{ wallet: escrow.riderWallet }]).map(rider => rider.wallet);
+
+    if (filters.riderWallet && !riderWallets.some(wallet => sameWallet(wallet, filters.riderWallet))) return false;
+    if (filters.driverWallet && !sameWallet(escrow.driverWallet, filters.driverWallet)) return false;
+    if (filters.wallet && !sameWallet(escrow.driverWallet, filters.wallet) &&
+      !riderWallets.some(wallet => sameWallet(wallet, filters.wallet))) return false;
+    if (filters.status && ![].concat(filters.status).includes(escrow.status)) return false;
+    if (filters.currency && escrow.currency !== filters.currency) return false;
+    if (filters.from && new Date(escrow.createdAt) < new Date(filters.from)) return false;
+    if (filters.to && new Date(escrow.createdAt) > new Date(filters.to)) return false;
+
+    return true;
+  }
+
+  compareValues(a, b, sortBy) {
+    if (sortBy === 'amount') {
+      return compareAmounts(a, b);
+    }
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+
+  /**
+   * Amount held, released to drivers and refunded to riders, per currency
+   */
+  aggregate(escrows) {
+    const totals = {};
+
+    escrows.forEach(escrow => {
+      const currency = escrow.currency || 'ETH';
+      const bucket = totals[currency] || (totals[currency] = { count: 0, held: '0.0', released: '0.0', refunded: '0.0' });
+      bucket.count += 1;
+
+      if (escrow.status === 'funding' || escrow.status === 'scheduled') {
+        // Only funded shares are actually held
+        const funded = escrow.riders.filter(rider => rider.funded).map(rider => rider.share);
+        bucket.held = addAmounts(bucket.held, ...funded);
+      } else if (HELD_STATUSES.includes(escrow.status)) {
+        bucket.held = addAmounts(bucket.held, escrow.amount);
+      } else if (SETTLED_STATUSES.includes(escrow.status)) {
+        const settlement = escrow.settlement || { driverPayout: escrow.amount, riderRefund: '0' };
+        bucket.released = addAmounts(bucket.released, settlement.driverPayout);
+        bucket.refunded = addAmounts(bucket.refunded, settlement.riderRefund);
+      } else if (REFUNDED_STATUSES.includes(escrow.status)) {
+        bucket.refunded = addAmounts(bucket.refunded, escrow.refundAmount || '0');
+      }
+    });
+
+    return totals;
+  }
+}
+
+module.exports = EscrowSearch;
@@ -0,0 +1,305 @@
+/**
+ * Insurance Pool Shares & Withdrawals
+ * Contributions mint pool shares at the current share price (pool value / shares outstanding,
+ * per currency), so claim payouts are shared by every contributor. Shares unlock after
+ * POOL_LOCKUP_DAYS and can then be queued for withdrawal. The queue is paid first-in,
+ * first-out at the share price when it is processed, and stops before a payout would take
+ * the pool below its reserve or would pay nothing. The reserve is POOL_RESERVE_RATIO of the
+ * highest value the pool has held, kept across runs so that withdrawals never lower it.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { createRepository } = require('../storage');
+const { addAmounts, subtractAmounts, compareAmounts, toUnits, fromUnits } = require('../utils/amounts');
+const { DAY_MS } = require('../utils/periods');
+
+// One queue run at a time, whichever instance (route or background job) starts it
+let processing = null;
+
+const sameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+const sum = (amounts) => addAmounts('0', ...amounts);
+
+// Contributions from before share accounting count one share per unit contributed
+const sharesOf = (contribution) => contribution.shares || contribution.amount;
+
+const currencyOf = (record) => record.currency || 'ETH';
+
+function poolError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+class PoolShareService {
+  constructor(blockchainService, options = {}) {
+    this.blockchainService = blockchainService;
+    this.lockupDays = options.lockupDays !== undefined
+      ? options.lockupDays
+      : parseFloat(process.env.POOL_LOCKUP_DAYS || '30');
+    this.reserveRatio = options.reserveRatio !== undefined
+      ? options.reserveRatio
+      : parseFloat(process.env.POOL_RESERVE_RATIO || '0.2');
+    this.intervalMs = options.intervalMs || parseInt(process.env.POOL_WITHDRAWAL_INTERVAL_MS || '3600000', 10);
+    this.contributions = createRepository('pool_contributions');
+    this.withdrawals = createRepository('pool_withdrawals');
+    this.payouts = createRepository('payouts');
+    this.reserves = createRepository('pool_reserves');
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.processQueue().catch(error => console.error('Pool withdrawal queue failed:', error));
+    }, this.intervalMs);
+    // Never keep the process alive just for the queue
+    this.timer.unref();
+
+    console.log(`🏦 Pool withdrawal queue processed every ${this.intervalMs / 1000}s`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Pool value (contributions less claim payouts and paid withdrawals, never below zero) and
+   * shares outstanding for a currency
+   */
+  poolState(currency, { excludeContributionId } = {}) {
+    const contributions = this.contributions.filter(contribution => currencyOf(contribution) === currency &&
+      contribution.contributionId !== excludeContributionId);
+    const paid = this.withdrawals.filter(withdrawal => withdrawal.currency === currency && withdrawal.status === 'paid');
+    // Claims are assessed in USD; `paidFrom` is what left the pool, in the pool's currency
+    const claims = this.payouts
+      .filter(payout => payout.status === 'completed' && payout.paidFrom && payout.paidFrom.currency === currency)
+      .map(payout => payout.paidFrom.amount);
+
+    const value = subtractAmounts(
+      sum(contributions.map(contribution => contribution.amount)),
+      ...claims,
+      ...paid.map(withdrawal => withdrawal.amount)
+    );
+
+    return {
+      value: compareAmounts(value, '0') > 0 ? value : '0.0',
+      totalShares: subtractAmounts(sum(contributions.map(sharesOf)), ...paid.map(withdrawal => withdrawal.shares))
+    };
+  }
+
+  // What `shares` are worth at the pool's current share price
+  valueOfShares(shares, { value, totalShares }) {
+    if (compareAmounts(totalShares, '0') <= 0) return '0.0';
+    return fromUnits((toUnits(shares) * toUnits(value)) / toUnits(totalShares));
+  }
+
+  /**
+   * The currency's reserve: POOL_RESERVE_RATIO of the highest value the pool has reached,
+   * raised whenever `value` exceeds it and never lowered
+   */
+  reserveFor(currency, value) {
+    const stored = this.reserves.get(currency);
+    let highWater = stored ? stored.highWater : '0.0';
+    if (compareAmounts(value, highWater) > 0) {
+      highWater = value;
+      this.reserves.set(currency, { currency, highWater, updatedAt: new Date().toISOString() });
+    }
+
+    return fromUnits((toUnits(highWater) * BigInt(Math.round(this.reserveRatio * 10000))) / 10000n);
+  }
+
+  /**
+   * Mint shares for a contribution already stored by the blockchain service and start its lockup.
+   * Only contributions collected from the contributor's own funds (`verifiedAt`) mint shares.
+   */
+  recordContribution(contribution) {
+    if (!contribution.verifiedAt) {
+      throw poolError('CONTRIBUTION_NOT_VERIFIED', `Contribution ${contribution.contributionId} was never collected from ${contribution.contributor}`);
+    }
+
+    const currency = currencyOf(contribution);
+    const state = this.poolState(currency, { excludeContributionId: contribution.contributionId });
+    const shares = compareAmounts(state.totalShares, '0') > 0 && compareAmounts(state.value, '0') > 0
+      ? fromUnits((toUnits(contribution.amount) * toUnits(state.totalShares)) / toUnits(state.value))
+      : addAmounts(contribution.amount);
+
+    const updated = {
+      ...contribution,
+      shares,
+      unlocksAt: new Date(new Date(contribution.timestamp).getTime() + this.lockupDays * DAY_MS).toISOString()
+    };
+    this.contributions.set(updated.contributionId, updated);
+    this.reserveFor(currency, addAmounts(state.value, contribution.amount));
+    return updated;
+  }
+
+  /**
+   * A contributor's shares per currency: how many are still locked, queued for withdrawal or
+   * redeemable now, and what they are worth
+   */
+  holdingsOf(address, now = new Date()) {
+    const contributions = this.contributions.filter(contribution => sameAddress(contribution.contributor, address));
+    const withdrawals = this.withdrawals.filter(withdrawal => sameAddress(withdrawal.contributor, address));
+
+    return [...new Set(contributions.map(currencyOf))].map(currency => {
+      const own = contributions.filter(contribution => currencyOf(contribution) === currency);
+      const locked = own.filter(contribution => contribution.unlocksAt && new Date(contribution.unlocksAt) > now);
+      const sharesWith = (status) => sum(withdrawals
+        .filter(withdrawal => withdrawal.currency === currency && withdrawal.status === status)
+        .map(withdrawal => withdrawal.shares));
+
+      const paidShares = sharesWith('paid');
+      const queuedShares = sharesWith('queued');
+      const lockedShares = sum(locked.map(sharesOf));
+      const shares = subtractAmounts(sum(own.map(sharesOf)), paidShares);
+      const redeemable = subtractAmounts(shares, lockedShares, queuedShares);
+      const redeemableShares = compareAmounts(redeemable, '0') > 0 ? redeemable : '0.0';
+      const state = this.poolState(currency);
+
+      return {
+        currency,
+        shares,
+        lockedShares,
+        queuedShares,
+        redeemableShares,
+        value: this.valueOfShares(shares, state),
+        redeemableValue: this.valueOfShares(redeemableShares, state),
+        nextUnlockAt: locked.length > 0
+          ? locked.map(contribution => contribution.unlocksAt).sort()[0]
+          : null
+      };
+    });
+  }
+
+  /**
+   * Queue `shares` (default: every redeemable share) for withdrawal
+   */
+  requestWithdrawal({ contributor, currency = 'ETH', shares }, now = new Date()) {
+    const holding = this.holdingsOf(contributor, now).find(entry => entry.currency === currency);
+    if (!holding || compareAmounts(holding.shares, '0') <= 0) {
+      throw poolError('INSUFFICIENT_POOL_SHARES', `${contributor} holds no ${currency} pool shares`);
+    }
+    if (compareAmounts(holding.redeemableShares, '0') <= 0 && holding.nextUnlockAt) {
+      throw poolError('POOL_SHARES_LOCKED', `${contributor}'s ${currency} pool shares are locked until ${holding.nextUnlockAt}`);
+    }
+
+    const requested = shares || holding.redeemableShares;
+    if (compareAmounts(requested, holding.redeemableShares) > 0) {
+      throw poolError(
+        'INSUFFICIENT_POOL_SHARES',
+        `Requested ${requested} shares but only ${holding.redeemableShares} ${currency} shares are redeemable`
+      );
+    }
+
+    const withdrawal = {
+      withdrawalId: `wd_${uuidv4()}`,
+      contributor,
+      currency,
+      shares: addAmounts(requested),
+      estimatedAmount: this.valueOfShares(requested, this.poolState(currency)),
+      status: 'queued',
+      attempts: 0,
+      requestedAt: now.toISOString()
+    };
+    this.withdrawals.set(withdrawal.withdrawalId, withdrawal);
+    return this.withQueuePosition(withdrawal);
+  }
+
+  queued(currency) {
+    return this.withdrawals
+      .filter(withdrawal => withdrawal.status === 'queued' && (!currency || withdrawal.currency === currency))
+      .sort((a, b) => new Date(a.requestedAt) - new Date(b.requestedAt));
+  }
+
+  // 1-based place in its currency's queue while queued
+  withQueuePosition(withdrawal) {
+    if (withdrawal.status !== 'queued') return withdrawal;
+    const queue = this.queued(withdrawal.currency);
+    return {
+      ...withdrawal,
+      queuePosition: queue.findIndex(entry => entry.withdrawalId === withdrawal.withdrawalId) + 1
+    };
+  }
+
+  getWithdrawal(withdrawalId) {
+    const withdrawal = this.withdrawals.get(withdrawalId);
+    return withdrawal ? this.withQueuePosition(withdrawal) : null;
+  }
+
+  listWithdrawals({ contributor, currency, status } = {}) {
+    return this.withdrawals
+      .filter(withdrawal => (!contributor || sameAddress(withdrawal.contributor, contributor)) &&
+        (!currency || withdrawal.currency === currency) &&
+        (!status || withdrawal.status === status))
+      .sort((a, b) => new Date(a.requestedAt) - new Date(b.requestedAt))
+      .map(withdrawal => this.withQueuePosition(withdrawal));
+  }
+
+  /**
+   * Pay queued withdrawals in request order until the next one would break into the reserve;
+   * returns the withdrawals paid
+   */
+  processQueue() {
+    if (!processing) {
+      processing = this.payQueue().finally(() => {
+        processing = null;
+      });
+    }
+    return processing;
+  }
+
+  async payQueue() {
+    const paid = [];
+    const currencies = [...new Set(this.queued().map(withdrawal => withdrawal.currency))];
+
+    for (const currency of currencies) {
+      const state = this.poolState(currency);
+      let available = subtractAmounts(state.value, this.reserveFor(currency, state.value));
+
+      for (const withdrawal of this.queued(currency)) {
+        const amount = this.valueOfShares(withdrawal.shares, state);
+        // Shares worth nothing stay queued rather than being burned for a zero payout
+        if (compareAmounts(amount, '0') <= 0 || compareAmounts(amount, available) > 0) break;
+
+        try {
+          const receipt = await this.blockchainService.payPoolWithdrawal({ ...withdrawal, amount });
+          const settled = {
+            ...withdrawal,
+            status: 'paid',
+            amount,
+            attempts: withdrawal.attempts + 1,
+            transactionHash: receipt.hash,
+            receipt: { blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed, status: receipt.status },
+            paidAt: new Date().toISOString()
+          };
+          delete settled.error;
+          this.withdrawals.set(settled.withdrawalId, settled);
+          paid.push(settled);
+
+          // The share price is unchanged by a payout at that price
+          available = subtractAmounts(available, amount);
+          state.value = subtractAmounts(state.value, amount);
+          state.totalShares = subtractAmounts(state.totalShares, withdrawal.shares);
+        } catch (error) {
+          // Stays at the head of the queue for the next run
+          this.withdrawals.set(withdrawal.withdrawalId, {
+            ...withdrawal,
+            attempts: withdrawal.attempts + 1,
+            error: error.message
+          });
+          console.error(`Pool withdrawal ${withdrawal.withdrawalId} failed:`, error.message);
+          break;
+        }
+      }
+    }
+
+    return paid;
+  }
+}
+
+module.exports = PoolShareService;
@@ -0,0 +1,224 @@
+/**
+ * Insurance Pool Snapshots
+ * Periodically records the pool's balances, contributors, inflows (contributions), claim
+ * outflows (completed payouts) and contributor withdrawals since the previous snapshot, and
+ * rolls the snapshots up into a day/week/month time series with growth rates, net flow and
+ * contributor churn
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { createRepository } = require('../storage');
+const { addAmounts, subtractAmounts, compareAmounts, toUnits } = require('../utils/amounts');
+const { DAY_MS, periodOf } = require('../utils/periods');
+
+// Per-currency sums, e.g. { ETH: '12.5', USDC: '40.0' }
+function totalsByCurrency(entries) {
+  return entries.reduce((totals, { currency, amount }) => ({
+    ...totals,
+    [currency]: addAmounts(totals[currency] || '0', String(amount))
+  }), {});
+}
+
+function mergeTotals(...totals) {
+  return totals.reduce((merged, amounts) => Object.entries(amounts).reduce((sum, [currency, amount]) => ({
+    ...sum,
+    [currency]: addAmounts(sum[currency] || '0', amount)
+  }), merged), {});
+}
+
+function netFlowOf(inflows, outflows) {
+  return Object.entries(outflows).reduce((net, [currency, amount]) => ({
+    ...net,
+    [currency]: subtractAmounts(net[currency] || '0', amount)
+  }), { ...inflows });
+}
+
+// Percentage change between two balances, e.g. '12.50%'; null without an opening balance
+function growthRate(opening = '0', closing = '0') {
+  if (compareAmounts(opening, '0') <= 0) return null;
+  const basisPoints = ((toUnits(closing) - toUnits(opening)) * 10000n) / toUnits(opening);
+  return `${(Number(basisPoints) / 100).toFixed(2)}%`;
+}
+
+// Rates per currency held at either end of a period
+function growthRates(opening, closing) {
+  return Object.fromEntries([...new Set([...Object.keys(opening), ...Object.keys(closing)])]
+    .map(currency => [currency, growthRate(opening[currency], closing[currency])]));
+}
+
+/**
+ * Contributors active in the previous period who did not contribute again in this one
+ */
+function churnOf(previousActive, active) {
+  const churned = previousActive.filter(address => !active.includes(address)).length;
+  return {
+    churned,
+    churnRate: previousActive.length === 0 ? null : Math.round((churned / previousActive.length) * 10000) / 10000
+  };
+}
+
+class PoolSnapshotService {
+  constructor(blockchainService, options = {}) {
+    this.blockchainService = blockchainService;
+    this.intervalMs = options.intervalMs || parseInt(process.env.POOL_SNAPSHOT_INTERVAL_MS || '3600000', 10);
+    this.snapshots = createRepository('pool_snapshots');
+    this.payouts = createRepository('payouts');
+    this.withdrawals = createRepository('pool_withdrawals');
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      try {
+        this.takeSnapshot();
+      } catch (error) {
+        console.error('Pool snapshot failed:', error);
+      }
+    }, this.intervalMs);
+    // Never keep the process alive just for the snapshots
+    this.timer.unref();
+
+    console.log(`📸 Pool snapshots every ${this.intervalMs / 1000}s`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Snapshots oldest first, optionally only those taken before `before`
+  history(before) {
+    return this.snapshots
+      .filter(snapshot => !before || new Date(snapshot.takenAt) < before)
+      .sort((a, b) => new Date(a.takenAt) - new Date(b.takenAt));
+  }
+
+  /**
+   * Record the pool as of `now`: flows since the previous snapshot, balances carried forward
+   * from it, and every contributor seen so far
+   */
+  takeSnapshot(now = new Date()) {
+    const previous = this.history(now).pop();
+    const periodStart = previous ? new Date(previous.takenAt) : null;
+    const inPeriod = (timestamp) => Boolean(timestamp) &&
+      (!periodStart || new Date(timestamp) > periodStart) &&
+      new Date(timestamp) <= now;
+
+    const contributions = this.blockchainService.getInsuranceContributions()
+      .filter(contribution => new Date(contribution.timestamp) <= now);
+    const periodContributions = contributions.filter(contribution => inPeriod(contribution.timestamp));
+    const claimPayouts = this.payouts
+      .filter(payout => payout.status === 'completed' && inPeriod(payout.executedAt));
+
+    const inflows = totalsByCurrency(periodContributions
+      .map(contribution => ({ currency: contribution.currency || 'ETH', amount: contribution.amount })));
+    // Claims are in USD; what left the pool is recorded on the payout in the pool's currency
+    const outflows = totalsByCurrency(claimPayouts
+      .filter(payout => payout.paidFrom)
+      .map(payout => payout.paidFrom));
+    // Older payouts only know their USD amount: reported, but not netted against the balances
+    const unconvertedOutflows = totalsByCurrency(claimPayouts
+      .filter(payout => !payout.paidFrom)
+      .map(payout => ({ currency: payout.currency || 'USD', amount: String(payout.amount) })));
+    const withdrawals = totalsByCurrency(this.withdrawals
+      .filter(withdrawal => withdrawal.status === 'paid' && inPeriod(withdrawal.paidAt)));
+
+    const snapshot = {
+      snapshotId: uuidv4(),
+      takenAt: now.toISOString(),
+      periodStart: periodStart ? periodStart.toISOString() : null,
+      balances: netFlowOf(mergeTotals(previous ? previous.balances : {}, inflows), mergeTotals(outflows, withdrawals)),
+      inflows,
+      outflows,
+      unconvertedOutflows,
+      withdrawals,
+      contributorCount: new Set(contributions.map(contribution => contribution.contributor.toLowerCase())).size,
+      activeContributors: [...new Set(periodContributions.map(contribution => contribution.contributor.toLowerCase()))],
+      contributions: periodContributions.length,
+      claimPayouts: claimPayouts.length
+    };
+
+    this.snapshots.set(snapshot.snapshotId, snapshot);
+    return snapshot;
+  }
+
+  /**
+   * Snapshots rolled up by day, week or month: opening/closing balances, growth, flows and churn
+   */
+  getHistory({ interval = 'day', from, to } = {}) {
+    const buckets = new Map();
+    this.history().forEach(snapshot => {
+      const period = periodOf(snapshot.takenAt, interval);
+      buckets.set(period, [...(buckets.get(period) || []), snapshot]);
+    });
+
+    let opening = {};
+    let previousActive = [];
+    const series = [...buckets.entries()].map(([period, snapshots]) => {
+      const closing = snapshots[snapshots.length - 1];
+      const inflows = mergeTotals(...snapshots.map(snapshot => snapshot.inflows));
+      const outflows = mergeTotals(...snapshots.map(snapshot => snapshot.outflows));
+      // Snapshots from before withdrawals were recorded have none
+      const withdrawals = mergeTotals(...snapshots.map(snapshot => snapshot.withdrawals || {}));
+      const active = [...new Set(snapshots.flatMap(snapshot => snapshot.activeContributors))];
+
+      const bucket = {
+        period,
+        openingBalances: opening,
+        closingBalances: closing.balances,
+        growthRates: growthRates(opening, closing.balances),
+        inflows,
+        outflows,
+        withdrawals,
+        netFlow: netFlowOf(inflows, mergeTotals(outflows, withdrawals)),
+        contributorCount: closing.contributorCount,
+        activeContributors: active.length,
+        ...churnOf(previousActive, active),
+        snapshots: snapshots.length
+      };
+
+      opening = closing.balances;
+      previousActive = active;
+      return bucket;
+    });
+
+    return {
+      interval,
+      series: series.filter(bucket => (!from || bucket.period >= periodOf(from, interval)) &&
+        (!to || bucket.period <= periodOf(to, interval)))
+    };
+  }
+
+  /**
+   * Growth, net flow and churn over the last `days`, measured against the snapshot taken
+   * just before the window opened and the `days` before that
+   */
+  getTrends(days = 30, now = new Date()) {
+    const windowStart = new Date(now.getTime() - days * DAY_MS);
+    const previousStart = new Date(windowStart.getTime() - days * DAY_MS);
+    const snapshots = this.history(new Date(now.getTime() + 1));
+    const baseline = snapshots.filter(snapshot => new Date(snapshot.takenAt) <= windowStart).pop();
+    const latest = snapshots[snapshots.length - 1];
+    const taken = (start, end) => snapshots
+      .filter(snapshot => new Date(snapshot.takenAt) > start && new Date(snapshot.takenAt) <= end);
+
+    const recent = taken(windowStart, now);
+    const activeIn = (period) => [...new Set(period.flatMap(snapshot => snapshot.activeContributors))];
+
+    return {
+      days,
+      growthRates: baseline && latest ? growthRates(baseline.balances, latest.balances) : {},
+      netFlow: netFlowOf(
+        mergeTotals(...recent.map(snapshot => snapshot.inflows)),
+        mergeTotals(...recent.map(snapshot => snapshot.outflows), ...recent.map(snapshot => snapshot.withdrawals || {}))
+      ),
+      contributorChurn: churnOf(activeIn(taken(previousStart, windowStart)), activeIn(recent))
+    };
+  }
+}
+
+module.exports = PoolSnapshotService;
@@ -0,0 +1,143 @@
+/**
+ * Price Oracle Adapters
+ * Fiat rates for the supported escrow currencies. An adapter is any object with
+ * `getRate(currency)` resolving to { currency, fiatCurrency, rate, source, updatedAt },
+ * where `rate` is the USD price of one unit of `currency` as a decimal string.
+ */
+
+const fs = require('fs');
+const { ethers } = require('ethers');
+
+const FIAT_CURRENCY = 'USD';
+
+// Local fixture rates for tests and the mock blockchain, where no real funds move
+const DEFAULT_FIXTURE_RATES = {
+  ETH: '3000.00',
+  USDC: '1.00',
+  DAI: '1.00'
+};
+
+// Chainlink <CURRENCY>/USD aggregators on Ethereum mainnet; override with <CURRENCY>_USD_FEED_ADDRESS
+const CHAINLINK_FEEDS = {
+  ETH: '0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419',
+  USDC: '0x8fFfFfd4AfB6115b954Bd326cbe7B4BA576818f6',
+  DAI: '0xAed0c38402a5d19df6E4c03F4E2DceD6e29c1ee9'
+};
+
+const AGGREGATOR_ABI = [
+  'function decimals() view returns (uint8)',
+  'function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)'
+];
+
+const DEFAULT_MAX_AGE_SECONDS = 3600;
+
+function priceUnavailable(message) {
+  const error = new Error(message);
+  error.code = 'PRICE_UNAVAILABLE';
+  return error;
+}
+
+class FixturePriceAdapter {
+  constructor(rates = FixturePriceAdapter.loadRates()) {
+    this.name = 'fixture';
+    this.rates = rates;
+  }
+
+  static loadRates(fixturePath = process.env.PRICE_FIXTURE_PATH) {
+    if (!fixturePath) {
+      return { ...DEFAULT_FIXTURE_RATES };
+    }
+    return { ...DEFAULT_FIXTURE_RATES, ...JSON.parse(fs.readFileSync(fixturePath, 'utf8')) };
+  }
+
+  async getRate(currency) {
+    const rate = this.rates[currency];
+    if (!rate) {
+      throw priceUnavailable(`No ${currency}/${FIAT_CURRENCY} rate in the price fixture`);
+    }
+
+    return {
+      currency,
+      fiatCurrency: FIAT_CURRENCY,
+      rate: String(rate),
+      source: this.name,
+      updatedAt: new Date().toISOString()
+    };
+  }
+}
+
+class ChainlinkPriceAdapter {
+  constructor({ provider, feeds = {}, maxAgeSeconds = DEFAULT_MAX_AGE_SECONDS } = {}) {
+    this.name = 'chainlink';
+    this.provider = provider;
+    this.feeds = { ...CHAINLINK_FEEDS, ...feeds };
+    this.maxAgeSeconds = maxAgeSeconds;
+  }
+
+  async getRate(currency) {
+    const feedAddress = process.env[`${currency}_USD_FEED_ADDRESS`] || this.feeds[currency];
+    if (!feedAddress) {
+      throw priceUnavailable(`No ${currency}/${FIAT_CURRENCY} price feed configured`);
+    }
+
+    const feed = new ethers.Contract(feedAddress, AGGREGATOR_ABI, this.provider);
+    let decimals;
+    let round;
+    try {
+      [decimals, round] = await Promise.all([feed.decimals(), feed.latestRoundData()]);
+    } catch (error) {
+      throw priceUnavailable(`Failed to read the ${currency}/${FIAT_CURRENCY} feed: ${error.message}`);
+    }
+
+    const updatedAt = Number(round.updatedAt);
+    if (round.answer <= 0n || Date.now() / 1000 - updatedAt > this.maxAgeSeconds) {
+      throw priceUnavailable(`The ${currency}/${FIAT_CURRENCY} price feed is stale`);
+    }
+
+    return {
+      currency,
+      fiatCurrency: FIAT_CURRENCY,
+      rate: ethers.formatUnits(round.answer, decimals),
+      source: `${this.name}:${feedAddress}`,
+      updatedAt: new Date(updatedAt * 1000).toISOString()
+    };
+  }
+}
+
+/**
+ * Adapter selected by PRICE_ORACLE. With USE_REAL_BLOCKCHAIN=true (outside tests) it must be
+ * `chainlink`: fixture rates would price real fares. Tests and the mock blockchain default to
+ * the fixture. Callers resolve it when they first need a rate, so a missing oracle only fails
+ * the requests that price something, never startup.
+ */
+function createPriceAdapter() {
+  const fixtureAllowed = process.env.NODE_ENV === 'test' || process.env.USE_REAL_BLOCKCHAIN !== 'true';
+  const oracle = process.env.PRICE_ORACLE || (fixtureAllowed ? 'fixture' : undefined);
+
+  if (oracle === 'chainlink') {
+    const maxAge = parseInt(process.env.PRICE_MAX_AGE_SECONDS, 10);
+    return new ChainlinkPriceAdapter({
+      provider: new ethers.JsonRpcProvider(process.env.PRICE_ORACLE_RPC_URL || process.env.MAINNET_RPC_URL),
+      maxAgeSeconds: Number.isFinite(maxAge) && maxAge > 0 ? maxAge : DEFAULT_MAX_AGE_SECONDS
+    });
+  }
+
+  if (oracle === 'fixture' && fixtureAllowed) {
+    return new FixturePriceAdapter();
+  }
+
+  const error = new Error(oracle === 'fixture'
+    ? 'PRICE_ORACLE=fixture is not allowed with USE_REAL_BLOCKCHAIN=true; set PRICE_ORACLE=chainlink'
+    : `PRICE_ORACLE must be set to chainlink${oracle ? ` (got "${oracle}")` : ''}`);
+  error.code = 'PRICE_ORACLE_NOT_CONFIGURED';
+  throw error;
+}
+
+module.exports = {
+  FIAT_CURRENCY,
+  DEFAULT_FIXTURE_RATES,
+  CHAINLINK_FEEDS,
+  FixturePriceAdapter,
+  ChainlinkPriceAdapter,
+  createPriceAdapter
+};
@@ -0,0 +1,113 @@
+/**
+ * Price Quotes
+ * Converts a USD fare into an escrow amount at the oracle rate and locks it behind a
+ * short-lived quote id that /api/escrow/initiate can redeem once
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { createRepository } = require('../storage');
+const { toUnits, fromUnits } = require('../utils/amounts');
+const { TOKEN_DECIMALS } = require('../utils/tokens');
+const { createPriceAdapter } = require('./price-oracle');
+
+const DEFAULT_TTL_SECONDS = 120;
+
+function quoteError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function quoteTtlSeconds() {
+  const seconds = parseInt(process.env.PRICE_QUOTE_TTL_SECONDS, 10);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds : DEFAULT_TTL_SECONDS;
+}
+
+/**
+ * Crypto amount for `fiatAmount` at `rate`, rounded up to the currency's smallest unit
+ * so the driver is never paid less than the quoted fare
+ */
+function convertFiat(fiatAmount, rate, currency) {
+  const precision = 10n ** BigInt(18 - TOKEN_DECIMALS[currency]);
+  const exact = toUnits(fiatAmount) * 10n ** 18n;
+  const rateUnits = toUnits(rate);
+
+  let units = (exact + rateUnits - 1n) / rateUnits;
+  units = ((units + precision - 1n) / precision) * precision;
+  return fromUnits(units);
+}
+
+class PriceQuoteService {
+  // Without an adapter the configured one is created on the first quote
+  constructor(adapter = null) {
+    this.adapter = adapter;
+    this.quotes = createRepository('price_quotes');
+  }
+
+  priceAdapter() {
+    if (!this.adapter) {
+      this.adapter = createPriceAdapter();
+    }
+    return this.adapter;
+  }
+
+  async createQuote({ fiatAmount, currency }) {
+    const price = await this.priceAdapter().getRate(currency);
+    const now = new Date();
+
+    const quote = {
+      quoteId: `quote_${uuidv4()}`,
+      fiatAmount,
+      fiatCurrency: price.fiatCurrency,
+      currency,
+      amount: convertFiat(fiatAmount, price.rate, currency),
+      rate: price.rate,
+      source: price.source,
+      rateUpdatedAt: price.updatedAt,
+      status: 'open',
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + quoteTtlSeconds() * 1000).toISOString()
+    };
+
+    this.quotes.set(quote.quoteId, quote);
+    return quote;
+  }
+
+  getQuote(quoteId) {
+    const quote = this.quotes.get(quoteId);
+    if (quote && quote.status === 'open' && new Date(quote.expiresAt) <= new Date()) {
+      return { ...quote, status: 'expired' };
+    }
+    return quote;
+  }
+
+  /**
+   * Quote that can still be redeemed; throws QUOTE_NOT_FOUND, QUOTE_EXPIRED or QUOTE_USED
+   */
+  getRedeemableQuote(quoteId) {
+    const quote = this.getQuote(quoteId);
+    if (!quote) {
+      throw quoteError(`Price quote ${quoteId} does not exist`, 'QUOTE_NOT_FOUND');
+    }
+    if (quote.status === 'expired') {
+      throw quoteError(`Price quote ${quoteId} expired at ${quote.expiresAt}`, 'QUOTE_EXPIRED');
+    }
+    if (quote.status !== 'open') {
+      throw quoteError(`Price quote ${quoteId} has already been used for ride ${quote.rideId}`, 'QUOTE_USED');
+    }
+    return quote;
+  }
+
+  /**
+   * Mark a quote from getRedeemableQuote as used by the escrow created from it
+   */
+  redeemQuote(quote, rideId) {
+    const redeemed = { ...quote, status: 'redeemed', rideId, redeemedAt: new Date().toISOString() };
+
+    this.quotes.set(quote.quoteId, redeemed);
+    return redeemed;
+  }
+}
+
+module.exports = PriceQuoteService;
+module.exports.convertFiat = convertFiat;
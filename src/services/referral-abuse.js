@@ -0,0 +1,132 @@
+/**
+ * Referral Abuse Screening
+ * Runs each referrer/new-user pair through AdvancedFraudDetection's collusion checks: device
+ * fingerprints both users were seen on, funding transfers and ride payments between their
+ * wallets, and referral chains that loop back to the new user. Suspicious referrals are
+ * flagged, or held for manual approval before any reward is paid.
+ */
+
+const { createRepository } = require('../storage');
+const { getBlockchainService } = require('../utils/blockchain-factory');
+const AdvancedFraudDetection = require('./advanced-fraud-detection');
+
+// What each fraud recommendation means for a referral
+const SCREENING_STATUS = {
+  AUTO_APPROVE: 'clear',
+  COMMUNITY_REVIEW: 'flagged',
+  MANUAL_REVIEW: 'held',
+  REJECT: 'held'
+};
+
+const sameWallet = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+class ReferralAbuseService {
+  constructor(blockchainService = getBlockchainService(), options = {}) {
+    this.blockchainService = blockchainService;
+    this.fraudDetector = options.fraudDetector || new AdvancedFraudDetection();
+    this.referrals = createRepository('referrals');
+    this.devices = createRepository('device_fingerprints');
+    this.escrows = createRepository('escrows');
+  }
+
+  // Platform device ids are used as-is; otherwise the browser/device traits are hashed
+  fingerprintOf(device) {
+    return device.deviceId || this.fraudDetector.generateDeviceFingerprint(device);
+  }
+
+  /**
+   * Remember that `userId` was seen on `device`
+   */
+  recordDevice(userId, device) {
+    const fingerprint = this.fingerprintOf(device);
+    const now = new Date().toISOString();
+    const record = this.devices.get(fingerprint) || { fingerprint, userIds: [], firstSeenAt: now };
+
+    this.devices.set(fingerprint, {
+      ...record,
+      userIds: record.userIds.includes(userId) ? record.userIds : [...record.userIds, userId],
+      lastSeenAt: now
+    });
+    return fingerprint;
+  }
+
+  sharedDevices(userA, userB) {
+    return this.devices
+      .filter(record => record.userIds.includes(userA) && record.userIds.includes(userB))
+      .map(record => record.fingerprint);
+  }
+
+  /**
+   * The referrer's own referral chain, nearest first, if it leads back to the new user by id
+   * or wallet; e.g. ['bob', 'alice'] when alice referred bob and bob now refers alice
+   */
+  circularChain(referral, referrerWallet) {
+    if (sameWallet(referrerWallet, referral.newUserWallet)) {
+      return [referral.referrerId, referral.newUserId];
+    }
+
+    const chain = [];
+    let current = referral.referrerId;
+
+    while (current && !chain.includes(current)) {
+      chain.push(current);
+      const upstream = this.referrals.find(ref => ref.newUserId === current && ref.referralId !== referral.referralId);
+      if (!upstream) break;
+
+      if (upstream.referrerId === referral.newUserId ||
+        sameWallet(upstream.referrerWallet, referral.newUserWallet) ||
+        sameWallet(upstream.newUserWallet, referral.newUserWallet)) {
+        return [...chain, referral.newUserId];
+      }
+      current = upstream.referrerId;
+    }
+    return null;
+  }
+
+  /**
+   * Released rides one wallet paid the other for, as transfers
+   */
+  ridePayments(walletA, walletB) {
+    return this.escrows
+      .filter(escrow => escrow.status === 'released')
+      .flatMap(escrow => escrow.riders
+        .filter(rider => (sameWallet(rider.wallet, walletA) && sameWallet(escrow.driverWallet, walletB)) ||
+          (sameWallet(rider.wallet, walletB) && sameWallet(escrow.driverWallet, walletA)))
+        .map(rider => ({
+          from: rider.wallet,
+          to: escrow.driverWallet,
+          amount: rider.share,
+          currency: escrow.currency,
+          rideId: escrow.rideId
+        })));
+  }
+
+  async transfersBetween(referrerWallet, newUserWallet) {
+    if (!referrerWallet || !newUserWallet || sameWallet(referrerWallet, newUserWallet)) return [];
+
+    const onChain = await this.blockchainService.findTransfers(referrerWallet, newUserWallet);
+    return [...onChain, ...this.ridePayments(referrerWallet, newUserWallet)];
+  }
+
+  /**
+   * Screening result for a referral, e.g. { status: 'held', fraudScore: 0.7, riskFactors: [...] }
+   */
+  async screen(referral, { referrerWallet = referral.referrerWallet } = {}) {
+    const assessment = this.fraudDetector.detectReferralCollusion({
+      sharedDevices: this.sharedDevices(referral.referrerId, referral.newUserId),
+      transfers: await this.transfersBetween(referrerWallet, referral.newUserWallet),
+      circularChain: this.circularChain(referral, referrerWallet)
+    });
+
+    return {
+      status: SCREENING_STATUS[assessment.recommendation.action],
+      fraudScore: assessment.fraudScore,
+      riskFactors: assessment.riskFactors,
+      recommendation: assessment.recommendation,
+      evidence: assessment.evidence,
+      checkedAt: assessment.metadata.processedAt
+    };
+  }
+}
+
+module.exports = ReferralAbuseService;
@@ -0,0 +1,211 @@
+/**
+ * Referral Analytics
+ * Program-level reporting over tracked referrals and their reward payouts: the conversion
+ * funnel, time to conversion, cost per acquired rider/driver, reward spend over time and
+ * the top referrers for a period
+ */
+
+const { createRepository } = require('../storage');
+const { addAmounts, toUnits, fromUnits } = require('../utils/amounts');
+const { DAY_MS, periodOf } = require('../utils/periods');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Rolling leaderboard windows, ending now
+const LEADERBOARD_PERIOD_DAYS = { week: 7, month: 30, year: 365 };
+
+const inWindow = (timestamp, { from, to }) => Boolean(timestamp) &&
+  (!from || new Date(timestamp) >= from) &&
+  (!to || new Date(timestamp) <= to);
+
+const ratio = (part, whole) => (whole === 0 ? 0 : Math.round((part / whole) * 10000) / 10000);
+
+const hoursBetween = (start, end) => (new Date(end) - new Date(start)) / HOUR_MS;
+
+// { count, averageHours, medianHours } of durations in hours, to one decimal
+function summarizeHours(durations) {
+  if (durations.length === 0) {
+    return { count: 0, averageHours: null, medianHours: null };
+  }
+
+  const sorted = [...durations].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  const round = (hours) => Math.round(hours * 10) / 10;
+
+  return {
+    count: sorted.length,
+    averageHours: round(sorted.reduce((sum, hours) => sum + hours, 0) / sorted.length),
+    medianHours: round(median)
+  };
+}
+
+// Per-currency sums of reward amounts, e.g. { ETH: '25.0' }
+function totalsByCurrency(rewards) {
+  return rewards.reduce((totals, reward) => ({
+    ...totals,
+    [reward.currency]: addAmounts(totals[reward.currency] || '0', reward.rewardAmount)
+  }), {});
+}
+
+class ReferralAnalytics {
+  constructor() {
+    this.referrals = createRepository('referrals');
+    this.rewards = createRepository('referral_rewards');
+  }
+
+  /**
+   * filters: from, to (cohort of referrals tracked in the window), market, campaignId, userType;
+   * interval (day | week | month) buckets the reward spend
+   */
+  getProgramAnalytics({ from, to, market, campaignId, userType, interval = 'day' } = {}) {
+    const window = { from: from && new Date(from), to: to && new Date(to) };
+    const cohort = this.referrals.filter(referral => inWindow(referral.createdAt, window) &&
+      (!market || referral.market === market) &&
+      (!campaignId || referral.campaignId === campaignId) &&
+      (!userType || referral.userType === userType));
+
+    const cohortIds = new Set(cohort.map(referral => referral.referralId));
+    const confirmed = this.rewards.filter(reward => reward.status === 'confirmed' && cohortIds.has(reward.referralId));
+    const paidAt = new Map(confirmed
+      .filter(reward => reward.level === 1)
+      .map(reward => [reward.referralId, reward.paidAt]));
+
+    return {
+      window: {
+        from: window.from ? window.from.toISOString() : null,
+        to: window.to ? window.to.toISOString() : null
+      },
+      funnel: this.funnel(cohort, paidAt),
+      timeToConversion: {
+        eligible: summarizeHours(cohort
+          .filter(referral => referral.completedAt)
+          .map(referral => hoursBetween(referral.createdAt, referral.completedAt))),
+        paid: summarizeHours(cohort
+          .filter(referral => paidAt.has(referral.referralId))
+          .map(referral => hoursBetween(referral.createdAt, paidAt.get(referral.referralId))))
+      },
+      costPerAcquisition: this.costPerAcquisition(cohort, confirmed),
+      rewardSpend: this.rewardSpend(confirmed, interval)
+    };
+  }
+
+  // tracked → eligible (criteria met) → paid (referrer's reward confirmed), plus where the rest went
+  funnel(cohort, paidAt) {
+    const tracked = cohort.length;
+    const eligible = cohort.filter(referral => referral.eligibilityMet).length;
+    const paid = cohort.filter(referral => paidAt.has(referral.referralId)).length;
+    const withStatus = (status) => cohort.filter(referral => referral.status === status).length;
+
+    return {
+      tracked,
+      eligible,
+      paid,
+      pending: withStatus('pending'),
+      held: withStatus('held'),
+      expired: withStatus('expired'),
+      rejected: withStatus('rejected'),
+      conversionRates: {
+        trackedToEligible: ratio(eligible, tracked),
+        eligibleToPaid: ratio(paid, eligible),
+        trackedToPaid: ratio(paid, tracked)
+      }
+    };
+  }
+
+  /**
+   * Confirmed reward spend (both levels) per acquired user, for each user type and currency
+   */
+  costPerAcquisition(cohort, confirmed) {
+    return ['rider', 'driver'].reduce((costs, type) => {
+      const acquired = cohort.filter(referral => referral.userType === type && referral.status === 'completed');
+      const acquiredIds = new Set(acquired.map(referral => referral.referralId));
+      const spend = totalsByCurrency(confirmed.filter(reward => acquiredIds.has(reward.referralId)));
+
+      return {
+        ...costs,
+        [type]: {
+          acquired: acquired.length,
+          spend,
+          costPerAcquisition: Object.fromEntries(Object.entries(spend)
+            .map(([currency, amount]) => [currency, fromUnits(toUnits(amount) / BigInt(acquired.length))]))
+        }
+      };
+    }, {});
+  }
+
+  // Confirmed rewards per period and currency, oldest first
+  rewardSpend(confirmed, interval) {
+    const buckets = new Map();
+    confirmed.forEach(reward => {
+      const key = `${periodOf(reward.paidAt, interval)}|${reward.currency}`;
+      const bucket = buckets.get(key) ||
+        { period: periodOf(reward.paidAt, interval), currency: reward.currency, amount: '0', rewards: 0 };
+      buckets.set(key, { ...bucket, amount: addAmounts(bucket.amount, reward.rewardAmount), rewards: bucket.rewards + 1 });
+    });
+
+    return {
+      interval,
+      series: [...buckets.values()].sort((a, b) => a.period.localeCompare(b.period) || a.currency.localeCompare(b.currency))
+    };
+  }
+
+  /**
+   * Top referrers by referrals converted (completed) within the period, then by referrals
+   * tracked. `period` is a rolling week, month or year ending now, or all time.
+   */
+  getLeaderboard({ period = 'month', limit = 10, market, campaignId } = {}, now = new Date()) {
+    const window = {
+      from: LEADERBOARD_PERIOD_DAYS[period] ? new Date(now.getTime() - LEADERBOARD_PERIOD_DAYS[period] * DAY_MS) : null,
+      to: now
+    };
+    const referrals = this.referrals.filter(referral => (!market || referral.market === market) &&
+      (!campaignId || referral.campaignId === campaignId));
+    const referralIds = new Set(referrals.map(referral => referral.referralId));
+
+    const standings = new Map();
+    const standingOf = (referrerId) => standings.get(referrerId) ||
+      { referrerId, conversions: 0, tracked: 0, rewards: [] };
+
+    referrals.forEach(referral => {
+      const standing = standingOf(referral.referrerId);
+      standings.set(referral.referrerId, {
+        ...standing,
+        tracked: standing.tracked + (inWindow(referral.createdAt, window) ? 1 : 0),
+        conversions: standing.conversions +
+          (referral.status === 'completed' && inWindow(referral.completedAt, window) ? 1 : 0)
+      });
+    });
+
+    // Second-level rewards count for the upstream referrer who earned them
+    this.rewards
+      .filter(reward => reward.status === 'confirmed' && referralIds.has(reward.referralId) && inWindow(reward.paidAt, window))
+      .forEach(reward => {
+        const standing = standingOf(reward.referrerId);
+        standings.set(reward.referrerId, { ...standing, rewards: [...standing.rewards, reward] });
+      });
+
+    const leaderboard = [...standings.values()]
+      .filter(standing => standing.conversions > 0 || standing.tracked > 0 || standing.rewards.length > 0)
+      .sort((a, b) => b.conversions - a.conversions ||
+        b.tracked - a.tracked ||
+        a.referrerId.localeCompare(b.referrerId))
+      .slice(0, limit)
+      .map((standing, index) => ({
+        rank: index + 1,
+        referrerId: standing.referrerId,
+        conversions: standing.conversions,
+        tracked: standing.tracked,
+        rewardsEarned: totalsByCurrency(standing.rewards)
+      }));
+
+    return {
+      period,
+      from: window.from ? window.from.toISOString() : null,
+      to: window.to.toISOString(),
+      leaderboard
+    };
+  }
+}
+
+module.exports = ReferralAnalytics;
@@ -0,0 +1,161 @@
+/**
+ * Referral Campaigns
+ * Marketing campaigns that set referral rewards: a date range, market targeting, per-userType
+ * reward tiers with optional second-level rewards for the referrer's own referrer, and a
+ * budget cap covering every reward the campaign has paid or still owes
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { createRepository } = require('../storage');
+const { addAmounts, subtractAmounts, compareAmounts } = require('../utils/amounts');
+
+function campaignError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Everything a referral can cost its campaign: the referrer's reward plus any second-level reward
+function committedReward(referral) {
+  return addAmounts(referral.rewardAmount, referral.secondLevel ? referral.secondLevel.rewardAmount : '0');
+}
+
+class ReferralCampaignService {
+  constructor() {
+    this.campaigns = createRepository('referral_campaigns');
+    this.referrals = createRepository('referrals');
+  }
+
+  createCampaign({ name, markets = [], startsAt, endsAt, budget, tiers, createdBy = null }) {
+    const campaign = {
+      campaignId: `cmp_${uuidv4()}`,
+      name,
+      markets,
+      startsAt: new Date(startsAt).toISOString(),
+      endsAt: new Date(endsAt).toISOString(),
+      budget,
+      tiers,
+      status: 'active',
+      createdBy,
+      createdAt: new Date().toISOString()
+    };
+
+    this.campaigns.set(campaign.campaignId, campaign);
+    return campaign;
+  }
+
+  getCampaign(campaignId) {
+    return this.campaigns.get(campaignId);
+  }
+
+  listCampaigns({ status } = {}) {
+    return this.campaigns
+      .filter(campaign => !status || this.statusOf(campaign) === status)
+      .sort((a, b) => b.startsAt.localeCompare(a.startsAt));
+  }
+
+  /**
+   * End a campaign early; referrals already tracked under it keep their rewards
+   */
+  endCampaign(campaignId) {
+    const campaign = this.campaigns.get(campaignId);
+    if (!campaign) {
+      throw campaignError(`Referral campaign ${campaignId} does not exist`, 'CAMPAIGN_NOT_FOUND');
+    }
+
+    const ended = { ...campaign, status: 'ended', endedAt: new Date().toISOString() };
+    this.campaigns.set(campaignId, ended);
+    return ended;
+  }
+
+  // `scheduled` before startsAt, `active` while running, `ended` after endsAt or once ended early
+  statusOf(campaign, now = new Date()) {
+    if (campaign.status === 'ended' || new Date(campaign.endsAt) <= now) return 'ended';
+    if (new Date(campaign.startsAt) > now) return 'scheduled';
+    return 'active';
+  }
+
+  targets(campaign, market) {
+    return campaign.markets.length === 0 || campaign.markets.includes(market);
+  }
+
+  /**
+   * Running campaign for a referral in `market`. Campaigns that target the market win over
+   * untargeted ones, then the most recently started.
+   */
+  findActive(market, now = new Date()) {
+    const running = this.campaigns
+      .filter(campaign => this.statusOf(campaign, now) === 'active' && this.targets(campaign, market))
+      .sort((a, b) => (b.markets.length > 0) - (a.markets.length > 0) || b.startsAt.localeCompare(a.startsAt));
+
+    return running[0] || null;
+  }
+
+  /**
+   * A named campaign a referral in `market` may join; throws if it is missing or not running there
+   */
+  getJoinableCampaign(campaignId, market, now = new Date()) {
+    const campaign = this.campaigns.get(campaignId);
+    if (!campaign) {
+      throw campaignError(`Referral campaign ${campaignId} does not exist`, 'CAMPAIGN_NOT_FOUND');
+    }
+    if (this.statusOf(campaign, now) !== 'active' || !this.targets(campaign, market)) {
+      throw campaignError(`Referral campaign ${campaign.name} is not running in market ${market}`, 'CAMPAIGN_NOT_ACTIVE');
+    }
+    return campaign;
+  }
+
+  /**
+   * Pending referrals and those held for review reserve their full reward, completed ones
+   * have spent it and expired or rejected ones give it back
+   */
+  getBudgetUsage(campaign) {
+    const referrals = this.referrals.filter(referral => referral.campaignId === campaign.campaignId);
+    const total = (...statuses) => addAmounts('0', ...referrals
+      .filter(referral => statuses.includes(referral.status))
+      .map(committedReward));
+
+    const spent = total('completed');
+    const reserved = total('pending', 'held');
+
+    return {
+      budget: campaign.budget,
+      spent,
+      reserved,
+      remaining: subtractAmounts(campaign.budget, spent, reserved),
+      referrals: referrals.length
+    };
+  }
+
+  /**
+   * Rewards for a new referral under the campaign. The referrer's own referrer earns the
+   * tier's second-level reward, if any. Throws once the budget cannot cover both.
+   */
+  rewardsFor(campaign, { userType, referrerId }) {
+    const tier = campaign.tiers[userType];
+    if (!tier) {
+      const tierError = new Error(`Referral campaign ${campaign.name} has no reward for ${userType} referrals`);
+      tierError.name = 'ValidationError';
+      throw tierError;
+    }
+
+    const upstream = tier.secondLevelReward && this.referrals.find(referral => referral.newUserId === referrerId);
+    const rewards = {
+      tier,
+      rewardAmount: tier.rewardAmount,
+      secondLevel: upstream ? { referrerId: upstream.referrerId, rewardAmount: tier.secondLevelReward } : null
+    };
+
+    const { remaining } = this.getBudgetUsage(campaign);
+    if (compareAmounts(committedReward(rewards), remaining) > 0) {
+      throw campaignError(
+        `Referral campaign ${campaign.name} has ${remaining} of its ${campaign.budget} budget left`,
+        'CAMPAIGN_BUDGET_EXHAUSTED'
+      );
+    }
+
+    return rewards;
+  }
+}
+
+module.exports = ReferralCampaignService;
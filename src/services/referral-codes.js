@@ -0,0 +1,156 @@
+/**
+ * Referral Codes
+ * Short, human-friendly codes a user shares instead of their referrerId. Codes can be limited
+ * to a number of redemptions and an expiry date; clicks (code lookups), redemptions and
+ * completed referrals are counted per code. The first wallet a user proves they own when a code
+ * is issued is where their referral rewards are paid, and cannot be replaced.
+ */
+
+const crypto = require('crypto');
+const { createRepository } = require('../storage');
+
+// No 0/O, 1/I/L: codes are read aloud and typed from screenshots
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+function codeError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Codes are matched case-insensitively and stored upper-case
+function normalizeCode(code) {
+  return String(code).trim().toUpperCase();
+}
+
+const sameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+class ReferralCodeService {
+  constructor() {
+    this.codes = createRepository('referral_codes');
+    this.referrals = createRepository('referrals');
+  }
+
+  generateCode() {
+    let code;
+    do {
+      code = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+    } while (this.codes.has(code));
+    return code;
+  }
+
+  /**
+   * Issue a code. `wallet` must already be verified as the user's (signed by it); the first one
+   * becomes the user's payout wallet and later codes may only name the same one.
+   */
+  issueCode({ userId, wallet = null, maxRedemptions = null, expiresAt = null, campaignId = null }) {
+    const bound = this.verifiedWalletOf(userId);
+    if (wallet && bound && !sameAddress(wallet, bound)) {
+      throw codeError(`${userId}'s referral rewards are already paid to ${bound}`, 'REFERRAL_WALLET_ALREADY_SET');
+    }
+
+    const now = new Date().toISOString();
+    const record = {
+      code: this.generateCode(),
+      userId,
+      wallet,
+      walletVerifiedAt: wallet ? now : null,
+      maxRedemptions,
+      expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+      campaignId,
+      clicks: 0,
+      redemptions: 0,
+      createdAt: now
+    };
+
+    this.codes.set(record.code, record);
+    return record;
+  }
+
+  // Wallet `userId` proved they own when a code was first issued to them, or null
+  verifiedWalletOf(userId) {
+    const verified = this.codes
+      .filter(record => record.userId === userId && record.wallet && record.walletVerifiedAt)
+      .sort((a, b) => a.walletVerifiedAt.localeCompare(b.walletVerifiedAt))[0];
+    return verified ? verified.wallet : null;
+  }
+
+  getCode(code) {
+    return this.codes.get(normalizeCode(code));
+  }
+
+  // `expired` past expiresAt, `exhausted` once maxRedemptions is reached, otherwise `active`
+  statusOf(record, now = new Date()) {
+    if (record.expiresAt && new Date(record.expiresAt) <= now) return 'expired';
+    if (record.maxRedemptions !== null && record.redemptions >= record.maxRedemptions) return 'exhausted';
+    return 'active';
+  }
+
+  /**
+   * Look up a code for a landing page or app link, counting the click
+   */
+  recordClick(code) {
+    const record = this.getCode(code);
+    if (!record) {
+      throw codeError(`Referral code ${normalizeCode(code)} does not exist`, 'REFERRAL_CODE_NOT_FOUND');
+    }
+
+    const clicked = { ...record, clicks: record.clicks + 1 };
+    this.codes.set(clicked.code, clicked);
+    return clicked;
+  }
+
+  /**
+   * Code that can still be redeemed; throws REFERRAL_CODE_NOT_FOUND, _EXPIRED or _EXHAUSTED
+   */
+  getRedeemableCode(code) {
+    const record = this.getCode(code);
+    if (!record) {
+      throw codeError(`Referral code ${normalizeCode(code)} does not exist`, 'REFERRAL_CODE_NOT_FOUND');
+    }
+
+    const status = this.statusOf(record);
+    if (status === 'expired') {
+      throw codeError(`Referral code ${record.code} expired at ${record.expiresAt}`, 'REFERRAL_CODE_EXPIRED');
+    }
+    if (status === 'exhausted') {
+      throw codeError(
+        `Referral code ${record.code} has reached its limit of ${record.maxRedemptions} redemptions`,
+        'REFERRAL_CODE_EXHAUSTED'
+      );
+    }
+    return record;
+  }
+
+  recordRedemption(record) {
+    const redeemed = { ...record, redemptions: record.redemptions + 1 };
+    this.codes.set(redeemed.code, redeemed);
+    return redeemed;
+  }
+
+  /**
+   * Per-code clicks, redemptions and completed referrals for a user's codes
+   */
+  statsFor(userId) {
+    const referrals = this.referrals.filter(referral => referral.referrerId === userId && referral.code);
+
+    return this.codes
+      .filter(record => record.userId === userId)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .map(record => ({
+        code: record.code,
+        status: this.statusOf(record),
+        clicks: record.clicks,
+        redemptions: record.redemptions,
+        completions: referrals.filter(referral => referral.code === record.code && referral.status === 'completed').length,
+        maxRedemptions: record.maxRedemptions,
+        expiresAt: record.expiresAt,
+        ...(record.campaignId && { campaignId: record.campaignId }),
+        createdAt: record.createdAt
+      }));
+  }
+}
+
+module.exports = ReferralCodeService;
+module.exports.normalizeCode = normalizeCode;
@@ -0,0 +1,302 @@
+/**
+ * Referral Eligibility
+ * Counts the released rides of each referred user's wallet within the referral's eligibility
+ * window, completes the referral and pays its rewards once enough rides are in, and expires it
+ * when the window lapses first. Referrals that fail abuse screening are held for manual review
+ * instead of being paid. A new referral's screening runs in the background, and the referral
+ * cannot complete until it has finished.
+ */
+
+const { createRepository } = require('../storage');
+const ReferralPayoutService = require('./referral-payouts');
+const ReferralAbuseService = require('./referral-abuse');
+
+// Rides the referred user must complete, and within how many days of being referred.
+// A referral campaign's tier can override either.
+const REFERRAL_CRITERIA = {
+  rider: { requiredRides: 3, windowDays: 14 },
+  driver: { requiredRides: 5, windowDays: 30 }
+};
+
+// Screenings running in this process, shared by every instance so a referral is screened once at a time
+const screenings = new Map();
+
+const screeningPending = (referral) => Boolean(referral.screening) && referral.screening.status === 'pending';
+
+function describeCriteria({ requiredRides, windowDays }) {
+  return `Complete ${requiredRides} rides within ${windowDays} days`;
+}
+
+class ReferralEligibilityService {
+  constructor(options = {}) {
+    this.referrals = createRepository('referrals');
+    this.escrows = createRepository('escrows');
+    this.payouts = options.payouts || new ReferralPayoutService(options.blockchainService);
+    this.abuse = options.abuse || new ReferralAbuseService(this.payouts.blockchainService);
+    this.intervalMs = options.intervalMs || parseInt(process.env.REFERRAL_SWEEP_INTERVAL_MS || '300000', 10);
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.sweep().catch(error => console.error('Referral eligibility sweep failed:', error));
+    }, this.intervalMs);
+    // Never keep the process alive just for the sweeper
+    this.timer.unref();
+
+    console.log(`🎯 Referral eligibility sweeper running every ${this.intervalMs / 1000}s`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Eligibility fields for a new referral, with the window starting at `createdAt`
+   */
+  eligibilityFor(userType, createdAt = new Date(), tier = {}) {
+    const requiredRides = tier.requiredRides || REFERRAL_CRITERIA[userType].requiredRides;
+    const windowDays = tier.windowDays || REFERRAL_CRITERIA[userType].windowDays;
+    return {
+      requiredRides,
+      windowDays,
+      windowEndsAt: new Date(new Date(createdAt).getTime() + windowDays * 24 * 60 * 60 * 1000).toISOString()
+    };
+  }
+
+  // Referrals tracked before eligibility was recorded get the criteria for their user type
+  windowOf(referral) {
+    return referral.eligibility || this.eligibilityFor(referral.userType, referral.createdAt);
+  }
+
+  /**
+   * Released rides counting towards the referral: the referred wallet rode (riders) or drove
+   * (drivers) and the escrow was released inside the eligibility window
+   */
+  qualifyingRides(referral) {
+    if (!referral.newUserWallet) return [];
+
+    const wallet = referral.newUserWallet.toLowerCase();
+    const tookPart = referral.userType === 'driver'
+      ? escrow => escrow.driverWallet.toLowerCase() === wallet
+      : escrow => escrow.riders.some(rider => rider.wallet.toLowerCase() === wallet);
+
+    return this.escrows
+      .filter(escrow => escrow.status === 'released' &&
+        escrow.releasedAt >= referral.createdAt &&
+        escrow.releasedAt <= this.windowOf(referral).windowEndsAt &&
+        tookPart(escrow))
+      .sort((a, b) => a.releasedAt.localeCompare(b.releasedAt));
+  }
+
+  /**
+   * Progress towards the criteria, e.g. { completedRides: 2, requiredRides: 3, ... }
+   */
+  getProgress(referral, now = new Date()) {
+    const rides = this.qualifyingRides(referral);
+    const { requiredRides, windowEndsAt } = this.windowOf(referral);
+    const lapsed = referral.status === 'pending' && new Date(windowEndsAt) <= now && rides.length < requiredRides;
+
+    return {
+      status: lapsed ? 'expired' : referral.status,
+      completedRides: Math.min(rides.length, requiredRides),
+      requiredRides,
+      windowEndsAt,
+      rideIds: rides.slice(0, requiredRides).map(escrow => escrow.rideId)
+    };
+  }
+
+  /**
+   * Screen the referrer/new-user pair for collusion. A reviewer's approval stands; otherwise
+   * the pair is screened again with whatever has happened since, e.g. funding or shared rides.
+   */
+  async screen(referral) {
+    if (referral.screening && referral.screening.status === 'approved') {
+      return referral.screening;
+    }
+
+    const referrerWallet = referral.referrerWallet || this.payouts.walletOf(referral.referrerId);
+    return this.abuse.screen(referral, { referrerWallet });
+  }
+
+  /**
+   * Screen a newly tracked referral off the request path; resolves with the screened referral.
+   * A screening that fails leaves the referral pending for the next sweep.
+   */
+  screenInBackground(referralId) {
+    if (!screenings.has(referralId)) {
+      screenings.set(referralId, this.runScreening(referralId).finally(() => screenings.delete(referralId)));
+    }
+    return screenings.get(referralId);
+  }
+
+  async runScreening(referralId) {
+    try {
+      const screening = await this.screen(this.referrals.get(referralId));
+      // Re-read: the referral may have expired while the chain was being scanned
+      const screened = { ...this.referrals.get(referralId), screening };
+      this.referrals.set(referralId, screened);
+
+      if (screening.status !== 'clear') {
+        console.log(`🚩 Referral ${referralId} ${screening.status} at tracking`);
+      }
+      return screened;
+    } catch (error) {
+      console.error(`Referral ${referralId} screening failed:`, error.message);
+      return this.referrals.get(referralId);
+    }
+  }
+
+  /**
+   * Complete and pay a pending referral whose criteria are met, or expire it once its
+   * window has lapsed; returns the updated referral
+   */
+  async evaluate(referral, now = new Date()) {
+    if (referral.status !== 'pending') return referral;
+
+    const progress = this.getProgress(referral, now);
+    if (progress.completedRides >= progress.requiredRides) {
+      // Held until the screening started at tracking finishes
+      if (screeningPending(referral)) {
+        this.screenInBackground(referral.referralId);
+        return referral;
+      }
+      return this.complete(referral, progress);
+    }
+    if (progress.status === 'expired') {
+      const expired = { ...referral, status: 'expired', expiredAt: now.toISOString() };
+      this.referrals.set(referral.referralId, expired);
+      return expired;
+    }
+    return referral;
+  }
+
+  // Eligible referrals are screened once more before anything is paid
+  async complete(referral, progress) {
+    const screening = await this.screen(referral);
+
+    if (screening.status === 'held') {
+      const held = {
+        ...referral,
+        status: 'held',
+        eligibilityMet: true,
+        qualifyingRideIds: progress.rideIds,
+        screening,
+        heldAt: new Date().toISOString()
+      };
+      this.referrals.set(referral.referralId, held);
+
+      console.log(`🚩 Referral ${referral.referralId} held for review: ${screening.riskFactors.map(risk => risk.factor).join(', ')}`);
+      return held;
+    }
+
+    return this.pay(referral, progress, screening);
+  }
+
+  pay(referral, progress, screening = referral.screening) {
+    const completedAt = new Date().toISOString();
+    const completed = {
+      ...referral,
+      status: 'completed',
+      eligibilityMet: true,
+      // Set once the referrer's reward transaction is confirmed
+      rewardPaid: false,
+      qualifyingRideIds: progress.rideIds,
+      ...(screening && { screening }),
+      completedAt
+    };
+
+    this.referrals.set(referral.referralId, completed);
+    this.payouts.schedule(completed);
+    // Payouts finish in the background; failures are recorded on the reward and retried
+    this.payouts.payReferral(referral.referralId)
+      .catch(error => console.error(`Referral ${referral.referralId} payout failed:`, error));
+
+    console.log(`🎉 Referral ${referral.referralId} completed after ${progress.completedRides} rides`);
+    return completed;
+  }
+
+  /**
+   * Approve or reject a flagged or held referral. An approved referral that already met its
+   * criteria is completed and paid; a rejected one never pays out.
+   */
+  review(referralId, { decision, reviewedBy, note = null }) {
+    const referral = this.referrals.get(referralId);
+    const underReview = referral && referral.screening &&
+      ['flagged', 'held'].includes(referral.screening.status) &&
+      ['pending', 'held'].includes(referral.status);
+
+    if (!underReview) {
+      const reviewError = new Error(`Referral ${referralId} is not awaiting review`);
+      reviewError.code = 'REFERRAL_NOT_UNDER_REVIEW';
+      throw reviewError;
+    }
+
+    const screening = {
+      ...referral.screening,
+      status: decision === 'approve' ? 'approved' : 'rejected',
+      review: { decision, reviewedBy, note, reviewedAt: new Date().toISOString() }
+    };
+
+    if (decision === 'reject') {
+      const rejected = { ...referral, status: 'rejected', screening, rejectedAt: screening.review.reviewedAt };
+      this.referrals.set(referralId, rejected);
+      return rejected;
+    }
+
+    if (referral.status === 'held') {
+      return this.pay(referral, this.getProgress(referral), screening);
+    }
+
+    const approved = { ...referral, screening };
+    this.referrals.set(referralId, approved);
+    return approved;
+  }
+
+  /**
+   * Re-evaluate the pending referrals of everyone on a just-released escrow
+   */
+  async recordRelease(escrow) {
+    const wallets = [escrow.driverWallet, ...escrow.riders.map(rider => rider.wallet)]
+      .map(wallet => wallet.toLowerCase());
+
+    const referrals = this.referrals.filter(referral => referral.status === 'pending' &&
+      referral.newUserWallet &&
+      wallets.includes(referral.newUserWallet.toLowerCase()));
+
+    const evaluated = [];
+    for (const referral of referrals) {
+      evaluated.push(await this.evaluate(referral));
+    }
+    return evaluated;
+  }
+
+  /**
+   * Evaluate every pending referral; returns the ones that changed status
+   */
+  async sweep(now = new Date()) {
+    // Screenings interrupted by a restart or a failed chain scan
+    await Promise.all(this.referrals
+      .filter(ref => ref.status === 'pending' && screeningPending(ref))
+      .map(ref => this.screenInBackground(ref.referralId)));
+
+    const changed = [];
+    for (const referral of this.referrals.filter(ref => ref.status === 'pending')) {
+      const evaluated = await this.evaluate(referral, now);
+      if (evaluated.status !== 'pending') {
+        changed.push(evaluated);
+      }
+    }
+    return changed;
+  }
+}
+
+module.exports = ReferralEligibilityService;
+module.exports.REFERRAL_CRITERIA = REFERRAL_CRITERIA;
+module.exports.describeCriteria = describeCriteria;
+module.exports.screeningPending = screeningPending;
@@ -0,0 +1,295 @@
+/**
+ * Referral Payouts
+ * Pays referral rewards to the referrer's wallet through the blockchain service. Rewards are
+ * set in USD and paid in REFERRAL_REWARD_CURRENCY, converted at the oracle rate on the first
+ * payout attempt. Each reward is tracked as `pending` while its transaction is in flight (with
+ * its hash once sent), then `confirmed` with the receipt or `failed` with the error; failed
+ * rewards are retried with backoff until the attempts run out. A sent reward is never sent
+ * again until its transaction is known to have reverted or been dropped.
+ */
+
+const { createRepository } = require('../storage');
+const ReferralCodeService = require('./referral-codes');
+const { getBlockchainService } = require('../utils/blockchain-factory');
+const { TOKEN_DECIMALS } = require('../utils/tokens');
+const { FIAT_CURRENCY, createPriceAdapter } = require('./price-oracle');
+const { convertFiat } = require('./price-quotes');
+
+const DEFAULT_RETRY_INTERVAL_MS = 60 * 1000;
+const DEFAULT_RETRY_DELAY_MS = 60 * 1000;
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+// How long a sent reward transaction the node no longer knows may still be mined before the
+// reward is sent again
+const DROPPED_AFTER_MS = 30 * 60 * 1000;
+
+// Payouts in flight in this process, shared by every instance so a reward is never sent twice at once
+const inFlight = new Map();
+
+class ReferralPayoutService {
+  constructor(blockchainService = getBlockchainService(), options = {}) {
+    this.blockchainService = blockchainService;
+    this.rewards = createRepository('referral_rewards');
+    this.referrals = createRepository('referrals');
+    this.codes = new ReferralCodeService();
+    this.configuredCurrency = options.currency;
+    // Created on the first payout, like the currency check, so neither can stop the server starting
+    this.adapter = options.priceAdapter || null;
+    this.intervalMs = options.intervalMs ||
+      parseInt(process.env.REFERRAL_PAYOUT_RETRY_INTERVAL_MS || String(DEFAULT_RETRY_INTERVAL_MS), 10);
+    this.retryDelayMs = options.retryDelayMs ||
+      parseInt(process.env.REFERRAL_PAYOUT_RETRY_DELAY_MS || String(DEFAULT_RETRY_DELAY_MS), 10);
+    this.maxAttempts = options.maxAttempts ||
+      parseInt(process.env.REFERRAL_PAYOUT_MAX_ATTEMPTS || String(DEFAULT_MAX_ATTEMPTS), 10);
+    this.droppedAfterMs = options.droppedAfterMs || DROPPED_AFTER_MS;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    // Rewards a previous run left pending (e.g. a crash while waiting for the transaction)
+    this.retryFailed().catch(error => console.error('Referral payout retry failed:', error));
+
+    this.timer = setInterval(() => {
+      this.retryFailed().catch(error => console.error('Referral payout retry failed:', error));
+    }, this.intervalMs);
+    // Never keep the process alive just for retries
+    this.timer.unref();
+
+    console.log(`🎁 Referral payout retries running every ${this.intervalMs / 1000}s`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Currency rewards are paid in. Required outside tests: an unset currency must not silently
+   * pay USD amounts in ETH, so paying without one fails (and is retried) until it is set.
+   */
+  payoutCurrency() {
+    const currency = this.configuredCurrency || process.env.REFERRAL_REWARD_CURRENCY ||
+      (process.env.NODE_ENV === 'test' ? 'USDC' : null);
+    if (!TOKEN_DECIMALS[currency]) {
+      const error = new Error(`REFERRAL_REWARD_CURRENCY must be one of ${Object.keys(TOKEN_DECIMALS).join(', ')}` +
+        (currency ? ` (got "${currency}")` : ''));
+      error.code = 'REFERRAL_CURRENCY_NOT_CONFIGURED';
+      throw error;
+    }
+    return currency;
+  }
+
+  priceAdapter() {
+    if (!this.adapter) {
+      this.adapter = createPriceAdapter();
+    }
+    return this.adapter;
+  }
+
+  /**
+   * Wallet to pay `userId`'s rewards to: only the one they signed for on a referral code, never
+   * a wallet someone else named in a request
+   */
+  walletOf(userId) {
+    return this.codes.verifiedWalletOf(userId);
+  }
+
+  /**
+   * Record the rewards owed for a completed referral as pending payouts; returns them
+   */
+  schedule(referral) {
+    const createdAt = new Date().toISOString();
+    const reward = (rewardId, level, referrerId, rewardAmount) => ({
+      rewardId,
+      referralId: referral.referralId,
+      referrerId,
+      referrerWallet: this.walletOf(referrerId),
+      newUserId: referral.newUserId,
+      fiatAmount: rewardAmount,
+      fiatCurrency: FIAT_CURRENCY,
+      // Both set once the reward is priced
+      rewardAmount: null,
+      currency: null,
+      level,
+      status: 'pending',
+      attempts: 0,
+      transactionHash: null,
+      createdAt
+    });
+
+    const rewards = [reward(referral.referralId, 1, referral.referrerId, referral.rewardAmount)];
+    if (referral.secondLevel) {
+      const { referrerId, rewardAmount } = referral.secondLevel;
+      rewards.push(reward(`${referral.referralId}:second-level`, 2, referrerId, rewardAmount));
+    }
+
+    rewards.forEach(record => this.rewards.set(record.rewardId, record));
+    return rewards;
+  }
+
+  /**
+   * Pay the pending rewards of a referral, joining payouts already in flight; resolves with the
+   * referral's rewards. Failed rewards are left to retryFailed.
+   */
+  async payReferral(referralId) {
+    const rewards = this.rewards.filter(reward => reward.referralId === referralId);
+    return Promise.all(rewards.map(reward => (reward.status === 'pending' ? this.pay(reward.rewardId) : reward)));
+  }
+
+  // Joins the payout already in flight for this reward rather than sending a second one
+  pay(rewardId) {
+    if (!inFlight.has(rewardId)) {
+      inFlight.set(rewardId, this.submit(rewardId).finally(() => inFlight.delete(rewardId)));
+    }
+    return inFlight.get(rewardId);
+  }
+
+  async submit(rewardId) {
+    const reward = this.rewards.get(rewardId);
+    if (reward.status === 'confirmed') return reward;
+    // Already sent: settle it from its transaction instead of sending a second one
+    if (reward.transactionHash) return this.reconcile(reward);
+
+    const attempt = {
+      ...reward,
+      // The verified wallet at the time of sending, whatever older records stored
+      referrerWallet: this.walletOf(reward.referrerId),
+      status: 'pending',
+      attempts: reward.attempts + 1,
+      lastAttemptAt: new Date().toISOString()
+    };
+    this.rewards.set(rewardId, attempt);
+
+    try {
+      if (!attempt.referrerWallet) {
+        throw new Error(`No verified wallet on file for referrer ${attempt.referrerId}`);
+      }
+      await this.price(attempt);
+
+      const receipt = await this.blockchainService.payReferralReward(attempt, {
+        // Saved before waiting for the receipt, so a crash or timeout from here on is reconciled by hash
+        onSent: (hash) => {
+          attempt.transactionHash = hash;
+          attempt.sentAt = new Date().toISOString();
+          this.rewards.set(rewardId, attempt);
+        }
+      });
+      return this.confirm(attempt, receipt);
+    } catch (error) {
+      if (attempt.transactionHash) {
+        console.error(`Referral reward ${rewardId} failed after sending ${attempt.transactionHash}:`, error.message);
+        return this.reconcile(attempt);
+      }
+      return this.fail(attempt, error.message);
+    }
+  }
+
+  confirm(reward, receipt) {
+    const confirmed = {
+      ...reward,
+      status: 'confirmed',
+      transactionHash: receipt.hash,
+      // Rewards confirmed by reconciliation have only their hash
+      ...(receipt.status && {
+        receipt: { blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed, status: receipt.status }
+      }),
+      paidAt: new Date().toISOString(),
+      error: null,
+      nextAttemptAt: null
+    };
+    this.rewards.set(confirmed.rewardId, confirmed);
+
+    if (confirmed.level === 1) {
+      const referral = this.referrals.get(confirmed.referralId);
+      this.referrals.set(referral.referralId, { ...referral, rewardPaid: true });
+    }
+
+    console.log(`🎁 Referral reward ${confirmed.rewardId} paid to ${confirmed.referrerWallet}: ${receipt.hash}`);
+    return confirmed;
+  }
+
+  fail(reward, reason) {
+    const exhausted = reward.attempts >= this.maxAttempts;
+    const failed = {
+      ...reward,
+      status: 'failed',
+      transactionHash: null,
+      error: reason,
+      // Back off exponentially; no further attempts once the limit is reached
+      nextAttemptAt: exhausted
+        ? null
+        : new Date(Date.now() + this.retryDelayMs * 2 ** (reward.attempts - 1)).toISOString()
+    };
+    this.rewards.set(failed.rewardId, failed);
+
+    console.error(`Referral reward ${failed.rewardId} payout failed (attempt ${failed.attempts}):`, reason);
+    return failed;
+  }
+
+  /**
+   * Confirm or fail a sent reward from what became of its transaction. One still pending on
+   * chain, or that cannot be checked, stays pending for the next retry run.
+   */
+  async reconcile(reward, now = new Date()) {
+    let outcome;
+    try {
+      outcome = await this.blockchainService.getTransactionOutcome(reward.transactionHash);
+    } catch (error) {
+      console.error(`Could not check referral reward ${reward.rewardId}:`, error.message);
+      outcome = 'unknown';
+    }
+
+    if (outcome === 'confirmed') {
+      return this.confirm(reward, { hash: reward.transactionHash });
+    }
+    if (outcome === 'reverted' ||
+      (outcome === 'dropped' && now - new Date(reward.sentAt || reward.lastAttemptAt) >= this.droppedAfterMs)) {
+      return this.fail(reward, `Transaction ${reward.transactionHash} ${outcome}`);
+    }
+    return reward;
+  }
+
+  /**
+   * Convert the reward's USD amount into its payout currency at the oracle rate, once: retries
+   * pay the amount locked on the first attempt
+   */
+  async price(reward) {
+    if (reward.pricedAt) return;
+
+    const currency = reward.currency || this.payoutCurrency();
+    const { rate, source } = await this.priceAdapter().getRate(currency);
+    Object.assign(reward, {
+      currency,
+      rewardAmount: convertFiat(reward.fiatAmount, rate, currency),
+      rate,
+      rateSource: source,
+      pricedAt: new Date().toISOString()
+    });
+    this.rewards.set(reward.rewardId, reward);
+  }
+
+  /**
+   * Retry failed payouts that are due, and recover pending ones no payout in this process is
+   * working on (left by a crash): sent ones are reconciled by hash, unsent ones are paid once
+   * they have waited `retryDelayMs`. Returns the rewards attempted.
+   */
+  async retryFailed(now = new Date()) {
+    const stalled = (reward) => reward.transactionHash ||
+      now - new Date(reward.lastAttemptAt || reward.createdAt) >= this.retryDelayMs;
+    const due = this.rewards.filter(reward => !inFlight.has(reward.rewardId) && (
+      (reward.status === 'failed' && reward.nextAttemptAt && new Date(reward.nextAttemptAt) <= now) ||
+      (reward.status === 'pending' && stalled(reward))));
+
+    const results = [];
+    for (const reward of due) {
+      results.push(await this.pay(reward.rewardId));
+    }
+    return results;
+  }
+}
+
+module.exports = ReferralPayoutService;
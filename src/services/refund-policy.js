@@ -0,0 +1,179 @@
+/**
+ * Cancellation Refund Policy Engine
+ * Splits a cancelled escrow between rider refund, driver cancellation fee and platform fee
+ * using ordered, operator-configurable rules
+ */
+
+const fs = require('fs');
+const { toUnits, fromUnits } = require('../utils/amounts');
+
+/**
+ * Default rules, evaluated top to bottom; the first match wins.
+ *
+ * match fields (all optional, omitted = any):
+ *   milestone                  - furthest milestone reached: initiated | driverAccepted | rideStarted
+ *   cancelledBy                - rider | driver | platform
+ *   market                     - market code from escrow initiation
+ *   minMinutesSinceAcceptance  - inclusive lower bound on minutes since driver acceptance
+ *   maxMinutesSinceAcceptance  - exclusive upper bound on minutes since driver acceptance
+ */
+const DEFAULT_RULES = [
+  {
+    id: 'platform-cancel',
+    match: { cancelledBy: 'platform' },
+    riderRefundPercent: 100,
+    driverFeePercent: 0,
+    platformFeePercent: 0
+  },
+  {
+    id: 'driver-cancel',
+    match: { cancelledBy: 'driver' },
+    riderRefundPercent: 100,
+    driverFeePercent: 0,
+    platformFeePercent: 0
+  },
+  {
+    id: 'rider-cancel-before-acceptance',
+    match: { milestone: 'initiated', cancelledBy: 'rider' },
+    riderRefundPercent: 90,
+    driverFeePercent: 0,
+    platformFeePercent: 10
+  },
+  {
+    id: 'rider-cancel-grace-period',
+    match: { milestone: 'driverAccepted', cancelledBy: 'rider', maxMinutesSinceAcceptance: 2 },
+    riderRefundPercent: 90,
+    driverFeePercent: 0,
+    platformFeePercent: 10
+  },
+  {
+    id: 'rider-cancel-after-acceptance',
+    match: { milestone: 'driverAccepted', cancelledBy: 'rider' },
+    riderRefundPercent: 80,
+    driverFeePercent: 15,
+    platformFeePercent: 5
+  },
+  {
+    id: 'rider-cancel-after-start',
+    match: { milestone: 'rideStarted', cancelledBy: 'rider' },
+    riderRefundPercent: 50,
+    driverFeePercent: 40,
+    platformFeePercent: 10
+  }
+];
+
+// Applied when no configured rule matches
+const FALLBACK_RULE = {
+  id: 'fallback',
+  match: {},
+  riderRefundPercent: 90,
+  driverFeePercent: 0,
+  platformFeePercent: 10
+};
+
+class RefundPolicyEngine {
+  constructor(rules = RefundPolicyEngine.loadRules()) {
+    rules.forEach(rule => RefundPolicyEngine.validateRule(rule));
+    this.rules = rules;
+  }
+
+  /**
+   * Load rules from the JSON file at REFUND_POLICY_PATH, or the defaults
+   */
+  static loadRules() {
+    const policyPath = process.env.REFUND_POLICY_PATH;
+    if (!policyPath) {
+      return DEFAULT_RULES;
+    }
+
+    const config = JSON.parse(fs.readFileSync(policyPath, 'utf8'));
+    return Array.isArray(config) ? config : config.rules;
+  }
+
+  static validateRule(rule) {
+    if (!rule.id) {
+      throw new Error('Refund rule is missing an id');
+    }
+
+    const percents = [rule.riderRefundPercent, rule.driverFeePercent, rule.platformFeePercent];
+    if (percents.some(percent => typeof percent !== 'number' || percent < 0)) {
+      throw new Error(`Refund rule ${rule.id} must define non-negative percentages`);
+    }
+
+    const total = percents.reduce((sum, percent) => sum + percent, 0);
+    if (Math.abs(total - 100) > 1e-9) {
+      throw new Error(`Refund rule ${rule.id} percentages must add up to 100 (got ${total})`);
+    }
+  }
+
+  /**
+   * Furthest cancellable milestone the escrow has reached
+   */
+  static currentMilestone(escrow) {
+    if (escrow.milestones.rideStarted) return 'rideStarted';
+    if (escrow.milestones.driverAccepted) return 'driverAccepted';
+    return 'initiated';
+  }
+
+  static minutesSinceAcceptance(escrow, now) {
+    if (!escrow.acceptedAt) return null;
+    return (now.getTime() - new Date(escrow.acceptedAt).getTime()) / (60 * 1000);
+  }
+
+  matches(rule, context) {
+    const { match = {} } = rule;
+
+    if (match.milestone && match.milestone !== context.milestone) return false;
+    if (match.cancelledBy && match.cancelledBy !== context.cancelledBy) return false;
+    if (match.market && match.market !== context.market) return false;
+
+    if (match.minMinutesSinceAcceptance !== undefined || match.maxMinutesSinceAcceptance !== undefined) {
+      const elapsed = context.minutesSinceAcceptance;
+      if (elapsed === null) return false;
+      if (match.minMinutesSinceAcceptance !== undefined && elapsed < match.minMinutesSinceAcceptance) return false;
+      if (match.maxMinutesSinceAcceptance !== undefined && elapsed >= match.maxMinutesSinceAcceptance) return false;
+    }
+
+    return true;
+  }
+
+  findRule(context) {
+    return this.rules.find(rule => this.matches(rule, context)) || FALLBACK_RULE;
+  }
+
+  /**
+   * Calculate the cancellation breakdown for an escrow
+   */
+  calculate(escrow, cancelledBy, now = new Date()) {
+    const context = {
+      milestone: RefundPolicyEngine.currentMilestone(escrow),
+      cancelledBy,
+      market: escrow.market || 'default',
+      minutesSinceAcceptance: RefundPolicyEngine.minutesSinceAcceptance(escrow, now)
+    };
+    const rule = this.findRule(context);
+
+    // Work in wei-style integer units so the three parts always add up to the escrow amount
+    const total = toUnits(escrow.amount);
+    const share = (percent) => (total * BigInt(Math.round(percent * 100))) / 10000n;
+    const riderRefund = share(rule.riderRefundPercent);
+    const driverFee = share(rule.driverFeePercent);
+    const platformFee = total - riderRefund - driverFee;
+
+    return {
+      ruleId: rule.id,
+      cancelledBy,
+      milestone: context.milestone,
+      market: context.market,
+      minutesSinceAcceptance: context.minutesSinceAcceptance === null
+        ? null
+        : Math.floor(context.minutesSinceAcceptance),
+      riderRefund: fromUnits(riderRefund),
+      driverFee: fromUnits(driverFee),
+      platformFee: fromUnits(platformFee)
+    };
+  }
+}
+
+module.exports = RefundPolicyEngine;
+module.exports.DEFAULT_RULES = DEFAULT_RULES;
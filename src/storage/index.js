@@ -0,0 +1,48 @@
+const path = require('path');
+const { MemoryStorage } = require('./memory');
+const { SqliteStorage } = require('./sqlite');
+
+let storage = null;
+
+/**
+ * Factory to create the storage backend based on environment
+ */
+function createStorage() {
+  const driver = process.env.STORAGE_DRIVER || 'sqlite';
+
+  if (driver === 'memory') {
+    console.log('🗂️  Initializing IN-MEMORY storage');
+    return new MemoryStorage();
+  }
+
+  if (driver === 'sqlite') {
+    const filename = process.env.DATABASE_PATH || path.join(process.cwd(), 'data', 'bridge.db');
+    console.log(`🗄️  Initializing SQLite storage at ${filename}`);
+    return new SqliteStorage(filename);
+  }
+
+  throw new Error(`Unsupported storage driver: ${driver}`);
+}
+
+function getStorage() {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+}
+
+/**
+ * Get the repository for a collection (e.g. 'escrows', 'policies')
+ */
+function createRepository(collection) {
+  return getStorage().repository(collection);
+}
+
+function closeStorage() {
+  if (storage) {
+    storage.close();
+    storage = null;
+  }
+}
+
+module.exports = { getStorage, createRepository, closeStorage };
@@ -0,0 +1,75 @@
+/**
+ * In-memory storage backend
+ * Keeps records in Maps for tests and throwaway demo runs
+ */
+
+const clone = (record) => (record === undefined ? undefined : JSON.parse(JSON.stringify(record)));
+
+class MemoryRepository {
+  constructor(collection) {
+    this.collection = collection;
+    this.records = new Map();
+  }
+
+  get(id) {
+    return clone(this.records.get(id));
+  }
+
+  set(id, record) {
+    // Store a copy so callers must save mutations, same as the SQLite backend
+    this.records.set(id, clone(record));
+    return record;
+  }
+
+  has(id) {
+    return this.records.has(id);
+  }
+
+  delete(id) {
+    return this.records.delete(id);
+  }
+
+  values() {
+    return Array.from(this.records.values()).map(clone);
+  }
+
+  find(predicate) {
+    return this.values().find(predicate);
+  }
+
+  filter(predicate) {
+    return this.values().filter(predicate);
+  }
+
+  count() {
+    return this.records.size;
+  }
+
+  clear() {
+    this.records.clear();
+  }
+}
+
+class MemoryStorage {
+  constructor() {
+    this.driver = 'memory';
+    this.repositories = new Map();
+  }
+
+  repository(collection) {
+    if (!this.repositories.has(collection)) {
+      this.repositories.set(collection, new MemoryRepository(collection));
+    }
+    return this.repositories.get(collection);
+  }
+
+  transaction(fn) {
+    return fn();
+  }
+
+  close() {
+    this.repositories.clear();
+  }
+}
+
+module.exports = { MemoryStorage, MemoryRepository };
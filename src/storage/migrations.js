@@ -0,0 +1,110 @@
+/**
+ * SQLite schema migrations
+ * Append new migrations to the end of the list; never edit one that has shipped
+ */
+
+// Every collection is a table of JSON documents keyed by the record id
+function createCollection(db, name) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS ${name} (
+      id TEXT PRIMARY KEY,
+      data TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_${name}_created_at ON ${name} (created_at);
+  `);
+}
+
+const migrations = [
+  {
+    version: 1,
+    name: 'initial_collections',
+    up: (db) => {
+      [
+        'escrows',
+        'pool_contributions',
+        'policies',
+        'driver_profiles',
+        'claims',
+        'claim_documents',
+        'claim_reviews',
+        'reviews',
+        'review_votes',
+        'jurors',
+        'juror_assignments',
+        'juror_votes',
+        'validators',
+        'payouts',
+        'emergency_fund',
+        'referrals',
+        'referral_rewards'
+      ].forEach(name => createCollection(db, name));
+    }
+  },
+  {
+    version: 2,
+    name: 'signature_nonces',
+    up: (db) => createCollection(db, 'signature_nonces')
+  },
+  {
+    version: 3,
+    name: 'idempotency_keys',
+    up: (db) => createCollection(db, 'idempotency_keys')
+  },
+  {
+    version: 4,
+    name: 'escrow_events',
+    up: (db) => createCollection(db, 'escrow_events')
+  },
+  {
+    version: 5,
+    name: 'price_quotes',
+    up: (db) => createCollection(db, 'price_quotes')
+  },
+  {
+    version: 6,
+    name: 'driver_settlement',
+    up: (db) => {
+      createCollection(db, 'driver_earnings');
+      createCollection(db, 'settlement_batches');
+    }
+  },
+  {
+    version: 7,
+    name: 'referral_campaigns',
+    up: (db) => createCollection(db, 'referral_campaigns')
+  },
+  {
+    version: 8,
+    name: 'referral_codes',
+    up: (db) => createCollection(db, 'referral_codes')
+  },
+  {
+    version: 9,
+    name: 'device_fingerprints',
+    up: (db) => createCollection(db, 'device_fingerprints')
+  },
+  {
+    version: 10,
+    name: 'pool_snapshots',
+    up: (db) => createCollection(db, 'pool_snapshots')
+  },
+  {
+    version: 11,
+    name: 'pool_withdrawals',
+    up: (db) => createCollection(db, 'pool_withdrawals')
+  },
+  {
+    version: 12,
+    name: 'escrow_event_sequences',
+    up: (db) => createCollection(db, 'escrow_event_sequences')
+  },
+  {
+    version: 13,
+    name: 'pool_reserves',
+    up: (db) => createCollection(db, 'pool_reserves')
+  }
+];
+
+module.exports = { migrations, createCollection };
@@ -0,0 +1,148 @@
+/**
+ * Embedded SQLite storage backend
+ * Persists every collection to a single database file and applies schema migrations on open
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { migrations: defaultMigrations } = require('./migrations');
+
+class SqliteRepository {
+  constructor(db, collection) {
+    this.collection = collection;
+    this.statements = {
+      get: db.prepare(`SELECT data FROM ${collection} WHERE id = ?`),
+      upsert: db.prepare(`
+        INSERT INTO ${collection} (id, data, created_at, updated_at)
+        VALUES (@id, @data, @now, @now)
+        ON CONFLICT(id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+      `),
+      delete: db.prepare(`DELETE FROM ${collection} WHERE id = ?`),
+      all: db.prepare(`SELECT data FROM ${collection} ORDER BY created_at, rowid`),
+      count: db.prepare(`SELECT COUNT(*) AS count FROM ${collection}`),
+      clear: db.prepare(`DELETE FROM ${collection}`)
+    };
+  }
+
+  get(id) {
+    const row = this.statements.get.get(id);
+    return row ? JSON.parse(row.data) : undefined;
+  }
+
+  set(id, record) {
+    this.statements.upsert.run({
+      id,
+      data: JSON.stringify(record),
+      now: new Date().toISOString()
+    });
+    return record;
+  }
+
+  has(id) {
+    return this.statements.get.get(id) !== undefined;
+  }
+
+  delete(id) {
+    return this.statements.delete.run(id).changes > 0;
+  }
+
+  values() {
+    return this.statements.all.all().map(row => JSON.parse(row.data));
+  }
+
+  find(predicate) {
+    return this.values().find(predicate);
+  }
+
+  filter(predicate) {
+    return this.values().filter(predicate);
+  }
+
+  count() {
+    return this.statements.count.get().count;
+  }
+
+  clear() {
+    this.statements.clear.run();
+  }
+}
+
+class SqliteStorage {
+  constructor(filename, { migrations = defaultMigrations } = {}) {
+    if (filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(filename), { recursive: true });
+    }
+
+    this.driver = 'sqlite';
+    this.filename = filename;
+    this.db = new Database(filename);
+    this.db.pragma('journal_mode = WAL');
+    this.repositories = new Map();
+
+    this.migrate(migrations);
+  }
+
+  migrate(migrations) {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+      )
+    `);
+
+    const applied = new Set(
+      this.db.prepare('SELECT version FROM schema_migrations').all().map(row => row.version)
+    );
+    const record = this.db.prepare(
+      'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)'
+    );
+
+    const pending = migrations
+      .filter(migration => !applied.has(migration.version))
+      .sort((a, b) => a.version - b.version);
+
+    pending.forEach(migration => {
+      this.db.transaction(() => {
+        migration.up(this.db);
+        record.run(migration.version, migration.name, new Date().toISOString());
+      })();
+    });
+
+    return pending.map(migration => migration.version);
+  }
+
+  getSchemaVersion() {
+    const row = this.db.prepare('SELECT MAX(version) AS version FROM schema_migrations').get();
+    return row.version || 0;
+  }
+
+  repository(collection) {
+    if (!/^[a-z][a-z0-9_]*$/.test(collection)) {
+      throw new Error(`Invalid collection name: ${collection}`);
+    }
+
+    if (!this.repositories.has(collection)) {
+      const table = this.db
+        .prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?")
+        .get(collection);
+      if (!table) {
+        throw new Error(`Unknown collection: ${collection}. Add a migration that creates it.`);
+      }
+      this.repositories.set(collection, new SqliteRepository(this.db, collection));
+    }
+    return this.repositories.get(collection);
+  }
+
+  transaction(fn) {
+    return this.db.transaction(fn)();
+  }
+
+  close() {
+    this.repositories.clear();
+    this.db.close();
+  }
+}
+
+module.exports = { SqliteStorage, SqliteRepository };
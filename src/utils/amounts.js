@@ -0,0 +1,49 @@
+const { ethers } = require('ethers');
+
+// Escrow amounts are decimal strings with up to 18 places (see validation.js);
+// arithmetic happens on integer units so splits never lose or invent dust.
+const AMOUNT_DECIMALS = 18;
+
+const toUnits = (amount) => ethers.parseUnits(String(amount), AMOUNT_DECIMALS);
+
+const fromUnits = (units) => ethers.formatUnits(units, AMOUNT_DECIMALS);
+
+const addAmounts = (...amounts) => fromUnits(amounts.reduce((sum, amount) => sum + toUnits(amount), 0n));
+
+const subtractAmounts = (amount, ...amounts) => fromUnits(
+  amounts.reduce((rest, part) => rest - toUnits(part), toUnits(amount))
+);
+
+const compareAmounts = (a, b) => {
+  const diff = toUnits(a) - toUnits(b);
+  return diff === 0n ? 0 : diff > 0n ? 1 : -1;
+};
+
+/**
+ * Split `total` in proportion to `weights` (amount strings). Rounding dust goes to the
+ * last part so the parts always add up to `total`.
+ */
+const splitAmount = (total, weights) => {
+  const totalUnits = toUnits(total);
+  const weightUnits = weights.map(toUnits);
+  const weightSum = weightUnits.reduce((sum, weight) => sum + weight, 0n);
+
+  let allocated = 0n;
+  return weightUnits.map((weight, index) => {
+    const part = index === weightUnits.length - 1
+      ? totalUnits - allocated
+      : weightSum === 0n ? 0n : (totalUnits * weight) / weightSum;
+    allocated += part;
+    return fromUnits(part);
+  });
+};
+
+module.exports = {
+  AMOUNT_DECIMALS,
+  toUnits,
+  fromUnits,
+  addAmounts,
+  subtractAmounts,
+  compareAmounts,
+  splitAmount
+};
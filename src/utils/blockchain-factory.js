@@ -16,4 +16,17 @@ function createBlockchainService() {
   }
 }
 
-module.exports = { createBlockchainService };
\ No newline at end of file
+let shared = null;
+
+/**
+ * The process's blockchain service, created on first use. Routes and background services share
+ * it, so on a real chain there is one signer wallet and one nonce sequence.
+ */
+function getBlockchainService() {
+  if (!shared) {
+    shared = createBlockchainService();
+  }
+  return shared;
+}
+
+module.exports = { createBlockchainService, getBlockchainService };
\ No newline at end of file
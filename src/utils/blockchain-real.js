@@ -1,9 +1,39 @@
 const { ethers } = require('ethers');
+const { BlockchainService } = require('./blockchain');
+const { ERC20_ABI, isNativeCurrency, getTokenConfig, toTokenUnits } = require('./tokens');
+const { loadArtifact } = require('./contracts');
+const { addAmounts, compareAmounts } = require('./amounts');
 
-class RealBlockchainService {
+// What the riders paid into a token hold: their funded shares plus tips and fare top-ups
+// deposited before release (later tips are passed straight on to the driver)
+function heldAmount(escrow) {
+  const shares = escrow.riders.filter(rider => rider.funded).map(rider => rider.share);
+  const deposits = escrow.adjustments
+    .filter(adjustment => adjustment.deposit && adjustment.status === 'approved')
+    .map(adjustment => adjustment.deposit.amount);
+  return addAmounts('0', ...shares, ...deposits);
+}
+
+// Referral screening scans at most this many blocks, whatever FUNDING_LOOKBACK_BLOCKS says
+const MAX_FUNDING_LOOKBACK_BLOCKS = 10000;
+// Blocks this deep are cached by the transfer scan; shallower ones may still be reorganized
+const SCAN_CACHE_CONFIRMATIONS = 12;
+
+// ETH transfers ({ from, to, value, hash }) of scanned blocks, per network and block number,
+// shared by every service instance so later scans only fetch blocks they have not seen
+const scannedBlocks = new Map();
+
+/**
+ * Real chain service. Escrow state, milestones, signatures and refund rules come from
+ * BlockchainService; funds are held in a SimpleEscrow contract per ride (ETH) or in the
+ * bridge wallet (USDC/DAI) and moved on-chain on release and cancel.
+ */
+class RealBlockchainService extends BlockchainService {
   constructor() {
+    super();
     this.initializeProvider();
     this.initializeWallet();
+    this.tokens = {};
   }
 
   initializeProvider() {
@@ -25,12 +55,12 @@ class RealBlockchainService {
       
       // Local development
       hardhat: {
-        url: 'http://localhost:8545',
+        url: process.env.HARDHAT_RPC_URL || 'http://localhost:8545',
         chainId: 31337,
         name: 'Hardhat Network'
       },
       ganache: {
-        url: 'http://localhost:7545',
+        url: process.env.GANACHE_RPC_URL || 'http://localhost:7545',
         chainId: 1337,
         name: 'Ganache'
       },
@@ -60,8 +90,10 @@ class RealBlockchainService {
       throw new Error(`Unsupported network: ${networkName}`);
     }
 
-    this.provider = new ethers.JsonRpcProvider(config.url);
+    // No request cache: back-to-back transactions must see fresh nonces and balances
+    this.provider = new ethers.JsonRpcProvider(config.url, undefined, { cacheTimeout: -1 });
     this.network = config;
+    this.networkName = networkName;
     
     console.log(`🔗 Connected to ${config.name} (Chain ID: ${config.chainId})`);
   }
@@ -83,84 +115,74 @@ class RealBlockchainService {
     }
   }
 
-  async deployEscrowContract(riderWallet, driverWallet, amount) {
+  async deployContract(contractName, args = [], overrides = {}) {
     if (!this.wallet) {
       throw new Error('Wallet required for contract deployment');
     }
 
-    // Simple escrow contract bytecode (would normally be compiled from Solidity)
-    const escrowContractCode = `
-      pragma solidity ^0.8.20;
-      contract SimpleEscrow {
-        address public rider;
-        address public driver;
-        uint256 public amount;
-        bool public released;
-        bool public cancelled;
-        
-        constructor(address _rider, address _driver) payable {
-          rider = _rider;
-          driver = _driver;
-          amount = msg.value;
-        }
-        
-        function release() external {
-          require(msg.sender == rider, "Only rider can release");
-          require(!released && !cancelled, "Already processed");
-          released = true;
-          payable(driver).transfer(amount);
-        }
-        
-        function cancel() external {
-          require(msg.sender == rider || msg.sender == driver, "Unauthorized");
-          require(!released && !cancelled, "Already processed");
-          cancelled = true;
-          payable(rider).transfer(amount);
-        }
-      }
-    `;
+    const { abi, bytecode } = loadArtifact(contractName);
+    const factory = new ethers.ContractFactory(abi, bytecode, this.wallet);
+    const contract = await factory.deploy(...args, overrides);
+    const receipt = await contract.deploymentTransaction().wait();
 
-    // For demo purposes, we'll create a mock deployment
-    const escrowAddress = ethers.Wallet.createRandom().address;
-    
     return {
-      address: escrowAddress,
-      transactionHash: ethers.keccak256(ethers.toUtf8Bytes(`deploy-${Date.now()}`)),
-      blockNumber: await this.provider.getBlockNumber(),
-      gasUsed: '21000'
+      address: await contract.getAddress(),
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString()
     };
   }
 
+  // Deploys contracts/SimpleEscrow.sol funded with the ride amount
+  async deployEscrowContract(riderWallet, driverWallet, amount) {
+    return this.deployContract('SimpleEscrow', [riderWallet, driverWallet], {
+      value: ethers.parseEther(String(amount))
+    });
+  }
+
   async deployInsurancePoolContract() {
-    if (!this.wallet) {
-      throw new Error('Wallet required for contract deployment');
-    }
+    return this.deployContract('InsurancePool');
+  }
 
-    // Mock deployment of insurance pool contract
-    const poolAddress = ethers.Wallet.createRandom().address;
-    
-    return {
-      address: poolAddress,
-      transactionHash: ethers.keccak256(ethers.toUtf8Bytes(`pool-deploy-${Date.now()}`)),
-      blockNumber: await this.provider.getBlockNumber(),
-      gasUsed: '150000'
-    };
+  getEscrowContract(escrowAddress) {
+    return new ethers.Contract(escrowAddress, loadArtifact('SimpleEscrow').abi, this.wallet);
+  }
+
+  async callEscrowContract(escrowAddress, method, ...args) {
+    try {
+      const transaction = await this.getEscrowContract(escrowAddress)[method](...args);
+      const receipt = await transaction.wait();
+
+      return {
+        hash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString(),
+        status: receipt.status === 1 ? 'success' : 'failed'
+      };
+    } catch (error) {
+      const blockchainError = new Error(`SimpleEscrow.${method} failed: ${error.shortMessage || error.message}`);
+      blockchainError.code = 'BLOCKCHAIN_ERROR';
+      throw blockchainError;
+    }
   }
 
-  async sendTransaction(to, value, data = '0x') {
+  async sendTransaction(to, value, data = '0x', { onSent } = {}) {
     if (!this.wallet) {
       throw new Error('Wallet required for transactions');
     }
 
+    // Gas is estimated: contract recipients such as InsurancePool need more than 21000
     const tx = {
       to,
       value: ethers.parseEther(value.toString()),
-      data,
-      gasLimit: 21000
+      data
     };
 
     try {
       const transaction = await this.wallet.sendTransaction(tx);
+      if (onSent) {
+        await onSent(transaction.hash);
+      }
       const receipt = await transaction.wait();
       
       return {
@@ -174,9 +196,118 @@ class RealBlockchainService {
     }
   }
 
-  async getBalance(address) {
-    const balance = await this.provider.getBalance(address);
-    return ethers.formatEther(balance);
+  /**
+   * ERC-20 contract and on-chain decimals for a currency (USDC, DAI), cached per service
+   */
+  async getToken(currency) {
+    if (!this.tokens[currency]) {
+      const config = getTokenConfig(this.networkName, currency);
+      const contract = new ethers.Contract(config.address, ERC20_ABI, this.wallet || this.provider);
+      const decimals = Number(await contract.decimals());
+
+      if (decimals !== config.decimals) {
+        console.warn(`⚠️  ${currency} at ${config.address} reports ${decimals} decimals, expected ${config.decimals}`);
+      }
+
+      this.tokens[currency] = { ...config, decimals, contract };
+    }
+
+    return this.tokens[currency];
+  }
+
+  async getBalance(address, currency = 'ETH') {
+    if (isNativeCurrency(currency)) {
+      const balance = await this.provider.getBalance(address);
+      return ethers.formatEther(balance);
+    }
+
+    const token = await this.getToken(currency);
+    const balance = await token.contract.balanceOf(address);
+    return ethers.formatUnits(balance, token.decimals);
+  }
+
+  async ensureBalance(address, amount, currency = 'ETH') {
+    const balance = await this.getBalance(address, currency);
+    const decimals = isNativeCurrency(currency) ? 18 : (await this.getToken(currency)).decimals;
+
+    if (ethers.parseUnits(balance, decimals) < toTokenUnits(amount, decimals)) {
+      const fundsError = new Error(`${address} holds ${balance} ${currency}, needs ${amount}`);
+      fundsError.code = 'INSUFFICIENT_FUNDS';
+      throw fundsError;
+    }
+  }
+
+  /**
+   * Send tokens from the bridge wallet. `onSent(hash)` runs once the transfer is broadcast.
+   */
+  async transferToken(to, amount, currency, { onSent } = {}) {
+    if (!this.wallet) {
+      throw new Error('Wallet required for transactions');
+    }
+
+    const token = await this.getToken(currency);
+    await this.ensureBalance(this.wallet.address, amount, currency);
+
+    try {
+      const transaction = await token.contract.transfer(to, toTokenUnits(amount, token.decimals));
+      if (onSent) {
+        await onSent(transaction.hash);
+      }
+      const receipt = await transaction.wait();
+
+      return {
+        hash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString(),
+        status: receipt.status === 1 ? 'success' : 'failed'
+      };
+    } catch (error) {
+      throw new Error(`Token transfer failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Pull tokens from `owner` into the bridge wallet. The owner must either have approved
+   * the bridge wallet for at least `amount`, or pass an EIP-2612 permit ({ deadline, signature })
+   * which is submitted before the transferFrom.
+   */
+  async collectToken(owner, amount, currency, permit = null) {
+    if (!this.wallet) {
+      throw new Error('Wallet required for transactions');
+    }
+
+    const token = await this.getToken(currency);
+    const value = toTokenUnits(amount, token.decimals);
+    await this.ensureBalance(owner, amount, currency);
+
+    const allowance = await token.contract.allowance(owner, this.wallet.address);
+    if (allowance < value) {
+      if (!permit) {
+        const allowanceError = new Error(
+          `Approve ${this.wallet.address} to spend ${amount} ${currency} or provide a permit signature`
+        );
+        allowanceError.code = 'INSUFFICIENT_ALLOWANCE';
+        throw allowanceError;
+      }
+
+      const { v, r, s } = ethers.Signature.from(permit.signature);
+      const permitTx = await token.contract.permit(owner, this.wallet.address, value, permit.deadline, v, r, s);
+      await permitTx.wait();
+    }
+
+    try {
+      const transaction = await token.contract.transferFrom(owner, this.wallet.address, value);
+      const receipt = await transaction.wait();
+
+      return {
+        hash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString(),
+        status: receipt.status === 1 ? 'success' : 'failed'
+      };
+    } catch (error) {
+      throw new Error(`Token transfer failed: ${error.message}`);
+    }
   }
 
   async getGasPrice() {
@@ -207,53 +338,419 @@ class RealBlockchainService {
   }
 
   // Integration with existing mock interface
-  async createEscrow(rideId, riderWallet, driverWallet, amount, currency = 'ETH') {
-    // Deploy actual escrow contract
-    const deployment = await this.deployEscrowContract(riderWallet, driverWallet, amount);
-    
-    const escrow = {
-      rideId,
-      escrowAddress: deployment.address,
-      riderWallet,
-      driverWallet,
-      amount,
-      currency,
-      status: 'active',
-      transactionHash: deployment.transactionHash,
-      blockNumber: deployment.blockNumber,
-      createdAt: new Date().toISOString(),
-      milestones: {
-        initiated: true,
-        contractDeployed: true,
-        driverAccepted: false,
-        rideStarted: false,
-        rideCompleted: false,
-        paymentReleased: false
-      }
-    };
+  async createEscrow(rideId, riderWallet, driverWallet, amount, currency = 'ETH', market = 'default', options = {}) {
+    const { riders, scheduledPickupAt } = options;
+    if (Array.isArray(riders) && riders.length > 0) {
+      const splitError = new Error('Split-fare escrows are not supported on-chain yet');
+      splitError.name = 'ValidationError';
+      throw splitError;
+    }
+
+    if (scheduledPickupAt) {
+      const scheduledError = new Error('Scheduled rides are not supported on-chain yet');
+      scheduledError.name = 'ValidationError';
+      throw scheduledError;
+    }
+
+    const escrow = await super.createEscrow(rideId, riderWallet, driverWallet, amount, currency, market, options);
+    escrow.milestones.contractDeployed = true;
 
+    this.escrows.set(rideId, escrow);
     return escrow;
   }
 
-  async contributeToInsurance(contributor, amount) {
-    // Send actual transaction to insurance pool contract
-    const poolAddress = process.env.INSURANCE_POOL_ADDRESS;
-    
-    if (!poolAddress) {
-      throw new Error('Insurance pool contract not deployed');
-    }
+  // Token escrows are held by the bridge wallet; ETH escrows get their own contract
+  async deployEscrow({ riderWallet, driverWallet, amount, currency, permit }) {
+    return isNativeCurrency(currency)
+      ? this.deployEscrowContract(riderWallet, driverWallet, amount)
+      : this.fundTokenEscrow(riderWallet, amount, currency, permit);
+  }
+
+  async fundTokenEscrow(riderWallet, amount, currency, permit) {
+    const token = await this.getToken(currency);
+    const tx = await this.collectToken(riderWallet, amount, currency, permit);
 
-    const tx = await this.sendTransaction(poolAddress, amount);
-    
     return {
-      contributor,
-      amount,
+      address: this.wallet.address,
+      tokenAddress: token.address,
       transactionHash: tx.hash,
       blockNumber: tx.blockNumber,
-      gasUsed: tx.gasUsed,
-      timestamp: new Date().toISOString()
+      gasUsed: tx.gasUsed
     };
   }
+
+  /**
+   * Tip and fare top-up deposits come from the rider, like the initial funding: USDC/DAI are
+   * pulled into the bridge wallet; ETH is sent by the rider to the escrow contract (or to the
+   * bridge wallet once the escrow is released) and confirmed here by its transaction hash
+   */
+  async collectDeposit(escrow, { wallet, amount, transactionHash, permit }) {
+    if (!isNativeCurrency(escrow.currency)) {
+      return this.collectToken(wallet, amount, escrow.currency, permit);
+    }
+
+    if (!transactionHash) {
+      const hashError = new Error(`Send ${amount} ETH from ${wallet} and pass its transactionHash to confirm the deposit`);
+      hashError.name = 'ValidationError';
+      throw hashError;
+    }
+
+    const recipient = escrow.status === 'active' ? escrow.escrowAddress : this.wallet.address;
+    return this.confirmTransfer(transactionHash, { from: wallet, to: recipient, amount });
+  }
+
+  // 'confirmed' or 'reverted' once mined, 'pending' while the node still has it, else 'dropped'
+  async getTransactionOutcome(transactionHash) {
+    const receipt = await this.provider.getTransactionReceipt(transactionHash);
+    if (receipt) {
+      return receipt.status === 1 ? 'confirmed' : 'reverted';
+    }
+    return (await this.provider.getTransaction(transactionHash)) ? 'pending' : 'dropped';
+  }
+
+  // Check that a mined ETH transfer moved exactly `amount` from `from` to `to`
+  async confirmTransfer(transactionHash, { from, to, amount }) {
+    const [transaction, receipt] = await Promise.all([
+      this.provider.getTransaction(transactionHash),
+      this.provider.getTransactionReceipt(transactionHash)
+    ]);
+
+    if (!transaction || !receipt || receipt.status !== 1) {
+      const pendingError = new Error(`Transaction ${transactionHash} is not confirmed`);
+      pendingError.code = 'DEPOSIT_NOT_CONFIRMED';
+      throw pendingError;
+    }
+
+    if (transaction.from.toLowerCase() !== from.toLowerCase() ||
+      !transaction.to || transaction.to.toLowerCase() !== to.toLowerCase() ||
+      transaction.value !== ethers.parseEther(amount)) {
+      const mismatchError = new Error(`Transaction ${transactionHash} is not a ${amount} ETH transfer from ${from} to ${to}`);
+      mismatchError.name = 'ValidationError';
+      throw mismatchError;
+    }
+
+    return {
+      hash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString(),
+      status: 'success'
+    };
+  }
+
+  // A tip deposited after release is held by the bridge wallet until it is passed on here
+  async payTip(escrow, tip) {
+    return isNativeCurrency(escrow.currency)
+      ? this.sendTransaction(escrow.driverWallet, tip.amount)
+      : this.transferToken(escrow.driverWallet, tip.amount, escrow.currency);
+  }
+
+  /**
+   * Called by BlockchainService after it has checked the state and worked out the
+   * settlement, before the escrow is saved; a failed transaction leaves the record untouched.
+   */
+  async settleRelease(escrow) {
+    const { driverPayout, riderRefund, batched } = escrow.settlement;
+
+    await this.ensureEscrowFunded(escrow);
+
+    // Batched driver payouts stay with the bridge wallet until the next settlement batch
+    if (isNativeCurrency(escrow.currency)) {
+      escrow.releaseTransactionHash = (await this.callEscrowContract(
+        escrow.escrowAddress,
+        batched ? 'releaseToOperator' : 'release',
+        ethers.parseEther(driverPayout)
+      )).hash;
+    } else if (batched) {
+      escrow.releaseTransactionHash = compareAmounts(riderRefund, '0') > 0
+        ? (await this.transferToken(escrow.riderWallet, riderRefund, escrow.currency)).hash
+        : null;
+    } else {
+      escrow.releaseTransactionHash = (await this.transferToken(escrow.driverWallet, driverPayout, escrow.currency)).hash;
+      if (compareAmounts(riderRefund, '0') > 0) {
+        await this.transferToken(escrow.riderWallet, riderRefund, escrow.currency);
+      }
+    }
+  }
+
+  async settleCancellation(escrow) {
+    const { riderRefund, driverFee } = escrow.refundBreakdown;
+    await this.ensureEscrowFunded(escrow);
+
+    if (isNativeCurrency(escrow.currency)) {
+      escrow.cancelTransactionHash = (await this.callEscrowContract(
+        escrow.escrowAddress,
+        'cancel',
+        ethers.parseEther(riderRefund),
+        ethers.parseEther(driverFee)
+      )).hash;
+    } else {
+      // The platform fee stays in the bridge wallet
+      escrow.cancelTransactionHash = (await this.transferToken(escrow.riderWallet, riderRefund, escrow.currency)).hash;
+      if (compareAmounts(driverFee, '0') > 0) {
+        await this.transferToken(escrow.driverWallet, driverFee, escrow.currency);
+      }
+    }
+  }
+
+  // Token escrows are paid from the bridge wallet, so only ETH escrow contracts need updating
+  async settleReassignment(escrow) {
+    if (!isNativeCurrency(escrow.currency)) {
+      return null;
+    }
+
+    return (await this.callEscrowContract(escrow.escrowAddress, 'reassignDriver', escrow.driverWallet)).hash;
+  }
+
+  /**
+   * Pay a settlement batch through the BatchPayout contract: ETH is sent with the call,
+   * tokens are pulled from the bridge wallet after approving the contract. `onSent(hash)` is
+   * called as soon as the transaction is broadcast, before waiting for it to be mined.
+   */
+  async payoutBatch(batch, { onSent } = {}) {
+    if (!this.wallet) {
+      throw new Error('Wallet required for transactions');
+    }
+
+    const batchPayout = new ethers.Contract(
+      await this.getBatchPayoutAddress(),
+      loadArtifact('BatchPayout').abi,
+      this.wallet
+    );
+    const batchId = ethers.id(batch.batchId);
+    const recipients = batch.payouts.map(payout => payout.driverWallet);
+    await this.ensureBalance(this.wallet.address, batch.totalAmount, batch.currency);
+
+    try {
+      let transaction;
+      if (isNativeCurrency(batch.currency)) {
+        const amounts = batch.payouts.map(payout => ethers.parseEther(payout.amount));
+        transaction = await batchPayout.payETH(batchId, recipients, amounts, {
+          value: amounts.reduce((sum, value) => sum + value, 0n)
+        });
+      } else {
+        const token = await this.getToken(batch.currency);
+        const amounts = batch.payouts.map(payout => toTokenUnits(payout.amount, token.decimals));
+        const total = amounts.reduce((sum, value) => sum + value, 0n);
+
+        const spender = await batchPayout.getAddress();
+        if (await token.contract.allowance(this.wallet.address, spender) < total) {
+          await (await token.contract.approve(spender, total)).wait();
+        }
+        transaction = await batchPayout.payToken(batchId, token.address, recipients, amounts);
+      }
+
+      if (onSent) {
+        await onSent(transaction.hash);
+      }
+      return (await transaction.wait()).hash;
+    } catch (error) {
+      const blockchainError = new Error(`BatchPayout failed: ${error.shortMessage || error.message}`);
+      blockchainError.code = 'BLOCKCHAIN_ERROR';
+      throw blockchainError;
+    }
+  }
+
+  // `onSent(hash)` runs once the transfer is broadcast, before waiting for it to be mined
+  async payReferralReward(reward, { onSent } = {}) {
+    if (!this.wallet) {
+      throw new Error('Wallet required for transactions');
+    }
+
+    let receipt;
+    if (isNativeCurrency(reward.currency)) {
+      await this.ensureBalance(this.wallet.address, reward.rewardAmount, reward.currency);
+      receipt = await this.sendTransaction(reward.referrerWallet, reward.rewardAmount, '0x', { onSent });
+    } else {
+      receipt = await this.transferToken(reward.referrerWallet, reward.rewardAmount, reward.currency, { onSent });
+    }
+
+    if (receipt.status !== 'success') {
+      throw new Error(`Referral reward transaction ${receipt.hash} reverted`);
+    }
+    return receipt;
+  }
+
+  /**
+   * Pay a withdrawal out of the InsurancePool contract at INSURANCE_POOL_ADDRESS; the bridge
+   * wallet must be the pool's admin
+   */
+  async payPoolWithdrawal(withdrawal) {
+    if (!this.wallet) {
+      throw new Error('Wallet required for transactions');
+    }
+
+    const poolAddress = process.env.INSURANCE_POOL_ADDRESS;
+    if (!poolAddress) {
+      throw new Error('Insurance pool contract not deployed');
+    }
+
+    const pool = new ethers.Contract(poolAddress, loadArtifact('InsurancePool').abi, this.wallet);
+    const withdrawalId = ethers.id(withdrawal.withdrawalId);
+
+    try {
+      let transaction;
+      if (isNativeCurrency(withdrawal.currency)) {
+        transaction = await pool.payWithdrawal(withdrawalId, withdrawal.contributor, ethers.parseEther(withdrawal.amount));
+      } else {
+        const token = await this.getToken(withdrawal.currency);
+        transaction = await pool.payTokenWithdrawal(
+          withdrawalId,
+          token.address,
+          withdrawal.contributor,
+          toTokenUnits(withdrawal.amount, token.decimals)
+        );
+      }
+
+      const receipt = await transaction.wait();
+      return {
+        hash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString(),
+        status: receipt.status === 1 ? 'success' : 'failed'
+      };
+    } catch (error) {
+      const blockchainError = new Error(`InsurancePool withdrawal failed: ${error.shortMessage || error.message}`);
+      blockchainError.code = 'BLOCKCHAIN_ERROR';
+      throw blockchainError;
+    }
+  }
+
+  /**
+   * ETH and token transfers between two wallets over the last FUNDING_LOOKBACK_BLOCKS blocks
+   * (at most MAX_FUNDING_LOOKBACK_BLOCKS). ETH transfers come from the blocks' transactions,
+   * see ethTransfersIn; token transfers come from Transfer logs.
+   */
+  async findTransfers(walletA, walletB) {
+    const lookback = Math.min(
+      parseInt(process.env.FUNDING_LOOKBACK_BLOCKS || '1000', 10),
+      MAX_FUNDING_LOOKBACK_BLOCKS
+    );
+    const latest = await this.provider.getBlockNumber();
+    const fromBlock = Math.max(latest - lookback, 0);
+    const pair = [walletA.toLowerCase(), walletB.toLowerCase()];
+    const between = (from, to) => Boolean(from && to) &&
+      from.toLowerCase() !== to.toLowerCase() &&
+      pair.includes(from.toLowerCase()) &&
+      pair.includes(to.toLowerCase());
+
+    const transfers = (await this.ethTransfersIn(fromBlock, latest))
+      .filter(transfer => between(transfer.from, transfer.to))
+      .map(transfer => ({
+        from: transfer.from,
+        to: transfer.to,
+        amount: ethers.formatEther(transfer.value),
+        currency: 'ETH',
+        transactionHash: transfer.hash
+      }));
+
+    for (const currency of ['USDC', 'DAI']) {
+      let token;
+      try {
+        token = await this.getToken(currency);
+      } catch (error) {
+        // No deployment of this token on the network
+        continue;
+      }
+
+      for (const [from, to] of [[walletA, walletB], [walletB, walletA]]) {
+        const logs = await token.contract.queryFilter(token.contract.filters.Transfer(from, to), fromBlock, latest);
+        logs.forEach(log => transfers.push({
+          from: log.args.from,
+          to: log.args.to,
+          amount: ethers.formatUnits(log.args.value, token.decimals),
+          currency,
+          transactionHash: log.transactionHash
+        }));
+      }
+    }
+
+    return transfers;
+  }
+
+  /**
+   * ETH transfers in blocks `fromBlock`..`toBlock`. Blocks not scanned before are fetched
+   * FUNDING_SCAN_CONCURRENCY (default 10) at a time, and those SCAN_CACHE_CONFIRMATIONS deep
+   * are cached, so repeated screenings only fetch the blocks mined since.
+   */
+  async ethTransfersIn(fromBlock, toBlock) {
+    const concurrency = Math.max(parseInt(process.env.FUNDING_SCAN_CONCURRENCY || '10', 10), 1);
+    if (!scannedBlocks.has(this.networkName)) {
+      scannedBlocks.set(this.networkName, new Map());
+    }
+    const cache = scannedBlocks.get(this.networkName);
+
+    // Blocks that have left the lookback window
+    [...cache.keys()].filter(blockNumber => blockNumber < fromBlock).forEach(blockNumber => cache.delete(blockNumber));
+
+    const blockNumbers = Array.from({ length: toBlock - fromBlock + 1 }, (_, index) => fromBlock + index);
+    const missing = blockNumbers.filter(blockNumber => !cache.has(blockNumber));
+    const fresh = new Map();
+
+    for (let start = 0; start < missing.length; start += concurrency) {
+      const blocks = await Promise.all(missing.slice(start, start + concurrency)
+        .map(blockNumber => this.provider.getBlock(blockNumber, true)));
+
+      blocks.forEach(block => {
+        const transfers = block.prefetchedTransactions
+          .filter(transaction => transaction.value > 0n && transaction.to)
+          .map(transaction => ({ from: transaction.from, to: transaction.to, value: transaction.value, hash: transaction.hash }));
+        (block.number <= toBlock - SCAN_CACHE_CONFIRMATIONS ? cache : fresh).set(block.number, transfers);
+      });
+    }
+
+    return blockNumbers.flatMap(blockNumber => cache.get(blockNumber) || fresh.get(blockNumber));
+  }
+
+  // BATCH_PAYOUT_ADDRESS, or a BatchPayout contract deployed on first use
+  async getBatchPayoutAddress() {
+    if (!this.batchPayoutAddress) {
+      this.batchPayoutAddress = process.env.BATCH_PAYOUT_ADDRESS || (await this.deployContract('BatchPayout')).address;
+    }
+    return this.batchPayoutAddress;
+  }
+
+  /**
+   * Settle only what the riders deposited: the escrow contract's balance for ETH, the recorded
+   * funding and deposits for tokens held in the bridge wallet. The bridge wallet never covers
+   * a shortfall.
+   */
+  async ensureEscrowFunded(escrow) {
+    const held = isNativeCurrency(escrow.currency)
+      ? ethers.formatEther(await this.getEscrowContract(escrow.escrowAddress).amount())
+      : heldAmount(escrow);
+
+    if (compareAmounts(held, escrow.amount) < 0) {
+      const fundsError = new Error(`Escrow for ride ${escrow.rideId} holds ${held} ${escrow.currency}, settling it needs ${escrow.amount}`);
+      fundsError.code = 'INSUFFICIENT_FUNDS';
+      throw fundsError;
+    }
+  }
+
+  /**
+   * Collect a pool contribution into the InsurancePool contract. Tokens are pulled from the
+   * contributor's wallet (approve() or permit); ETH is the contributor's own transfer to the
+   * pool, confirmed by its transaction hash.
+   */
+  async collectContribution({ contributor, amount, currency, transactionHash, permit }) {
+    const poolAddress = process.env.INSURANCE_POOL_ADDRESS;
+
+    if (!poolAddress) {
+      throw new Error('Insurance pool contract not deployed');
+    }
+
+    if (!isNativeCurrency(currency)) {
+      await this.collectToken(contributor, amount, currency, permit);
+      return this.transferToken(poolAddress, amount, currency);
+    }
+
+    if (!transactionHash) {
+      const hashError = new Error(`Send ${amount} ETH from ${contributor} to ${poolAddress} and pass its transactionHash to contribute`);
+      hashError.name = 'ValidationError';
+      throw hashError;
+    }
+
+    return this.confirmTransfer(transactionHash, { from: contributor, to: poolAddress, amount });
+  }
 }
 
-module.exports = { RealBlockchainService };
\ No newline at end of file
+module.exports = { RealBlockchainService };
@@ -1,43 +1,437 @@
 const { ethers } = require('ethers');
+const { v4: uuidv4 } = require('uuid');
+const { createRepository } = require('../storage');
+const RefundPolicyEngine = require('../services/refund-policy');
+const { addAmounts, subtractAmounts, compareAmounts, splitAmount } = require('./amounts');
+
+// Milestones must be reached in this order; each records a timestamp on the escrow
+const MILESTONE_ORDER = ['initiated', 'driverAccepted', 'rideStarted', 'rideCompleted', 'paymentReleased'];
+const MILESTONE_TIMESTAMPS = {
+  driverAccepted: 'acceptedAt',
+  rideStarted: 'startedAt',
+  rideCompleted: 'completedAt'
+};
+
+// EIP-712 types for signed escrow requests. EscrowAction covers accept, start, complete,
+// release and cancel; FareAdjustment (propose/approve/reject) and Tip also bind the amount,
+// DriverReassignment binds the incoming driver and Deposit the tip or top-up being funded.
+// JurorVote is a review juror's vote, signed by the juror's wallet, and PoolWithdrawal a
+// contributor's request to redeem pool shares (`shares` is 'all' for every redeemable share).
+// PoolDeposit is a contributor's pool contribution from their own funds.
+// ReferralWallet proves a referrer owns the wallet their rewards are paid to.
+const SIGNING_TYPES = {
+  EscrowAction: [
+    { name: 'action', type: 'string' },
+    { name: 'rideId', type: 'string' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ],
+  FareAdjustment: [
+    { name: 'action', type: 'string' },
+    { name: 'rideId', type: 'string' },
+    { name: 'amount', type: 'string' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ],
+  Tip: [
+    { name: 'rideId', type: 'string' },
+    { name: 'amount', type: 'string' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ],
+  DriverReassignment: [
+    { name: 'rideId', type: 'string' },
+    { name: 'newDriverWallet', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ],
+  Deposit: [
+    { name: 'rideId', type: 'string' },
+    { name: 'adjustmentId', type: 'string' },
+    { name: 'amount', type: 'string' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ],
+  JurorVote: [
+    { name: 'reviewId', type: 'string' },
+    { name: 'decision', type: 'string' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ],
+  ReferralWallet: [
+    { name: 'userId', type: 'string' },
+    { name: 'wallet', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ],
+  PoolDeposit: [
+    { name: 'contributor', type: 'address' },
+    { name: 'amount', type: 'string' },
+    { name: 'currency', type: 'string' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ],
+  PoolWithdrawal: [
+    { name: 'contributor', type: 'address' },
+    { name: 'currency', type: 'string' },
+    { name: 'shares', type: 'string' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+// Scheduled rides can be funded from this many minutes before pickup
+const DEFAULT_FUNDING_WINDOW_MINUTES = 120;
+
+function fundingWindowMinutes() {
+  const minutes = parseFloat(process.env.SCHEDULED_FUNDING_WINDOW_MINUTES);
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_FUNDING_WINDOW_MINUTES;
+}
+
+// Hours after release that riders can still dispute a ride; the payout is held until they have
+// passed. DISPUTE_WINDOW_HOURS=0 pays out at release.
+const DEFAULT_DISPUTE_WINDOW_HOURS = 24;
+
+function disputeWindowHours() {
+  const hours = parseFloat(process.env.DISPUTE_WINDOW_HOURS);
+  return Number.isFinite(hours) && hours >= 0 ? hours : DEFAULT_DISPUTE_WINDOW_HOURS;
+}
+
+// SETTLEMENT_MODE=batch holds driver payouts as pending earnings that
+// services/driver-settlement.js pays out in periodic batches
+function isBatchSettlement() {
+  return process.env.SETTLEMENT_MODE === 'batch';
+}
+
+function escrowStateError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_ESCROW_STATE';
+  return error;
+}
 
 class BlockchainService {
   constructor() {
     this.provider = new ethers.JsonRpcProvider(
       process.env.RPC_URL || 'http://localhost:8545'
     );
-    this.escrows = new Map();
-    this.insurancePool = {
-      totalContributions: '0',
-      contributorCount: 0,
-      contributions: []
+    this.escrows = createRepository('escrows');
+    this.poolContributions = createRepository('pool_contributions');
+    this.signatureNonces = createRepository('signature_nonces');
+    this.escrowEvents = createRepository('escrow_events');
+    // Last event sequence per ride, so recording an event never scans the whole event log
+    this.eventSequences = createRepository('escrow_event_sequences');
+    this.driverEarnings = createRepository('driver_earnings');
+    this.refundPolicy = new RefundPolicyEngine();
+  }
+
+  getSigningDomain() {
+    const verifyingContract = process.env.ESCROW_FACTORY_ADDRESS;
+
+    return {
+      name: 'RideshareBridge',
+      version: '1',
+      chainId: parseInt(process.env.CHAIN_ID || '31337', 10),
+      verifyingContract: ethers.isAddress(verifyingContract) ? verifyingContract : ethers.ZeroAddress
     };
   }
 
+  getSigningTypes() {
+    return SIGNING_TYPES;
+  }
+
+  getNonce(wallet) {
+    const record = this.signatureNonces.get(wallet.toLowerCase());
+    return record ? record.nonce : 0;
+  }
+
   generateEscrowAddress() {
     return ethers.Wallet.createRandom().address;
   }
 
-  async createEscrow(rideId, riderWallet, driverWallet, amount, currency = 'ETH') {
-    const escrowAddress = this.generateEscrowAddress();
+  /**
+   * Lock up the escrowed funds. The mock chain only generates an address;
+   * RealBlockchainService deploys a contract or pulls tokens into the bridge wallet.
+   */
+  async deployEscrow() {
+    return { address: this.generateEscrowAddress() };
+  }
+
+  // Move funds for a release or cancellation that has already been worked out.
+  // Nothing to do on the mock chain; RealBlockchainService settles on-chain and records tx hashes.
+  async settleRelease() {}
+
+  async settleCancellation() {}
+
+  // Point the held funds at the new driver; returns the transaction hash, if any
+  async settleReassignment() {
+    return null;
+  }
+
+  /**
+   * Collect a pool contribution from the contributor's own funds ({ contributionId, contributor,
+   * amount, currency, transactionHash, permit }) and return the receipt. The mock chain takes the
+   * contributor's transaction hash as given, or derives a placeholder.
+   */
+  async collectContribution(deposit) {
+    return {
+      hash: deposit.transactionHash ||
+        ethers.keccak256(ethers.toUtf8Bytes(`contribution-${deposit.contributor}-${deposit.contributionId}`)),
+      blockNumber: null,
+      gasUsed: null,
+      status: 'success'
+    };
+  }
+
+  /**
+   * Collect a rider's deposit for a tip or fare top-up ({ adjustmentId, wallet, amount,
+   * transactionHash, permit }) and return the receipt. The mock chain derives a placeholder hash.
+   */
+  async collectDeposit(escrow, deposit) {
+    return {
+      hash: ethers.keccak256(ethers.toUtf8Bytes(`deposit-${escrow.rideId}-${deposit.adjustmentId}`)),
+      blockNumber: null,
+      gasUsed: null,
+      status: 'success'
+    };
+  }
+
+  /**
+   * Pass a deposited tip on a released escrow to the driver and return the receipt
+   */
+  async payTip(escrow, tip) {
+    return {
+      hash: ethers.keccak256(ethers.toUtf8Bytes(`tip-${escrow.rideId}-${tip.adjustmentId}`)),
+      blockNumber: null,
+      gasUsed: null,
+      status: 'success'
+    };
+  }
+
+  /**
+   * Pay a settlement batch (`payouts` of { driverWallet, amount } in `currency`) in one
+   * transaction; returns its hash. `onSent(hash)` is called once the transaction is broadcast,
+   * before waiting for it to be mined. The mock chain derives a placeholder hash.
+   */
+  async payoutBatch(batch, { onSent } = {}) {
+    const hash = ethers.keccak256(ethers.toUtf8Bytes(`batch-${batch.batchId}`));
+    if (onSent) {
+      await onSent(hash);
+    }
+    return hash;
+  }
+
+  /**
+   * What became of a sent transaction: 'confirmed', 'reverted', 'pending' (not yet mined) or
+   * 'dropped' (unknown to the node). The mock chain mines everything it sends at once.
+   */
+  async getTransactionOutcome(transactionHash) {
+    return 'confirmed';
+  }
+
+  /**
+   * Send a referral reward ({ referrerWallet, rewardAmount, currency }) and return the receipt;
+   * `onSent(hash)` is called once it is broadcast. The mock chain derives a placeholder hash and
+   * has no block to report.
+   */
+  async payReferralReward(reward, { onSent } = {}) {
+    const hash = ethers.keccak256(ethers.toUtf8Bytes(`referral-reward-${reward.rewardId}`));
+    if (onSent) {
+      await onSent(hash);
+    }
+    return {
+      hash,
+      blockNumber: null,
+      gasUsed: null,
+      status: 'success'
+    };
+  }
+
+  /**
+   * Pay a contributor's queued pool withdrawal ({ withdrawalId, contributor, amount, currency })
+   * out of the insurance pool and return the receipt
+   */
+  async payPoolWithdrawal(withdrawal) {
+    return {
+      hash: ethers.keccak256(ethers.toUtf8Bytes(`pool-withdrawal-${withdrawal.withdrawalId}`)),
+      blockNumber: null,
+      gasUsed: null,
+      status: 'success'
+    };
+  }
+
+  /**
+   * Direct transfers between two wallets in either direction, as { from, to, amount, currency,
+   * transactionHash }. The mock chain keeps no transfer history.
+   */
+  async findTransfers() {
+    return [];
+  }
+
+  /**
+   * Credit a driver payout to the driver's pending earnings instead of paying it now
+   */
+  accrueEarning(escrow, { type, amount, reference = null }) {
+    const earning = {
+      earningId: `earn_${uuidv4()}`,
+      driverWallet: escrow.driverWallet,
+      rideId: escrow.rideId,
+      currency: escrow.currency,
+      type,
+      amount,
+      reference,
+      status: 'pending',
+      batchId: null,
+      accruedAt: new Date().toISOString()
+    };
+
+    this.driverEarnings.set(earning.earningId, earning);
+    return earning;
+  }
+
+  /**
+   * Append an event to the escrow's history. Events are only ever added, never updated,
+   * so the history survives later changes to the escrow record.
+   */
+  recordEvent(escrow, type, { actor = null, signer = null, signature = null, transactionHash = null, data = {} } = {}) {
+    const event = {
+      eventId: `evt_${uuidv4()}`,
+      rideId: escrow.rideId,
+      sequence: this.nextEventSequence(escrow.rideId),
+      type,
+      status: escrow.status,
+      actor,
+      signer,
+      signature,
+      transactionHash,
+      data,
+      occurredAt: new Date().toISOString()
+    };
+
+    this.escrowEvents.set(event.eventId, event);
+    return event;
+  }
+
+  nextEventSequence(rideId) {
+    const counter = this.eventSequences.get(rideId);
+    // Rides with events from before the counters were kept are counted once
+    const last = counter
+      ? counter.sequence
+      : this.escrowEvents.filter(event => event.rideId === rideId).length;
+
+    this.eventSequences.set(rideId, { rideId, sequence: last + 1 });
+    return last + 1;
+  }
+
+  /**
+   * Events for an escrow, oldest first
+   */
+  getEscrowHistory(rideId) {
+    return this.escrowEvents
+      .filter(event => event.rideId === rideId)
+      .sort((a, b) => a.sequence - b.sequence);
+  }
+
+  /**
+   * Create an escrow. A single rider funds it on creation; split fares pass `riders`
+   * ([{ wallet, share }]) and the escrow stays in `funding` until every rider has funded
+   * their share. `riderWallet` is the first rider.
+   *
+   * Rides booked ahead pass `scheduledPickupAt`: the escrow is a `scheduled` hold that nobody
+   * funds until the funding window before pickup opens (`fundingOpensAt`). Fares priced in
+   * USD pass the redeemed quote as `fiat`.
+   */
+  async createEscrow(rideId, riderWallet, driverWallet, amount, currency = 'ETH', market = 'default', { riders, permit, scheduledPickupAt, fiat } = {}) {
+    const createdAt = new Date().toISOString();
+    const splitFare = Array.isArray(riders) && riders.length > 0;
+    const scheduled = Boolean(scheduledPickupAt);
+
+    if (splitFare) {
+      if (compareAmounts(addAmounts(...riders.map(rider => rider.share)), amount) !== 0) {
+        const sharesError = new Error('Rider shares must add up to the escrow amount');
+        sharesError.name = 'ValidationError';
+        throw sharesError;
+      }
+
+      const wallets = riders.map(rider => rider.wallet.toLowerCase());
+      if (new Set(wallets).size !== wallets.length || wallets.includes(driverWallet.toLowerCase())) {
+        const walletsError = new Error('Each rider must have a distinct wallet that is not the driver');
+        walletsError.name = 'ValidationError';
+        throw walletsError;
+      }
+    }
+
+    const escrowRiders = splitFare
+      ? riders.map(rider => ({ wallet: rider.wallet, share: rider.share, funded: false }))
+      : [{ wallet: riderWallet, share: amount, funded: !scheduled, ...(!scheduled && { fundedAt: createdAt }) }];
+
+    let schedule = {};
+    if (scheduled) {
+      const pickupAt = new Date(scheduledPickupAt);
+      if (pickupAt <= new Date(createdAt)) {
+        const pickupError = new Error('scheduledPickupAt must be in the future');
+        pickupError.name = 'ValidationError';
+        throw pickupError;
+      }
+
+      const opensAt = Math.max(new Date(createdAt).getTime(), pickupAt.getTime() - fundingWindowMinutes() * 60 * 1000);
+      schedule = {
+        scheduledPickupAt: pickupAt.toISOString(),
+        fundingOpensAt: new Date(opensAt).toISOString()
+      };
+    }
+
+    const deployment = await this.deployEscrow({
+      riderWallet: escrowRiders[0].wallet,
+      driverWallet,
+      amount,
+      currency,
+      permit
+    });
     const escrow = {
       rideId,
-      escrowAddress,
-      riderWallet,
+      escrowAddress: deployment.address,
+      ...(deployment.tokenAddress && { tokenAddress: deployment.tokenAddress }),
+      ...(deployment.transactionHash && {
+        transactionHash: deployment.transactionHash,
+        blockNumber: deployment.blockNumber
+      }),
+      riderWallet: escrowRiders[0].wallet,
       driverWallet,
       amount,
       currency,
-      status: 'active',
-      createdAt: new Date().toISOString(),
+      market,
+      fare: amount,
+      ...(fiat && { fiat }),
+      tipAmount: '0.0',
+      riders: escrowRiders,
+      status: scheduled ? 'scheduled' : splitFare ? 'funding' : 'active',
+      ...schedule,
+      createdAt,
       milestones: {
         initiated: true,
         driverAccepted: false,
         rideStarted: false,
         rideCompleted: false,
         paymentReleased: false
-      }
+      },
+      adjustments: []
     };
 
     this.escrows.set(rideId, escrow);
+    this.recordEvent(escrow, 'created', {
+      actor: 'rider',
+      signer: escrow.riderWallet,
+      transactionHash: escrow.transactionHash || null,
+      data: {
+        escrowAddress: escrow.escrowAddress,
+        amount,
+        currency,
+        market,
+        riders: escrowRiders,
+        ...schedule,
+        ...(fiat && { fiat })
+      }
+    });
     return escrow;
   }
 
@@ -45,6 +439,98 @@ class BlockchainService {
     return this.escrows.get(rideId);
   }
 
+  /**
+   * Rider entry for a wallet, or undefined if the wallet is not one of the escrow's riders
+   */
+  getRider(escrow, wallet) {
+    return escrow.riders.find(rider => rider.wallet.toLowerCase() === wallet.toLowerCase());
+  }
+
+  /**
+   * Record a rider's share as funded; the escrow goes active once every share is funded.
+   * Scheduled holds only accept funding once their funding window has opened.
+   */
+  async fundShare(rideId, wallet, signature) {
+    const escrow = this.escrows.get(rideId);
+    if (!escrow) {
+      throw new Error('Escrow not found');
+    }
+
+    if (!['funding', 'scheduled'].includes(escrow.status)) {
+      throw escrowStateError('Escrow is not awaiting funding');
+    }
+
+    if (escrow.status === 'scheduled') {
+      const now = new Date();
+      if (now < new Date(escrow.fundingOpensAt)) {
+        throw escrowStateError(`Funding for this scheduled ride opens at ${escrow.fundingOpensAt}`);
+      }
+      if (now >= new Date(escrow.scheduledPickupAt)) {
+        throw escrowStateError('The scheduled pickup time has passed');
+      }
+    }
+
+    const rider = this.getRider(escrow, wallet);
+    if (!rider) {
+      throw escrowStateError('Wallet is not a rider on this escrow');
+    }
+    if (rider.funded) {
+      throw escrowStateError('Rider share has already been funded');
+    }
+
+    rider.funded = true;
+    rider.fundedAt = new Date().toISOString();
+    rider.signature = signature;
+    rider.transactionHash = ethers.keccak256(ethers.toUtf8Bytes(`fund-${rideId}-${rider.wallet}`));
+
+    if (escrow.riders.every(r => r.funded)) {
+      escrow.status = 'active';
+      escrow.fundedAt = rider.fundedAt;
+    }
+
+    this.escrows.set(rideId, escrow);
+    this.recordEvent(escrow, 'share_funded', {
+      actor: 'rider',
+      signer: rider.wallet,
+      signature,
+      transactionHash: rider.transactionHash,
+      data: { share: rider.share, fullyFunded: escrow.status === 'active' }
+    });
+    return escrow;
+  }
+
+  async advanceMilestone(rideId, milestone, signature) {
+    const escrow = this.escrows.get(rideId);
+    if (!escrow) {
+      throw new Error('Escrow not found');
+    }
+
+    if (escrow.status !== 'active') {
+      throw escrowStateError('Escrow is not active');
+    }
+
+    const previous = MILESTONE_ORDER[MILESTONE_ORDER.indexOf(milestone) - 1];
+    if (escrow.milestones[milestone]) {
+      throw escrowStateError(`Milestone ${milestone} has already been reached`);
+    }
+    if (!escrow.milestones[previous]) {
+      throw escrowStateError(`Milestone ${previous} must be reached before ${milestone}`);
+    }
+
+    escrow.milestones[milestone] = true;
+    escrow[MILESTONE_TIMESTAMPS[milestone]] = new Date().toISOString();
+    escrow.signature = signature;
+
+    this.escrows.set(rideId, escrow);
+    this.recordEvent(escrow, 'milestone_reached', {
+      actor: 'driver',
+      signer: signature ? escrow.driverWallet : null,
+      signature,
+      data: { milestone }
+    });
+    return escrow;
+  }
+
   async releaseEscrow(rideId, signature) {
     const escrow = this.escrows.get(rideId);
     if (!escrow) {
@@ -52,80 +538,699 @@ class BlockchainService {
     }
 
     if (escrow.status !== 'active') {
-      throw new Error('Escrow is not active');
+      throw escrowStateError('Escrow is not active');
     }
 
+    if (!escrow.milestones.rideCompleted) {
+      throw escrowStateError('Ride must be completed before escrow can be released');
+    }
+
+    if (escrow.adjustments.some(adjustment => adjustment.status === 'pending')) {
+      throw escrowStateError('Resolve the pending fare adjustment before releasing escrow');
+    }
+
+    // A higher fare the rider never funded does not apply; tips can still be deposited after release
+    this.lapseAwaitingDeposits(escrow, 'fare');
+
+    // Driver receives the agreed fare plus tips; anything else held goes back to the rider
+    const driverPayout = addAmounts(escrow.fare, escrow.tipAmount);
+    const riderRefund = subtractAmounts(escrow.amount, driverPayout);
+    escrow.settlement = {
+      driverPayout,
+      riderRefund,
+      riderRefunds: this.splitRiderRefund(escrow, riderRefund),
+      tipAmount: escrow.tipAmount,
+      partial: compareAmounts(driverPayout, escrow.amount) < 0,
+      ...(isBatchSettlement() && { batched: true })
+    };
+
     escrow.status = 'released';
-    escrow.milestones.rideCompleted = true;
     escrow.milestones.paymentReleased = true;
     escrow.releasedAt = new Date().toISOString();
     escrow.signature = signature;
 
+    // The funds stay in escrow while the riders can still dispute the ride; payHeldReleases
+    // moves them once the window has passed
+    const windowHours = disputeWindowHours();
+    if (windowHours > 0) {
+      escrow.settlement.heldUntil = new Date(Date.now() + windowHours * 60 * 60 * 1000).toISOString();
+    } else {
+      await this.payOut(escrow);
+    }
+
+    this.escrows.set(rideId, escrow);
+    this.recordEvent(escrow, 'released', {
+      actor: 'driver',
+      signer: signature ? escrow.driverWallet : null,
+      signature,
+      transactionHash: escrow.releaseTransactionHash || null,
+      data: { settlement: escrow.settlement }
+    });
     return escrow;
   }
 
-  async cancelEscrow(rideId, signature) {
+  /**
+   * Pay out released escrows whose dispute window has closed without a dispute. A payout whose
+   * transaction fails stays held and is retried on the next run. Returns the paid escrows.
+   */
+  async payHeldReleases(now = new Date()) {
+    const due = this.escrows.filter(escrow => escrow.status === 'released' &&
+      escrow.settlement.heldUntil &&
+      !escrow.settlement.paidAt &&
+      new Date(escrow.settlement.heldUntil) <= now);
+
+    const paid = [];
+    for (const escrow of due) {
+      try {
+        await this.payOut(escrow);
+        this.escrows.set(escrow.rideId, escrow);
+        this.recordEvent(escrow, 'payout_released', {
+          actor: 'platform',
+          transactionHash: escrow.releaseTransactionHash || null,
+          data: { settlement: escrow.settlement }
+        });
+        paid.push(escrow);
+      } catch (error) {
+        console.error(`Failed to pay out released escrow ${escrow.rideId}:`, error.message);
+      }
+    }
+
+    return paid;
+  }
+
+  // Move the settled funds and credit a batched driver payout to the driver's earnings
+  async payOut(escrow) {
+    await this.settleRelease(escrow);
+    this.accrueSettlement(escrow);
+    escrow.settlement.paidAt = new Date().toISOString();
+  }
+
+  /**
+   * Whether riders can still dispute the escrow: while it is active, and after release until
+   * the dispute window closes and the payout is made
+   */
+  isDisputable(escrow, now = new Date()) {
+    return escrow.status === 'active' || (escrow.status === 'released' &&
+      !escrow.settlement.paidAt &&
+      Boolean(escrow.settlement.heldUntil) &&
+      new Date(escrow.settlement.heldUntil) > now);
+  }
+
+  /**
+   * Propose a new final fare (tolls, route changes). The other party must approve it.
+   */
+  async proposeFareAdjustment(rideId, { amount, reason, proposedBy, proposedByWallet = null, signature }) {
     const escrow = this.escrows.get(rideId);
     if (!escrow) {
       throw new Error('Escrow not found');
     }
 
     if (escrow.status !== 'active') {
-      throw new Error('Escrow is not active');
+      throw escrowStateError('Escrow is not active');
+    }
+
+    if (escrow.adjustments.some(adjustment => adjustment.status === 'pending')) {
+      throw escrowStateError('A fare adjustment is already awaiting approval');
     }
 
-    escrow.status = 'cancelled';
+    if (escrow.adjustments.some(adjustment => adjustment.type === 'fare' && adjustment.status === 'awaiting_deposit')) {
+      throw escrowStateError('An approved fare adjustment is still awaiting the rider\'s deposit');
+    }
+
+    const adjustment = {
+      adjustmentId: `adj_${uuidv4()}`,
+      type: 'fare',
+      amount,
+      previousAmount: escrow.fare,
+      reason: reason || null,
+      status: 'pending',
+      proposedBy,
+      proposedAt: new Date().toISOString(),
+      proposalSignature: signature
+    };
+
+    escrow.adjustments.push(adjustment);
+    this.escrows.set(rideId, escrow);
+    this.recordEvent(escrow, 'adjustment_proposed', {
+      actor: proposedBy,
+      signer: proposedByWallet,
+      signature,
+      data: { adjustmentId: adjustment.adjustmentId, amount, previousAmount: adjustment.previousAmount, reason: adjustment.reason }
+    });
+    return { escrow, adjustment };
+  }
+
+  async resolveFareAdjustment(rideId, adjustmentId, { approved, resolvedBy, resolvedByWallet = null, signature }) {
+    const escrow = this.escrows.get(rideId);
+    if (!escrow) {
+      throw new Error('Escrow not found');
+    }
+
+    const adjustment = escrow.adjustments.find(a => a.adjustmentId === adjustmentId);
+    if (!adjustment) {
+      const notFoundError = new Error('Fare adjustment not found');
+      notFoundError.statusCode = 404;
+      throw notFoundError;
+    }
+
+    if (escrow.status !== 'active') {
+      throw escrowStateError('Escrow is not active');
+    }
+
+    if (adjustment.status !== 'pending') {
+      throw escrowStateError(`Fare adjustment has already been ${adjustment.status}`);
+    }
+
+    if (adjustment.proposedBy === resolvedBy) {
+      throw escrowStateError('Fare adjustments must be approved by the other party');
+    }
+
+    adjustment.status = approved ? 'approved' : 'rejected';
+    adjustment.resolvedBy = resolvedBy;
+    adjustment.resolvedAt = new Date().toISOString();
+    adjustment.resolutionSignature = signature;
+
+    if (approved) {
+      // A lower fare is refunded on release; a higher one only applies once the rider has
+      // deposited the difference (depositFunds)
+      if (compareAmounts(adjustment.amount, escrow.amount) > 0) {
+        adjustment.topUp = subtractAmounts(adjustment.amount, escrow.amount);
+        adjustment.status = 'awaiting_deposit';
+      } else {
+        escrow.fare = adjustment.amount;
+      }
+    }
+
+    this.escrows.set(rideId, escrow);
+    this.recordEvent(escrow, `adjustment_${adjustment.status}`, {
+      actor: resolvedBy,
+      signer: resolvedByWallet,
+      signature,
+      data: { adjustmentId, amount: adjustment.amount, ...(adjustment.topUp && { topUp: adjustment.topUp }) }
+    });
+    return { escrow, adjustment };
+  }
+
+  /**
+   * Rider tip once the ride is completed. The tip waits for the rider's deposit
+   * (depositFunds) before it counts towards the driver's payout.
+   */
+  async addTip(rideId, { amount, signature, tippedBy = null }) {
+    const escrow = this.escrows.get(rideId);
+    if (!escrow) {
+      throw new Error('Escrow not found');
+    }
+
+    if (!escrow.milestones.rideCompleted || !['active', 'released'].includes(escrow.status)) {
+      throw escrowStateError('Tips can only be added to completed rides');
+    }
+
+    const tip = {
+      adjustmentId: `tip_${uuidv4()}`,
+      type: 'tip',
+      amount,
+      status: 'awaiting_deposit',
+      proposedBy: 'rider',
+      tippedBy,
+      proposedAt: new Date().toISOString(),
+      proposalSignature: signature
+    };
+
+    escrow.adjustments.push(tip);
+    this.escrows.set(rideId, escrow);
+    this.recordEvent(escrow, 'tip_added', {
+      actor: 'rider',
+      signer: tippedBy,
+      signature,
+      data: { adjustmentId: tip.adjustmentId, amount, status: tip.status }
+    });
+    return { escrow, tip };
+  }
+
+  /**
+   * Fund a tip or an approved fare top-up from the rider's wallet. Once the deposit confirms,
+   * a top-up raises the hold and the fare, and a tip on an active escrow is paid with the
+   * release. A tip after release is paid to the driver straight away, or added to their
+   * pending earnings under batch settlement.
+   */
+  async depositFunds(rideId, adjustmentId, { wallet, signature, transactionHash = null, permit = null }) {
+    const escrow = this.escrows.get(rideId);
+    if (!escrow) {
+      throw new Error('Escrow not found');
+    }
+
+    const adjustment = escrow.adjustments.find(a => a.adjustmentId === adjustmentId);
+    if (!adjustment) {
+      const notFoundError = new Error('Fare adjustment not found');
+      notFoundError.statusCode = 404;
+      throw notFoundError;
+    }
+
+    // `deposited`: collected, but passing a late tip on to the driver failed and can be retried
+    if (!['awaiting_deposit', 'deposited'].includes(adjustment.status)) {
+      throw escrowStateError(`Nothing to deposit: the ${adjustment.type === 'tip' ? 'tip' : 'fare adjustment'} is ${adjustment.status}`);
+    }
+
+    const allowed = adjustment.type === 'tip' ? ['active', 'released'] : ['active'];
+    if (!allowed.includes(escrow.status)) {
+      throw escrowStateError(`Escrow is ${escrow.status}`);
+    }
+
+    const amount = adjustment.type === 'tip' ? adjustment.amount : adjustment.topUp;
+    if (adjustment.status === 'awaiting_deposit') {
+      // A transfer can only fund one deposit
+      if (transactionHash && this.escrows.find(other => other.adjustments.some(a =>
+        a.deposit && a.deposit.transactionHash.toLowerCase() === transactionHash.toLowerCase()))) {
+        throw escrowStateError(`Transaction ${transactionHash} has already funded a deposit`);
+      }
+
+      const receipt = await this.collectDeposit(escrow, { adjustmentId, wallet, amount, transactionHash, permit });
+      adjustment.status = 'deposited';
+      adjustment.deposit = {
+        wallet,
+        amount,
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        signature,
+        depositedAt: new Date().toISOString()
+      };
+      this.escrows.set(rideId, escrow);
+    }
+
+    if (adjustment.type === 'fare') {
+      adjustment.status = 'approved';
+      escrow.amount = addAmounts(escrow.amount, amount);
+      escrow.fare = adjustment.amount;
+    } else if (escrow.status === 'active') {
+      adjustment.status = 'approved';
+      escrow.amount = addAmounts(escrow.amount, amount);
+    } else if (isBatchSettlement()) {
+      adjustment.status = 'accrued';
+      adjustment.earningId = this.accrueEarning(escrow, { type: 'tip', amount, reference: adjustmentId }).earningId;
+    } else {
+      const payment = await this.payTip(escrow, adjustment);
+      adjustment.status = 'paid';
+      adjustment.paidAt = new Date().toISOString();
+      adjustment.transactionHash = payment.hash;
+    }
+    if (adjustment.type === 'tip') {
+      escrow.tipAmount = addAmounts(escrow.tipAmount, amount);
+    }
+
+    this.escrows.set(rideId, escrow);
+    this.recordEvent(escrow, 'deposit_confirmed', {
+      actor: 'rider',
+      signer: wallet,
+      signature,
+      transactionHash: adjustment.deposit.transactionHash,
+      data: {
+        adjustmentId,
+        type: adjustment.type,
+        amount,
+        status: adjustment.status,
+        ...(adjustment.transactionHash && { paymentTransactionHash: adjustment.transactionHash })
+      }
+    });
+    return { escrow, adjustment };
+  }
+
+  async cancelEscrow(rideId, signature, cancelledBy = 'rider', { status = 'cancelled', reason, cancelledByWallet } = {}) {
+    const escrow = this.escrows.get(rideId);
+    if (!escrow) {
+      throw new Error('Escrow not found');
+    }
+
+    if (!['active', 'funding', 'scheduled'].includes(escrow.status)) {
+      throw escrowStateError('Escrow is not active');
+    }
+
+    if (escrow.milestones.rideCompleted) {
+      throw escrowStateError('Completed rides cannot be cancelled');
+    }
+
+    const wasFunding = ['funding', 'scheduled'].includes(escrow.status);
+    this.lapseAwaitingDeposits(escrow);
+    const ruleId = escrow.status === 'scheduled' ? 'unfunded-scheduled-hold' : 'unfunded-split-fare';
+
+    escrow.status = status;
     escrow.cancelledAt = new Date().toISOString();
+    escrow.cancelledBy = cancelledBy;
+    if (cancelledByWallet) {
+      escrow.cancelledByWallet = cancelledByWallet;
+    }
+    if (reason) {
+      escrow.cancellationReason = reason;
+    }
+    escrow.signature = signature;
+
+    // A split fare or scheduled hold that never finished funding was never offered to a
+    // driver, so funded shares go back in full instead of through the refund policy
+    const refundBreakdown = wasFunding
+      ? this.unfundedRefund(escrow, cancelledBy, ruleId)
+      : this.calculateRefund(escrow, cancelledBy);
+    escrow.refundAmount = refundBreakdown.riderRefund;
+    escrow.refundBreakdown = refundBreakdown;
+    escrow.riderRefunds = wasFunding
+      ? escrow.riders.map(rider => ({ wallet: rider.wallet, share: rider.share, refund: rider.funded ? rider.share : '0.0' }))
+      : this.splitRiderRefund(escrow, refundBreakdown.riderRefund);
+
+    await this.settleCancellation(escrow);
+
+    this.escrows.set(rideId, escrow);
+    // Expiry is recorded as its own event type so sweeper refunds stand out in the history
+    this.recordEvent(escrow, status, {
+      actor: cancelledBy,
+      signer: cancelledByWallet || null,
+      signature,
+      transactionHash: escrow.cancelTransactionHash || null,
+      data: {
+        ...(reason && { reason }),
+        refundBreakdown,
+        riderRefunds: escrow.riderRefunds
+      }
+    });
+    return escrow;
+  }
+
+  /**
+   * Freeze an active escrow, or a released one whose payout is still held, while a community
+   * review decides the dispute. Disputed escrows cannot be released, cancelled, adjusted or
+   * expired until settleDispute runs.
+   */
+  async openDispute(rideId, { reviewId, raisedBy, raisedByWallet = null, reason, signature }) {
+    const escrow = this.escrows.get(rideId);
+    if (!escrow) {
+      throw new Error('Escrow not found');
+    }
+
+    if (!this.isDisputable(escrow)) {
+      throw escrowStateError('Only active escrows, or released escrows within their dispute window, can be disputed');
+    }
+
+    escrow.status = 'disputed';
     escrow.signature = signature;
+    escrow.dispute = {
+      disputeId: `dsp_${uuidv4()}`,
+      reviewId,
+      raisedBy,
+      raisedByWallet,
+      reason,
+      status: 'open',
+      openedAt: new Date().toISOString()
+    };
+
+    this.escrows.set(rideId, escrow);
+    this.recordEvent(escrow, 'dispute_opened', {
+      actor: raisedBy,
+      signer: raisedByWallet,
+      signature,
+      data: { disputeId: escrow.dispute.disputeId, reviewId, reason }
+    });
+    return escrow;
+  }
+
+  /**
+   * Pay out a disputed escrow: `riderRefund` goes back to the riders and the rest to the driver
+   */
+  async settleDispute(rideId, { outcome, riderRefund }) {
+    const escrow = this.escrows.get(rideId);
+    if (!escrow) {
+      throw new Error('Escrow not found');
+    }
+
+    if (escrow.status !== 'disputed') {
+      throw escrowStateError('Escrow is not under dispute');
+    }
+
+    const driverPayout = subtractAmounts(escrow.amount, riderRefund);
+    escrow.settlement = {
+      driverPayout,
+      riderRefund,
+      riderRefunds: this.splitRiderRefund(escrow, riderRefund),
+      tipAmount: escrow.tipAmount,
+      partial: compareAmounts(driverPayout, escrow.amount) < 0,
+      ...(isBatchSettlement() && { batched: true })
+    };
 
-    const refundAmount = this.calculateRefund(escrow);
-    escrow.refundAmount = refundAmount;
+    // The review replaces any fare change that was still waiting for approval or funding
+    this.rejectPendingAdjustments(escrow);
+    this.lapseAwaitingDeposits(escrow);
 
+    escrow.status = 'resolved';
+    escrow.milestones.paymentReleased = true;
+    escrow.resolvedAt = new Date().toISOString();
+    escrow.dispute.status = 'resolved';
+    escrow.dispute.outcome = outcome;
+    escrow.dispute.resolvedAt = escrow.resolvedAt;
+
+    await this.payOut(escrow);
+
+    this.escrows.set(rideId, escrow);
+    this.recordEvent(escrow, 'dispute_resolved', {
+      actor: 'platform',
+      transactionHash: escrow.releaseTransactionHash || null,
+      data: { disputeId: escrow.dispute.disputeId, reviewId: escrow.dispute.reviewId, outcome, settlement: escrow.settlement }
+    });
     return escrow;
   }
 
-  calculateRefund(escrow) {
-    const amount = parseFloat(escrow.amount);
+  /**
+   * Hand an accepted ride that has not started to another driver. The new driver must accept
+   * again; the previous driver is kept in `previousDrivers` and the escrow history.
+   */
+  async reassignDriver(rideId, { newDriverWallet, reason, requestedBy, requestedByWallet = null, signature }) {
+    const escrow = this.escrows.get(rideId);
+    if (!escrow) {
+      throw new Error('Escrow not found');
+    }
+
+    if (escrow.status !== 'active') {
+      throw escrowStateError('Escrow is not active');
+    }
+
     if (escrow.milestones.rideStarted) {
-      return (amount * 0.5).toString();
+      throw escrowStateError('Drivers cannot be reassigned after the ride has started');
     }
-    return (amount * 0.9).toString();
+
+    const parties = [escrow.driverWallet, ...escrow.riders.map(rider => rider.wallet)];
+    if (parties.some(wallet => wallet.toLowerCase() === newDriverWallet.toLowerCase())) {
+      const walletError = new Error('The new driver must not be the current driver or a rider');
+      walletError.name = 'ValidationError';
+      throw walletError;
+    }
+
+    const previousDriverWallet = escrow.driverWallet;
+    const reassignedAt = new Date().toISOString();
+
+    escrow.previousDrivers = [
+      ...(escrow.previousDrivers || []),
+      {
+        wallet: previousDriverWallet,
+        acceptedAt: escrow.acceptedAt || null,
+        replacedAt: reassignedAt,
+        reason: reason || null
+      }
+    ];
+    escrow.driverWallet = newDriverWallet;
+    escrow.milestones.driverAccepted = false;
+    delete escrow.acceptedAt;
+    escrow.reassignedAt = reassignedAt;
+    escrow.signature = signature;
+
+    // A fare change still waiting on the previous driver is dropped
+    this.rejectPendingAdjustments(escrow);
+
+    const transactionHash = await this.settleReassignment(escrow);
+
+    this.escrows.set(rideId, escrow);
+    this.recordEvent(escrow, 'driver_reassigned', {
+      actor: requestedBy,
+      signer: requestedByWallet,
+      signature,
+      transactionHash,
+      data: { previousDriverWallet, newDriverWallet, reason: reason || null }
+    });
+    return escrow;
+  }
+
+  rejectPendingAdjustments(escrow) {
+    escrow.adjustments
+      .filter(adjustment => adjustment.status === 'pending')
+      .forEach(adjustment => {
+        adjustment.status = 'rejected';
+        adjustment.resolvedBy = 'platform';
+        adjustment.resolvedAt = new Date().toISOString();
+      });
+  }
+
+  // Tips and fare top-ups the rider never deposited are dropped once the escrow settles
+  lapseAwaitingDeposits(escrow, type = null) {
+    escrow.adjustments
+      .filter(adjustment => adjustment.status === 'awaiting_deposit' && (!type || adjustment.type === type))
+      .forEach(adjustment => {
+        adjustment.status = 'lapsed';
+        adjustment.lapsedAt = new Date().toISOString();
+      });
+  }
+
+  unfundedRefund(escrow, cancelledBy, ruleId = 'unfunded-split-fare') {
+    const funded = escrow.riders.filter(rider => rider.funded).map(rider => rider.share);
+    return {
+      ruleId,
+      cancelledBy,
+      milestone: 'initiated',
+      market: escrow.market,
+      minutesSinceAcceptance: null,
+      riderRefund: funded.length > 0 ? addAmounts(...funded) : '0.0',
+      driverFee: '0.0',
+      platformFee: '0.0'
+    };
+  }
+
+  // A batched release or dispute settlement credits the driver's payout to their earnings
+  accrueSettlement(escrow) {
+    const { batched, driverPayout } = escrow.settlement;
+    if (batched && compareAmounts(driverPayout, '0') > 0) {
+      const type = escrow.status === 'resolved' ? 'dispute_settlement' : 'fare';
+      escrow.settlement.earningId = this.accrueEarning(escrow, { type, amount: driverPayout }).earningId;
+    }
+  }
+
+  /**
+   * Split a rider refund between riders in proportion to their shares
+   */
+  splitRiderRefund(escrow, refund) {
+    const refunds = splitAmount(refund, escrow.riders.map(rider => rider.share));
+    return escrow.riders.map((rider, index) => ({ wallet: rider.wallet, share: rider.share, refund: refunds[index] }));
+  }
+
+  calculateRefund(escrow, cancelledBy = 'rider') {
+    return this.refundPolicy.calculate(escrow, cancelledBy);
   }
 
-  async contributeToInsurance(contributor, amount) {
+  /**
+   * Record a pool contribution once it has been collected from the contributor's own funds.
+   * `signature` is the contributor's PoolDeposit signature, already verified by the caller; a
+   * transfer can only fund one contribution.
+   */
+  async contributeToInsurance(contributor, amount, currency = 'ETH', { signature = null, transactionHash = null, permit = null } = {}) {
+    if (transactionHash && this.poolContributions.find(contribution => contribution.transactionHash &&
+      contribution.transactionHash.toLowerCase() === transactionHash.toLowerCase())) {
+      throw escrowStateError(`Transaction ${transactionHash} has already funded a contribution`);
+    }
+
+    const contributionId = uuidv4();
+    const receipt = await this.collectContribution({ contributionId, contributor, amount, currency, transactionHash, permit });
+    const timestamp = new Date().toISOString();
     const contribution = {
+      contributionId,
       contributor,
       amount,
-      timestamp: new Date().toISOString(),
-      transactionHash: ethers.keccak256(ethers.toUtf8Bytes(`${contributor}${amount}${Date.now()}`))
+      currency,
+      timestamp,
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed,
+      signature,
+      verifiedAt: timestamp
     };
 
-    this.insurancePool.contributions.push(contribution);
-    this.insurancePool.totalContributions = (
-      parseFloat(this.insurancePool.totalContributions) + parseFloat(amount)
-    ).toString();
-    this.insurancePool.contributorCount++;
+    this.poolContributions.set(contribution.contributionId, contribution);
 
     return contribution;
   }
 
+  getInsuranceContributions() {
+    return this.poolContributions.values();
+  }
+
   getInsurancePoolStatus() {
+    const contributions = this.getInsuranceContributions();
+    const balances = {};
+    contributions.forEach(contrib => {
+      const currency = contrib.currency || 'ETH';
+      balances[currency] = addAmounts(balances[currency] || '0', contrib.amount);
+    });
+    const totalBalance = contributions
+      .filter(contrib => (contrib.currency || 'ETH') === 'ETH')
+      .reduce((sum, contrib) => sum + parseFloat(contrib.amount), 0);
+
     return {
-      totalBalance: this.insurancePool.totalContributions,
-      contributorCount: this.insurancePool.contributorCount,
-      totalContributions: this.insurancePool.contributions.length,
+      totalBalance: totalBalance.toString(),
+      balances,
+      contributorCount: contributions.length,
+      totalContributions: contributions.length,
       lastUpdated: new Date().toISOString()
     };
   }
 
-  async validateSignature(message, signature, expectedSigner) {
+  /**
+   * Verify a signed escrow action.
+   * `payload` is either EIP-712 typed data ({ primaryType, ...fields }, primaryType defaults
+   * to EscrowAction), whose nonce is reserved on success so the signature cannot be replayed
+   * while the action runs, or a legacy personal_sign message string, which is only accepted
+   * when ALLOW_LEGACY_SIGNATURES=true. Callers hand the nonce back with restoreNonce if the
+   * action is then refused.
+   */
+  async validateSignature(payload, signature, expectedSigner) {
     try {
-      const recoveredAddress = ethers.verifyMessage(message, signature);
-      return recoveredAddress.toLowerCase() === expectedSigner.toLowerCase();
+      if (typeof payload === 'string') {
+        if (process.env.ALLOW_LEGACY_SIGNATURES !== 'true') {
+          return false;
+        }
+        const recoveredAddress = ethers.verifyMessage(payload, signature);
+        return recoveredAddress.toLowerCase() === expectedSigner.toLowerCase();
+      }
+
+      const { primaryType = 'EscrowAction', ...message } = payload;
+
+      if (message.deadline < Math.floor(Date.now() / 1000)) {
+        return false;
+      }
+
+      if (message.nonce !== this.getNonce(expectedSigner)) {
+        return false;
+      }
+
+      const recoveredAddress = ethers.verifyTypedData(
+        this.getSigningDomain(),
+        { [primaryType]: SIGNING_TYPES[primaryType] },
+        message,
+        signature
+      );
+      if (recoveredAddress.toLowerCase() !== expectedSigner.toLowerCase()) {
+        return false;
+      }
+
+      const wallet = expectedSigner.toLowerCase();
+      this.signatureNonces.set(wallet, {
+        wallet,
+        nonce: message.nonce + 1,
+        updatedAt: new Date().toISOString()
+      });
+      return true;
     } catch (error) {
       return false;
     }
   }
+
+  /**
+   * Give back the nonce a verified signature reserved when the action it signed was refused
+   * (e.g. wrong escrow state), so the signer can retry without signing again. Only the
+   * signer's latest nonce is restored; a later signature keeps its own.
+   */
+  restoreNonce(signer, payload) {
+    if (typeof payload === 'string' || !signer) return;
+
+    const wallet = signer.toLowerCase();
+    if (this.getNonce(wallet) === payload.nonce + 1) {
+      this.signatureNonces.set(wallet, {
+        wallet,
+        nonce: payload.nonce,
+        updatedAt: new Date().toISOString()
+      });
+    }
+  }
 }
 
-module.exports = { BlockchainService };
\ No newline at end of file
+module.exports = { BlockchainService, isBatchSettlement };
\ No newline at end of file
@@ -0,0 +1,23 @@
+const fs = require('fs');
+const path = require('path');
+
+const ARTIFACTS_DIR = path.join(__dirname, '..', '..', 'contracts', 'artifacts');
+
+const artifacts = {};
+
+/**
+ * ABI + bytecode written by scripts/compile-contracts.js
+ */
+function loadArtifact(contractName) {
+  if (!artifacts[contractName]) {
+    const artifactPath = path.join(ARTIFACTS_DIR, `${contractName}.json`);
+    if (!fs.existsSync(artifactPath)) {
+      throw new Error(`Missing artifact for ${contractName}. Run npm run compile:contracts.`);
+    }
+    artifacts[contractName] = JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
+  }
+
+  return artifacts[contractName];
+}
+
+module.exports = { loadArtifact };
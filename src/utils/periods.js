@@ -0,0 +1,16 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Start of the day, ISO week (Monday) or month a timestamp falls in, e.g. '2026-10-19' or '2026-10'
+function periodOf(timestamp, interval) {
+  const date = new Date(timestamp);
+  if (interval === 'month') {
+    return date.toISOString().slice(0, 7);
+  }
+  if (interval === 'week') {
+    const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+    return new Date(date.getTime() - daysSinceMonday * DAY_MS).toISOString().slice(0, 10);
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+module.exports = { DAY_MS, periodOf };
@@ -0,0 +1,81 @@
+const { ethers } = require('ethers');
+
+// Minimal ERC-20 + EIP-2612 interface used for token escrows, pool contributions and transfer lookups
+const ERC20_ABI = [
+  'function name() view returns (string)',
+  'function decimals() view returns (uint8)',
+  'function balanceOf(address owner) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function nonces(address owner) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'function transfer(address to, uint256 amount) returns (bool)',
+  'function transferFrom(address from, address to, uint256 amount) returns (bool)',
+  'function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)',
+  'event Transfer(address indexed from, address indexed to, uint256 value)'
+];
+
+// Token deployments per network. Local networks have no canonical tokens: deploy
+// contracts/MockERC20.sol and set USDC_TOKEN_ADDRESS / DAI_TOKEN_ADDRESS instead.
+const TOKEN_REGISTRY = {
+  mainnet: {
+    USDC: { address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', decimals: 6 },
+    DAI: { address: '0x6B175474E89094C44Da98b954EedeAC495271d0F', decimals: 18 }
+  },
+  sepolia: {
+    USDC: { address: '0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238', decimals: 6 }
+  },
+  polygon: {
+    USDC: { address: '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359', decimals: 6 },
+    DAI: { address: '0x8f3Cf7ad23Cd3CaDbD9735AFf958023239c6A063', decimals: 18 }
+  }
+};
+
+const TOKEN_DECIMALS = {
+  ETH: 18,
+  USDC: 6,
+  DAI: 18
+};
+
+const isNativeCurrency = (currency) => !currency || currency === 'ETH';
+
+/**
+ * Token deployment for a currency on a network; env overrides win over the registry.
+ * `decimals` is the expected value; the real service confirms it on-chain.
+ */
+function getTokenConfig(networkName, currency) {
+  if (!TOKEN_DECIMALS[currency] || isNativeCurrency(currency)) {
+    throw new Error(`Unsupported token: ${currency}`);
+  }
+
+  const override = process.env[`${currency}_TOKEN_ADDRESS`];
+  const registered = (TOKEN_REGISTRY[networkName] || {})[currency];
+  const address = override || (registered && registered.address);
+
+  if (!address || !ethers.isAddress(address)) {
+    throw new Error(`No ${currency} token address configured for ${networkName}. Set ${currency}_TOKEN_ADDRESS.`);
+  }
+
+  return {
+    symbol: currency,
+    address,
+    decimals: registered ? registered.decimals : TOKEN_DECIMALS[currency]
+  };
+}
+
+/**
+ * Token units for an amount string. Escrow amounts carry up to 18 decimals, so digits
+ * beyond the token's precision (6 for USDC) are truncated; the dust stays with the sender.
+ */
+function toTokenUnits(amount, decimals) {
+  const [whole, fraction = ''] = String(amount).split('.');
+  return ethers.parseUnits(fraction ? `${whole}.${fraction.slice(0, decimals) || '0'}` : whole, decimals);
+}
+
+module.exports = {
+  ERC20_ABI,
+  TOKEN_REGISTRY,
+  TOKEN_DECIMALS,
+  isNativeCurrency,
+  getTokenConfig,
+  toTokenUnits
+};
@@ -1,25 +1,249 @@
 const Joi = require('joi');
 
+// A pool contribution the contributor signed as EIP-712 PoolDeposit. ETH is the contributor's own
+// transfer to the pool (transactionHash); USDC/DAI are pulled from their wallet (approve() or permit).
+const poolDepositSchema = Joi.object({
+  signature: Joi.string().required(),
+  nonce: Joi.number().integer().min(0).required(),
+  deadline: Joi.number().integer().positive().required(),
+  transactionHash: Joi.string().pattern(/^0x[a-fA-F0-9]{64}$/),
+  permit: Joi.object({
+    deadline: Joi.number().integer().positive().required(),
+    signature: Joi.string().required()
+  })
+});
+
 const escrowInitiateSchema = Joi.object({
   rideId: Joi.string().required().min(3).max(50),
-  riderWallet: Joi.string().required().pattern(/^0x[a-fA-F0-9]{40}$/),
+  riderWallet: Joi.string().pattern(/^0x[a-fA-F0-9]{40}$/),
+  // Split fare: every rider funds their own share; shares must add up to amount
+  riders: Joi.array().items(Joi.object({
+    wallet: Joi.string().required().pattern(/^0x[a-fA-F0-9]{40}$/),
+    share: Joi.string().required().pattern(/^\d+(\.\d{1,18})?$/)
+  })).min(2).max(6).unique((a, b) => a.wallet.toLowerCase() === b.wallet.toLowerCase()),
   driverWallet: Joi.string().required().pattern(/^0x[a-fA-F0-9]{40}$/),
-  amount: Joi.string().required().pattern(/^\d+(\.\d{1,18})?$/),
+  amount: Joi.string().pattern(/^\d+(\.\d{1,18})?$/),
+  // USD fare locked by POST /api/quotes; supplies amount and currency instead
+  quoteId: Joi.string().max(100),
   currency: Joi.string().valid('ETH', 'USDC', 'DAI').default('ETH'),
   insuranceContribution: Joi.string().pattern(/^\d+(\.\d{1,18})?$/).optional(),
-  referrerId: Joi.string().optional()
-});
+  // The (first) rider's signed deposit funding insuranceContribution
+  insuranceDeposit: poolDepositSchema,
+  referrerId: Joi.string().optional(),
+  market: Joi.string().max(50).default('default'),
+  // Book ahead: creates a `scheduled` hold that is funded shortly before pickup
+  scheduledPickupAt: Joi.date().iso().greater('now').optional(),
+  // EIP-2612 permit letting the bridge wallet pull USDC/DAI without a prior approve()
+  permit: Joi.object({
+    deadline: Joi.number().integer().positive().required(),
+    signature: Joi.string().required()
+  }).optional()
+}).xor('riderWallet', 'riders').xor('amount', 'quoteId').and('insuranceContribution', 'insuranceDeposit');
 
 const escrowActionSchema = Joi.object({
   rideId: Joi.string().required().min(3).max(50),
-  signature: Joi.string().required()
+  signature: Joi.string().required(),
+  // EIP-712 fields; omit both only for legacy personal_sign messages
+  nonce: Joi.number().integer().min(0),
+  deadline: Joi.number().integer().positive()
+}).and('nonce', 'deadline');
+
+const escrowSearchSchema = Joi.object({
+  riderWallet: Joi.string().pattern(/^0x[a-fA-F0-9]{40}$/),
+  driverWallet: Joi.string().pattern(/^0x[a-fA-F0-9]{40}$/),
+  wallet: Joi.string().pattern(/^0x[a-fA-F0-9]{40}$/),
+  status: Joi.array().items(
+    Joi.string().valid('scheduled', 'funding', 'active', 'disputed', 'released', 'resolved', 'cancelled', 'expired')
+  ).single(),
+  currency: Joi.string().valid('ETH', 'USDC', 'DAI'),
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  sortBy: Joi.string().valid('createdAt', 'amount').default('createdAt'),
+  order: Joi.string().valid('asc', 'desc').default('desc'),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  cursor: Joi.string().max(500)
+});
+
+// Amount-bearing escrow requests are EIP-712 only, so the signature covers the amount
+const fareAdjustmentSchema = Joi.object({
+  rideId: Joi.string().required().min(3).max(50),
+  amount: Joi.string().pattern(/^\d+(\.\d{1,18})?$/).required(),
+  reason: Joi.string().max(200).optional(),
+  signature: Joi.string().required(),
+  nonce: Joi.number().integer().min(0).required(),
+  deadline: Joi.number().integer().positive().required()
+});
+
+const fareAdjustmentResolveSchema = Joi.object({
+  rideId: Joi.string().required().min(3).max(50),
+  signature: Joi.string().required(),
+  nonce: Joi.number().integer().min(0).required(),
+  deadline: Joi.number().integer().positive().required()
+});
+
+const tipSchema = Joi.object({
+  rideId: Joi.string().required().min(3).max(50),
+  amount: Joi.string().pattern(/^\d+(\.\d{1,18})?$/).required(),
+  signature: Joi.string().required(),
+  nonce: Joi.number().integer().min(0).required(),
+  deadline: Joi.number().integer().positive().required()
+});
+
+const depositSchema = Joi.object({
+  rideId: Joi.string().required().min(3).max(50),
+  signature: Joi.string().required(),
+  nonce: Joi.number().integer().min(0).required(),
+  deadline: Joi.number().integer().positive().required(),
+  // ETH deposits: the rider's own transfer to the escrow contract (or bridge wallet after release)
+  transactionHash: Joi.string().pattern(/^0x[a-fA-F0-9]{64}$/).optional(),
+  // USDC/DAI deposits: EIP-2612 permit instead of a prior approve()
+  permit: Joi.object({
+    deadline: Joi.number().integer().positive().required(),
+    signature: Joi.string().required()
+  }).optional()
+});
+
+const escrowDisputeSchema = Joi.object({
+  rideId: Joi.string().required().min(3).max(50),
+  reason: Joi.string().required().min(10).max(1000),
+  signature: Joi.string().required(),
+  nonce: Joi.number().integer().min(0).required(),
+  deadline: Joi.number().integer().positive().required()
+});
+
+const driverReassignSchema = Joi.object({
+  rideId: Joi.string().required().min(3).max(50),
+  newDriverWallet: Joi.string().required().pattern(/^0x[a-fA-F0-9]{40}$/),
+  reason: Joi.string().max(200).optional(),
+  // The current driver's EIP-712 signature; operator requests (X-Operator-Key) omit it
+  signature: Joi.string(),
+  nonce: Joi.number().integer().min(0),
+  deadline: Joi.number().integer().positive()
+}).and('signature', 'nonce', 'deadline');
+
+const priceQuoteSchema = Joi.object({
+  fiatAmount: Joi.string().required().pattern(/^\d+(\.\d{1,2})?$/),
+  fiatCurrency: Joi.string().valid('USD').default('USD'),
+  currency: Joi.string().valid('ETH', 'USDC', 'DAI').default('ETH')
+});
+
+// The authorizer is the operator whose key the request carries
+const settlementBatchSchema = Joi.object({
+  currency: Joi.string().valid('ETH', 'USDC', 'DAI').optional()
+});
+
+const settlementBatchSearchSchema = Joi.object({
+  status: Joi.string().valid('processing', 'settled', 'failed').optional(),
+  limit: Joi.number().integer().min(1).max(100).default(20)
 });
 
+// Platform device id, or browser/device traits to fingerprint
+const deviceSchema = Joi.object({
+  deviceId: Joi.string().max(128),
+  userAgent: Joi.string().max(500),
+  screen: Joi.string().max(50),
+  timezone: Joi.string().max(64)
+}).or('deviceId', 'userAgent');
+
 const referralTrackSchema = Joi.object({
+  // Rewards are paid to the wallet the referrer verified on a referral code, never one named here
   referrerId: Joi.string().required().min(3).max(50),
   newUserId: Joi.string().required().min(3).max(50),
   userType: Joi.string().valid('rider', 'driver').required(),
-  rewardAmount: Joi.string().pattern(/^\d+(\.\d{1,18})?$/).optional()
+  newUserWallet: Joi.string().pattern(/^0x[a-fA-F0-9]{40}$/).optional(),
+  // The reward comes from the running campaign or the defaults, never from the caller
+  market: Joi.string().max(50).default('default'),
+  campaignId: Joi.string().optional(),
+  newUserDevice: deviceSchema.optional(),
+  referrerDevice: deviceSchema.optional()
+});
+
+const referralTierSchema = Joi.object({
+  rewardAmount: Joi.string().pattern(/^\d+(\.\d{1,18})?$/).required(),
+  secondLevelReward: Joi.string().pattern(/^\d+(\.\d{1,18})?$/).optional(),
+  requiredRides: Joi.number().integer().min(1).max(100).optional(),
+  windowDays: Joi.number().integer().min(1).max(365).optional()
+});
+
+const referralCampaignSchema = Joi.object({
+  name: Joi.string().required().min(3).max(100),
+  markets: Joi.array().items(Joi.string().max(50)).unique().default([]),
+  startsAt: Joi.date().iso().required(),
+  endsAt: Joi.date().iso().greater(Joi.ref('startsAt')).required(),
+  budget: Joi.string().pattern(/^\d+(\.\d{1,18})?$/).required(),
+  tiers: Joi.object({
+    rider: referralTierSchema,
+    driver: referralTierSchema
+  }).or('rider', 'driver').required()
+});
+
+const referralCodeSchema = Joi.object({
+  userId: Joi.string().required().min(3).max(50),
+  // Payout wallet, with its EIP-712 ReferralWallet signature
+  wallet: Joi.string().pattern(/^0x[a-fA-F0-9]{40}$/).optional(),
+  signature: Joi.string(),
+  nonce: Joi.number().integer().min(0),
+  deadline: Joi.number().integer().positive(),
+  device: deviceSchema.optional(),
+  maxRedemptions: Joi.number().integer().min(1).max(100000).optional(),
+  expiresAt: Joi.date().iso().greater('now').optional(),
+  campaignId: Joi.string().optional()
+}).and('signature', 'nonce', 'deadline').with('wallet', 'signature').with('signature', 'wallet');
+
+const referralRedeemSchema = Joi.object({
+  newUserId: Joi.string().required().min(3).max(50),
+  userType: Joi.string().valid('rider', 'driver').required(),
+  newUserWallet: Joi.string().pattern(/^0x[a-fA-F0-9]{40}$/).optional(),
+  market: Joi.string().max(50).default('default'),
+  newUserDevice: deviceSchema.optional()
+});
+
+// The reviewer is the operator whose key the request carries
+const referralReviewSchema = Joi.object({
+  note: Joi.string().max(500).optional()
+});
+
+const referralReviewSearchSchema = Joi.object({
+  status: Joi.string().valid('flagged', 'held').optional()
+});
+
+const referralAnalyticsSchema = Joi.object({
+  from: Joi.date().iso(),
+  to: Joi.date().iso().min(Joi.ref('from')),
+  market: Joi.string().max(50),
+  campaignId: Joi.string(),
+  userType: Joi.string().valid('rider', 'driver'),
+  interval: Joi.string().valid('day', 'week', 'month').default('day')
+});
+
+const referralLeaderboardSchema = Joi.object({
+  period: Joi.string().valid('week', 'month', 'year', 'all').default('month'),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  market: Joi.string().max(50),
+  campaignId: Joi.string()
+});
+
+const poolHistorySchema = Joi.object({
+  interval: Joi.string().valid('day', 'week', 'month').default('day'),
+  from: Joi.date().iso(),
+  to: Joi.date().iso().min(Joi.ref('from'))
+});
+
+const poolWithdrawalSchema = Joi.object({
+  contributor: Joi.string().pattern(/^0x[a-fA-F0-9]{40}$/).required(),
+  currency: Joi.string().valid('ETH', 'USDC', 'DAI').default('ETH'),
+  // Omit to withdraw every redeemable share
+  shares: Joi.string().pattern(/^\d+(\.\d{1,18})?$/),
+  // The contributor's EIP-712 PoolWithdrawal signature
+  signature: Joi.string().required(),
+  nonce: Joi.number().integer().min(0).required(),
+  deadline: Joi.number().integer().positive().required()
+});
+
+const poolWithdrawalSearchSchema = Joi.object({
+  contributor: Joi.string().pattern(/^0x[a-fA-F0-9]{40}$/),
+  currency: Joi.string().valid('ETH', 'USDC', 'DAI'),
+  status: Joi.string().valid('queued', 'paid')
 });
 
 const ethereumAddressSchema = Joi.string().pattern(/^0x[a-fA-F0-9]{40}$/);
@@ -61,7 +285,28 @@ const claimCreateSchema = Joi.object({
 module.exports = {
   escrowInitiateSchema,
   escrowActionSchema,
+  escrowSearchSchema,
+  fareAdjustmentSchema,
+  fareAdjustmentResolveSchema,
+  tipSchema,
+  depositSchema,
+  escrowDisputeSchema,
+  driverReassignSchema,
+  priceQuoteSchema,
+  settlementBatchSchema,
+  settlementBatchSearchSchema,
   referralTrackSchema,
+  referralCampaignSchema,
+  referralCodeSchema,
+  referralRedeemSchema,
+  referralReviewSchema,
+  referralReviewSearchSchema,
+  referralAnalyticsSchema,
+  referralLeaderboardSchema,
+  poolHistorySchema,
+  poolDepositSchema,
+  poolWithdrawalSchema,
+  poolWithdrawalSearchSchema,
   insuranceQuoteSchema,
   insurancePurchaseSchema,
   claimCreateSchema,
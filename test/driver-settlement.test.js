@@ -0,0 +1,215 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const app = require('../src/index');
+const { BlockchainService } = require('../src/utils/blockchain');
+const DriverSettlementService = require('../src/services/driver-settlement');
+
+// Sign EIP-712 typed data of `primaryType` using the wallet's current nonce
+async function signTyped(wallet, primaryType, fields) {
+  const { body } = await request(app).get(`/api/escrow/nonce/${wallet.address}`);
+  const payload = { ...fields, nonce: body.nonce, deadline: Math.floor(Date.now() / 1000) + 300 };
+  const signature = await wallet.signTypedData(body.domain, { [primaryType]: body.types[primaryType] }, payload);
+
+  return { ...fields, signature, nonce: payload.nonce, deadline: payload.deadline };
+}
+
+// Escrow action bodies name the action by route, not in the body
+async function signAction(wallet, action, rideId) {
+  const { signature, nonce, deadline } = await signTyped(wallet, 'EscrowAction', { action, rideId });
+  return { rideId, signature, nonce, deadline };
+}
+
+describe('Driver batch settlement', () => {
+  const rider = ethers.Wallet.createRandom();
+  const driver = ethers.Wallet.createRandom();
+  const otherDriver = ethers.Wallet.createRandom();
+  // Releases pay out straight away, without a dispute window, so their earnings accrue at release
+  const settings = { SETTLEMENT_MODE: 'batch', OPERATOR_API_KEYS: 'ops@rideshare:test-settlement-key', DISPUTE_WINDOW_HOURS: '0' };
+  const original = {};
+
+  before(() => {
+    Object.entries(settings).forEach(([name, value]) => {
+      original[name] = process.env[name];
+      process.env[name] = value;
+    });
+  });
+
+  after(() => {
+    Object.entries(original).forEach(([name, value]) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+  });
+
+  const completeAndRelease = async (rideId, rideDriver, amount, currency = 'ETH') => {
+    await request(app)
+      .post('/api/escrow/initiate')
+      .send({ rideId, riderWallet: rider.address, driverWallet: rideDriver.address, amount, currency })
+      .expect(201);
+    for (const action of ['accept', 'start', 'complete', 'release']) {
+      await request(app)
+        .post(`/api/escrow/${action}`)
+        .send(await signAction(rideDriver, action, rideId))
+        .expect(200);
+    }
+  };
+
+  const earningsOf = async (wallet) => (await request(app).get(`/api/settlements/drivers/${wallet.address}`).expect(200)).body;
+
+  it('should hold released fares and late tips as pending earnings', async () => {
+    await completeAndRelease('ride_batch_1', driver, '1.0');
+    await completeAndRelease('ride_batch_2', driver, '0.5');
+
+    const status = await request(app).get('/api/escrow/status/ride_batch_1').expect(200);
+    expect(status.body.escrow.settlement).to.include({ driverPayout: '1.0', batched: true });
+
+    const tip = await request(app)
+      .post('/api/escrow/tip')
+      .send(await signTyped(rider, 'Tip', { rideId: 'ride_batch_2', amount: '0.25' }))
+      .expect(201);
+    const { adjustmentId } = tip.body.tip;
+    const { signature, nonce, deadline } = await signTyped(rider, 'Deposit', { rideId: 'ride_batch_2', adjustmentId, amount: '0.25' });
+    const funded = await request(app)
+      .post(`/api/escrow/adjustments/${adjustmentId}/deposit`)
+      .send({ rideId: 'ride_batch_2', signature, nonce, deadline })
+      .expect(200);
+    expect(funded.body.adjustment.status).to.equal('accrued');
+
+    const earnings = await earningsOf(driver);
+    expect(earnings.pending).to.deep.equal({ ETH: '1.75' });
+    expect(earnings.settled).to.deep.equal({});
+    expect(earnings.earnings.map(earning => earning.type)).to.deep.equal(['fare', 'fare', 'tip']);
+  });
+
+  it('should net each driver\'s earnings into one payout per batch', async () => {
+    await completeAndRelease('ride_batch_3', otherDriver, '2.0');
+
+    // Only operators run batches, and the batch records which one
+    await request(app).post('/api/settlements/batches').send({ currency: 'ETH' }).expect(403);
+    await request(app)
+      .post('/api/settlements/batches')
+      .send({ currency: 'ETH', authorizedBy: 'ops@rideshare' })
+      .set('X-Operator-Key', 'test-settlement-key')
+      .expect(400);
+
+    const response = await request(app)
+      .post('/api/settlements/batches')
+      .set('X-Operator-Key', 'test-settlement-key')
+      .send({ currency: 'ETH' })
+      .expect(201);
+
+    const [batch] = response.body.batches;
+    expect(batch).to.include({
+      authorizedBy: 'ops@rideshare',
+      currency: 'ETH',
+      status: 'settled',
+      totalAmount: '3.75',
+      driverCount: 2,
+      earningCount: 4,
+      transfersSaved: 3
+    });
+    expect(batch.transactionHash).to.match(/^0x[0-9a-f]{64}$/);
+    expect(batch.payouts.find(payout => payout.driverWallet === driver.address)).to.deep.include({
+      amount: '1.75',
+      rideIds: ['ride_batch_1', 'ride_batch_2']
+    });
+
+    const earnings = await earningsOf(driver);
+    expect(earnings.pending).to.deep.equal({});
+    expect(earnings.settled).to.deep.equal({ ETH: '1.75' });
+    expect(earnings.earnings.every(earning => earning.batchId === batch.batchId)).to.equal(true);
+
+    const report = await request(app).get(`/api/settlements/batches/${batch.batchId}`).expect(200);
+    expect(report.body.batch.payouts).to.have.length(2);
+    await request(app).get('/api/settlements/batches/batch_missing').expect(404);
+
+    const again = await request(app)
+      .post('/api/settlements/batches')
+      .set('X-Operator-Key', 'test-settlement-key')
+      .send({ currency: 'ETH' })
+      .expect(200);
+    expect(again.body.batches).to.deep.equal([]);
+  });
+
+  it('should keep earnings pending when the batch transaction fails', async () => {
+    const failingChain = new BlockchainService();
+    failingChain.payoutBatch = async () => {
+      throw new Error('nonce too low');
+    };
+    const settlement = new DriverSettlementService(failingChain);
+
+    await completeAndRelease('ride_batch_dai', driver, '12.0', 'DAI');
+    const [batch] = await settlement.runBatches({ currency: 'DAI', authorizedBy: 'ops@rideshare' });
+
+    expect(batch).to.include({ status: 'failed', error: 'nonce too low' });
+    expect((await earningsOf(driver)).pending).to.deep.equal({ DAI: '12.0' });
+  });
+
+  it('should reconcile a batch by its hash instead of resending it when the receipt wait fails', async () => {
+    let sends = 0;
+    let outcome = 'pending';
+    const flakyChain = new BlockchainService();
+    flakyChain.payoutBatch = async (batch, { onSent }) => {
+      sends += 1;
+      await onSent(`0x${'ab'.repeat(32)}`);
+      throw new Error('timeout waiting for receipt');
+    };
+    flakyChain.getTransactionOutcome = async () => outcome;
+    const settlement = new DriverSettlementService(flakyChain);
+
+    await completeAndRelease('ride_batch_usdc', otherDriver, '7.0', 'USDC');
+    const [batch] = await settlement.runBatches({ currency: 'USDC', authorizedBy: 'ops@rideshare' });
+    expect(batch).to.include({ status: 'processing', transactionHash: `0x${'ab'.repeat(32)}` });
+    expect((await earningsOf(otherDriver)).pending).to.deep.equal({ USDC: '7.0' });
+
+    // Still unmined: nothing is resent
+    expect(await settlement.runBatches({ currency: 'USDC' })).to.deep.equal([]);
+    expect(sends).to.equal(1);
+
+    // A restarted service settles it once the transaction confirms
+    outcome = 'confirmed';
+    const [reconciled] = await new DriverSettlementService(flakyChain).reconcile();
+    expect(reconciled).to.include({ batchId: batch.batchId, status: 'settled' });
+    expect((await earningsOf(otherDriver)).settled).to.include({ USDC: '7.0' });
+    expect(sends).to.equal(1);
+  });
+
+  it('should release the earnings of batches that never sent or whose transaction reverted', async () => {
+    const chain = new BlockchainService();
+    chain.getTransactionOutcome = async () => 'reverted';
+    const settlement = new DriverSettlementService(chain);
+
+    await completeAndRelease('ride_batch_stuck', driver, '3.0', 'USDC');
+    const [earning] = (await earningsOf(driver)).earnings.filter(entry => entry.rideId === 'ride_batch_stuck');
+    const stuck = (batchId, transactionHash) => {
+      settlement.batches.set(batchId, {
+        batchId,
+        currency: 'USDC',
+        status: 'processing',
+        payouts: [{ driverWallet: driver.address, amount: '3.0', earningIds: [earning.earningId], rideIds: ['ride_batch_stuck'] }],
+        transactionHash,
+        createdAt: new Date().toISOString()
+      });
+      settlement.earnings.set(earning.earningId, { ...settlement.earnings.get(earning.earningId), status: 'processing', batchId });
+    };
+
+    stuck('batch_crashed_before_send', null);
+    expect((await settlement.reconcile())[0]).to.include({ status: 'failed' });
+    expect(settlement.earnings.get(earning.earningId)).to.include({ status: 'pending', batchId: null });
+
+    stuck('batch_reverted', `0x${'cd'.repeat(32)}`);
+    expect((await settlement.reconcile())[0]).to.include({ status: 'failed', error: `Transaction 0x${'cd'.repeat(32)} reverted` });
+    expect(settlement.earnings.get(earning.earningId).status).to.equal('pending');
+  });
+
+  it('should pay drivers per ride when batch settlement is off', async () => {
+    process.env.SETTLEMENT_MODE = 'immediate';
+    await completeAndRelease('ride_batch_off', otherDriver, '1.0');
+    process.env.SETTLEMENT_MODE = 'batch';
+
+    const status = await request(app).get('/api/escrow/status/ride_batch_off').expect(200);
+    expect(status.body.escrow.settlement).to.not.have.property('batched');
+    expect((await earningsOf(otherDriver)).pending).to.deep.equal({});
+  });
+});
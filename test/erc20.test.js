@@ -0,0 +1,145 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const { RealBlockchainService } = require('../src/utils/blockchain-real');
+const { getTokenConfig } = require('../src/utils/tokens');
+
+// In-memory stand-in for an ERC-20 contract so token flows run without a node
+function createFakeToken(decimals) {
+  const balances = {};
+  const allowances = {};
+  const calls = [];
+  const key = (owner, spender) => `${owner.toLowerCase()}:${spender.toLowerCase()}`;
+  const receipt = (hash) => ({ wait: async () => ({ hash, blockNumber: 1, gasUsed: 50000n, status: 1 }) });
+
+  return {
+    calls,
+    mint: (owner, value) => { balances[owner.toLowerCase()] = (balances[owner.toLowerCase()] || 0n) + value; },
+    contract: {
+      balanceOf: async (owner) => balances[owner.toLowerCase()] || 0n,
+      allowance: async (owner, spender) => allowances[key(owner, spender)] || 0n,
+      decimals: async () => BigInt(decimals),
+      approve: (owner, spender, value) => { allowances[key(owner, spender)] = value; },
+      permit: async (owner, spender, value) => {
+        calls.push({ method: 'permit', owner, spender, value });
+        allowances[key(owner, spender)] = value;
+        return receipt('0xpermit');
+      },
+      transfer: async (to, value) => {
+        calls.push({ method: 'transfer', to, value });
+        return receipt('0xtransfer');
+      },
+      transferFrom: async (from, to, value) => {
+        calls.push({ method: 'transferFrom', from, to, value });
+        return receipt('0xtransferFrom');
+      }
+    }
+  };
+}
+
+describe('ERC-20 token support', () => {
+  const envKeys = ['NETWORK', 'PRIVATE_KEY', 'USDC_TOKEN_ADDRESS', 'DAI_TOKEN_ADDRESS'];
+  const originalEnv = Object.fromEntries(envKeys.map(key => [key, process.env[key]]));
+  const rider = ethers.Wallet.createRandom();
+  const bridge = ethers.Wallet.createRandom();
+  let service;
+  let usdc;
+
+  beforeEach(() => {
+    process.env.NETWORK = 'hardhat';
+    process.env.PRIVATE_KEY = bridge.privateKey;
+    process.env.USDC_TOKEN_ADDRESS = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+
+    service = new RealBlockchainService();
+    usdc = createFakeToken(6);
+    service.tokens.USDC = { symbol: 'USDC', address: process.env.USDC_TOKEN_ADDRESS, decimals: 6, contract: usdc.contract };
+  });
+
+  afterEach(() => {
+    envKeys.forEach(key => {
+      if (originalEnv[key] === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = originalEnv[key];
+      }
+    });
+  });
+
+  it('should resolve registry addresses with env overrides', () => {
+    delete process.env.USDC_TOKEN_ADDRESS;
+    expect(getTokenConfig('mainnet', 'USDC')).to.include({ decimals: 6 });
+    expect(() => getTokenConfig('hardhat', 'USDC')).to.throw(/Set USDC_TOKEN_ADDRESS/);
+
+    process.env.DAI_TOKEN_ADDRESS = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+    expect(getTokenConfig('hardhat', 'DAI')).to.deep.equal({
+      symbol: 'DAI',
+      address: '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512',
+      decimals: 18
+    });
+  });
+
+  it('should report token balances using the token decimals', async () => {
+    usdc.mint(rider.address, 12_500_000n);
+
+    expect(await service.getBalance(rider.address, 'USDC')).to.equal('12.5');
+  });
+
+  it('should reject collection when the owner lacks funds', async () => {
+    usdc.mint(rider.address, 1_000_000n);
+
+    try {
+      await service.collectToken(rider.address, '25.5', 'USDC');
+      expect.fail('collectToken should have thrown');
+    } catch (error) {
+      expect(error.code).to.equal('INSUFFICIENT_FUNDS');
+    }
+  });
+
+  it('should require an approval or permit before pulling tokens', async () => {
+    usdc.mint(rider.address, 30_000_000n);
+
+    try {
+      await service.collectToken(rider.address, '25.5', 'USDC');
+      expect.fail('collectToken should have thrown');
+    } catch (error) {
+      expect(error.code).to.equal('INSUFFICIENT_ALLOWANCE');
+    }
+
+    usdc.contract.approve(rider.address, bridge.address, 25_500_000n);
+    await service.collectToken(rider.address, '25.5', 'USDC');
+
+    expect(usdc.calls).to.deep.equal([
+      { method: 'transferFrom', from: rider.address, to: bridge.address, value: 25_500_000n }
+    ]);
+  });
+
+  it('should submit a permit before transferFrom when one is provided', async () => {
+    usdc.mint(rider.address, 30_000_000n);
+    const signature = rider.signingKey.sign(ethers.id('permit')).serialized;
+
+    const tx = await service.collectToken(rider.address, '25.5', 'USDC', { deadline: 1893456000, signature });
+
+    expect(tx).to.include({ hash: '0xtransferFrom', status: 'success' });
+    expect(usdc.calls.map(call => call.method)).to.deep.equal(['permit', 'transferFrom']);
+    expect(usdc.calls[0].value).to.equal(25_500_000n);
+  });
+
+  it('should hold token escrows in the bridge wallet', async () => {
+    usdc.mint(rider.address, 30_000_000n);
+    usdc.contract.approve(rider.address, bridge.address, 30_000_000n);
+
+    const escrow = await service.createEscrow(
+      'ride_usdc_escrow',
+      rider.address,
+      '0x853e46Dd7f3e6f23B3C3D8c9c5f4f9b2e3d4f5f6',
+      '25.5',
+      'USDC'
+    );
+
+    expect(escrow).to.include({
+      escrowAddress: bridge.address,
+      tokenAddress: process.env.USDC_TOKEN_ADDRESS,
+      currency: 'USDC',
+      transactionHash: '0xtransferFrom'
+    });
+  });
+});
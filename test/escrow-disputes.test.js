@@ -0,0 +1,299 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const app = require('../src/index');
+const { BlockchainService } = require('../src/utils/blockchain');
+const { createRepository } = require('../src/storage');
+const EscrowDisputeService = require('../src/services/escrow-disputes');
+const EscrowExpirySweeper = require('../src/services/escrow-expiry');
+
+// Build an EIP-712 signed escrow action body using the wallet's current nonce
+async function signAction(wallet, action, rideId) {
+  const { body } = await request(app).get(`/api/escrow/nonce/${wallet.address}`);
+  const payload = { action, rideId, nonce: body.nonce, deadline: Math.floor(Date.now() / 1000) + 300 };
+  const signature = await wallet.signTypedData(body.domain, { EscrowAction: body.types.EscrowAction }, payload);
+
+  return { rideId, signature, nonce: payload.nonce, deadline: payload.deadline };
+}
+
+// Juror votes are EIP-712 JurorVote messages signed by the juror's wallet
+async function signVote(wallet, reviewId, decision) {
+  const { body } = await request(app).get(`/api/escrow/nonce/${wallet.address}`);
+  const payload = { reviewId, decision, nonce: body.nonce, deadline: Math.floor(Date.now() / 1000) + 300 };
+  const signature = await wallet.signTypedData(body.domain, { JurorVote: body.types.JurorVote }, payload);
+
+  return { signature, nonce: payload.nonce, deadline: payload.deadline };
+}
+
+describe('Escrow disputes', () => {
+  const rider = ethers.Wallet.createRandom();
+  const driver = ethers.Wallet.createRandom();
+  const jurors = [1, 2, 3].map(() => ethers.Wallet.createRandom());
+  // Volunteered, but never vetted, so never put on a jury
+  const unvetted = [1, 2, 3].map(() => ethers.Wallet.createRandom());
+  let originalKeys;
+
+  before(async () => {
+    originalKeys = process.env.OPERATOR_API_KEYS;
+    process.env.OPERATOR_API_KEYS = 'trust@rideshare:test-jury-key';
+
+    for (const juror of [...jurors, ...unvetted]) {
+      await request(app).post('/api/jury/volunteer').send({ wallet: juror.address }).expect(201);
+    }
+    for (const juror of jurors) {
+      await request(app).post(`/api/jury/${juror.address}/approve`).set('X-Operator-Key', 'test-jury-key').expect(200);
+    }
+  });
+
+  after(() => {
+    if (originalKeys === undefined) {
+      delete process.env.OPERATOR_API_KEYS;
+    } else {
+      process.env.OPERATOR_API_KEYS = originalKeys;
+    }
+  });
+
+  const completeRide = async (rideId) => {
+    await request(app)
+      .post('/api/escrow/initiate')
+      .send({ rideId, riderWallet: rider.address, driverWallet: driver.address, amount: '30.0' })
+      .expect(201);
+    for (const action of ['accept', 'start', 'complete']) {
+      await request(app)
+        .post(`/api/escrow/${action}`)
+        .send(await signAction(driver, action, rideId))
+        .expect(200);
+    }
+  };
+
+  const openDispute = async (rideId) => {
+    const response = await request(app)
+      .post('/api/escrow/dispute')
+      .send({ ...(await signAction(rider, 'dispute', rideId)), reason: 'The driver never picked me up' })
+      .expect(201);
+    return response.body.review;
+  };
+
+  const vote = async (reviewId, juror, decision) => request(app)
+    .post(`/api/review/${reviewId}/vote`)
+    .send({ juror: juror.address, decision, reasoning: 'GPS trace reviewed', ...(await signVote(juror, reviewId, decision)) })
+    .expect(200);
+
+  it('should only seat jurors an operator has vetted', async () => {
+    const volunteer = await request(app).post('/api/jury/volunteer').send({ wallet: unvetted[0].address }).expect(409);
+    expect(volunteer.body.error).to.equal('Already Registered');
+    await request(app).post(`/api/jury/${unvetted[0].address}/approve`).expect(403);
+    await request(app).post(`/api/jury/${unvetted[0].address}/approve`).set('X-Operator-Key', 'wrong-key').expect(403);
+
+    const rideId = 'ride_dispute_vetted_jury';
+    await completeRide(rideId);
+    const review = await openDispute(rideId);
+
+    const seated = createRepository('reviews').get(review.reviewId).jurors;
+    expect(seated).to.include.members(jurors.map(juror => juror.address));
+    unvetted.forEach(juror => expect(seated).to.not.include(juror.address));
+  });
+
+  it('should freeze the escrow and refund the rider in full when the jury upholds the dispute', async () => {
+    const rideId = 'ride_dispute_upheld';
+    await completeRide(rideId);
+    const review = await openDispute(rideId);
+
+    expect(review.jurorsAssigned).to.equal(3);
+    expect(review).to.not.have.property('jurors');
+
+    const status = await request(app).get(`/api/escrow/status/${rideId}`).expect(200);
+    expect(status.body.escrow.status).to.equal('disputed');
+    expect(status.body.escrow.dispute).to.include({ status: 'open', raisedBy: 'rider', raisedByWallet: rider.address });
+
+    await request(app)
+      .post('/api/escrow/release')
+      .send(await signAction(driver, 'release', rideId))
+      .expect(409);
+
+    await vote(review.reviewId, jurors[0], 'approve');
+    await vote(review.reviewId, jurors[1], 'approve');
+    const final = await vote(review.reviewId, jurors[2], 'approve');
+
+    expect(final.body.escrow).to.include({ status: 'resolved' });
+    expect(final.body.escrow.dispute).to.include({ status: 'resolved', outcome: 'rider' });
+    expect(final.body.escrow.settlement).to.include({ driverPayout: '0.0', riderRefund: '30.0' });
+
+    const history = await request(app).get(`/api/escrow/${rideId}/history`).expect(200);
+    expect(history.body.events.map(e => e.type).slice(-2)).to.deep.equal(['dispute_opened', 'dispute_resolved']);
+  });
+
+  it('should pay the driver when the jury denies the dispute', async () => {
+    const rideId = 'ride_dispute_denied';
+    await completeRide(rideId);
+    const review = await openDispute(rideId);
+
+    for (const juror of jurors) {
+      await vote(review.reviewId, juror, 'deny');
+    }
+
+    const status = await request(app).get(`/api/escrow/status/${rideId}`).expect(200);
+    expect(status.body.escrow.dispute.outcome).to.equal('driver');
+    expect(status.body.escrow.settlement).to.include({ driverPayout: '30.0', riderRefund: '0.0', partial: false });
+  });
+
+  it('should split the escrow by votes when the jury has no consensus', async () => {
+    const rideId = 'ride_dispute_split';
+    await completeRide(rideId);
+    const review = await openDispute(rideId);
+
+    await vote(review.reviewId, jurors[0], 'approve');
+    await vote(review.reviewId, jurors[1], 'deny');
+    const final = await vote(review.reviewId, jurors[2], 'need_info');
+
+    expect(final.body.escrow.dispute.outcome).to.equal('split');
+    expect(final.body.escrow.settlement).to.include({ driverPayout: '15.0', riderRefund: '15.0', partial: true });
+  });
+
+  it('should only count votes signed by the juror\'s own wallet', async () => {
+    const rideId = 'ride_dispute_forged';
+    await completeRide(rideId);
+    const review = await openDispute(rideId);
+
+    // The rider cannot vote on a juror's behalf
+    await request(app)
+      .post(`/api/review/${review.reviewId}/vote`)
+      .send({ juror: jurors[0].address, decision: 'approve', reasoning: 'Refund me', ...(await signVote(rider, review.reviewId, 'approve')) })
+      .expect(401);
+
+    await request(app)
+      .post(`/api/review/${review.reviewId}/vote`)
+      .send({ juror: jurors[0].address, decision: 'approve', reasoning: 'Refund me' })
+      .expect(400);
+
+    // A signature covers one decision only
+    const signed = await signVote(jurors[0], review.reviewId, 'deny');
+    await request(app)
+      .post(`/api/review/${review.reviewId}/vote`)
+      .send({ juror: jurors[0].address, decision: 'approve', reasoning: 'GPS trace reviewed', ...signed })
+      .expect(401);
+
+    const status = await request(app).get(`/api/review/${review.reviewId}/status`).expect(200);
+    expect(status.body.voting.votesReceived).to.equal(0);
+  });
+
+  describe('after the review deadline', () => {
+    const blockchainService = new BlockchainService();
+    const sweeperWith = (defaultOutcome) => new EscrowExpirySweeper(blockchainService, {
+      disputes: new EscrowDisputeService(blockchainService, { ...EscrowDisputeService.loadDisputeConfig(), defaultOutcome })
+    });
+    const afterDeadline = (review) => new Date(new Date(review.deadline).getTime() + 60 * 1000);
+
+    it('should settle from the votes cast once a quorum has voted', async () => {
+      const rideId = 'ride_dispute_quorum';
+      await completeRide(rideId);
+      const review = await openDispute(rideId);
+
+      await vote(review.reviewId, jurors[0], 'approve');
+      await vote(review.reviewId, jurors[1], 'approve');
+
+      await sweeperWith('driver').sweep(new Date(Date.now() + 60 * 1000));
+      expect((await request(app).get(`/api/escrow/status/${rideId}`)).body.escrow.status).to.equal('disputed');
+
+      await sweeperWith('driver').sweep(afterDeadline(review));
+
+      const status = await request(app).get(`/api/escrow/status/${rideId}`).expect(200);
+      expect(status.body.escrow).to.include({ status: 'resolved' });
+      expect(status.body.escrow.dispute.outcome).to.equal('rider');
+      expect(status.body.escrow.settlement).to.include({ driverPayout: '0.0', riderRefund: '30.0' });
+
+      const reviewStatus = await request(app).get(`/api/review/${review.reviewId}/status`).expect(200);
+      expect(reviewStatus.body.status).to.equal('completed');
+    });
+
+    it('should settle with the default outcome when the jury misses the quorum', async () => {
+      const splitRide = 'ride_dispute_no_quorum';
+      await completeRide(splitRide);
+      const splitReview = await openDispute(splitRide);
+      await vote(splitReview.reviewId, jurors[0], 'approve');
+
+      await sweeperWith('split').sweep(afterDeadline(splitReview));
+      const split = await request(app).get(`/api/escrow/status/${splitRide}`).expect(200);
+      expect(split.body.escrow.dispute.outcome).to.equal('split');
+      expect(split.body.escrow.settlement).to.include({ driverPayout: '15.0', riderRefund: '15.0' });
+
+      const driverRide = 'ride_dispute_no_quorum_driver';
+      await completeRide(driverRide);
+      const driverReview = await openDispute(driverRide);
+
+      // The split dispute is already settled: a later sweep with another default leaves it alone
+      await sweeperWith('driver').sweep(afterDeadline(driverReview));
+      const driverPaid = await request(app).get(`/api/escrow/status/${driverRide}`).expect(200);
+      expect(driverPaid.body.escrow.dispute.outcome).to.equal('driver');
+      expect(driverPaid.body.escrow.settlement).to.include({ driverPayout: '30.0', riderRefund: '0.0' });
+      expect((await request(app).get(`/api/escrow/status/${splitRide}`)).body.escrow.settlement)
+        .to.deep.equal(split.body.escrow.settlement);
+
+      const reviewStatus = await request(app).get(`/api/review/${driverReview.reviewId}/status`).expect(200);
+      expect(reviewStatus.body.status).to.equal('expired');
+
+      // Late votes are refused
+      await request(app)
+        .post(`/api/review/${splitReview.reviewId}/vote`)
+        .send({ juror: jurors[1].address, decision: 'deny', reasoning: 'Late', ...(await signVote(jurors[1], splitReview.reviewId, 'deny')) })
+        .expect(410);
+    });
+  });
+
+  it('should let a rider dispute a released escrow while its payout is held', async () => {
+    const rideId = 'ride_dispute_after_release';
+    await completeRide(rideId);
+
+    await request(app)
+      .post('/api/escrow/dispute')
+      .send({ ...(await signAction(driver, 'dispute', rideId)), reason: 'Rider refused to pay tolls' })
+      .expect(401);
+
+    const released = await request(app)
+      .post('/api/escrow/release')
+      .send(await signAction(driver, 'release', rideId))
+      .expect(200);
+    const { heldUntil } = released.body.escrow.settlement;
+    expect(new Date(heldUntil).getTime()).to.be.greaterThan(Date.now());
+
+    const review = await openDispute(rideId);
+    for (const juror of jurors) {
+      await vote(review.reviewId, juror, 'approve');
+    }
+
+    const status = await request(app).get(`/api/escrow/status/${rideId}`).expect(200);
+    expect(status.body.escrow).to.include({ status: 'resolved' });
+    expect(status.body.escrow.dispute.outcome).to.equal('rider');
+    expect(status.body.escrow.settlement).to.include({ driverPayout: '0.0', riderRefund: '30.0' });
+
+    // The window has closed and the held payout has nothing left to pay
+    const paid = await new BlockchainService().payHeldReleases(new Date(new Date(heldUntil).getTime() + 1000));
+    expect(paid.map(escrow => escrow.rideId)).to.not.include(rideId);
+  });
+
+  it('should pay out a released escrow once its dispute window closes, and refuse disputes after', async () => {
+    const rideId = 'ride_dispute_window_closed';
+    await completeRide(rideId);
+    const released = await request(app)
+      .post('/api/escrow/release')
+      .send(await signAction(driver, 'release', rideId))
+      .expect(200);
+    const { heldUntil } = released.body.escrow.settlement;
+
+    const blockchainService = new BlockchainService();
+    expect((await blockchainService.payHeldReleases()).map(escrow => escrow.rideId)).to.not.include(rideId);
+
+    await new EscrowExpirySweeper(blockchainService).sweep(new Date(new Date(heldUntil).getTime() + 1000));
+    const status = await request(app).get(`/api/escrow/status/${rideId}`).expect(200);
+    expect(status.body.escrow.status).to.equal('released');
+    expect(status.body.escrow.settlement.paidAt).to.be.a('string');
+
+    const history = await request(app).get(`/api/escrow/${rideId}/history`).expect(200);
+    expect(history.body.events.map(e => e.type).slice(-2)).to.deep.equal(['released', 'payout_released']);
+
+    await request(app)
+      .post('/api/escrow/dispute')
+      .send({ ...(await signAction(rider, 'dispute', rideId)), reason: 'The driver never picked me up' })
+      .expect(409);
+  });
+});
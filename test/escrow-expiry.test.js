@@ -0,0 +1,133 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const app = require('../src/index');
+const { BlockchainService } = require('../src/utils/blockchain');
+const EscrowExpirySweeper = require('../src/services/escrow-expiry');
+
+describe('Escrow Expiry Sweeper', () => {
+  const riderWallet = '0x742d35Cc6e2c5e12A2B2C7b8B4F3E8A1F2c3d4e5';
+  const driverWallet = '0x853e46Dd7f3e6f23B3C3D8c9c5f4f9b2e3d4f5f6';
+  const windows = { initiated: 15, driverAccepted: 30, rideStarted: 240 };
+
+  const blockchainService = new BlockchainService();
+  const sweeper = new EscrowExpirySweeper(blockchainService, { windows });
+  const minutesAfter = (timestamp, minutes) => new Date(new Date(timestamp).getTime() + minutes * 60 * 1000);
+
+  it('should expire an escrow that no driver accepted within the window', async () => {
+    const escrow = await blockchainService.createEscrow('ride_expiry_unaccepted', riderWallet, driverWallet, '20.0');
+
+    expect(await sweeper.sweep(minutesAfter(escrow.createdAt, 14))).to.have.length(0);
+
+    const expired = await sweeper.sweep(minutesAfter(escrow.createdAt, 16));
+    expect(expired.map(e => e.rideId)).to.include('ride_expiry_unaccepted');
+
+    const stored = await blockchainService.getEscrow('ride_expiry_unaccepted');
+    expect(stored).to.include({ status: 'expired', cancelledBy: 'platform', refundAmount: '20.0' });
+    expect(stored.cancellationReason).to.match(/initiated within 15 minutes/);
+  });
+
+  it('should measure each milestone from when it was reached', async () => {
+    await blockchainService.createEscrow('ride_expiry_started', riderWallet, driverWallet, '20.0');
+    await blockchainService.advanceMilestone('ride_expiry_started', 'driverAccepted', null);
+    const started = await blockchainService.advanceMilestone('ride_expiry_started', 'rideStarted', null);
+
+    expect(EscrowExpirySweeper.getExpiresAt(started, windows).toISOString())
+      .to.equal(minutesAfter(started.startedAt, 240).toISOString());
+
+    await sweeper.sweep(minutesAfter(started.startedAt, 60));
+    expect((await blockchainService.getEscrow('ride_expiry_started')).status).to.equal('active');
+
+    await sweeper.sweep(minutesAfter(started.startedAt, 241));
+    expect((await blockchainService.getEscrow('ride_expiry_started')).status).to.equal('expired');
+  });
+
+  it('should give a reassigned ride a fresh window to find its new driver', async () => {
+    await blockchainService.createEscrow('ride_expiry_reassigned', riderWallet, driverWallet, '20.0');
+    await blockchainService.advanceMilestone('ride_expiry_reassigned', 'driverAccepted', null);
+    const reassigned = await blockchainService.reassignDriver('ride_expiry_reassigned', {
+      newDriverWallet: '0x1111111111111111111111111111111111111111',
+      requestedBy: 'driver',
+      signature: null
+    });
+
+    expect(EscrowExpirySweeper.getExpiresAt(reassigned, windows).toISOString())
+      .to.equal(minutesAfter(reassigned.reassignedAt, 15).toISOString());
+  });
+
+  it('should release a scheduled hold that is not funded by pickup time', async () => {
+    const pickupAt = minutesAfter(new Date(), 180).toISOString();
+    await blockchainService.createEscrow('ride_expiry_scheduled', riderWallet, driverWallet, '20.0', 'ETH', 'default', {
+      scheduledPickupAt: pickupAt
+    });
+
+    await sweeper.sweep(minutesAfter(pickupAt, -1));
+    expect((await blockchainService.getEscrow('ride_expiry_scheduled')).status).to.equal('scheduled');
+
+    await sweeper.sweep(minutesAfter(pickupAt, 1));
+    const stored = await blockchainService.getEscrow('ride_expiry_scheduled');
+    expect(stored).to.include({ status: 'expired', refundAmount: '0.0' });
+    expect(stored.refundBreakdown.ruleId).to.equal('unfunded-scheduled-hold');
+    expect(stored.cancellationReason).to.match(/not funded before pickup/);
+  });
+
+  it('should refund a funded scheduled ride when no driver accepts after pickup', async () => {
+    const pickupAt = minutesAfter(new Date(), 60).toISOString();
+    await blockchainService.createEscrow('ride_expiry_scheduled_funded', riderWallet, driverWallet, '20.0', 'ETH', 'default', {
+      scheduledPickupAt: pickupAt
+    });
+    const funded = await blockchainService.fundShare('ride_expiry_scheduled_funded', riderWallet, null);
+
+    expect(EscrowExpirySweeper.getExpiresAt(funded, windows).toISOString())
+      .to.equal(minutesAfter(pickupAt, 15).toISOString());
+
+    await sweeper.sweep(minutesAfter(pickupAt, 16));
+    expect(await blockchainService.getEscrow('ride_expiry_scheduled_funded'))
+      .to.include({ status: 'expired', refundAmount: '20.0' });
+  });
+
+  it('should expire a split fare that is never fully funded', async () => {
+    const otherRider = '0x9a4B2c3D4e5F6a7B8c9D0e1F2a3B4c5D6e7F8a9B';
+    const escrow = await blockchainService.createEscrow('ride_expiry_funding', riderWallet, driverWallet, '20.0', 'ETH', 'default', {
+      riders: [{ wallet: riderWallet, share: '5.0' }, { wallet: otherRider, share: '15.0' }]
+    });
+    await blockchainService.fundShare('ride_expiry_funding', riderWallet, null);
+
+    await sweeper.sweep(minutesAfter(escrow.createdAt, 16));
+
+    const stored = await blockchainService.getEscrow('ride_expiry_funding');
+    expect(stored).to.include({ status: 'expired', refundAmount: '5.0' });
+    expect(stored.riderRefunds.map(r => r.refund)).to.deep.equal(['5.0', '0.0']);
+  });
+
+  it('should never expire a completed ride awaiting release', async () => {
+    await blockchainService.createEscrow('ride_expiry_completed', riderWallet, driverWallet, '20.0');
+    for (const milestone of ['driverAccepted', 'rideStarted', 'rideCompleted']) {
+      await blockchainService.advanceMilestone('ride_expiry_completed', milestone, null);
+    }
+
+    await sweeper.sweep(minutesAfter(new Date(), 24 * 60));
+    expect((await blockchainService.getEscrow('ride_expiry_completed')).status).to.equal('active');
+  });
+
+  it('should show expiry details in escrow status', async () => {
+    await request(app)
+      .post('/api/escrow/initiate')
+      .send({ rideId: 'ride_expiry_status', riderWallet, driverWallet, amount: '12.0' })
+      .expect(201);
+
+    const active = await request(app)
+      .get('/api/escrow/status/ride_expiry_status')
+      .expect(200);
+    expect(active.body.escrow).to.have.property('expiresAt');
+
+    await sweeper.sweep(minutesAfter(active.body.escrow.createdAt, 20));
+
+    const expired = await request(app)
+      .get('/api/escrow/status/ride_expiry_status')
+      .expect(200);
+    expect(expired.body.escrow).to.include({ status: 'expired', cancelledBy: 'platform' });
+    expect(expired.body.escrow).to.not.have.property('expiresAt');
+    expect(expired.body.escrow).to.have.property('cancellationReason');
+    expect(expired.body.escrow.refundBreakdown).to.include({ ruleId: 'platform-cancel' });
+  });
+});
@@ -0,0 +1,103 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const app = require('../src/index');
+const { BlockchainService } = require('../src/utils/blockchain');
+
+describe('Escrow Search API', () => {
+  const blockchainService = new BlockchainService();
+  const rider = ethers.Wallet.createRandom().address;
+  const otherRider = ethers.Wallet.createRandom().address;
+  const driver = ethers.Wallet.createRandom().address;
+
+  before(async () => {
+    // Five rides for one driver: three active, one released, one cancelled
+    const rides = [
+      ['ride_search_1', rider, '10.0', 'ETH'],
+      ['ride_search_2', rider, '25.0', 'ETH'],
+      ['ride_search_3', otherRider, '5.0', 'ETH'],
+      ['ride_search_4', rider, '40.0', 'USDC'],
+      ['ride_search_5', otherRider, '8.0', 'ETH']
+    ];
+    for (const [rideId, riderWallet, amount, currency] of rides) {
+      await blockchainService.createEscrow(rideId, riderWallet, driver, amount, currency);
+    }
+
+    for (const milestone of ['driverAccepted', 'rideStarted', 'rideCompleted']) {
+      await blockchainService.advanceMilestone('ride_search_2', milestone, null);
+    }
+    await blockchainService.releaseEscrow('ride_search_2', null);
+    await blockchainService.cancelEscrow('ride_search_5', null, 'driver');
+  });
+
+  it('should list a driver\'s escrows newest first with totals per currency', async () => {
+    const response = await request(app)
+      .get('/api/escrow')
+      .query({ driverWallet: driver })
+      .expect(200);
+
+    expect(response.body.escrows.map(e => e.rideId)).to.deep.equal([
+      'ride_search_5', 'ride_search_4', 'ride_search_3', 'ride_search_2', 'ride_search_1'
+    ]);
+    expect(response.body.pagination).to.deep.equal({ limit: 20, hasMore: false, nextCursor: null });
+    expect(response.body.totals).to.deep.equal({
+      ETH: { count: 4, held: '15.0', released: '25.0', refunded: '8.0' },
+      USDC: { count: 1, held: '40.0', released: '0.0', refunded: '0.0' }
+    });
+  });
+
+  it('should filter by rider, status and currency', async () => {
+    const byRider = await request(app)
+      .get('/api/escrow')
+      .query({ riderWallet: rider.toLowerCase(), currency: 'ETH' })
+      .expect(200);
+    expect(byRider.body.escrows.map(e => e.rideId)).to.have.members(['ride_search_1', 'ride_search_2']);
+
+    const active = await request(app)
+      .get('/api/escrow')
+      .query({ wallet: driver, status: 'active' })
+      .expect(200);
+    expect(active.body.escrows).to.have.length(3);
+    expect(active.body.escrows.every(e => e.status === 'active')).to.be.true;
+  });
+
+  it('should walk every page with the cursor', async () => {
+    const seen = [];
+    let cursor;
+
+    do {
+      const response = await request(app)
+        .get('/api/escrow')
+        .query({ driverWallet: driver, sortBy: 'amount', order: 'asc', limit: 2, ...(cursor && { cursor }) })
+        .expect(200);
+
+      seen.push(...response.body.escrows.map(e => e.amount));
+      cursor = response.body.pagination.nextCursor;
+    } while (cursor);
+
+    expect(seen).to.deep.equal(['5.0', '8.0', '10.0', '25.0', '40.0']);
+  });
+
+  it('should filter by created date range', async () => {
+    const response = await request(app)
+      .get('/api/escrow')
+      .query({ driverWallet: driver, from: new Date(Date.now() + 60000).toISOString() })
+      .expect(200);
+
+    expect(response.body.escrows).to.have.length(0);
+    expect(response.body.totals).to.deep.equal({});
+  });
+
+  it('should reject invalid filters and cursors', async () => {
+    await request(app)
+      .get('/api/escrow')
+      .query({ status: 'pending' })
+      .expect(400);
+
+    const response = await request(app)
+      .get('/api/escrow')
+      .query({ cursor: 'not-a-cursor' })
+      .expect(400);
+    expect(response.body.message).to.equal('Invalid pagination cursor');
+  });
+});
@@ -1,6 +1,40 @@
 const request = require('supertest');
 const { expect } = require('chai');
+const { ethers } = require('ethers');
 const app = require('../src/index');
+const { compareAmounts } = require('../src/utils/amounts');
+
+// Sign EIP-712 typed data of the given primaryType using the wallet's current nonce
+async function signTyped(wallet, primaryType, fields, overrides = {}) {
+  const { body } = await request(app).get(`/api/escrow/nonce/${wallet.address}`);
+  const payload = {
+    ...fields,
+    nonce: body.nonce,
+    deadline: Math.floor(Date.now() / 1000) + 300,
+    ...overrides
+  };
+  const signature = await wallet.signTypedData(
+    body.domain,
+    { [primaryType]: body.types[primaryType] },
+    payload
+  );
+
+  return { payload, signature };
+}
+
+// Build an EIP-712 signed escrow action body using the wallet's current nonce
+async function signAction(wallet, action, rideId, overrides = {}) {
+  const { payload, signature } = await signTyped(wallet, 'EscrowAction', { action, rideId }, overrides);
+
+  return { rideId, signature, nonce: payload.nonce, deadline: payload.deadline };
+}
+
+// The insurance contribution's deposit fields, signed by `wallet` as EIP-712 PoolDeposit for `contributor`
+async function signDeposit(wallet, contributor, amount, currency = 'ETH') {
+  const { payload, signature } = await signTyped(wallet, 'PoolDeposit', { contributor, amount, currency });
+
+  return { signature, nonce: payload.nonce, deadline: payload.deadline };
+}
 
 describe('Escrow API', () => {
   const validRideData = {
@@ -36,15 +70,28 @@ describe('Escrow API', () => {
     });
 
     it('should create escrow with insurance contribution', async () => {
+      const rider = ethers.Wallet.createRandom();
       const dataWithInsurance = {
         ...validRideData,
         rideId: 'ride_124',
+        riderWallet: rider.address,
         insuranceContribution: '1.0'
       };
 
-      const response = await request(app)
+      // Only a contribution the rider signed for mints shares
+      await request(app)
         .post('/api/escrow/initiate')
         .send(dataWithInsurance)
+        .expect(400);
+      const forged = await signDeposit(ethers.Wallet.createRandom(), rider.address, '1.0');
+      await request(app)
+        .post('/api/escrow/initiate')
+        .send({ ...dataWithInsurance, insuranceDeposit: forged })
+        .expect(401);
+
+      const response = await request(app)
+        .post('/api/escrow/initiate')
+        .send({ ...dataWithInsurance, insuranceDeposit: await signDeposit(rider, rider.address, '1.0') })
         .expect(201);
 
       expect(response.body.success).to.be.true;
@@ -53,6 +100,17 @@ describe('Escrow API', () => {
         amount: '1.0',
         contributor: dataWithInsurance.riderWallet
       });
+
+      // Minted as pool shares and locked up like a direct pool contribution
+      const { shares, unlocksAt } = response.body.insuranceContribution;
+      expect(shares).to.be.a('string');
+      expect(new Date(unlocksAt)).to.be.above(new Date());
+
+      const holdings = (await request(app)
+        .get(`/api/pool/contributions/${dataWithInsurance.riderWallet}`)
+        .expect(200)).body.holdings.find(entry => entry.currency === validRideData.currency);
+      expect(holdings.nextUnlockAt).to.be.a('string');
+      expect(compareAmounts(holdings.lockedShares, shares)).to.be.at.least(0);
     });
 
     it('should reject duplicate escrow creation', async () => {
@@ -123,18 +181,109 @@ describe('Escrow API', () => {
     });
   });
 
+  describe('Escrow milestones', () => {
+    const driver = ethers.Wallet.createRandom();
+    const rider = ethers.Wallet.createRandom();
+    const rideId = 'ride_milestone_test';
+
+    before(async () => {
+      await request(app)
+        .post('/api/escrow/initiate')
+        .send({ ...validRideData, rideId, riderWallet: rider.address, driverWallet: driver.address });
+    });
+
+    it('should reject starting a ride before driver acceptance', async () => {
+      const response = await request(app)
+        .post('/api/escrow/start')
+        .send(await signAction(driver, 'start', rideId))
+        .expect(409);
+
+      expect(response.body).to.have.property('error', 'Invalid Escrow State');
+    });
+
+    it('should reject milestone signatures from anyone but the driver', async () => {
+      const response = await request(app)
+        .post('/api/escrow/accept')
+        .send(await signAction(rider, 'accept', rideId))
+        .expect(401);
+
+      expect(response.body).to.have.property('error', 'Invalid Signature');
+    });
+
+    it('should walk through accept, start and complete in order', async () => {
+      const accepted = await request(app)
+        .post('/api/escrow/accept')
+        .send(await signAction(driver, 'accept', rideId))
+        .expect(200);
+
+      expect(accepted.body.escrow.milestones).to.include({ driverAccepted: true, rideStarted: false });
+      expect(accepted.body.escrow).to.have.property('acceptedAt');
+
+      const started = await request(app)
+        .post('/api/escrow/start')
+        .send(await signAction(driver, 'start', rideId))
+        .expect(200);
+
+      expect(started.body.escrow.milestones).to.include({ rideStarted: true, rideCompleted: false });
+
+      const completed = await request(app)
+        .post('/api/escrow/complete')
+        .send(await signAction(driver, 'complete', rideId))
+        .expect(200);
+
+      expect(completed.body.escrow.milestones).to.include({ rideCompleted: true, paymentReleased: false });
+
+      const status = await request(app)
+        .get(`/api/escrow/status/${rideId}`)
+        .expect(200);
+
+      expect(status.body.escrow).to.have.property('startedAt');
+      expect(status.body.escrow).to.have.property('completedAt');
+    });
+
+    it('should reject repeating a milestone', async () => {
+      await request(app)
+        .post('/api/escrow/accept')
+        .send(await signAction(driver, 'accept', rideId))
+        .expect(409);
+    });
+
+    it('should not cancel a completed ride', async () => {
+      await request(app)
+        .post('/api/escrow/cancel')
+        .send(await signAction(rider, 'cancel', rideId))
+        .expect(409);
+    });
+  });
+
   describe('POST /api/escrow/release', () => {
+    const driver = ethers.Wallet.createRandom();
+    const releaseRideData = { ...validRideData, rideId: 'ride_release_test', driverWallet: driver.address };
+
     before(async () => {
       await request(app)
         .post('/api/escrow/initiate')
-        .send({ ...validRideData, rideId: 'ride_release_test' });
+        .send(releaseRideData);
+    });
+
+    it('should reject release before the ride is completed', async () => {
+      const response = await request(app)
+        .post('/api/escrow/release')
+        .send(await signAction(driver, 'release', 'ride_release_test'))
+        .expect(409);
+
+      expect(response.body).to.have.property('error', 'Invalid Escrow State');
     });
 
     it('should release escrow with valid signature', async () => {
-      const releaseData = {
-        rideId: 'ride_release_test',
-        signature: validSignature
-      };
+      for (const action of ['accept', 'start', 'complete']) {
+        await request(app)
+          .post(`/api/escrow/${action}`)
+          .send(await signAction(driver, action, 'ride_release_test'))
+          .expect(200);
+      }
+
+      const releaseData = await signAction(driver, 'release', 'ride_release_test');
 
       const response = await request(app)
         .post('/api/escrow/release')
@@ -162,22 +311,105 @@ describe('Escrow API', () => {
     });
   });
 
+  describe('EIP-712 signed actions', () => {
+    const driver = ethers.Wallet.createRandom();
+    const rideId = 'ride_typed_sig_test';
+
+    before(async () => {
+      await request(app)
+        .post('/api/escrow/initiate')
+        .send({ ...validRideData, rideId, driverWallet: driver.address });
+    });
+
+    const legacyFlag = process.env.ALLOW_LEGACY_SIGNATURES;
+
+    afterEach(() => {
+      if (legacyFlag === undefined) {
+        delete process.env.ALLOW_LEGACY_SIGNATURES;
+      } else {
+        process.env.ALLOW_LEGACY_SIGNATURES = legacyFlag;
+      }
+    });
+
+    it('should expose the signing domain and nonce for a wallet', async () => {
+      const response = await request(app)
+        .get(`/api/escrow/nonce/${driver.address}`)
+        .expect(200);
+
+      expect(response.body).to.include({ nonce: 0, primaryType: 'EscrowAction' });
+      expect(response.body.domain).to.include({ name: 'RideshareBridge', version: '1' });
+      expect(response.body.domain).to.have.property('chainId');
+      expect(response.body.domain).to.have.property('verifyingContract');
+    });
+
+    it('should reject a replayed signature', async () => {
+      const body = await signAction(driver, 'accept', rideId);
+
+      await request(app).post('/api/escrow/accept').send(body).expect(200);
+      await request(app).post('/api/escrow/accept').send(body).expect(401);
+
+      const response = await request(app).get(`/api/escrow/nonce/${driver.address}`);
+      expect(response.body.nonce).to.equal(1);
+    });
+
+    it('should keep the nonce when the signed action is refused', async () => {
+      const before = (await request(app).get(`/api/escrow/nonce/${driver.address}`)).body.nonce;
+      const body = await signAction(driver, 'release', rideId);
+
+      await request(app).post('/api/escrow/release').send(body).expect(409);
+
+      const response = await request(app).get(`/api/escrow/nonce/${driver.address}`);
+      expect(response.body.nonce).to.equal(before);
+    });
+
+    it('should reject a signature past its deadline', async () => {
+      const body = await signAction(driver, 'start', rideId, {
+        deadline: Math.floor(Date.now() / 1000) - 1
+      });
+
+      await request(app).post('/api/escrow/start').send(body).expect(401);
+    });
+
+    it('should reject a signature for a different action', async () => {
+      const body = await signAction(driver, 'complete', rideId);
+
+      await request(app).post('/api/escrow/start').send(body).expect(401);
+    });
+
+    it('should require nonce and deadline together', async () => {
+      const { signature, nonce } = await signAction(driver, 'start', rideId);
+
+      const response = await request(app)
+        .post('/api/escrow/start')
+        .send({ rideId, signature, nonce })
+        .expect(400);
+
+      expect(response.body).to.have.property('error', 'Validation Error');
+    });
+
+    it('should only accept legacy messages behind the compatibility flag', async () => {
+      const signature = await driver.signMessage(`Start ride ${rideId}`);
+
+      await request(app).post('/api/escrow/start').send({ rideId, signature }).expect(401);
+
+      process.env.ALLOW_LEGACY_SIGNATURES = 'true';
+      await request(app).post('/api/escrow/start').send({ rideId, signature }).expect(200);
+    });
+  });
+
   describe('POST /api/escrow/cancel', () => {
+    const rider = ethers.Wallet.createRandom();
+
     before(async () => {
       await request(app)
         .post('/api/escrow/initiate')
-        .send({ ...validRideData, rideId: 'ride_cancel_test' });
+        .send({ ...validRideData, rideId: 'ride_cancel_test', riderWallet: rider.address });
     });
 
     it('should cancel escrow with valid signature', async () => {
-      const cancelData = {
-        rideId: 'ride_cancel_test',
-        signature: validSignature
-      };
-
       const response = await request(app)
         .post('/api/escrow/cancel')
-        .send(cancelData)
+        .send(await signAction(rider, 'cancel', 'ride_cancel_test'))
         .expect(200);
 
       expect(response.body.success).to.be.true;
@@ -188,5 +420,753 @@ describe('Escrow API', () => {
       expect(response.body.escrow).to.have.property('refundAmount');
       expect(response.body.escrow).to.have.property('cancelledAt');
     });
+
+    it('should fully refund the rider when the driver cancels after starting', async () => {
+      const driver = ethers.Wallet.createRandom();
+      const rideId = 'ride_driver_cancel_test';
+
+      await request(app)
+        .post('/api/escrow/initiate')
+        .send({ ...validRideData, rideId, driverWallet: driver.address });
+      for (const action of ['accept', 'start']) {
+        await request(app)
+          .post(`/api/escrow/${action}`)
+          .send(await signAction(driver, action, rideId))
+          .expect(200);
+      }
+
+      const response = await request(app)
+        .post('/api/escrow/cancel')
+        .send(await signAction(driver, 'cancel', rideId))
+        .expect(200);
+
+      expect(response.body.escrow).to.include({ cancelledBy: 'driver', refundAmount: '25.5' });
+      expect(response.body.escrow.refundBreakdown).to.include({
+        ruleId: 'driver-cancel',
+        milestone: 'rideStarted',
+        riderRefund: '25.5',
+        driverFee: '0.0',
+        platformFee: '0.0'
+      });
+
+      const status = await request(app)
+        .get(`/api/escrow/status/${rideId}`)
+        .expect(200);
+
+      expect(status.body.escrow.refundBreakdown).to.deep.equal(response.body.escrow.refundBreakdown);
+    });
+
+    it('should pay the driver a cancellation fee when the rider cancels a started ride', async () => {
+      const rider = ethers.Wallet.createRandom();
+      const driver = ethers.Wallet.createRandom();
+      const rideId = 'ride_rider_cancel_test';
+
+      await request(app)
+        .post('/api/escrow/initiate')
+        .send({ ...validRideData, rideId, riderWallet: rider.address, driverWallet: driver.address });
+      for (const action of ['accept', 'start']) {
+        await request(app)
+          .post(`/api/escrow/${action}`)
+          .send(await signAction(driver, action, rideId))
+          .expect(200);
+      }
+
+      const response = await request(app)
+        .post('/api/escrow/cancel')
+        .send(await signAction(rider, 'cancel', rideId))
+        .expect(200);
+
+      expect(response.body.escrow.cancelledBy).to.equal('rider');
+      expect(response.body.escrow.refundBreakdown).to.include({
+        ruleId: 'rider-cancel-after-start',
+        riderRefund: '12.75',
+        driverFee: '10.2',
+        platformFee: '2.55'
+      });
+    });
+  });
+
+  describe('GET /api/escrow/refund-policy', () => {
+    it('should list the active refund rules', async () => {
+      const response = await request(app)
+        .get('/api/escrow/refund-policy')
+        .expect(200);
+
+      expect(response.body.rules).to.be.an('array').that.is.not.empty;
+      expect(response.body.rules[0]).to.have.all.keys(
+        'id', 'match', 'riderRefundPercent', 'driverFeePercent', 'platformFeePercent'
+      );
+    });
+  });
+
+  describe('Fare adjustments and tips', () => {
+    const rider = ethers.Wallet.createRandom();
+    const driver = ethers.Wallet.createRandom();
+
+    const startRide = async (rideId, amount = '20.0') => {
+      await request(app)
+        .post('/api/escrow/initiate')
+        .send({ ...validRideData, rideId, amount, riderWallet: rider.address, driverWallet: driver.address })
+        .expect(201);
+      for (const action of ['accept', 'start']) {
+        await request(app)
+          .post(`/api/escrow/${action}`)
+          .send(await signAction(driver, action, rideId))
+          .expect(200);
+      }
+    };
+
+    const signAdjustment = async (wallet, action, rideId, amount) => {
+      const { payload, signature } = await signTyped(wallet, 'FareAdjustment', { action, rideId, amount });
+      return { rideId, signature, nonce: payload.nonce, deadline: payload.deadline };
+    };
+
+    const signTip = async (wallet, rideId, amount) => {
+      const { payload, signature } = await signTyped(wallet, 'Tip', { rideId, amount });
+      return { rideId, amount, signature, nonce: payload.nonce, deadline: payload.deadline };
+    };
+
+    const deposit = async (wallet, rideId, adjustmentId, amount) => {
+      const { payload, signature } = await signTyped(wallet, 'Deposit', { rideId, adjustmentId, amount });
+      return request(app)
+        .post(`/api/escrow/adjustments/${adjustmentId}/deposit`)
+        .send({ rideId, signature, nonce: payload.nonce, deadline: payload.deadline });
+    };
+
+    const completeAndRelease = async (rideId) => {
+      await request(app)
+        .post('/api/escrow/complete')
+        .send(await signAction(driver, 'complete', rideId))
+        .expect(200);
+      return request(app)
+        .post('/api/escrow/release')
+        .send(await signAction(driver, 'release', rideId))
+        .expect(200);
+    };
+
+    it('should refund the difference when an approved fare is lower than the hold', async () => {
+      const rideId = 'ride_fare_lower';
+      await startRide(rideId);
+
+      const proposed = await request(app)
+        .post('/api/escrow/adjustments')
+        .send({ ...(await signAdjustment(driver, 'propose', rideId, '16.5')), amount: '16.5', reason: 'Shorter route' })
+        .expect(201);
+
+      expect(proposed.body.adjustment).to.include({ status: 'pending', proposedBy: 'driver', previousAmount: '20.0' });
+
+      const { adjustmentId } = proposed.body.adjustment;
+      const approved = await request(app)
+        .post(`/api/escrow/adjustments/${adjustmentId}/approve`)
+        .send(await signAdjustment(rider, 'approve', rideId, '16.5'))
+        .expect(200);
+
+      expect(approved.body.adjustment).to.include({ status: 'approved', resolvedBy: 'rider' });
+      expect(approved.body.escrow).to.include({ amount: '20.0', fare: '16.5' });
+
+      const released = await completeAndRelease(rideId);
+      const { heldUntil, ...settlement } = released.body.escrow.settlement;
+      expect(settlement).to.deep.equal({
+        driverPayout: '16.5',
+        riderRefund: '3.5',
+        riderRefunds: [{ wallet: rider.address, share: '20.0', refund: '3.5' }],
+        tipAmount: '0.0',
+        partial: true
+      });
+      expect(new Date(heldUntil).getTime()).to.be.greaterThan(Date.now());
+    });
+
+    it('should top up the hold when an approved fare is higher', async () => {
+      const rideId = 'ride_fare_higher';
+      await startRide(rideId);
+
+      const proposed = await request(app)
+        .post('/api/escrow/adjustments')
+        .send({ ...(await signAdjustment(driver, 'propose', rideId, '23.25')), amount: '23.25', reason: 'Toll road' })
+        .expect(201);
+
+      const approved = await request(app)
+        .post(`/api/escrow/adjustments/${proposed.body.adjustment.adjustmentId}/approve`)
+        .send(await signAdjustment(rider, 'approve', rideId, '23.25'))
+        .expect(200);
+
+      // Nothing changes until the rider deposits the difference
+      const { adjustmentId } = proposed.body.adjustment;
+      expect(approved.body.adjustment).to.include({ status: 'awaiting_deposit', topUp: '3.25' });
+      expect(approved.body.escrow).to.include({ amount: '20.0', fare: '20.0' });
+
+      await request(app)
+        .post('/api/escrow/adjustments')
+        .send({ ...(await signAdjustment(driver, 'propose', rideId, '30.0')), amount: '30.0' })
+        .expect(409);
+
+      // The signed amount must be the top-up
+      const wrongAmount = await deposit(rider, rideId, adjustmentId, '23.25');
+      expect(wrongAmount.status).to.equal(401);
+      await deposit(driver, rideId, adjustmentId, '3.25').then(res => expect(res.status).to.equal(401));
+
+      const funded = await deposit(rider, rideId, adjustmentId, '3.25');
+      expect(funded.status).to.equal(200);
+      expect(funded.body.adjustment).to.include({ status: 'approved' });
+      expect(funded.body.adjustment.deposit).to.include({ wallet: rider.address, amount: '3.25' });
+      expect(funded.body.adjustment.deposit).to.have.property('transactionHash');
+      expect(funded.body.escrow).to.include({ amount: '23.25', fare: '23.25' });
+
+      const again = await deposit(rider, rideId, adjustmentId, '3.25');
+      expect(again.status).to.equal(409);
+    });
+
+    it('should release the funded fare when an approved top-up is never deposited', async () => {
+      const rideId = 'ride_fare_unfunded';
+      await startRide(rideId);
+
+      const proposed = await request(app)
+        .post('/api/escrow/adjustments')
+        .send({ ...(await signAdjustment(driver, 'propose', rideId, '25.0')), amount: '25.0' })
+        .expect(201);
+      await request(app)
+        .post(`/api/escrow/adjustments/${proposed.body.adjustment.adjustmentId}/approve`)
+        .send(await signAdjustment(rider, 'approve', rideId, '25.0'))
+        .expect(200);
+
+      const released = await completeAndRelease(rideId);
+      expect(released.body.escrow.settlement).to.include({ driverPayout: '20.0', riderRefund: '0.0' });
+
+      const status = await request(app).get(`/api/escrow/status/${rideId}`).expect(200);
+      expect(status.body.escrow.adjustments[0]).to.include({ status: 'lapsed' });
+    });
+
+    it('should only let the other party approve an adjustment', async () => {
+      const rideId = 'ride_fare_self_approve';
+      await startRide(rideId);
+
+      const proposed = await request(app)
+        .post('/api/escrow/adjustments')
+        .send({ ...(await signAdjustment(driver, 'propose', rideId, '30.0')), amount: '30.0' })
+        .expect(201);
+      const { adjustmentId } = proposed.body.adjustment;
+
+      await request(app)
+        .post(`/api/escrow/adjustments/${adjustmentId}/approve`)
+        .send(await signAdjustment(driver, 'approve', rideId, '30.0'))
+        .expect(401);
+
+      // Signing a different amount than the one proposed does not approve it
+      await request(app)
+        .post(`/api/escrow/adjustments/${adjustmentId}/approve`)
+        .send(await signAdjustment(rider, 'approve', rideId, '3.0'))
+        .expect(401);
+
+      await request(app)
+        .post('/api/escrow/adjustments')
+        .send({ ...(await signAdjustment(rider, 'propose', rideId, '25.0')), amount: '25.0' })
+        .expect(409);
+
+      const rejected = await request(app)
+        .post(`/api/escrow/adjustments/${adjustmentId}/reject`)
+        .send(await signAdjustment(rider, 'reject', rideId, '30.0'))
+        .expect(200);
+
+      expect(rejected.body.adjustment.status).to.equal('rejected');
+      expect(rejected.body.escrow).to.include({ amount: '20.0', fare: '20.0' });
+    });
+
+    it('should pay deposited tips with the release or straight away after it', async () => {
+      const rideId = 'ride_tip';
+      await startRide(rideId);
+
+      await request(app)
+        .post('/api/escrow/tip')
+        .send(await signTip(rider, rideId, '2.0'))
+        .expect(409);
+
+      await request(app)
+        .post('/api/escrow/complete')
+        .send(await signAction(driver, 'complete', rideId))
+        .expect(200);
+
+      const tipped = await request(app)
+        .post('/api/escrow/tip')
+        .send(await signTip(rider, rideId, '2.0'))
+        .expect(201);
+      expect(tipped.body.tip.status).to.equal('awaiting_deposit');
+      expect(tipped.body.escrow).to.include({ amount: '20.0', tipAmount: '0.0' });
+
+      const funded = await deposit(rider, rideId, tipped.body.tip.adjustmentId, '2.0');
+      expect(funded.status).to.equal(200);
+      expect(funded.body.adjustment.status).to.equal('approved');
+      expect(funded.body.escrow).to.include({ amount: '22.0', tipAmount: '2.0' });
+
+      // A tip that is never funded is not paid
+      await request(app)
+        .post('/api/escrow/tip')
+        .send(await signTip(rider, rideId, '9.0'))
+        .expect(201);
+
+      const released = await request(app)
+        .post('/api/escrow/release')
+        .send(await signAction(driver, 'release', rideId))
+        .expect(200);
+      expect(released.body.escrow.settlement).to.include({
+        driverPayout: '22.0',
+        riderRefund: '0.0',
+        tipAmount: '2.0',
+        partial: false
+      });
+
+      const lateTip = await request(app)
+        .post('/api/escrow/tip')
+        .send(await signTip(rider, rideId, '1.5'))
+        .expect(201);
+      expect(lateTip.body.tip).to.include({ status: 'awaiting_deposit' });
+      expect(lateTip.body.tip).to.not.have.property('transactionHash');
+
+      const paid = await deposit(rider, rideId, lateTip.body.tip.adjustmentId, '1.5');
+      expect(paid.status).to.equal(200);
+      expect(paid.body.adjustment).to.include({ status: 'paid' });
+      expect(paid.body.adjustment).to.have.property('transactionHash');
+
+      const status = await request(app)
+        .get(`/api/escrow/status/${rideId}`)
+        .expect(200);
+      expect(status.body.escrow.tipAmount).to.equal('3.5');
+      expect(status.body.escrow.adjustments.map(a => [a.type, a.status])).to.deep.equal([
+        ['tip', 'approved'],
+        ['tip', 'awaiting_deposit'],
+        ['tip', 'paid']
+      ]);
+    });
+
+    it('should reject tips signed by the driver', async () => {
+      const rideId = 'ride_tip_driver';
+      await startRide(rideId);
+      await request(app)
+        .post('/api/escrow/complete')
+        .send(await signAction(driver, 'complete', rideId))
+        .expect(200);
+
+      await request(app)
+        .post('/api/escrow/tip')
+        .send(await signTip(driver, rideId, '5.0'))
+        .expect(401);
+    });
+  });
+
+  describe('Split-fare escrows', () => {
+    const riderA = ethers.Wallet.createRandom();
+    const riderB = ethers.Wallet.createRandom();
+    const driver = ethers.Wallet.createRandom();
+
+    const initiateSplit = (rideId, shares = ['12.0', '18.0']) => request(app)
+      .post('/api/escrow/initiate')
+      .send({
+        rideId,
+        riders: [
+          { wallet: riderA.address, share: shares[0] },
+          { wallet: riderB.address, share: shares[1] }
+        ],
+        driverWallet: driver.address,
+        amount: '30.0'
+      });
+
+    it('should stay in funding until every rider has funded their share', async () => {
+      const rideId = 'ride_split_funding';
+      const created = await initiateSplit(rideId).expect(201);
+
+      expect(created.body.escrow.status).to.equal('funding');
+      expect(created.body.escrow.riderWallet).to.equal(riderA.address);
+      expect(created.body.escrow.riders.map(r => r.funded)).to.deep.equal([false, false]);
+
+      await request(app)
+        .post('/api/escrow/accept')
+        .send(await signAction(driver, 'accept', rideId))
+        .expect(409);
+
+      const first = await request(app)
+        .post('/api/escrow/fund')
+        .send(await signAction(riderB, 'fund', rideId))
+        .expect(200);
+      expect(first.body.escrow.status).to.equal('funding');
+
+      await request(app)
+        .post('/api/escrow/fund')
+        .send(await signAction(riderB, 'fund', rideId))
+        .expect(409);
+
+      const second = await request(app)
+        .post('/api/escrow/fund')
+        .send(await signAction(riderA, 'fund', rideId))
+        .expect(200);
+      expect(second.body.escrow.status).to.equal('active');
+      expect(second.body.escrow).to.have.property('fundedAt');
+
+      await request(app)
+        .post('/api/escrow/accept')
+        .send(await signAction(driver, 'accept', rideId))
+        .expect(200);
+    });
+
+    it('should reject funding from wallets outside the escrow', async () => {
+      const rideId = 'ride_split_outsider';
+      await initiateSplit(rideId).expect(201);
+
+      await request(app)
+        .post('/api/escrow/fund')
+        .send(await signAction(ethers.Wallet.createRandom(), 'fund', rideId))
+        .expect(401);
+    });
+
+    it('should reject shares that do not add up to the amount', async () => {
+      const response = await initiateSplit('ride_split_bad_shares', ['12.0', '10.0']).expect(400);
+
+      expect(response.body.message).to.match(/add up to the escrow amount/);
+    });
+
+    it('should refund each rider in proportion to their share', async () => {
+      const rideId = 'ride_split_cancel';
+      await initiateSplit(rideId).expect(201);
+      for (const rider of [riderA, riderB]) {
+        await request(app)
+          .post('/api/escrow/fund')
+          .send(await signAction(rider, 'fund', rideId))
+          .expect(200);
+      }
+      for (const action of ['accept', 'start']) {
+        await request(app)
+          .post(`/api/escrow/${action}`)
+          .send(await signAction(driver, action, rideId))
+          .expect(200);
+      }
+
+      const response = await request(app)
+        .post('/api/escrow/cancel')
+        .send(await signAction(riderB, 'cancel', rideId))
+        .expect(200);
+
+      expect(response.body.escrow).to.include({ cancelledBy: 'rider', refundAmount: '15.0' });
+      expect(response.body.escrow.riderRefunds).to.deep.equal([
+        { wallet: riderA.address, share: '12.0', refund: '6.0' },
+        { wallet: riderB.address, share: '18.0', refund: '9.0' }
+      ]);
+    });
+
+    it('should return funded shares in full when a split fare is cancelled during funding', async () => {
+      const rideId = 'ride_split_cancel_funding';
+      await initiateSplit(rideId).expect(201);
+      await request(app)
+        .post('/api/escrow/fund')
+        .send(await signAction(riderA, 'fund', rideId))
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/escrow/cancel')
+        .send(await signAction(riderB, 'cancel', rideId))
+        .expect(200);
+
+      expect(response.body.escrow.refundBreakdown).to.include({ ruleId: 'unfunded-split-fare', riderRefund: '12.0' });
+      expect(response.body.escrow.riderRefunds.map(r => r.refund)).to.deep.equal(['12.0', '0.0']);
+    });
+  });
+
+  describe('Scheduled rides', () => {
+    const rider = ethers.Wallet.createRandom();
+    const driver = ethers.Wallet.createRandom();
+    const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+
+    const schedule = (rideId, scheduledPickupAt) => request(app)
+      .post('/api/escrow/initiate')
+      .send({ ...validRideData, rideId, riderWallet: rider.address, driverWallet: driver.address, scheduledPickupAt });
+
+    it('should create an unfunded scheduled hold', async () => {
+      const pickupAt = hoursFromNow(5);
+      const response = await schedule('ride_scheduled_hold', pickupAt).expect(201);
+
+      expect(response.body.escrow).to.include({ status: 'scheduled', scheduledPickupAt: pickupAt });
+      // Default funding window is two hours before pickup
+      expect(new Date(response.body.escrow.fundingOpensAt).getTime())
+        .to.equal(new Date(pickupAt).getTime() - 2 * 60 * 60 * 1000);
+      expect(response.body.escrow.riders[0].funded).to.be.false;
+
+      const status = await request(app).get('/api/escrow/status/ride_scheduled_hold').expect(200);
+      expect(status.body.escrow).to.include({ status: 'scheduled', expiresAt: pickupAt });
+    });
+
+    it('should only accept funding once the window before pickup opens', async () => {
+      await schedule('ride_scheduled_early', hoursFromNow(5)).expect(201);
+
+      const early = await request(app)
+        .post('/api/escrow/fund')
+        .send(await signAction(rider, 'fund', 'ride_scheduled_early'))
+        .expect(409);
+      expect(early.body.message).to.match(/opens at/);
+
+      await schedule('ride_scheduled_soon', hoursFromNow(1)).expect(201);
+      const funded = await request(app)
+        .post('/api/escrow/fund')
+        .send(await signAction(rider, 'fund', 'ride_scheduled_soon'))
+        .expect(200);
+      expect(funded.body.escrow.status).to.equal('active');
+
+      await request(app)
+        .post('/api/escrow/accept')
+        .send(await signAction(driver, 'accept', 'ride_scheduled_soon'))
+        .expect(200);
+    });
+
+    it('should not let a driver accept an unfunded hold', async () => {
+      await schedule('ride_scheduled_unfunded', hoursFromNow(1)).expect(201);
+
+      await request(app)
+        .post('/api/escrow/accept')
+        .send(await signAction(driver, 'accept', 'ride_scheduled_unfunded'))
+        .expect(409);
+    });
+
+    it('should reject a pickup time in the past', async () => {
+      await schedule('ride_scheduled_past', hoursFromNow(-1)).expect(400);
+    });
+  });
+
+  describe('POST /api/escrow/reassign', () => {
+    const rider = ethers.Wallet.createRandom();
+    const driver = ethers.Wallet.createRandom();
+    const newDriver = ethers.Wallet.createRandom();
+
+    const acceptRide = async (rideId) => {
+      await request(app)
+        .post('/api/escrow/initiate')
+        .send({ ...validRideData, rideId, amount: '20.0', riderWallet: rider.address, driverWallet: driver.address })
+        .expect(201);
+      await request(app)
+        .post('/api/escrow/accept')
+        .send(await signAction(driver, 'accept', rideId))
+        .expect(200);
+    };
+
+    const signReassignment = async (wallet, rideId, newDriverWallet) => {
+      const { payload, signature } = await signTyped(wallet, 'DriverReassignment', { rideId, newDriverWallet });
+      return { rideId, newDriverWallet, signature, nonce: payload.nonce, deadline: payload.deadline };
+    };
+
+    it('should hand the ride to a new driver who must accept again', async () => {
+      const rideId = 'ride_reassign_driver';
+      await acceptRide(rideId);
+
+      const response = await request(app)
+        .post('/api/escrow/reassign')
+        .send({ ...(await signReassignment(driver, rideId, newDriver.address)), reason: 'Vehicle breakdown' })
+        .expect(200);
+
+      expect(response.body.escrow).to.include({ driverWallet: newDriver.address, status: 'active' });
+      expect(response.body.escrow.milestones.driverAccepted).to.be.false;
+      expect(response.body.escrow.previousDrivers).to.have.length(1);
+      expect(response.body.escrow.previousDrivers[0]).to.include({ wallet: driver.address, reason: 'Vehicle breakdown' });
+
+      // The previous driver can no longer act on the ride; the new one can
+      await request(app)
+        .post('/api/escrow/accept')
+        .send(await signAction(driver, 'accept', rideId))
+        .expect(401);
+      await request(app)
+        .post('/api/escrow/accept')
+        .send(await signAction(newDriver, 'accept', rideId))
+        .expect(200);
+
+      const history = await request(app).get(`/api/escrow/${rideId}/history`).expect(200);
+      const reassigned = history.body.events.find(e => e.type === 'driver_reassigned');
+      expect(reassigned).to.include({ actor: 'driver', signer: driver.address });
+      expect(reassigned.data).to.include({ previousDriverWallet: driver.address, newDriverWallet: newDriver.address });
+    });
+
+    it('should not let a rider reassign the ride, even to a wallet of their own', async () => {
+      const rideId = 'ride_reassign_by_rider';
+      const riderSecondWallet = ethers.Wallet.createRandom();
+      await acceptRide(rideId);
+
+      await request(app)
+        .post('/api/escrow/reassign')
+        .send(await signReassignment(rider, rideId, riderSecondWallet.address))
+        .expect(401);
+
+      // Cancelling as the would-be "driver" is refused, so the rider cannot claim the driver-cancel refund
+      await request(app)
+        .post('/api/escrow/cancel')
+        .send(await signAction(riderSecondWallet, 'cancel', rideId))
+        .expect(401);
+
+      const status = await request(app).get(`/api/escrow/status/${rideId}`).expect(200);
+      expect(status.body.escrow.driverWallet).to.equal(driver.address);
+    });
+
+    it('should let the platform reassign the ride with the operator key', async () => {
+      const rideId = 'ride_reassign_by_platform';
+      await acceptRide(rideId);
+
+      const previousKey = process.env.OPERATOR_API_KEY;
+      process.env.OPERATOR_API_KEY = 'test-operator-key';
+      try {
+        await request(app)
+          .post('/api/escrow/reassign')
+          .set('X-Operator-Key', 'wrong-key')
+          .send({ rideId, newDriverWallet: newDriver.address })
+          .expect(401);
+
+        const response = await request(app)
+          .post('/api/escrow/reassign')
+          .set('X-Operator-Key', 'test-operator-key')
+          .send({ rideId, newDriverWallet: newDriver.address, reason: 'Driver unreachable' })
+          .expect(200);
+
+        expect(response.body.escrow.driverWallet).to.equal(newDriver.address);
+      } finally {
+        process.env.OPERATOR_API_KEY = previousKey;
+        if (previousKey === undefined) delete process.env.OPERATOR_API_KEY;
+      }
+
+      const history = await request(app).get(`/api/escrow/${rideId}/history`).expect(200);
+      expect(history.body.events.find(e => e.type === 'driver_reassigned')).to.include({ actor: 'platform', signer: null });
+    });
+
+    it('should apply the rider cancellation policy, not the driver one, after a reassignment', async () => {
+      const rideId = 'ride_reassign_then_cancel';
+      await acceptRide(rideId);
+
+      await request(app)
+        .post('/api/escrow/reassign')
+        .send(await signReassignment(driver, rideId, newDriver.address))
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/escrow/cancel')
+        .send(await signAction(rider, 'cancel', rideId))
+        .expect(200);
+
+      expect(response.body.escrow.cancelledBy).to.equal('rider');
+      expect(response.body.escrow.refundBreakdown).to.include({ ruleId: 'rider-cancel-before-acceptance', riderRefund: '18.0' });
+    });
+
+    it('should reject a signature over a different new driver', async () => {
+      const rideId = 'ride_reassign_tampered';
+      await acceptRide(rideId);
+
+      const signed = await signReassignment(driver, rideId, newDriver.address);
+      await request(app)
+        .post('/api/escrow/reassign')
+        .send({ ...signed, newDriverWallet: ethers.Wallet.createRandom().address })
+        .expect(401);
+    });
+
+    it('should not reassign a ride that has started or to one of its riders', async () => {
+      const rideId = 'ride_reassign_started';
+      await acceptRide(rideId);
+
+      await request(app)
+        .post('/api/escrow/reassign')
+        .send(await signReassignment(driver, rideId, rider.address))
+        .expect(400);
+
+      await request(app)
+        .post('/api/escrow/start')
+        .send(await signAction(driver, 'start', rideId))
+        .expect(200);
+      await request(app)
+        .post('/api/escrow/reassign')
+        .send(await signReassignment(driver, rideId, newDriver.address))
+        .expect(409);
+    });
+  });
+
+  describe('GET /api/escrow/:rideId/history', () => {
+    const rider = ethers.Wallet.createRandom();
+    const driver = ethers.Wallet.createRandom();
+
+    const initiate = async (rideId) => request(app)
+      .post('/api/escrow/initiate')
+      .send({
+        ...validRideData,
+        rideId,
+        amount: '20.0',
+        insuranceContribution: '0.5',
+        insuranceDeposit: await signDeposit(rider, rider.address, '0.5'),
+        riderWallet: rider.address,
+        driverWallet: driver.address
+      })
+      .expect(201);
+
+    it('should record every step of a ride in order with its signer', async () => {
+      const rideId = 'ride_history_release';
+      await initiate(rideId);
+      for (const action of ['accept', 'start']) {
+        await request(app)
+          .post(`/api/escrow/${action}`)
+          .send(await signAction(driver, action, rideId))
+          .expect(200);
+      }
+
+      const { payload, signature } = await signTyped(driver, 'FareAdjustment', { action: 'propose', rideId, amount: '18.0' });
+      const proposed = await request(app)
+        .post('/api/escrow/adjustments')
+        .send({ rideId, amount: '18.0', signature, nonce: payload.nonce, deadline: payload.deadline })
+        .expect(201);
+      const approval = await signTyped(rider, 'FareAdjustment', { action: 'approve', rideId, amount: '18.0' });
+      await request(app)
+        .post(`/api/escrow/adjustments/${proposed.body.adjustment.adjustmentId}/approve`)
+        .send({ rideId, signature: approval.signature, nonce: approval.payload.nonce, deadline: approval.payload.deadline })
+        .expect(200);
+
+      for (const action of ['complete', 'release']) {
+        await request(app)
+          .post(`/api/escrow/${action}`)
+          .send(await signAction(driver, action, rideId))
+          .expect(200);
+      }
+
+      const response = await request(app)
+        .get(`/api/escrow/${rideId}/history`)
+        .expect(200);
+
+      const { events } = response.body;
+      expect(response.body.status).to.equal('released');
+      expect(events.map(e => e.type)).to.deep.equal([
+        'created',
+        'insurance_contribution',
+        'milestone_reached',
+        'milestone_reached',
+        'adjustment_proposed',
+        'adjustment_approved',
+        'milestone_reached',
+        'released'
+      ]);
+      expect(events.map(e => e.sequence)).to.deep.equal([1, 2, 3, 4, 5, 6, 7, 8]);
+      expect(events[1].transactionHash).to.match(/^0x[0-9a-f]{64}$/);
+      expect(events[2]).to.include({ actor: 'driver', signer: driver.address });
+      expect(events[2].data).to.deep.equal({ milestone: 'driverAccepted' });
+      expect(events[5]).to.include({ actor: 'rider', signer: rider.address, signature: approval.signature });
+      expect(events[7].data.settlement).to.include({ driverPayout: '18.0', riderRefund: '2.0' });
+    });
+
+    it('should keep earlier signatures after the escrow is cancelled', async () => {
+      const rideId = 'ride_history_cancel';
+      await initiate(rideId);
+      const accept = await signAction(driver, 'accept', rideId);
+      await request(app).post('/api/escrow/accept').send(accept).expect(200);
+      const cancel = await signAction(rider, 'cancel', rideId);
+      await request(app).post('/api/escrow/cancel').send(cancel).expect(200);
+
+      const response = await request(app)
+        .get(`/api/escrow/${rideId}/history`)
+        .expect(200);
+
+      const [, , accepted, cancelled] = response.body.events;
+      expect(accepted.signature).to.equal(accept.signature);
+      expect(cancelled).to.include({ type: 'cancelled', status: 'cancelled', actor: 'rider', signer: rider.address, signature: cancel.signature });
+      expect(cancelled.data.refundBreakdown).to.have.property('riderRefund');
+    });
+
+    it('should return 404 for an unknown escrow', async () => {
+      await request(app)
+        .get('/api/escrow/ride_history_missing/history')
+        .expect(404);
+    });
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,162 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const { v4: uuidv4 } = require('uuid');
+const { ethers } = require('ethers');
+const app = require('../src/index');
+const { createRepository } = require('../src/storage');
+const { BlockchainService } = require('../src/utils/blockchain');
+const EscrowExpirySweeper = require('../src/services/escrow-expiry');
+
+describe('Idempotency-Key handling', () => {
+  const contributor = ethers.Wallet.createRandom();
+
+  // A fresh contribution signed by the contributor as EIP-712 PoolDeposit
+  const signedContribution = async (amount = '1.25') => {
+    const { body } = await request(app).get(`/api/escrow/nonce/${contributor.address}`);
+    const payload = { contributor: contributor.address, amount, currency: 'ETH', nonce: body.nonce, deadline: Math.floor(Date.now() / 1000) + 300 };
+    const signature = await contributor.signTypedData(body.domain, { PoolDeposit: body.types.PoolDeposit }, payload);
+    return { ...payload, signature };
+  };
+
+  const contributionCount = async () => {
+    const { body } = await request(app).get('/api/pool/status');
+    return body.pool.totalContributions;
+  };
+
+  it('should replay the first response for a retried pool contribution', async () => {
+    const key = uuidv4();
+    const before = await contributionCount();
+    const contribution = await signedContribution();
+
+    const first = await request(app)
+      .post('/api/pool/contribute')
+      .set('Idempotency-Key', key)
+      .send(contribution)
+      .expect(201);
+
+    // Same fields in another order
+    const { amount, ...rest } = contribution;
+    const retry = await request(app)
+      .post('/api/pool/contribute')
+      .set('Idempotency-Key', key)
+      .send({ amount, ...rest })
+      .expect(201);
+
+    expect(retry.headers['idempotent-replayed']).to.equal('true');
+    expect(retry.body.contribution).to.deep.equal(first.body.contribution);
+    expect(await contributionCount()).to.equal(before + 1);
+  });
+
+  it('should reject a reused key with a different payload', async () => {
+    const key = uuidv4();
+
+    await request(app)
+      .post('/api/pool/contribute')
+      .set('Idempotency-Key', key)
+      .send(await signedContribution())
+      .expect(201);
+
+    const response = await request(app)
+      .post('/api/pool/contribute')
+      .set('Idempotency-Key', key)
+      .send(await signedContribution('9.0'))
+      .expect(422);
+
+    expect(response.body.error).to.equal('Idempotency Key Reused');
+  });
+
+  it('should replay escrow initiation instead of reporting a conflict', async () => {
+    const key = uuidv4();
+    const escrow = {
+      rideId: `ride_idem_${key.slice(0, 8)}`,
+      riderWallet: '0x742d35Cc6e2c5e12A2B2C7b8B4F3E8A1F2c3d4e5',
+      driverWallet: '0x853e46Dd7f3e6f23B3C3D8c9c5f4f9b2e3d4f5f6',
+      amount: '10.0'
+    };
+
+    const first = await request(app)
+      .post('/api/escrow/initiate')
+      .set('Idempotency-Key', key)
+      .send(escrow)
+      .expect(201);
+
+    const retry = await request(app)
+      .post('/api/escrow/initiate')
+      .set('Idempotency-Key', key)
+      .send(escrow)
+      .expect(201);
+    expect(retry.body.escrow.escrowAddress).to.equal(first.body.escrow.escrowAddress);
+
+    // Without a key the duplicate is still a conflict
+    await request(app)
+      .post('/api/escrow/initiate')
+      .send(escrow)
+      .expect(409);
+  });
+
+  it('should not create a second payout for a retried execution', async () => {
+    const key = uuidv4();
+    const payoutRequest = {
+      claimId: 'claim_idem_1',
+      validationResults: { aiApproved: true, communityConsensus: true, fraudScore: 0.1, jurorApprovalRate: 0.9 }
+    };
+
+    const first = await request(app)
+      .post('/api/payouts/execute')
+      .set('Idempotency-Key', key)
+      .send(payoutRequest)
+      .expect(201);
+    const retry = await request(app)
+      .post('/api/payouts/execute')
+      .set('Idempotency-Key', key)
+      .send(payoutRequest)
+      .expect(201);
+
+    expect(retry.body.payout.payoutId).to.equal(first.body.payout.payoutId);
+  });
+
+  it('should process the request again once the key has expired', async () => {
+    const key = uuidv4();
+    process.env.IDEMPOTENCY_KEY_TTL_HOURS = '0.000001';
+
+    try {
+      const first = await request(app)
+        .post('/api/pool/contribute')
+        .set('Idempotency-Key', key)
+        .send(await signedContribution())
+        .expect(201);
+
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      const second = await request(app)
+        .post('/api/pool/contribute')
+        .set('Idempotency-Key', key)
+        .send(await signedContribution())
+        .expect(201);
+
+      expect(second.headers).to.not.have.property('idempotent-replayed');
+      expect(second.body.contribution.transactionHash).to.not.equal(first.body.contribution.transactionHash);
+    } finally {
+      delete process.env.IDEMPOTENCY_KEY_TTL_HOURS;
+    }
+  });
+
+  it('should purge expired keys when the expiry sweeper runs', async () => {
+    const key = uuidv4();
+    await request(app)
+      .post('/api/pool/contribute')
+      .set('Idempotency-Key', key)
+      .send(await signedContribution())
+      .expect(201);
+
+    const keys = createRepository('idempotency_keys');
+    const sweeper = new EscrowExpirySweeper(new BlockchainService());
+
+    await sweeper.sweep();
+    expect(keys.find(record => record.key === key)).to.exist;
+
+    await sweeper.sweep(new Date(Date.now() + 25 * 60 * 60 * 1000));
+    expect(keys.find(record => record.key === key)).to.be.undefined;
+    expect(keys.count()).to.equal(0);
+  });
+});
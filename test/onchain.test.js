@@ -0,0 +1,359 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const { RealBlockchainService } = require('../src/utils/blockchain-real');
+const { loadArtifact } = require('../src/utils/contracts');
+const DriverSettlementService = require('../src/services/driver-settlement');
+const ReferralCodeService = require('../src/services/referral-codes');
+const ReferralPayoutService = require('../src/services/referral-payouts');
+const { FixturePriceAdapter } = require('../src/services/price-oracle');
+const { createRepository } = require('../src/storage');
+
+// End-to-end fund movement against a local Hardhat/Ganache node (npm run test:chain).
+// Skipped when no node answers at HARDHAT_RPC_URL.
+const RPC_URL = process.env.HARDHAT_RPC_URL || 'http://localhost:8545';
+// Hardhat/Ganache deterministic account #0
+const DEFAULT_OPERATOR_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+
+async function nodeIsRunning() {
+  try {
+    const response = await fetch(RPC_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'eth_chainId', params: [] }),
+      signal: AbortSignal.timeout(1000)
+    });
+    return response.ok;
+  } catch (error) {
+    return false;
+  }
+}
+
+describe('On-chain escrow (local node)', function () {
+  this.timeout(60000);
+
+  const envKeys = ['NETWORK', 'PRIVATE_KEY', 'HARDHAT_RPC_URL', 'USDC_TOKEN_ADDRESS', 'SETTLEMENT_MODE', 'INSURANCE_POOL_ADDRESS', 'DISPUTE_WINDOW_HOURS'];
+  const originalEnv = Object.fromEntries(envKeys.map(key => [key, process.env[key]]));
+  let service;
+
+  const newParticipants = () => ({
+    rider: ethers.Wallet.createRandom(),
+    driver: ethers.Wallet.createRandom().address
+  });
+
+  const advanceTo = async (rideId, milestones) => {
+    for (const milestone of milestones) {
+      await service.advanceMilestone(rideId, milestone, null);
+    }
+  };
+
+  before(async function () {
+    if (!(await nodeIsRunning())) {
+      this.skip();
+    }
+
+    process.env.NETWORK = 'hardhat';
+    process.env.HARDHAT_RPC_URL = RPC_URL;
+    process.env.PRIVATE_KEY = process.env.PRIVATE_KEY || DEFAULT_OPERATOR_KEY;
+    // Releases pay out straight away unless a test opens a dispute window
+    process.env.DISPUTE_WINDOW_HOURS = '0';
+    service = new RealBlockchainService();
+  });
+
+  after(() => {
+    envKeys.forEach(key => {
+      if (originalEnv[key] === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = originalEnv[key];
+      }
+    });
+  });
+
+  it('should deploy a funded SimpleEscrow and pay the driver on release', async () => {
+    const { rider, driver } = newParticipants();
+    const escrow = await service.createEscrow('ride_chain_release', rider.address, driver, '1.0');
+
+    expect(await service.provider.getCode(escrow.escrowAddress)).to.not.equal('0x');
+    expect(await service.getBalance(escrow.escrowAddress)).to.equal('1.0');
+
+    await advanceTo('ride_chain_release', ['driverAccepted', 'rideStarted', 'rideCompleted']);
+    const released = await service.releaseEscrow('ride_chain_release', null);
+
+    expect(released.releaseTransactionHash).to.match(/^0x[0-9a-f]{64}$/);
+    expect(await service.getBalance(driver)).to.equal('1.0');
+    expect(await service.getBalance(escrow.escrowAddress)).to.equal('0.0');
+
+    const history = service.getEscrowHistory('ride_chain_release');
+    expect(history[0].transactionHash).to.equal(escrow.transactionHash);
+    expect(history[history.length - 1]).to.include({ type: 'released', transactionHash: released.releaseTransactionHash });
+  });
+
+  it('should keep a release in the escrow contract until its dispute window closes', async () => {
+    const { rider, driver } = newParticipants();
+    const escrow = await service.createEscrow('ride_chain_held', rider.address, driver, '1.0');
+    await advanceTo('ride_chain_held', ['driverAccepted', 'rideStarted', 'rideCompleted']);
+
+    process.env.DISPUTE_WINDOW_HOURS = '24';
+    try {
+      const released = await service.releaseEscrow('ride_chain_held', null);
+      expect(released.releaseTransactionHash).to.equal(undefined);
+      expect(await service.getBalance(escrow.escrowAddress)).to.equal('1.0');
+      expect(await service.getBalance(driver)).to.equal('0.0');
+
+      const paid = await service.payHeldReleases(new Date(new Date(released.settlement.heldUntil).getTime() + 1000));
+      expect(paid.map(held => held.rideId)).to.include('ride_chain_held');
+      expect(await service.getBalance(driver)).to.equal('1.0');
+      expect(await service.getBalance(escrow.escrowAddress)).to.equal('0.0');
+    } finally {
+      process.env.DISPUTE_WINDOW_HOURS = '0';
+    }
+  });
+
+  it('should refund the rider when the approved fare drops', async () => {
+    const { rider, driver } = newParticipants();
+    await service.createEscrow('ride_chain_partial', rider.address, driver, '1.0');
+    await advanceTo('ride_chain_partial', ['driverAccepted', 'rideStarted']);
+
+    const { adjustment } = await service.proposeFareAdjustment('ride_chain_partial', {
+      amount: '0.75',
+      proposedBy: 'driver',
+      signature: null
+    });
+    await service.resolveFareAdjustment('ride_chain_partial', adjustment.adjustmentId, {
+      approved: true,
+      resolvedBy: 'rider',
+      signature: null
+    });
+    await advanceTo('ride_chain_partial', ['rideCompleted']);
+    await service.releaseEscrow('ride_chain_partial', null);
+
+    expect(await service.getBalance(driver)).to.equal('0.75');
+    expect(await service.getBalance(rider.address)).to.equal('0.25');
+  });
+
+  it('should only count a tip once the rider\'s own transfer to the escrow contract confirms', async () => {
+    const { rider, driver } = newParticipants();
+    const escrow = await service.createEscrow('ride_chain_tip', rider.address, driver, '1.0');
+    await advanceTo('ride_chain_tip', ['driverAccepted', 'rideStarted', 'rideCompleted']);
+    const { tip } = await service.addTip('ride_chain_tip', { amount: '0.2', signature: null, tippedBy: rider.address });
+
+    // Gas money for the rider; the tip itself comes from the rider's wallet
+    await service.sendTransaction(rider.address, '0.5');
+    const riderSigner = rider.connect(service.provider);
+    const wrongRecipient = await (await riderSigner.sendTransaction({ to: driver, value: ethers.parseEther('0.2') })).wait();
+    let mismatch;
+    try {
+      await service.depositFunds('ride_chain_tip', tip.adjustmentId, { wallet: rider.address, transactionHash: wrongRecipient.hash });
+    } catch (error) {
+      mismatch = error;
+    }
+    expect(mismatch).to.have.property('name', 'ValidationError');
+
+    const transfer = await (await riderSigner.sendTransaction({ to: escrow.escrowAddress, value: ethers.parseEther('0.2') })).wait();
+    const { adjustment } = await service.depositFunds('ride_chain_tip', tip.adjustmentId, {
+      wallet: rider.address,
+      transactionHash: transfer.hash
+    });
+    expect(adjustment.status).to.equal('approved');
+    expect(await service.getBalance(escrow.escrowAddress)).to.equal('1.2');
+
+    await service.releaseEscrow('ride_chain_tip', null);
+    expect(await service.getBalance(driver)).to.equal('1.4');
+  });
+
+  it('should refuse to release more than the escrow contract holds', async () => {
+    const { rider, driver } = newParticipants();
+    await service.createEscrow('ride_chain_short', rider.address, driver, '1.0');
+    await advanceTo('ride_chain_short', ['driverAccepted', 'rideStarted', 'rideCompleted']);
+
+    // A top-up recorded without the rider's deposit reaching the contract
+    const escrow = service.escrows.get('ride_chain_short');
+    service.escrows.set('ride_chain_short', { ...escrow, amount: '1.5', fare: '1.5' });
+
+    let refused;
+    try {
+      await service.releaseEscrow('ride_chain_short', null);
+    } catch (error) {
+      refused = error;
+    }
+    expect(refused).to.have.property('code', 'INSUFFICIENT_FUNDS');
+    expect(await service.getBalance(driver)).to.equal('0.0');
+    expect((await service.getEscrow('ride_chain_short')).status).to.equal('active');
+  });
+
+  it('should split a cancellation between rider, driver and platform', async () => {
+    const { rider, driver } = newParticipants();
+    const escrow = await service.createEscrow('ride_chain_cancel', rider.address, driver, '1.0');
+    await advanceTo('ride_chain_cancel', ['driverAccepted', 'rideStarted']);
+
+    const cancelled = await service.cancelEscrow('ride_chain_cancel', null, 'rider');
+
+    expect(cancelled.refundBreakdown).to.include({ riderRefund: '0.5', driverFee: '0.4', platformFee: '0.1' });
+    expect(await service.getBalance(rider.address)).to.equal('0.5');
+    expect(await service.getBalance(driver)).to.equal('0.4');
+    expect(await service.getBalance(escrow.escrowAddress)).to.equal('0.0');
+  });
+
+  it('should pay the reassigned driver, not the one who dropped the ride', async () => {
+    const { rider, driver } = newParticipants();
+    const newDriver = ethers.Wallet.createRandom().address;
+    await service.createEscrow('ride_chain_reassign', rider.address, driver, '1.0');
+    await advanceTo('ride_chain_reassign', ['driverAccepted']);
+
+    await service.reassignDriver('ride_chain_reassign', { newDriverWallet: newDriver, requestedBy: 'driver', signature: null });
+    await advanceTo('ride_chain_reassign', ['driverAccepted', 'rideStarted', 'rideCompleted']);
+    await service.releaseEscrow('ride_chain_reassign', null);
+
+    expect(await service.getBalance(newDriver)).to.equal('1.0');
+    expect(await service.getBalance(driver)).to.equal('0.0');
+    const reassigned = service.getEscrowHistory('ride_chain_reassign').find(e => e.type === 'driver_reassigned');
+    expect(reassigned.transactionHash).to.match(/^0x[0-9a-f]{64}$/);
+  });
+
+  it('should hold batched ETH payouts with the operator and pay them in one BatchPayout transaction', async () => {
+    const { rider, driver } = newParticipants();
+    process.env.SETTLEMENT_MODE = 'batch';
+
+    for (const [rideId, amount] of [['ride_chain_batch_1', '0.4'], ['ride_chain_batch_2', '0.6']]) {
+      const escrow = await service.createEscrow(rideId, rider.address, driver, amount);
+      await advanceTo(rideId, ['driverAccepted', 'rideStarted', 'rideCompleted']);
+      await service.releaseEscrow(rideId, null);
+      expect(await service.getBalance(escrow.escrowAddress)).to.equal('0.0');
+    }
+    expect(await service.getBalance(driver)).to.equal('0.0');
+
+    const [batch] = await new DriverSettlementService(service).runBatches({ currency: 'ETH' });
+    delete process.env.SETTLEMENT_MODE;
+
+    expect(batch).to.include({ status: 'settled', totalAmount: '1.0', driverCount: 1 });
+    expect(batch.transactionHash).to.match(/^0x[0-9a-f]{64}$/);
+    expect(await service.getTransactionOutcome(batch.transactionHash)).to.equal('confirmed');
+    expect(await service.getTransactionOutcome(`0x${'00'.repeat(32)}`)).to.equal('dropped');
+    expect(await service.getBalance(driver)).to.equal('1.0');
+  });
+
+  it('should pay a referral reward to the referrer\'s wallet and record the receipt', async () => {
+    const referrerWallet = ethers.Wallet.createRandom().address;
+    new ReferralCodeService().issueCode({ userId: 'chain_referrer', wallet: referrerWallet });
+    const referral = {
+      referralId: 'ref_chain_reward',
+      referrerId: 'chain_referrer',
+      referrerWallet,
+      newUserId: 'chain_new_user',
+      rewardAmount: '750.0',
+      status: 'completed',
+      createdAt: new Date().toISOString()
+    };
+    createRepository('referrals').set(referral.referralId, referral);
+
+    // $750 at the fixture's 3000 USD/ETH
+    const payouts = new ReferralPayoutService(service, { currency: 'ETH', priceAdapter: new FixturePriceAdapter() });
+    payouts.schedule(referral);
+    const [reward] = await payouts.payReferral(referral.referralId);
+
+    expect(reward).to.include({ status: 'confirmed', attempts: 1 });
+    expect(reward.receipt).to.include({ status: 'success' });
+    expect(reward.receipt.blockNumber).to.be.a('number');
+    const transaction = await service.provider.getTransaction(reward.transactionHash);
+    expect(transaction.to).to.equal(referrerWallet);
+    expect(await service.getBalance(referrerWallet)).to.equal('0.25');
+  });
+
+  it('should find direct ETH transfers between two wallets for referral screening', async () => {
+    const funded = ethers.Wallet.createRandom().address;
+    await service.sendTransaction(funded, '0.1');
+
+    const transfers = await service.findTransfers(funded, service.wallet.address);
+    expect(transfers).to.have.length(1);
+    expect(transfers[0]).to.include({ from: service.wallet.address, to: funded, amount: '0.1', currency: 'ETH' });
+    expect(await service.findTransfers(funded, ethers.Wallet.createRandom().address)).to.deep.equal([]);
+
+    // A later scan fetches only the blocks mined since and those too recent to cache
+    const getBlock = service.provider.getBlock.bind(service.provider);
+    const fetched = [];
+    service.provider.getBlock = (blockNumber, prefetch) => {
+      fetched.push(blockNumber);
+      return getBlock(blockNumber, prefetch);
+    };
+    try {
+      await service.sendTransaction(funded, '0.2');
+      const again = await service.findTransfers(service.wallet.address, funded);
+      expect(again.map(transfer => transfer.amount)).to.deep.equal(['0.1', '0.2']);
+      expect(fetched.length).to.be.at.most(14);
+    } finally {
+      service.provider.getBlock = getBlock;
+    }
+  });
+
+  it('should only record a pool contribution the contributor sent to the pool, and pay withdrawals from it', async () => {
+    const pool = await service.deployInsurancePoolContract();
+    process.env.INSURANCE_POOL_ADDRESS = pool.address;
+    const contributorWallet = ethers.Wallet.createRandom().connect(service.provider);
+    const contributor = contributorWallet.address;
+    await service.sendTransaction(contributor, '1.1');
+
+    // Nothing is sent on the contributor's behalf: without their own transfer there is no contribution
+    let missing;
+    try {
+      await service.contributeToInsurance(contributor, '1.0');
+    } catch (error) {
+      missing = error;
+    }
+    expect(missing).to.have.property('name', 'ValidationError');
+    expect(await service.getBalance(pool.address)).to.equal('0.0');
+
+    const transfer = await (await contributorWallet.sendTransaction({ to: pool.address, value: ethers.parseEther('1.0') })).wait();
+    const contribution = await service.contributeToInsurance(contributor, '1.0', 'ETH', { transactionHash: transfer.hash });
+    expect(contribution).to.include({ transactionHash: transfer.hash, blockNumber: transfer.blockNumber });
+    expect(contribution.verifiedAt).to.be.a('string');
+
+    const before = ethers.parseEther(await service.getBalance(contributor));
+    const receipt = await service.payPoolWithdrawal({
+      withdrawalId: 'wd_chain_withdrawal',
+      contributor,
+      amount: '0.4',
+      currency: 'ETH'
+    });
+
+    expect(receipt.status).to.equal('success');
+    expect(ethers.parseEther(await service.getBalance(contributor)) - before).to.equal(ethers.parseEther('0.4'));
+    expect(await service.getBalance(pool.address)).to.equal('0.6');
+  });
+
+  it('should escrow USDC pulled with a permit and pay it out on release', async () => {
+    const { rider, driver } = newParticipants();
+    const token = await service.deployContract('MockERC20', ['USD Coin', 'USDC', 6]);
+    process.env.USDC_TOKEN_ADDRESS = token.address;
+    delete service.tokens.USDC;
+
+    const usdc = new ethers.Contract(token.address, loadArtifact('MockERC20').abi, service.wallet);
+    await (await usdc.mint(rider.address, 30_000_000n)).wait();
+
+    const deadline = Math.floor(Date.now() / 1000) + 3600;
+    const { chainId } = await service.provider.getNetwork();
+    const signature = await rider.signTypedData(
+      { name: 'USD Coin', version: '1', chainId, verifyingContract: token.address },
+      {
+        Permit: [
+          { name: 'owner', type: 'address' },
+          { name: 'spender', type: 'address' },
+          { name: 'value', type: 'uint256' },
+          { name: 'nonce', type: 'uint256' },
+          { name: 'deadline', type: 'uint256' }
+        ]
+      },
+      { owner: rider.address, spender: service.wallet.address, value: 25_500_000n, nonce: 0, deadline }
+    );
+
+    const escrow = await service.createEscrow('ride_chain_usdc', rider.address, driver, '25.5', 'USDC', 'default', {
+      permit: { deadline, signature }
+    });
+    expect(escrow).to.include({ escrowAddress: service.wallet.address, tokenAddress: token.address });
+    expect(await service.getBalance(rider.address, 'USDC')).to.equal('4.5');
+
+    await advanceTo('ride_chain_usdc', ['driverAccepted', 'rideStarted', 'rideCompleted']);
+    await service.releaseEscrow('ride_chain_usdc', null);
+
+    expect(await service.getBalance(driver, 'USDC')).to.equal('25.5');
+  });
+});
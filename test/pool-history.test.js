@@ -0,0 +1,106 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const app = require('../src/index');
+const { createRepository } = require('../src/storage');
+const { BlockchainService } = require('../src/utils/blockchain');
+const PoolSnapshotService = require('../src/services/pool-snapshots');
+
+describe('Insurance pool history', () => {
+  const alice = '0x1111111111111111111111111111111111111111';
+  const bob = '0x2222222222222222222222222222222222222222';
+  const carol = '0x3333333333333333333333333333333333333333';
+  const snapshots = new PoolSnapshotService(new BlockchainService());
+
+  const contribute = (contributionId, contributor, amount, timestamp) =>
+    createRepository('pool_contributions').set(contributionId, {
+      contributionId, contributor, amount, currency: 'ETH', timestamp, transactionHash: null
+    });
+
+  before(() => {
+    contribute('history_jan_alice', alice, '10.0', '2025-01-10T12:00:00.000Z');
+    contribute('history_jan_bob', bob, '5.0', '2025-01-12T12:00:00.000Z');
+    snapshots.takeSnapshot(new Date('2025-01-31T23:00:00.000Z'));
+
+    contribute('history_feb_alice', alice, '5.0', '2025-02-05T12:00:00.000Z');
+    createRepository('payouts').set('history_feb_claim', {
+      payoutId: 'history_feb_claim',
+      claimId: 'claim_history_feb',
+      amount: 9000,
+      currency: 'USD',
+      paidFrom: { currency: 'ETH', amount: '3.0', rate: '3000', rateSource: 'fixture' },
+      status: 'completed',
+      createdAt: '2025-02-10T09:00:00.000Z',
+      executedAt: '2025-02-10T09:00:02.000Z'
+    });
+    snapshots.takeSnapshot(new Date('2025-02-28T23:00:00.000Z'));
+
+    contribute('history_mar_carol', carol, '2.0', '2025-03-03T12:00:00.000Z');
+    snapshots.takeSnapshot(new Date('2025-03-15T00:00:00.000Z'));
+  });
+
+  it('should record balances carried forward with each period\'s inflows and claim outflows', () => {
+    const [, february] = snapshots.history();
+
+    expect(february).to.include({
+      periodStart: '2025-01-31T23:00:00.000Z',
+      contributorCount: 2,
+      contributions: 1,
+      claimPayouts: 1
+    });
+    expect(february.balances).to.deep.equal({ ETH: '17.0' });
+    expect(february.inflows).to.deep.equal({ ETH: '5.0' });
+    expect(february.outflows).to.deep.equal({ ETH: '3.0' });
+    expect(february.unconvertedOutflows).to.deep.equal({});
+    expect(february.activeContributors).to.deep.equal([alice]);
+  });
+
+  it('should serve a monthly series with growth, net flow and churn', async () => {
+    const response = await request(app)
+      .get('/api/pool/history?interval=month&from=2025-01-01&to=2025-03-31')
+      .expect(200);
+    const [january, february, march] = response.body.series;
+
+    expect(response.body.interval).to.equal('month');
+    expect(response.body.series.map(bucket => bucket.period)).to.deep.equal(['2025-01', '2025-02', '2025-03']);
+    expect(january.growthRates).to.deep.equal({ ETH: null });
+    expect(january).to.include({ activeContributors: 2, churned: 0, churnRate: null });
+
+    expect(february.openingBalances).to.deep.equal({ ETH: '15.0' });
+    expect(february.growthRates).to.deep.equal({ ETH: '13.33%' });
+    expect(february.netFlow).to.deep.equal({ ETH: '2.0' });
+    expect(february).to.include({ activeContributors: 1, churned: 1, churnRate: 0.5 });
+
+    expect(march.closingBalances).to.deep.equal({ ETH: '19.0' });
+    expect(march.growthRates).to.deep.equal({ ETH: '11.76%' });
+    expect(march).to.include({ contributorCount: 3, churned: 1, churnRate: 1 });
+  });
+
+  it('should compute trends against the snapshot before the window', () => {
+    const trends = snapshots.getTrends(30, new Date('2025-03-15T00:00:00.000Z'));
+
+    expect(trends.growthRates).to.deep.equal({ ETH: '26.66%' });
+    expect(trends.netFlow).to.deep.equal({ ETH: '4.0' });
+    expect(trends.contributorChurn).to.deep.equal({ churned: 1, churnRate: 0.5 });
+  });
+
+  it('should report USD claim payouts with no pool amount apart from the balances', () => {
+    createRepository('payouts').set('history_apr_claim', {
+      payoutId: 'history_apr_claim',
+      claimId: 'claim_history_apr',
+      amount: 1500,
+      currency: 'USD',
+      status: 'completed',
+      createdAt: '2025-04-10T09:00:00.000Z',
+      executedAt: '2025-04-10T09:00:02.000Z'
+    });
+    const april = snapshots.takeSnapshot(new Date('2025-04-30T23:00:00.000Z'));
+
+    expect(april.balances).to.deep.equal({ ETH: '19.0' });
+    expect(april.outflows).to.deep.equal({});
+    expect(april.unconvertedOutflows).to.deep.equal({ USD: '1500.0' });
+  });
+
+  it('should reject an unknown interval', async () => {
+    await request(app).get('/api/pool/history?interval=hour').expect(400);
+  });
+});
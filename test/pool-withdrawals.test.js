@@ -0,0 +1,288 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const app = require('../src/index');
+const { createRepository } = require('../src/storage');
+const { BlockchainService } = require('../src/utils/blockchain');
+const PoolShareService = require('../src/services/pool-shares');
+const { subtractAmounts } = require('../src/utils/amounts');
+
+describe('Insurance pool withdrawals', () => {
+  const contributions = createRepository('pool_contributions');
+
+  // Signed by the contributor's wallet as EIP-712 PoolDeposit; the mock chain collects it as given
+  const contribute = async (wallet, amount) => {
+    const { body: signing } = await request(app).get(`/api/escrow/nonce/${wallet.address}`);
+    const payload = {
+      contributor: wallet.address,
+      amount,
+      currency: 'DAI',
+      nonce: signing.nonce,
+      deadline: Math.floor(Date.now() / 1000) + 300
+    };
+    const signature = await wallet.signTypedData(signing.domain, { PoolDeposit: signing.types.PoolDeposit }, payload);
+
+    return (await request(app)
+      .post('/api/pool/contribute')
+      .send({ ...payload, signature })
+      .expect(201)).body.contribution;
+  };
+
+  // Fast-forward past the lockup
+  const unlock = (contributor) => contributions
+    .filter(contribution => contribution.contributor === contributor)
+    .forEach(contribution => contributions.set(contribution.contributionId, {
+      ...contribution,
+      unlocksAt: new Date(Date.now() - 1000).toISOString()
+    }));
+
+  // Signed by the contributor's wallet as EIP-712 PoolWithdrawal; `shares` is 'all' when omitted
+  const withdraw = async (wallet, body, status, overrides = {}) => {
+    const { body: signing } = await request(app).get(`/api/escrow/nonce/${wallet.address}`);
+    const payload = {
+      contributor: wallet.address,
+      currency: 'DAI',
+      shares: body.shares || 'all',
+      nonce: signing.nonce,
+      deadline: Math.floor(Date.now() / 1000) + 300,
+      ...overrides
+    };
+    const signature = await wallet.signTypedData(signing.domain, { PoolWithdrawal: signing.types.PoolWithdrawal }, payload);
+
+    return request(app).post('/api/pool/withdrawals').send({
+      contributor: wallet.address,
+      currency: 'DAI',
+      ...body,
+      signature,
+      nonce: signing.nonce,
+      deadline: payload.deadline
+    }).expect(status);
+  };
+
+  const processQueue = () => request(app)
+    .post('/api/pool/withdrawals/process')
+    .set('X-Operator-Key', 'test-operator-key');
+
+  let previousKey;
+  before(() => {
+    previousKey = process.env.OPERATOR_API_KEY;
+    process.env.OPERATOR_API_KEY = 'test-operator-key';
+  });
+
+  after(() => {
+    process.env.OPERATOR_API_KEY = previousKey;
+    if (previousKey === undefined) delete process.env.OPERATOR_API_KEY;
+  });
+
+  const holding = async (contributor) => (await request(app)
+    .get(`/api/pool/contributions/${contributor}`)
+    .expect(200)).body.holdings.find(entry => entry.currency === 'DAI');
+
+  it('should mint shares and keep them locked through the lockup', async () => {
+    const wallet = ethers.Wallet.createRandom();
+    const contributor = wallet.address;
+    const contribution = await contribute(wallet, '100.0');
+
+    expect(contribution.shares).to.equal('100.0');
+    expect(new Date(contribution.unlocksAt) - new Date(contribution.timestamp)).to.equal(30 * 24 * 60 * 60 * 1000);
+    expect(await holding(contributor)).to.include({
+      shares: '100.0',
+      lockedShares: '100.0',
+      redeemableShares: '0.0',
+      nextUnlockAt: contribution.unlocksAt
+    });
+
+    const response = await withdraw(wallet, {}, 409);
+    expect(response.body.error).to.equal('Pool Shares Locked');
+  });
+
+  it('should mint new shares at the current share price', () => {
+    const shares = new PoolShareService(new BlockchainService());
+    shares.poolState = () => ({ value: '150.0', totalShares: '100.0' });
+
+    const contribution = shares.recordContribution({
+      contributionId: 'contribution_share_price',
+      contributor: ethers.Wallet.createRandom().address,
+      amount: '30.0',
+      currency: 'DAI',
+      timestamp: new Date().toISOString(),
+      verifiedAt: new Date().toISOString()
+    });
+    contributions.delete(contribution.contributionId);
+
+    expect(contribution.shares).to.equal('20.0');
+  });
+
+  it('should pay the queue in order while keeping the reserve', async () => {
+    const firstWallet = ethers.Wallet.createRandom();
+    const secondWallet = ethers.Wallet.createRandom();
+    const first = firstWallet.address;
+    const second = secondWallet.address;
+    await contribute(firstWallet, '100.0');
+    await contribute(secondWallet, '400.0');
+    unlock(first);
+    unlock(second);
+
+    const queuedFirst = (await withdraw(firstWallet, {}, 201)).body.withdrawal;
+    const queuedSecond = (await withdraw(secondWallet, { shares: '400' }, 201)).body.withdrawal;
+    expect(queuedFirst).to.include({ status: 'queued', shares: '100.0' });
+    expect(queuedSecond.queuePosition).to.equal(queuedFirst.queuePosition + 1);
+
+    // 600 DAI in the pool (with the 100 still locked above): the 20% reserve leaves room for
+    // only the first of the two
+    const processed = await processQueue().expect(200);
+    const paid = processed.body.paid.find(withdrawal => withdrawal.withdrawalId === queuedFirst.withdrawalId);
+    expect(paid).to.include({ status: 'paid', amount: '100.0', contributor: first });
+    expect(paid.transactionHash).to.match(/^0x[0-9a-f]{64}$/);
+    expect(processed.body.paid.map(withdrawal => withdrawal.withdrawalId)).not.to.include(queuedSecond.withdrawalId);
+
+    const waiting = await request(app).get(`/api/pool/withdrawals/${queuedSecond.withdrawalId}`).expect(200);
+    expect(waiting.body.withdrawal).to.include({ status: 'queued', queuePosition: 1 });
+    expect(await holding(first)).to.include({ shares: '0.0', redeemableShares: '0.0' });
+    expect(await holding(second)).to.include({ queuedShares: '400.0', redeemableShares: '0.0' });
+
+    // New money frees up the reserve for the rest of the queue
+    await contribute(ethers.Wallet.createRandom(), '400.0');
+    await processQueue().expect(200);
+
+    const settled = await request(app).get(`/api/pool/withdrawals/${queuedSecond.withdrawalId}`).expect(200);
+    expect(settled.body.withdrawal).to.include({ status: 'paid', amount: '400.0' });
+
+    const history = await request(app).get(`/api/pool/withdrawals?contributor=${second}`).expect(200);
+    expect(history.body.withdrawals.map(withdrawal => withdrawal.status)).to.deep.equal(['paid']);
+  });
+
+  it('should only queue withdrawals signed by the contributor', async () => {
+    const wallet = ethers.Wallet.createRandom();
+    const other = ethers.Wallet.createRandom();
+    await contribute(wallet, '20.0');
+    unlock(wallet.address);
+
+    // Someone else's signature, or the contributor's for different shares, is refused
+    const { body: signing } = await request(app).get(`/api/escrow/nonce/${other.address}`);
+    const deadline = Math.floor(Date.now() / 1000) + 300;
+    const forged = await other.signTypedData(signing.domain, { PoolWithdrawal: signing.types.PoolWithdrawal }, {
+      contributor: wallet.address, currency: 'DAI', shares: 'all', nonce: 0, deadline
+    });
+    const response = await request(app)
+      .post('/api/pool/withdrawals')
+      .send({ contributor: wallet.address, currency: 'DAI', signature: forged, nonce: 0, deadline })
+      .expect(401);
+    expect(response.body.error).to.equal('Invalid Signature');
+    await withdraw(wallet, { shares: '20' }, 401, { shares: '5' });
+    await request(app).post('/api/pool/withdrawals').send({ contributor: wallet.address, currency: 'DAI' }).expect(400);
+
+    expect(await holding(wallet.address)).to.include({ queuedShares: '0.0', redeemableShares: '20.0' });
+    await withdraw(wallet, { shares: '20' }, 201);
+  });
+
+  it('should only let operators process the queue on demand', async () => {
+    await request(app).post('/api/pool/withdrawals/process').expect(403);
+    await request(app).post('/api/pool/withdrawals/process').set('X-Operator-Key', 'wrong-key').expect(403);
+  });
+
+  it('should take claim payouts from the pool they were paid from', () => {
+    const shares = new PoolShareService(new BlockchainService());
+    const payouts = createRepository('payouts');
+    const before = { ETH: shares.poolState('ETH'), DAI: shares.poolState('DAI') };
+
+    payouts.set('payout_pool_dai', {
+      payoutId: 'payout_pool_dai',
+      amount: 50,
+      currency: 'USD',
+      paidFrom: { currency: 'DAI', amount: '50.0', rate: '1.00', rateSource: 'fixture' },
+      status: 'completed',
+      executedAt: new Date().toISOString()
+    });
+    const after = { ETH: shares.poolState('ETH'), DAI: shares.poolState('DAI') };
+    payouts.delete('payout_pool_dai');
+
+    expect(after.ETH).to.deep.equal(before.ETH);
+    expect(after.DAI.value).to.equal(subtractAmounts(before.DAI.value, '50.0'));
+  });
+
+  it('should leave withdrawals queued while their shares are worth nothing', async () => {
+    const blockchain = new BlockchainService();
+    const shares = new PoolShareService(blockchain, { reserveRatio: 0 });
+    shares.poolState = () => ({ value: '0.0', totalShares: '10.0' });
+    let sent = 0;
+    blockchain.payPoolWithdrawal = async () => {
+      sent += 1;
+      throw new Error('should not be paid');
+    };
+
+    const withdrawals = createRepository('pool_withdrawals');
+    withdrawals.set('wd_worthless', {
+      withdrawalId: 'wd_worthless',
+      contributor: ethers.Wallet.createRandom().address,
+      currency: 'DAI',
+      shares: '10.0',
+      status: 'queued',
+      attempts: 0,
+      requestedAt: new Date(0).toISOString()
+    });
+
+    const paid = await shares.processQueue();
+    const withdrawal = withdrawals.get('wd_worthless');
+    withdrawals.delete('wd_worthless');
+
+    expect(paid).to.deep.equal([]);
+    expect(sent).to.equal(0);
+    expect(withdrawal).to.include({ status: 'queued', attempts: 0 });
+  });
+
+  it('should keep the reserve across queue runs instead of recomputing it from what is left', async () => {
+    const blockchain = new BlockchainService();
+    const shares = new PoolShareService(blockchain, { reserveRatio: 0.2 });
+    const reserves = createRepository('pool_reserves');
+    const withdrawals = createRepository('pool_withdrawals');
+    const previousReserve = reserves.get('USDC');
+    reserves.delete('USDC');
+
+    // One share per USDC, with the pool shrinking by every payout
+    let value = '100.0';
+    shares.poolState = () => ({ value, totalShares: value });
+    blockchain.payPoolWithdrawal = async ({ amount }) => {
+      value = subtractAmounts(value, amount);
+      return { hash: `0x${'ab'.repeat(32)}`, blockNumber: null, gasUsed: null, status: 'success' };
+    };
+
+    const queue = [['wd_reserve_a', '60.0'], ['wd_reserve_b', '20.0'], ['wd_reserve_c', '15.0']];
+    queue.forEach(([withdrawalId, amount], index) => withdrawals.set(withdrawalId, {
+      withdrawalId,
+      contributor: ethers.Wallet.createRandom().address,
+      currency: 'USDC',
+      shares: amount,
+      status: 'queued',
+      attempts: 0,
+      requestedAt: new Date(index + 1).toISOString()
+    }));
+
+    const first = await shares.processQueue();
+    const second = await shares.processQueue();
+    const last = withdrawals.get('wd_reserve_c');
+    queue.forEach(([withdrawalId]) => withdrawals.delete(withdrawalId));
+    reserves.delete('USDC');
+    if (previousReserve) reserves.set('USDC', previousReserve);
+
+    // The first run pays down to the 20 USDC reserve; the second does not take 20% of that as the new reserve
+    expect(first.map(withdrawal => withdrawal.withdrawalId)).to.deep.equal(['wd_reserve_a', 'wd_reserve_b']);
+    expect(second).to.deep.equal([]);
+    expect(value).to.equal('20.0');
+    expect(last).to.include({ status: 'queued', attempts: 0 });
+  });
+
+  it('should refuse withdrawals beyond a contributor\'s redeemable shares', async () => {
+    const wallet = ethers.Wallet.createRandom();
+    const contributor = wallet.address;
+    await contribute(wallet, '10.0');
+    unlock(contributor);
+
+    const response = await withdraw(wallet, { shares: '25' }, 409);
+    expect(response.body.error).to.equal('Insufficient Pool Shares');
+
+    await withdraw(ethers.Wallet.createRandom(), {}, 409);
+    await withdraw(wallet, { shares: '0' }, 400);
+    await request(app).get('/api/pool/withdrawals/wd_missing').expect(404);
+  });
+});
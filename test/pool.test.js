@@ -1,10 +1,21 @@
 const request = require('supertest');
 const { expect } = require('chai');
+const { ethers } = require('ethers');
 const app = require('../src/index');
 
+// A contribution body signed by the contributor's wallet as EIP-712 PoolDeposit
+async function signContribution(wallet, amount, currency = 'ETH', extra = {}) {
+  const { body } = await request(app).get(`/api/escrow/nonce/${wallet.address}`);
+  const payload = { contributor: wallet.address, amount, currency, nonce: body.nonce, deadline: Math.floor(Date.now() / 1000) + 300 };
+  const signature = await wallet.signTypedData(body.domain, { PoolDeposit: body.types.PoolDeposit }, payload);
+
+  return { ...payload, signature, ...extra };
+}
+
 describe('Insurance Pool API', () => {
+  const contributorWallet = ethers.Wallet.createRandom();
   const validContribution = {
-    contributor: '0x742d35Cc6e2c5e12A2B2C7b8B4F3E8A1F2c3d4e5',
+    contributor: contributorWallet.address,
     amount: '5.0'
   };
 
@@ -33,7 +44,7 @@ describe('Insurance Pool API', () => {
     it('should accept valid insurance pool contribution', async () => {
       const response = await request(app)
         .post('/api/pool/contribute')
-        .send(validContribution)
+        .send(await signContribution(contributorWallet, validContribution.amount))
         .expect(201);
 
       expect(response.body.success).to.be.true;
@@ -47,6 +58,62 @@ describe('Insurance Pool API', () => {
       expect(response.body).to.have.property('poolStatus');
     });
 
+    it('should track stablecoin contributions in their own balance', async () => {
+      const response = await request(app)
+        .post('/api/pool/contribute')
+        .send(await signContribution(contributorWallet, '12.5', 'USDC'))
+        .expect(201);
+
+      expect(response.body.contribution.currency).to.equal('USDC');
+
+      const status = await request(app)
+        .get('/api/pool/status')
+        .expect(200);
+      expect(status.body.pool.balances).to.have.property('USDC');
+    });
+
+    it('should only accept contributions the contributor signed', async () => {
+      await request(app)
+        .post('/api/pool/contribute')
+        .send(validContribution)
+        .expect(400);
+
+      const other = ethers.Wallet.createRandom();
+      const forged = await signContribution(other, validContribution.amount);
+      const response = await request(app)
+        .post('/api/pool/contribute')
+        .send({ ...forged, contributor: contributorWallet.address })
+        .expect(401);
+      expect(response.body).to.have.property('error', 'Invalid Signature');
+
+      // A signature covers one amount only
+      await request(app)
+        .post('/api/pool/contribute')
+        .send({ ...(await signContribution(contributorWallet, '1.0')), amount: '100.0' })
+        .expect(401);
+    });
+
+    it('should not let one transfer fund two contributions', async () => {
+      const transactionHash = ethers.hexlify(ethers.randomBytes(32));
+      const first = await request(app)
+        .post('/api/pool/contribute')
+        .send(await signContribution(contributorWallet, '2.0', 'ETH', { transactionHash }))
+        .expect(201);
+      expect(first.body.contribution.transactionHash).to.equal(transactionHash);
+
+      await request(app)
+        .post('/api/pool/contribute')
+        .send(await signContribution(contributorWallet, '2.0', 'ETH', { transactionHash }))
+        .expect(409);
+    });
+
+    it('should reject unsupported currencies', async () => {
+      await request(app)
+        .post('/api/pool/contribute')
+        .send({ ...validContribution, currency: 'DOGE' })
+        .expect(400);
+    });
+
     it('should reject contribution with invalid Ethereum address', async () => {
       const invalidContribution = {
         contributor: 'invalid_address',
@@ -100,22 +167,19 @@ describe('Insurance Pool API', () => {
   });
 
   describe('GET /api/pool/contributions/:address', () => {
-    const testAddress = '0x853e46Dd7f3e6f23B3C3D8c9c5f4f9b2e3d4f5f6';
+    const testWallet = ethers.Wallet.createRandom();
+    const testAddress = testWallet.address;
 
     before(async () => {
       await request(app)
         .post('/api/pool/contribute')
-        .send({
-          contributor: testAddress,
-          amount: '10.0'
-        });
+        .send(await signContribution(testWallet, '10.0'))
+        .expect(201);
 
       await request(app)
         .post('/api/pool/contribute')
-        .send({
-          contributor: testAddress,
-          amount: '15.0'
-        });
+        .send(await signContribution(testWallet, '15.0'))
+        .expect(201);
     });
 
     it('should return user contribution history', async () => {
@@ -162,17 +226,13 @@ describe('Insurance Pool API', () => {
     before(async () => {
       await request(app)
         .post('/api/pool/contribute')
-        .send({
-          contributor: '0x111d35Cc6e2c5e12A2B2C7b8B4F3E8A1F2c3d4e1',
-          amount: '100.0'
-        });
+        .send(await signContribution(ethers.Wallet.createRandom(), '100.0'))
+        .expect(201);
 
       await request(app)
         .post('/api/pool/contribute')
-        .send({
-          contributor: '0x222d35Cc6e2c5e12A2B2C7b8B4F3E8A1F2c3d4e2',
-          amount: '50.0'
-        });
+        .send(await signContribution(ethers.Wallet.createRandom(), '50.0'))
+        .expect(201);
     });
 
     it('should return comprehensive pool analytics', async () => {
@@ -0,0 +1,202 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const app = require('../src/index');
+const { createRepository } = require('../src/storage');
+const PriceQuoteService = require('../src/services/price-quotes');
+const { convertFiat } = PriceQuoteService;
+const { FixturePriceAdapter, ChainlinkPriceAdapter, createPriceAdapter } = require('../src/services/price-oracle');
+
+// Minimal contract runner answering Chainlink aggregator calls
+function fakeAggregator({ answer, decimals = 8, updatedAt }) {
+  const aggregator = new ethers.Interface([
+    'function decimals() view returns (uint8)',
+    'function latestRoundData() view returns (uint80, int256, uint256, uint256, uint80)'
+  ]);
+
+  return {
+    provider: null,
+    call: async ({ data }) => {
+      const { name } = aggregator.parseTransaction({ data });
+      return name === 'decimals'
+        ? aggregator.encodeFunctionResult('decimals', [decimals])
+        : aggregator.encodeFunctionResult('latestRoundData', [1, answer, updatedAt, updatedAt, 1]);
+    }
+  };
+}
+
+describe('Price quotes', () => {
+  const ride = {
+    riderWallet: '0x742d35Cc6e2c5e12A2B2C7b8B4F3E8A1F2c3d4e5',
+    driverWallet: '0x853e46Dd7f3e6f23B3C3D8c9c5f4f9b2e3d4f5f6'
+  };
+
+  const quote = (body) => request(app).post('/api/quotes').send(body);
+
+  describe('conversion and adapters', () => {
+    it('should round the crypto amount up to the currency\'s smallest unit', () => {
+      expect(convertFiat('25.00', '3000', 'ETH')).to.equal('0.008333333333333334');
+      expect(convertFiat('10.00', '0.9998', 'USDC')).to.equal('10.002001');
+      expect(convertFiat('12.50', '1', 'DAI')).to.equal('12.5');
+    });
+
+    it('should read fixture rates', async () => {
+      const adapter = new FixturePriceAdapter({ ETH: '2500.25' });
+      expect(await adapter.getRate('ETH')).to.include({ rate: '2500.25', fiatCurrency: 'USD', source: 'fixture' });
+      try {
+        await adapter.getRate('DAI');
+        expect.fail('expected a missing rate error');
+      } catch (error) {
+        expect(error.code).to.equal('PRICE_UNAVAILABLE');
+      }
+    });
+
+    it('should only fall back to the fixture oracle in tests or on the mock blockchain', () => {
+      const names = ['NODE_ENV', 'PRICE_ORACLE', 'USE_REAL_BLOCKCHAIN'];
+      const saved = Object.fromEntries(names.map(name => [name, process.env[name]]));
+      const restore = (name) => {
+        if (saved[name] === undefined) delete process.env[name];
+        else process.env[name] = saved[name];
+      };
+
+      try {
+        delete process.env.PRICE_ORACLE;
+        delete process.env.USE_REAL_BLOCKCHAIN;
+        process.env.NODE_ENV = 'test';
+        expect(createPriceAdapter()).to.be.instanceOf(FixturePriceAdapter);
+
+        process.env.NODE_ENV = 'production';
+        expect(createPriceAdapter()).to.be.instanceOf(FixturePriceAdapter);
+
+        process.env.USE_REAL_BLOCKCHAIN = 'true';
+        expect(() => createPriceAdapter()).to.throw().with.property('code', 'PRICE_ORACLE_NOT_CONFIGURED');
+        process.env.PRICE_ORACLE = 'fixture';
+        expect(() => createPriceAdapter()).to.throw().with.property('code', 'PRICE_ORACLE_NOT_CONFIGURED');
+        process.env.PRICE_ORACLE = 'chainlink';
+        const chainlink = createPriceAdapter();
+        expect(chainlink).to.be.instanceOf(ChainlinkPriceAdapter);
+        chainlink.provider.destroy();
+      } finally {
+        names.forEach(restore);
+      }
+    });
+
+    it('should only resolve the oracle when a quote is requested', async () => {
+      const saved = {
+        NODE_ENV: process.env.NODE_ENV,
+        PRICE_ORACLE: process.env.PRICE_ORACLE,
+        USE_REAL_BLOCKCHAIN: process.env.USE_REAL_BLOCKCHAIN
+      };
+      delete process.env.PRICE_ORACLE;
+      process.env.NODE_ENV = 'production';
+      process.env.USE_REAL_BLOCKCHAIN = 'true';
+
+      try {
+        const quotes = new PriceQuoteService();
+        let failure;
+        await quotes.createQuote({ fiatAmount: '10.00', currency: 'ETH' }).catch(error => {
+          failure = error;
+        });
+        expect(failure).to.have.property('code', 'PRICE_ORACLE_NOT_CONFIGURED');
+      } finally {
+        Object.entries(saved).forEach(([name, value]) => {
+          if (value === undefined) delete process.env[name];
+          else process.env[name] = value;
+        });
+      }
+    });
+
+    it('should read Chainlink feeds and reject stale answers', async () => {
+      const now = Math.floor(Date.now() / 1000);
+      const live = new ChainlinkPriceAdapter({ provider: fakeAggregator({ answer: 318512345678n, updatedAt: now - 60 }) });
+      expect((await live.getRate('ETH')).rate).to.equal('3185.12345678');
+
+      const stale = new ChainlinkPriceAdapter({ provider: fakeAggregator({ answer: 318512345678n, updatedAt: now - 7200 }) });
+      try {
+        await stale.getRate('ETH');
+        expect.fail('expected a stale price error');
+      } catch (error) {
+        expect(error.code).to.equal('PRICE_UNAVAILABLE');
+      }
+    });
+  });
+
+  describe('API', () => {
+    it('should lock a USD fare and record both amounts on the escrow', async () => {
+      const locked = await quote({ fiatAmount: '45.00', currency: 'ETH' }).expect(201);
+      expect(locked.body.quote).to.include({
+        fiatAmount: '45.00',
+        fiatCurrency: 'USD',
+        currency: 'ETH',
+        rate: '3000.00',
+        amount: '0.015',
+        status: 'open'
+      });
+
+      const response = await request(app)
+        .post('/api/escrow/initiate')
+        .send({ ...ride, rideId: 'ride_quote_locked', quoteId: locked.body.quote.quoteId })
+        .expect(201);
+
+      expect(response.body.escrow).to.include({ amount: '0.015', currency: 'ETH' });
+      expect(response.body.escrow.fiat).to.include({
+        amount: '45.00',
+        currency: 'USD',
+        rate: '3000.00',
+        quoteId: locked.body.quote.quoteId
+      });
+
+      const redeemed = await request(app).get(`/api/quotes/${locked.body.quote.quoteId}`).expect(200);
+      expect(redeemed.body.quote).to.include({ status: 'redeemed', rideId: 'ride_quote_locked' });
+    });
+
+    it('should not redeem a quote twice', async () => {
+      const { body } = await quote({ fiatAmount: '12.00', currency: 'USDC' }).expect(201);
+      await request(app)
+        .post('/api/escrow/initiate')
+        .send({ ...ride, rideId: 'ride_quote_first', quoteId: body.quote.quoteId })
+        .expect(201);
+
+      const response = await request(app)
+        .post('/api/escrow/initiate')
+        .send({ ...ride, rideId: 'ride_quote_second', quoteId: body.quote.quoteId })
+        .expect(409);
+      expect(response.body.error).to.equal('Quote Already Used');
+    });
+
+    it('should reject expired, unknown and mismatched quotes', async () => {
+      const { body } = await quote({ fiatAmount: '20.00' }).expect(201);
+      const quotes = createRepository('price_quotes');
+      quotes.set(body.quote.quoteId, { ...quotes.get(body.quote.quoteId), expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+      await request(app)
+        .post('/api/escrow/initiate')
+        .send({ ...ride, rideId: 'ride_quote_expired', quoteId: body.quote.quoteId })
+        .expect(410);
+
+      await request(app)
+        .post('/api/escrow/initiate')
+        .send({ ...ride, rideId: 'ride_quote_unknown', quoteId: 'quote_missing' })
+        .expect(404);
+
+      const fresh = await quote({ fiatAmount: '20.00', currency: 'ETH' }).expect(201);
+      await request(app)
+        .post('/api/escrow/initiate')
+        .send({ ...ride, rideId: 'ride_quote_mismatch', quoteId: fresh.body.quote.quoteId, currency: 'DAI' })
+        .expect(400);
+    });
+
+    it('should require exactly one of amount or quoteId', async () => {
+      const { body } = await quote({ fiatAmount: '20.00' }).expect(201);
+
+      await request(app)
+        .post('/api/escrow/initiate')
+        .send({ ...ride, rideId: 'ride_quote_both', amount: '1.0', quoteId: body.quote.quoteId })
+        .expect(400);
+      await request(app)
+        .post('/api/escrow/initiate')
+        .send({ ...ride, rideId: 'ride_quote_neither' })
+        .expect(400);
+    });
+  });
+});
@@ -0,0 +1,239 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const app = require('../src/index');
+const { BlockchainService } = require('../src/utils/blockchain');
+const { createRepository } = require('../src/storage');
+const ReferralAbuseService = require('../src/services/referral-abuse');
+const ReferralCodeService = require('../src/services/referral-codes');
+const ReferralEligibilityService = require('../src/services/referral-eligibility');
+const ReferralPayoutService = require('../src/services/referral-payouts');
+
+// Released rides for a rider wallet, recorded straight on the service
+async function releaseRides(riderWallet, count, prefix, driverWallet = ethers.Wallet.createRandom().address) {
+  const chain = new BlockchainService();
+
+  for (let i = 1; i <= count; i++) {
+    const rideId = `${prefix}_${i}`;
+    await chain.createEscrow(rideId, riderWallet, driverWallet, '10.0');
+    for (const milestone of ['driverAccepted', 'rideStarted', 'rideCompleted']) {
+      await chain.advanceMilestone(rideId, milestone, null);
+    }
+    await chain.releaseEscrow(rideId, null);
+  }
+}
+
+describe('Referral abuse screening', () => {
+  const phone = { userAgent: 'RideApp/4.2 (iPhone14,2; iOS 17.1)', screen: '390x844', timezone: 'Europe/Lisbon' };
+
+  // Tracking answers before the pair is screened; resolves with the referral once it has been.
+  // A referrerWallet is verified on a code first, as POST /codes does once it is signed.
+  const track = async ({ referrerWallet, ...fields }) => {
+    if (referrerWallet) {
+      new ReferralCodeService().issueCode({ userId: fields.referrerId, wallet: referrerWallet });
+    }
+    const tracked = (await request(app)
+      .post('/api/referral/track')
+      .send({ userType: 'rider', ...fields })
+      .expect(201)).body.referral;
+    expect(tracked.screening.status).to.equal('pending');
+
+    for (let attempt = 0; attempt < 20; attempt++) {
+      const { referral } = (await request(app).get(`/api/referral/status/${tracked.referralId}`).expect(200)).body;
+      if (referral.screening.status !== 'pending') return referral;
+    }
+    throw new Error(`Referral ${tracked.referralId} was never screened`);
+  };
+
+  const complete = (referralId) => request(app).post('/api/referral/complete').send({ referralId });
+
+  let originalKeys;
+  before(() => {
+    originalKeys = process.env.OPERATOR_API_KEYS;
+    process.env.OPERATOR_API_KEYS = 'trust@rideshare:test-review-key';
+  });
+
+  after(() => {
+    if (originalKeys === undefined) {
+      delete process.env.OPERATOR_API_KEYS;
+    } else {
+      process.env.OPERATOR_API_KEYS = originalKeys;
+    }
+  });
+
+  it('should let referrals between unconnected users through', async () => {
+    const referral = await track({
+      referrerId: 'abuse_clean_ref',
+      referrerWallet: ethers.Wallet.createRandom().address,
+      referrerDevice: phone,
+      newUserId: 'abuse_clean_new',
+      newUserWallet: ethers.Wallet.createRandom().address,
+      newUserDevice: { ...phone, screen: '412x915', userAgent: 'RideApp/4.2 (Pixel 8; Android 14)' }
+    });
+
+    expect(referral.screening).to.include({ status: 'clear', fraudScore: 0 });
+  });
+
+  it('should hold a referral from a shared device until a reviewer approves it', async () => {
+    const newUserWallet = ethers.Wallet.createRandom().address;
+    const referral = await track({
+      referrerId: 'abuse_device_ref',
+      referrerWallet: ethers.Wallet.createRandom().address,
+      referrerDevice: phone,
+      newUserId: 'abuse_device_new',
+      newUserWallet,
+      newUserDevice: phone
+    });
+    expect(referral.screening.status).to.equal('held');
+    expect(referral.screening.riskFactors.map(risk => risk.factor)).to.deep.equal(['sharedDevice']);
+
+    const reviews = await request(app)
+      .get('/api/referral/reviews?status=held')
+      .set('X-Operator-Key', 'test-review-key')
+      .expect(200);
+    const queued = reviews.body.referrals.find(ref => ref.referralId === referral.referralId);
+    expect(queued.screening.evidence.sharedDevices).to.have.length(1);
+
+    await releaseRides(newUserWallet, 3, 'ride_abuse_device');
+    const held = await complete(referral.referralId).expect(409);
+    expect(held.body.error).to.equal('Referral Held For Review');
+
+    const status = await request(app).get(`/api/referral/status/${referral.referralId}`).expect(200);
+    expect(status.body.referral).to.include({ status: 'held', rewardPaid: false });
+    expect((await request(app).get('/api/referral/user/abuse_device_ref').expect(200)).body.rewards).to.deep.equal([]);
+
+    // Only operators review, and the reviewer is taken from the key rather than the body
+    await request(app).get('/api/referral/reviews').expect(403);
+    await request(app)
+      .post(`/api/referral/${referral.referralId}/approve`)
+      .send({ note: 'Approving my own referral' })
+      .expect(403);
+    await request(app)
+      .post(`/api/referral/${referral.referralId}/approve`)
+      .set('X-Operator-Key', 'test-review-key')
+      .send({ reviewedBy: 'someone-else' })
+      .expect(400);
+
+    const approved = await request(app)
+      .post(`/api/referral/${referral.referralId}/approve`)
+      .set('X-Operator-Key', 'test-review-key')
+      .send({ note: 'Couple sharing a phone' })
+      .expect(200);
+    expect(approved.body.referral.status).to.equal('completed');
+    expect(approved.body.referral.screening.review).to.include({ decision: 'approve', reviewedBy: 'trust@rideshare' });
+
+    const [reward] = (await request(app).get('/api/referral/user/abuse_device_ref').expect(200)).body.rewards;
+    expect(reward).to.include({ status: 'confirmed', amount: '10.0' });
+  });
+
+  it('should hold circular referrals and never pay a rejected one', async () => {
+    await track({ referrerId: 'abuse_loop_a', newUserId: 'abuse_loop_b' });
+    const loop = await track({ referrerId: 'abuse_loop_b', newUserId: 'abuse_loop_a' });
+
+    expect(loop.screening.status).to.equal('held');
+    expect(loop.screening.riskFactors[0]).to.include({ factor: 'circularReferral', severity: 'high' });
+
+    const rejected = await request(app)
+      .post(`/api/referral/${loop.referralId}/reject`)
+      .set('X-Operator-Key', 'test-review-key')
+      .expect(200);
+    expect(rejected.body.referral.status).to.equal('rejected');
+
+    const response = await complete(loop.referralId).expect(409);
+    expect(response.body.error).to.equal('Referral Rejected');
+
+    await request(app)
+      .post(`/api/referral/${loop.referralId}/approve`)
+      .set('X-Operator-Key', 'test-review-key')
+      .expect(409);
+    await request(app)
+      .post('/api/referral/missing_referral/approve')
+      .set('X-Operator-Key', 'test-review-key')
+      .expect(404);
+  });
+
+  it('should flag, but still pay, a referrer who drove one of the new user\'s rides', async () => {
+    const referrerWallet = ethers.Wallet.createRandom().address;
+    const newUserWallet = ethers.Wallet.createRandom().address;
+    const referral = await track({
+      referrerId: 'abuse_rides_ref',
+      referrerWallet,
+      newUserId: 'abuse_rides_new',
+      newUserWallet
+    });
+    expect(referral.screening.status).to.equal('clear');
+
+    await releaseRides(newUserWallet, 1, 'ride_abuse_self_driven', referrerWallet);
+    await releaseRides(newUserWallet, 2, 'ride_abuse_other_driver');
+    const response = await complete(referral.referralId).expect(200);
+    expect(response.body.reward.status).to.equal('confirmed');
+
+    const status = await request(app).get(`/api/referral/status/${referral.referralId}`).expect(200);
+    expect(status.body.referral.screening.status).to.equal('flagged');
+    expect(status.body.referral.screening.riskFactors[0]).to.include({ factor: 'fundingTransfers' });
+  });
+
+  it('should hold a referral that meets its criteria until its screening finishes', async () => {
+    const newUserWallet = ethers.Wallet.createRandom().address;
+    const chain = new BlockchainService();
+    let finishScan;
+    const scanned = new Promise(resolve => {
+      finishScan = resolve;
+    });
+    chain.findTransfers = async () => {
+      await scanned;
+      return [];
+    };
+    const eligibility = new ReferralEligibilityService({
+      payouts: new ReferralPayoutService(chain),
+      abuse: new ReferralAbuseService(chain)
+    });
+    const referrals = createRepository('referrals');
+    const createdAt = new Date().toISOString();
+    referrals.set('ref_abuse_slow_scan', {
+      referralId: 'ref_abuse_slow_scan',
+      referrerId: 'abuse_slow_ref',
+      referrerWallet: ethers.Wallet.createRandom().address,
+      newUserId: 'abuse_slow_new',
+      newUserWallet,
+      userType: 'rider',
+      rewardAmount: '10.0',
+      status: 'pending',
+      screening: { status: 'pending', riskFactors: [], requestedAt: createdAt },
+      createdAt,
+      eligibility: eligibility.eligibilityFor('rider', createdAt)
+    });
+    await releaseRides(newUserWallet, 3, 'ride_abuse_slow_scan');
+
+    // A restart lost the screening: the sweep starts it again, and the referral waits for it
+    const sweep = eligibility.sweep();
+    expect((await eligibility.evaluate(referrals.get('ref_abuse_slow_scan'))).status).to.equal('pending');
+
+    finishScan();
+    await sweep;
+    const completed = referrals.get('ref_abuse_slow_scan');
+    expect(completed.status).to.equal('completed');
+    expect(completed.screening.status).to.equal('clear');
+  });
+
+  it('should combine funding transfers with other signals', async () => {
+    const referrerWallet = ethers.Wallet.createRandom().address;
+    const newUserWallet = ethers.Wallet.createRandom().address;
+    const chain = new BlockchainService();
+    chain.findTransfers = async () => [
+      { from: referrerWallet, to: newUserWallet, amount: '0.05', currency: 'ETH', transactionHash: ethers.ZeroHash }
+    ];
+    const abuse = new ReferralAbuseService(chain);
+    abuse.recordDevice('abuse_funding_ref', { deviceId: 'device-7f3a' });
+    abuse.recordDevice('abuse_funding_new', { deviceId: 'device-7f3a' });
+
+    const referral = { referralId: 'ref_abuse_funding', referrerId: 'abuse_funding_ref', newUserId: 'abuse_funding_new', newUserWallet };
+    const screening = await abuse.screen(referral, { referrerWallet });
+
+    expect(screening.status).to.equal('held');
+    expect(screening.fraudScore).to.be.closeTo(0.82, 1e-9);
+    expect(screening.recommendation.action).to.equal('REJECT');
+    expect(screening.evidence.transfers).to.have.length(1);
+    expect(screening.evidence.sharedDevices).to.deep.equal(['device-7f3a']);
+  });
+});
@@ -0,0 +1,125 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const app = require('../src/index');
+const { BlockchainService } = require('../src/utils/blockchain');
+const ReferralCodeService = require('../src/services/referral-codes');
+
+// Released rides for a rider wallet, recorded straight on the service
+async function releaseRides(riderWallet, count, prefix) {
+  const chain = new BlockchainService();
+
+  for (let i = 1; i <= count; i++) {
+    const rideId = `${prefix}_${i}`;
+    await chain.createEscrow(rideId, riderWallet, ethers.Wallet.createRandom().address, '10.0');
+    for (const milestone of ['driverAccepted', 'rideStarted', 'rideCompleted']) {
+      await chain.advanceMilestone(rideId, milestone, null);
+    }
+    await chain.releaseEscrow(rideId, null);
+  }
+}
+
+describe('Referral analytics', () => {
+  const market = 'analytics_porto';
+
+  // Tracks a rider referral in the test market and, if `converted`, completes it
+  const refer = async (referrerId, newUserId, converted) => {
+    const newUserWallet = ethers.Wallet.createRandom().address;
+    const codes = new ReferralCodeService();
+    if (!codes.verifiedWalletOf(referrerId)) {
+      codes.issueCode({ userId: referrerId, wallet: ethers.Wallet.createRandom().address });
+    }
+    const { body } = await request(app)
+      .post('/api/referral/track')
+      .send({
+        referrerId,
+        newUserId,
+        newUserWallet,
+        userType: 'rider',
+        market
+      })
+      .expect(201);
+
+    if (converted) {
+      await releaseRides(newUserWallet, 3, `ride_${newUserId}`);
+      await request(app).post('/api/referral/complete').send({ referralId: body.referral.referralId }).expect(200);
+    }
+    return body.referral;
+  };
+
+  before(async () => {
+    await refer('analytics_top', 'analytics_new_1', true);
+    await refer('analytics_top', 'analytics_new_2', true);
+    await refer('analytics_top', 'analytics_new_3', false);
+    await refer('analytics_runner_up', 'analytics_new_4', true);
+    await refer('analytics_newcomer', 'analytics_new_5', false);
+  });
+
+  it('should report the funnel, conversion time, cost per acquisition and spend', async () => {
+    const response = await request(app)
+      .get(`/api/referral/analytics?market=${market}&interval=month`)
+      .expect(200);
+    const { analytics } = response.body;
+
+    expect(analytics.funnel).to.include({ tracked: 5, eligible: 3, paid: 3, pending: 2, held: 0 });
+    expect(analytics.funnel.conversionRates).to.deep.equal({
+      trackedToEligible: 0.6,
+      eligibleToPaid: 1,
+      trackedToPaid: 0.6
+    });
+    expect(analytics.timeToConversion.eligible.count).to.equal(3);
+    expect(analytics.timeToConversion.paid.count).to.equal(3);
+    expect(analytics.timeToConversion.eligible.medianHours).to.be.a('number');
+
+    expect(analytics.costPerAcquisition.rider).to.deep.equal({
+      acquired: 3,
+      spend: { USDC: '30.0' },
+      costPerAcquisition: { USDC: '10.0' }
+    });
+    expect(analytics.costPerAcquisition.driver.acquired).to.equal(0);
+
+    expect(analytics.rewardSpend.series).to.deep.equal([
+      { period: new Date().toISOString().slice(0, 7), currency: 'USDC', amount: '30.0', rewards: 3 }
+    ]);
+  });
+
+  it('should only count referrals tracked within the window', async () => {
+    const response = await request(app)
+      .get(`/api/referral/analytics?market=${market}&from=2020-01-01T00:00:00Z&to=2020-12-31T00:00:00Z`)
+      .expect(200);
+
+    expect(response.body.analytics.funnel.tracked).to.equal(0);
+    expect(response.body.analytics.funnel.conversionRates.trackedToPaid).to.equal(0);
+    expect(response.body.analytics.timeToConversion.eligible.averageHours).to.equal(null);
+    expect(response.body.analytics.rewardSpend.series).to.deep.equal([]);
+  });
+
+  it('should rank the top referrers for a period', async () => {
+    const response = await request(app)
+      .get(`/api/referral/leaderboard?period=week&market=${market}`)
+      .expect(200);
+
+    expect(response.body.period).to.equal('week');
+    expect(response.body.leaderboard.map(entry => entry.referrerId)).to.deep.equal([
+      'analytics_top',
+      'analytics_runner_up',
+      'analytics_newcomer'
+    ]);
+    expect(response.body.leaderboard[0]).to.deep.equal({
+      rank: 1,
+      referrerId: 'analytics_top',
+      conversions: 2,
+      tracked: 3,
+      rewardsEarned: { USDC: '20.0' }
+    });
+
+    const limited = await request(app).get(`/api/referral/leaderboard?market=${market}&limit=1`).expect(200);
+    expect(limited.body.leaderboard).to.have.length(1);
+  });
+
+  it('should reject invalid analytics filters', async () => {
+    await request(app).get('/api/referral/analytics?interval=hour').expect(400);
+    await request(app).get('/api/referral/analytics?from=2026-02-01&to=2026-01-01').expect(400);
+    await request(app).get('/api/referral/leaderboard?period=decade').expect(400);
+  });
+});
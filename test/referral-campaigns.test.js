@@ -0,0 +1,189 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const app = require('../src/index');
+const { BlockchainService } = require('../src/utils/blockchain');
+const ReferralCodeService = require('../src/services/referral-codes');
+
+// Released rides for a rider wallet, recorded straight on the service
+async function releaseRides(riderWallet, count, prefix) {
+  const chain = new BlockchainService();
+  const driverWallet = ethers.Wallet.createRandom().address;
+
+  for (let i = 1; i <= count; i++) {
+    const rideId = `${prefix}_${i}`;
+    await chain.createEscrow(rideId, riderWallet, driverWallet, '10.0');
+    for (const milestone of ['driverAccepted', 'rideStarted', 'rideCompleted']) {
+      await chain.advanceMilestone(rideId, milestone, null);
+    }
+    await chain.releaseEscrow(rideId, null);
+  }
+}
+
+describe('Referral campaigns', () => {
+  const day = 24 * 60 * 60 * 1000;
+  let campaign;
+
+  const track = (body) => request(app).post('/api/referral/track').send(body);
+  const asOperator = (test) => test.set('X-Operator-Key', 'test-campaign-key');
+  let originalKeys;
+
+  before(async () => {
+    originalKeys = process.env.OPERATOR_API_KEYS;
+    process.env.OPERATOR_API_KEYS = 'growth@rideshare:test-campaign-key';
+
+    const response = await asOperator(request(app).post('/api/referral/campaigns'))
+      .send({
+        name: 'Lisbon launch',
+        markets: ['lisbon'],
+        startsAt: new Date(Date.now() - day).toISOString(),
+        endsAt: new Date(Date.now() + 30 * day).toISOString(),
+        budget: '60.0',
+        tiers: {
+          rider: { rewardAmount: '15.0', secondLevelReward: '5.0', requiredRides: 2 },
+          driver: { rewardAmount: '40.0' }
+        }
+      })
+      .expect(201);
+    campaign = response.body.campaign;
+  });
+
+  after(async () => {
+    await asOperator(request(app).post(`/api/referral/campaigns/${campaign.campaignId}/end`)).expect(200);
+
+    if (originalKeys === undefined) {
+      delete process.env.OPERATOR_API_KEYS;
+    } else {
+      process.env.OPERATOR_API_KEYS = originalKeys;
+    }
+  });
+
+  it('should only let operators create and end campaigns', async () => {
+    await request(app)
+      .post('/api/referral/campaigns')
+      .send({
+        name: 'Free money',
+        startsAt: new Date(Date.now() - day).toISOString(),
+        endsAt: new Date(Date.now() + day).toISOString(),
+        budget: '1000000.0',
+        tiers: { rider: { rewardAmount: '1000.0' } }
+      })
+      .expect(403);
+    await request(app).post(`/api/referral/campaigns/${campaign.campaignId}/end`).expect(403);
+
+    expect(campaign).to.include({ createdBy: 'growth@rideshare' });
+  });
+
+  it('should attach referrals in a targeted market to the running campaign', async () => {
+    expect(campaign).to.include({ status: 'active' });
+    expect(campaign.usage).to.include({ budget: '60.0', remaining: '60.0' });
+
+    const response = await track({ referrerId: 'cmp_user_a', newUserId: 'cmp_user_b', userType: 'rider', market: 'lisbon' })
+      .expect(201);
+    expect(response.body.referral).to.include({ rewardAmount: '15.0' });
+    expect(response.body.referral.campaign).to.deep.equal({ campaignId: campaign.campaignId, name: 'Lisbon launch' });
+    expect(response.body.referral.eligibility.requiredRides).to.equal(2);
+    expect(response.body.eligibilityCriteria).to.equal('Complete 2 rides within 14 days');
+
+    const elsewhere = await track({ referrerId: 'cmp_user_a', newUserId: 'cmp_user_porto', userType: 'rider', market: 'porto' })
+      .expect(201);
+    expect(elsewhere.body.referral).to.not.have.property('campaign');
+    expect(elsewhere.body.referral.rewardAmount).to.equal('10.0');
+  });
+
+  it('should not let callers set the reward', async () => {
+    const response = await track({
+      referrerId: 'cmp_user_a',
+      newUserId: 'cmp_user_override',
+      userType: 'rider',
+      market: 'lisbon',
+      rewardAmount: '500.0'
+    }).expect(400);
+    expect(response.body.details[0]).to.include({ field: 'rewardAmount' });
+  });
+
+  it('should pay the second-level reward to the referrer\'s referrer', async () => {
+    const riderWallet = ethers.Wallet.createRandom().address;
+    const response = await track({
+      referrerId: 'cmp_user_b',
+      newUserId: 'cmp_user_c',
+      newUserWallet: riderWallet,
+      userType: 'rider',
+      market: 'lisbon'
+    }).expect(201);
+    expect(response.body.referral.secondLevel).to.deep.equal({ referrerId: 'cmp_user_a', rewardAmount: '5.0' });
+
+    // Verified wallets to pay both referrers to, so their rewards confirm
+    for (const userId of ['cmp_user_a', 'cmp_user_b']) {
+      new ReferralCodeService().issueCode({ userId, wallet: ethers.Wallet.createRandom().address });
+    }
+    await releaseRides(riderWallet, 2, 'ride_campaign_second_level');
+    await request(app)
+      .post('/api/referral/complete')
+      .send({ referralId: response.body.referral.referralId })
+      .expect(200);
+
+    const referrer = await request(app).get('/api/referral/user/cmp_user_b').expect(200);
+    expect(referrer.body.totalRewardsEarned).to.equal('15');
+    const upstream = await request(app).get('/api/referral/user/cmp_user_a').expect(200);
+    expect(upstream.body.totalRewardsEarned).to.equal('5');
+  });
+
+  it('should refuse referrals once the budget is spent or reserved', async () => {
+    const status = await request(app).get(`/api/referral/campaigns/${campaign.campaignId}`).expect(200);
+    expect(status.body.campaign.usage).to.include({ spent: '20.0', reserved: '15.0', remaining: '25.0', referrals: 2 });
+
+    const response = await track({ referrerId: 'cmp_user_a', newUserId: 'cmp_driver', userType: 'driver', market: 'lisbon' })
+      .expect(409);
+    expect(response.body).to.have.property('error', 'Campaign Budget Exhausted');
+  });
+
+  it('should only join campaigns that are running in the referral\'s market', async () => {
+    const scheduled = await asOperator(request(app).post('/api/referral/campaigns'))
+      .send({
+        name: 'Porto preview',
+        markets: ['porto'],
+        startsAt: new Date(Date.now() + day).toISOString(),
+        endsAt: new Date(Date.now() + 10 * day).toISOString(),
+        budget: '100.0',
+        tiers: { rider: { rewardAmount: '12.0' } }
+      })
+      .expect(201);
+    expect(scheduled.body.campaign.status).to.equal('scheduled');
+
+    await track({
+      referrerId: 'cmp_user_a',
+      newUserId: 'cmp_user_early',
+      userType: 'rider',
+      market: 'porto',
+      campaignId: scheduled.body.campaign.campaignId
+    }).expect(409);
+
+    await track({ referrerId: 'cmp_user_a', newUserId: 'cmp_user_lost', userType: 'rider', campaignId: 'cmp_missing' })
+      .expect(404);
+
+    await asOperator(request(app).post(`/api/referral/campaigns/${scheduled.body.campaign.campaignId}/end`)).expect(200);
+  });
+
+  it('should validate campaign dates and tiers', async () => {
+    await asOperator(request(app).post('/api/referral/campaigns'))
+      .send({
+        name: 'Backwards',
+        startsAt: new Date(Date.now() + day).toISOString(),
+        endsAt: new Date(Date.now()).toISOString(),
+        budget: '10.0',
+        tiers: { rider: { rewardAmount: '1.0' } }
+      })
+      .expect(400);
+
+    await asOperator(request(app).post('/api/referral/campaigns'))
+      .send({
+        name: 'No tiers',
+        startsAt: new Date(Date.now()).toISOString(),
+        endsAt: new Date(Date.now() + day).toISOString(),
+        budget: '10.0',
+        tiers: {}
+      })
+      .expect(400);
+  });
+});
@@ -0,0 +1,110 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const app = require('../src/index');
+const { BlockchainService } = require('../src/utils/blockchain');
+const { createRepository } = require('../src/storage');
+
+// Released rides for a rider wallet, recorded straight on the service
+async function releaseRides(riderWallet, count, prefix) {
+  const chain = new BlockchainService();
+  const driverWallet = ethers.Wallet.createRandom().address;
+
+  for (let i = 1; i <= count; i++) {
+    const rideId = `${prefix}_${i}`;
+    await chain.createEscrow(rideId, riderWallet, driverWallet, '10.0');
+    for (const milestone of ['driverAccepted', 'rideStarted', 'rideCompleted']) {
+      await chain.advanceMilestone(rideId, milestone, null);
+    }
+    await chain.releaseEscrow(rideId, null);
+  }
+}
+
+describe('Referral codes', () => {
+  const mint = (body) => request(app).post('/api/referral/codes').send(body);
+  const redeem = (code, body) => request(app).post(`/api/referral/codes/${code}/redeem`).send(body);
+
+  it('should mint short codes that resolve to the referrer', async () => {
+    const response = await mint({ userId: 'code_owner_a' }).expect(201);
+    const { code } = response.body;
+
+    expect(code.code).to.match(/^[A-HJKMNP-Z2-9]{8}$/);
+    expect(code).to.include({ userId: 'code_owner_a', status: 'active', maxRedemptions: null, expiresAt: null });
+
+    const resolved = await request(app).get(`/api/referral/codes/${code.code.toLowerCase()}`).expect(200);
+    expect(resolved.body.code).to.include({ code: code.code, referrerId: 'code_owner_a', status: 'active' });
+
+    await request(app).get('/api/referral/codes/NOPE2345').expect(404);
+  });
+
+  it('should track a referral for the code owner and report per-code stats', async () => {
+    const { body: { code } } = await mint({ userId: 'code_owner_b' }).expect(201);
+    const newRider = ethers.Wallet.createRandom().address;
+
+    await request(app).get(`/api/referral/codes/${code.code}`).expect(200);
+    await request(app).get(`/api/referral/codes/${code.code}`).expect(200);
+
+    const response = await redeem(code.code, { newUserId: 'code_rider_b', newUserWallet: newRider, userType: 'rider' })
+      .expect(201);
+    expect(response.body.referral).to.include({
+      referrerId: 'code_owner_b',
+      newUserId: 'code_rider_b',
+      code: code.code,
+      rewardAmount: '10.0',
+      status: 'pending'
+    });
+
+    await releaseRides(newRider, 3, 'ride_code_b');
+    await request(app)
+      .post('/api/referral/complete')
+      .send({ referralId: response.body.referral.referralId })
+      .expect(200);
+
+    const stats = await request(app).get('/api/referral/user/code_owner_b').expect(200);
+    expect(stats.body.completedReferrals).to.equal(1);
+    expect(stats.body.referrals[0]).to.include({ code: code.code, status: 'completed' });
+    expect(stats.body.codes).to.have.length(1);
+    expect(stats.body.codes[0]).to.include({ code: code.code, clicks: 2, redemptions: 1, completions: 1 });
+  });
+
+  it('should enforce usage limits and refuse self-referrals', async () => {
+    const { body: { code } } = await mint({ userId: 'code_owner_c', maxRedemptions: 1 }).expect(201);
+
+    const self = await redeem(code.code, { newUserId: 'code_owner_c', userType: 'rider' }).expect(400);
+    expect(self.body.message).to.include('own referral code');
+
+    await redeem(code.code, { newUserId: 'code_rider_c1', userType: 'rider' }).expect(201);
+
+    const exhausted = await redeem(code.code, { newUserId: 'code_rider_c2', userType: 'rider' }).expect(409);
+    expect(exhausted.body.error).to.equal('Referral Code Exhausted');
+
+    const [stats] = (await request(app).get('/api/referral/user/code_owner_c').expect(200)).body.codes;
+    expect(stats).to.include({ status: 'exhausted', redemptions: 1, completions: 0, maxRedemptions: 1 });
+  });
+
+  it('should not count a redemption for a user who was already referred', async () => {
+    const { body: { code } } = await mint({ userId: 'code_owner_d' }).expect(201);
+
+    await redeem(code.code, { newUserId: 'code_rider_d', userType: 'driver' }).expect(201);
+    const again = await redeem(code.code, { newUserId: 'code_rider_d', userType: 'driver' }).expect(409);
+    expect(again.body.error).to.equal('User Already Referred');
+
+    const [stats] = (await request(app).get('/api/referral/user/code_owner_d').expect(200)).body.codes;
+    expect(stats.redemptions).to.equal(1);
+  });
+
+  it('should refuse expired codes', async () => {
+    const { body: { code } } = await mint({
+      userId: 'code_owner_e',
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+    }).expect(201);
+
+    const codes = createRepository('referral_codes');
+    codes.set(code.code, { ...codes.get(code.code), expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+    const response = await redeem(code.code, { newUserId: 'code_rider_e', userType: 'rider' }).expect(410);
+    expect(response.body.error).to.equal('Referral Code Expired');
+
+    await mint({ userId: 'code_owner_e', expiresAt: new Date(Date.now() - 1000).toISOString() }).expect(400);
+  });
+});
@@ -0,0 +1,325 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const app = require('../src/index');
+const { BlockchainService } = require('../src/utils/blockchain');
+const { FixturePriceAdapter } = require('../src/services/price-oracle');
+const { createRepository } = require('../src/storage');
+const ReferralCodeService = require('../src/services/referral-codes');
+const ReferralEligibilityService = require('../src/services/referral-eligibility');
+const ReferralPayoutService = require('../src/services/referral-payouts');
+
+// A referrer whose payout wallet has been verified on a code, as POST /codes does once it is signed
+function verifiedReferrer(userId) {
+  const wallet = ethers.Wallet.createRandom().address;
+  new ReferralCodeService().issueCode({ userId, wallet });
+  return wallet;
+}
+
+// Released rides for a rider wallet, recorded straight on the service
+async function releaseRides(riderWallet, count, prefix) {
+  const chain = new BlockchainService();
+  const driverWallet = ethers.Wallet.createRandom().address;
+
+  for (let i = 1; i <= count; i++) {
+    const rideId = `${prefix}_${i}`;
+    await chain.createEscrow(rideId, riderWallet, driverWallet, '10.0');
+    for (const milestone of ['driverAccepted', 'rideStarted', 'rideCompleted']) {
+      await chain.advanceMilestone(rideId, milestone, null);
+    }
+    await chain.releaseEscrow(rideId, null);
+  }
+}
+
+// Mock chain whose reward transfers fail until `recover()` is called
+function flakyChain() {
+  const chain = new BlockchainService();
+  const payReferralReward = chain.payReferralReward.bind(chain);
+  chain.failing = true;
+  chain.payReferralReward = async (reward) => {
+    if (chain.failing) {
+      throw new Error('replacement transaction underpriced');
+    }
+    return payReferralReward(reward);
+  };
+  chain.recover = () => {
+    chain.failing = false;
+  };
+  return chain;
+}
+
+// The retried payout of one reward; storage is shared, so other tests' failures may be retried too
+const retriedReward = (results, rewardId) => results.find(reward => reward.rewardId === rewardId);
+
+describe('Referral reward payouts', () => {
+  const track = async (fields) => (await request(app)
+    .post('/api/referral/track')
+    .send({ userType: 'rider', ...fields })
+    .expect(201)).body.referral;
+
+  // POST /codes fields naming `wallet` as `userId`'s payout wallet, signed as EIP-712 ReferralWallet
+  const signedWallet = async (wallet, userId) => {
+    const { body } = await request(app).get(`/api/escrow/nonce/${wallet.address}`);
+    const payload = { userId, wallet: wallet.address, nonce: body.nonce, deadline: Math.floor(Date.now() / 1000) + 300 };
+    const signature = await wallet.signTypedData(body.domain, { ReferralWallet: body.types.ReferralWallet }, payload);
+    return { ...payload, signature };
+  };
+
+  const rewardsOf = async (userId) => (await request(app).get(`/api/referral/user/${userId}`).expect(200)).body.rewards;
+
+  it('should record a failed payout and confirm it on retry', async () => {
+    const chain = flakyChain();
+    const payouts = new ReferralPayoutService(chain, { retryDelayMs: 1000 });
+    const eligibility = new ReferralEligibilityService({ payouts });
+    const referrerWallet = verifiedReferrer('payout_referrer');
+    const riderWallet = ethers.Wallet.createRandom().address;
+
+    const { referralId } = await track({
+      referrerId: 'payout_referrer',
+      newUserId: 'payout_rider',
+      newUserWallet: riderWallet
+    });
+    await releaseRides(riderWallet, 3, 'ride_payout_retry');
+
+    await eligibility.evaluate(createRepository('referrals').get(referralId));
+    const [failed] = await payouts.payReferral(referralId);
+    expect(failed).to.include({ status: 'failed', attempts: 1, error: 'replacement transaction underpriced' });
+    expect(failed.nextAttemptAt).to.be.a('string');
+
+    const status = await request(app).get(`/api/referral/status/${referralId}`).expect(200);
+    expect(status.body.referral).to.include({ status: 'completed', rewardPaid: false });
+    expect((await rewardsOf('payout_referrer'))[0]).to.include({ status: 'failed', transactionHash: null });
+    const unpaid = (await request(app).get('/api/referral/user/payout_referrer').expect(200)).body;
+    expect(unpaid).to.include({ totalRewardsEarned: '0', pendingRewards: '0', failedRewards: '10' });
+
+    // Not due yet
+    expect(retriedReward(await payouts.retryFailed(), referralId)).to.equal(undefined);
+
+    chain.recover();
+    const confirmed = retriedReward(await payouts.retryFailed(new Date(Date.now() + 2000)), referralId);
+    expect(confirmed).to.include({ status: 'confirmed', attempts: 2, referrerWallet });
+
+    const [reward] = await rewardsOf('payout_referrer');
+    expect(reward).to.include({ status: 'confirmed', fiatAmount: '10.0', fiatCurrency: 'USD', amount: '10.0', currency: 'USDC' });
+    expect(reward.transactionHash).to.match(/^0x[0-9a-f]{64}$/);
+    expect(reward.receipt).to.include({ status: 'success' });
+    expect(reward).to.not.have.property('error');
+
+    const paid = await request(app).get(`/api/referral/status/${referralId}`).expect(200);
+    expect(paid.body.referral.rewardPaid).to.equal(true);
+    const earned = (await request(app).get('/api/referral/user/payout_referrer').expect(200)).body;
+    expect(earned).to.include({ totalRewardsEarned: '10', pendingRewards: '0', failedRewards: '0' });
+  });
+
+  it('should stop retrying after the last attempt', async () => {
+    const payouts = new ReferralPayoutService(flakyChain(), { maxAttempts: 2, retryDelayMs: 1000 });
+    const referral = {
+      referralId: 'ref_payout_exhausted',
+      referrerId: 'payout_exhausted_referrer',
+      referrerWallet: verifiedReferrer('payout_exhausted_referrer'),
+      newUserId: 'payout_exhausted_rider',
+      rewardAmount: '10.0',
+      status: 'completed',
+      createdAt: new Date().toISOString()
+    };
+    createRepository('referrals').set(referral.referralId, referral);
+    payouts.schedule(referral);
+
+    await payouts.payReferral(referral.referralId);
+    const last = retriedReward(await payouts.retryFailed(new Date(Date.now() + 60 * 60 * 1000)), referral.referralId);
+    expect(last).to.include({ status: 'failed', attempts: 2, nextAttemptAt: null });
+
+    const later = await payouts.retryFailed(new Date(Date.now() + 24 * 60 * 60 * 1000));
+    expect(retriedReward(later, referral.referralId)).to.equal(undefined);
+  });
+
+  it('should convert USD rewards into the payout currency once, at the oracle rate', async () => {
+    const chain = flakyChain();
+    const adapter = new FixturePriceAdapter({ ETH: '3000.00' });
+    const payouts = new ReferralPayoutService(chain, { currency: 'ETH', priceAdapter: adapter, retryDelayMs: 1000 });
+    const referral = {
+      referralId: 'ref_payout_converted',
+      referrerId: 'payout_converted_referrer',
+      referrerWallet: verifiedReferrer('payout_converted_referrer'),
+      newUserId: 'payout_converted_driver',
+      rewardAmount: '25.0',
+      status: 'completed',
+      createdAt: new Date().toISOString()
+    };
+    createRepository('referrals').set(referral.referralId, referral);
+    payouts.schedule(referral);
+
+    const [failed] = await payouts.payReferral(referral.referralId);
+    expect(failed).to.include({ status: 'failed', fiatAmount: '25.0', rewardAmount: '0.008333333333333334', rate: '3000.00' });
+
+    // A retry pays the amount locked on the first attempt, whatever the rate is now
+    adapter.rates.ETH = '2500.00';
+    chain.recover();
+    const confirmed = retriedReward(await payouts.retryFailed(new Date(Date.now() + 2000)), referral.referralId);
+    expect(confirmed).to.include({ status: 'confirmed', currency: 'ETH', rewardAmount: '0.008333333333333334' });
+  });
+
+  it('should fail payouts, not startup, without a configured reward currency outside tests', async () => {
+    const saved = { NODE_ENV: process.env.NODE_ENV, REFERRAL_REWARD_CURRENCY: process.env.REFERRAL_REWARD_CURRENCY };
+    try {
+      process.env.NODE_ENV = 'production';
+      delete process.env.REFERRAL_REWARD_CURRENCY;
+      const payouts = new ReferralPayoutService(new BlockchainService(), { priceAdapter: new FixturePriceAdapter() });
+      const referral = {
+        referralId: 'ref_payout_no_currency',
+        referrerId: 'payout_no_currency_referrer',
+        referrerWallet: verifiedReferrer('payout_no_currency_referrer'),
+        newUserId: 'payout_no_currency_rider',
+        rewardAmount: '10.0',
+        status: 'completed',
+        createdAt: new Date().toISOString()
+      };
+      createRepository('referrals').set(referral.referralId, referral);
+      payouts.schedule(referral);
+
+      const [failed] = await payouts.payReferral(referral.referralId);
+      expect(failed).to.include({ status: 'failed', currency: null, rewardAmount: null });
+      expect(failed.error).to.include('REFERRAL_REWARD_CURRENCY must be one of');
+      expect(failed.nextAttemptAt).to.be.a('string');
+
+      // Paid in the currency configured by the time it is retried
+      process.env.REFERRAL_REWARD_CURRENCY = 'DAI';
+      const paid = retriedReward(await payouts.retryFailed(new Date(Date.now() + 60 * 60 * 1000)), referral.referralId);
+      expect(paid).to.include({ status: 'confirmed', currency: 'DAI', rewardAmount: '10.0' });
+    } finally {
+      Object.entries(saved).forEach(([name, value]) => {
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+      });
+    }
+  });
+
+  it('should reconcile a sent reward by its hash instead of sending it again', async () => {
+    let sends = 0;
+    let outcome = 'pending';
+    const chain = new BlockchainService();
+    chain.payReferralReward = async (reward, { onSent }) => {
+      sends += 1;
+      await onSent(`0x${'ef'.repeat(32)}`);
+      throw new Error('timeout waiting for receipt');
+    };
+    chain.getTransactionOutcome = async () => outcome;
+    const payouts = new ReferralPayoutService(chain, { retryDelayMs: 1000 });
+    const referral = {
+      referralId: 'ref_payout_unconfirmed',
+      referrerId: 'payout_unconfirmed_referrer',
+      referrerWallet: verifiedReferrer('payout_unconfirmed_referrer'),
+      newUserId: 'payout_unconfirmed_rider',
+      rewardAmount: '10.0',
+      status: 'completed',
+      createdAt: new Date().toISOString()
+    };
+    createRepository('referrals').set(referral.referralId, referral);
+    payouts.schedule(referral);
+
+    const [sent] = await payouts.payReferral(referral.referralId);
+    expect(sent).to.include({ status: 'pending', transactionHash: `0x${'ef'.repeat(32)}`, attempts: 1 });
+
+    // Still unmined, in this process or after a restart: nothing is resent
+    await payouts.payReferral(referral.referralId);
+    await new ReferralPayoutService(chain).retryFailed(new Date(Date.now() + 60 * 60 * 1000));
+    expect(sends).to.equal(1);
+
+    outcome = 'confirmed';
+    const confirmed = retriedReward(await payouts.retryFailed(), referral.referralId);
+    expect(confirmed).to.include({ status: 'confirmed', transactionHash: `0x${'ef'.repeat(32)}`, attempts: 1 });
+    expect(sends).to.equal(1);
+  });
+
+  it('should send a reward again only once its transaction reverted', async () => {
+    const chain = new BlockchainService();
+    chain.getTransactionOutcome = async () => 'reverted';
+    const payouts = new ReferralPayoutService(chain, { retryDelayMs: 1000 });
+    const rewards = createRepository('referral_rewards');
+    const referral = {
+      referralId: 'ref_payout_reverted',
+      referrerId: 'payout_reverted_referrer',
+      referrerWallet: verifiedReferrer('payout_reverted_referrer'),
+      newUserId: 'payout_reverted_rider',
+      rewardAmount: '10.0',
+      status: 'completed',
+      createdAt: new Date().toISOString()
+    };
+    createRepository('referrals').set(referral.referralId, referral);
+    const [scheduled] = payouts.schedule(referral);
+
+    // Left pending with a sent transaction by a crashed process
+    rewards.set(scheduled.rewardId, { ...scheduled, attempts: 1, transactionHash: `0x${'12'.repeat(32)}`, sentAt: new Date().toISOString() });
+    const reverted = retriedReward(await payouts.retryFailed(), referral.referralId);
+    expect(reverted).to.include({ status: 'failed', transactionHash: null, error: `Transaction 0x${'12'.repeat(32)} reverted` });
+
+    const resent = retriedReward(await payouts.retryFailed(new Date(Date.now() + 2000)), referral.referralId);
+    expect(resent).to.include({ status: 'confirmed', attempts: 2 });
+  });
+
+  it('should pay rewards a crash left pending before they were sent', async () => {
+    const payouts = new ReferralPayoutService(new BlockchainService(), { retryDelayMs: 1000 });
+    const referral = {
+      referralId: 'ref_payout_stranded',
+      referrerId: 'payout_stranded_referrer',
+      referrerWallet: verifiedReferrer('payout_stranded_referrer'),
+      newUserId: 'payout_stranded_rider',
+      rewardAmount: '10.0',
+      status: 'completed',
+      createdAt: new Date().toISOString()
+    };
+    createRepository('referrals').set(referral.referralId, referral);
+    payouts.schedule(referral);
+
+    // Too fresh to tell from a payout another instance is about to send
+    expect(retriedReward(await payouts.retryFailed(), referral.referralId)).to.equal(undefined);
+
+    const recovered = retriedReward(await payouts.retryFailed(new Date(Date.now() + 2000)), referral.referralId);
+    expect(recovered).to.include({ status: 'confirmed', attempts: 1 });
+  });
+
+  it('should fail payouts to referrers without a verified wallet until one is on file', async () => {
+    const payouts = new ReferralPayoutService(new BlockchainService(), { retryDelayMs: 1000 });
+    const referral = {
+      referralId: 'ref_payout_no_wallet',
+      referrerId: 'payout_walletless',
+      newUserId: 'payout_walletless_rider',
+      rewardAmount: '10.0',
+      status: 'completed',
+      createdAt: new Date().toISOString()
+    };
+    createRepository('referrals').set(referral.referralId, referral);
+    payouts.schedule(referral);
+
+    const [failed] = await payouts.payReferral(referral.referralId);
+    expect(failed).to.include({ status: 'failed', referrerWallet: null });
+    expect(failed.error).to.include('No verified wallet on file');
+
+    // A wallet named by anyone else on a referral is never paid
+    await request(app)
+      .post('/api/referral/track')
+      .send({ referrerId: 'payout_walletless', referrerWallet: ethers.Wallet.createRandom().address, newUserId: 'payout_walletless_other', userType: 'rider' })
+      .expect(400);
+
+    const wallet = ethers.Wallet.createRandom();
+    const signed = await signedWallet(wallet, 'payout_walletless');
+    const { signature, ...unsigned } = signed;
+    await request(app).post('/api/referral/codes').send(unsigned).expect(400);
+    await request(app)
+      .post('/api/referral/codes')
+      .send({ ...signed, wallet: ethers.Wallet.createRandom().address })
+      .expect(401);
+    await request(app).post('/api/referral/codes').send(signed).expect(201);
+
+    const confirmed = retriedReward(await payouts.retryFailed(new Date(Date.now() + 2000)), referral.referralId);
+    expect(confirmed).to.include({ status: 'confirmed', referrerWallet: wallet.address });
+
+    // Once verified, the wallet cannot be swapped for another, even a signed one
+    const swapped = await request(app)
+      .post('/api/referral/codes')
+      .send(await signedWallet(ethers.Wallet.createRandom(), 'payout_walletless'))
+      .expect(409);
+    expect(swapped.body.error).to.equal('Referral Wallet Already Set');
+    await request(app).post('/api/referral/codes').send(await signedWallet(wallet, 'payout_walletless')).expect(201);
+  });
+});
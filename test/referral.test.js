@@ -1,13 +1,32 @@
 const request = require('supertest');
 const { expect } = require('chai');
+const { ethers } = require('ethers');
 const app = require('../src/index');
+const { BlockchainService } = require('../src/utils/blockchain');
+const { createRepository } = require('../src/storage');
+const ReferralCodeService = require('../src/services/referral-codes');
+const ReferralEligibilityService = require('../src/services/referral-eligibility');
+
+// Released rides recorded straight on the service, bypassing the release route's referral hook
+async function releaseRidesDirectly(riderWallet, count, prefix) {
+  const chain = new BlockchainService();
+  const driverWallet = ethers.Wallet.createRandom().address;
+
+  for (let i = 1; i <= count; i++) {
+    const rideId = `${prefix}_${i}`;
+    await chain.createEscrow(rideId, riderWallet, driverWallet, '10.0');
+    for (const milestone of ['driverAccepted', 'rideStarted', 'rideCompleted']) {
+      await chain.advanceMilestone(rideId, milestone, null);
+    }
+    await chain.releaseEscrow(rideId, null);
+  }
+}
 
 describe('Referral API', () => {
   const validReferralData = {
     referrerId: 'user_referrer_123',
     newUserId: 'user_new_456',
-    userType: 'driver',
-    rewardAmount: '25.0'
+    userType: 'driver'
   };
 
   describe('POST /api/referral/track', () => {
@@ -23,7 +42,7 @@ describe('Referral API', () => {
         referrerId: validReferralData.referrerId,
         newUserId: validReferralData.newUserId,
         userType: validReferralData.userType,
-        rewardAmount: validReferralData.rewardAmount,
+        rewardAmount: '25.0',
         status: 'pending'
       });
       expect(response.body.referral).to.have.property('referralId');
@@ -31,6 +50,13 @@ describe('Referral API', () => {
       expect(response.body).to.have.property('eligibilityCriteria');
     });
 
+    it('should not let callers set the reward', async () => {
+      await request(app)
+        .post('/api/referral/track')
+        .send({ referrerId: 'user_ref_greedy', newUserId: 'user_new_greedy', userType: 'rider', rewardAmount: '5000.0' })
+        .expect(400);
+    });
+
     it('should use default reward amounts when not specified', async () => {
       const dataWithoutReward = {
         referrerId: 'user_ref_default',
@@ -148,18 +174,35 @@ describe('Referral API', () => {
   describe('POST /api/referral/complete', () => {
     let referralId;
 
+    const riderWallet = ethers.Wallet.createRandom().address;
+    const referrerWallet = ethers.Wallet.createRandom().address;
+
     before(async () => {
+      new ReferralCodeService().issueCode({ userId: 'complete_test_ref', wallet: referrerWallet });
       const response = await request(app)
         .post('/api/referral/track')
         .send({
           referrerId: 'complete_test_ref',
           newUserId: 'complete_test_user',
-          userType: 'driver'
+          newUserWallet: riderWallet,
+          userType: 'rider'
         });
       referralId = response.body.referral.referralId;
     });
 
-    it('should complete a referral and pay reward', async () => {
+    it('should not complete a referral before the eligibility criteria are met', async () => {
+      const response = await request(app)
+        .post('/api/referral/complete')
+        .send({ referralId })
+        .expect(409);
+
+      expect(response.body).to.have.property('error', 'Eligibility Not Met');
+      expect(response.body.progress).to.include({ completedRides: 0, requiredRides: 3 });
+    });
+
+    it('should complete a referral and pay reward once eligible', async () => {
+      await releaseRidesDirectly(riderWallet, 3, 'ride_referral_complete');
+
       const response = await request(app)
         .post('/api/referral/complete')
         .send({ referralId })
@@ -172,8 +215,10 @@ describe('Referral API', () => {
       });
       expect(response.body.referral).to.have.property('completedAt');
       expect(response.body).to.have.property('reward');
-      expect(response.body.reward).to.have.property('transactionHash');
+      expect(response.body.reward).to.include({ status: 'confirmed', referrerWallet, amount: '10.0', currency: 'USDC' });
+      expect(response.body.reward.transactionHash).to.match(/^0x[0-9a-f]{64}$/);
       expect(response.body.reward).to.have.property('paidAt');
+      expect(response.body.referral.progress).to.include({ completedRides: 3, requiredRides: 3 });
     });
 
     it('should reject completion of already completed referral', async () => {
@@ -213,14 +258,17 @@ describe('Referral API', () => {
           userType: 'driver'
         });
 
+      const riderWallet = ethers.Wallet.createRandom().address;
       const response = await request(app)
         .post('/api/referral/track')
         .send({
           referrerId: 'user_stats_test',
           newUserId: 'referred_user_3',
+          newUserWallet: riderWallet,
           userType: 'rider'
         });
 
+      await releaseRidesDirectly(riderWallet, 3, 'ride_referral_stats');
       await request(app)
         .post('/api/referral/complete')
         .send({ referralId: response.body.referral.referralId });
@@ -256,4 +304,90 @@ describe('Referral API', () => {
       });
     });
   });
+
+  describe('Ride-based eligibility', () => {
+    const rider = ethers.Wallet.createRandom();
+    const driver = ethers.Wallet.createRandom();
+
+    const signAction = async (wallet, action, rideId) => {
+      const { body } = await request(app).get(`/api/escrow/nonce/${wallet.address}`);
+      const payload = { action, rideId, nonce: body.nonce, deadline: Math.floor(Date.now() / 1000) + 300 };
+      const signature = await wallet.signTypedData(body.domain, { EscrowAction: body.types.EscrowAction }, payload);
+      return { rideId, signature, nonce: payload.nonce, deadline: payload.deadline };
+    };
+
+    const completeRide = async (rideId) => {
+      await request(app)
+        .post('/api/escrow/initiate')
+        .send({ rideId, riderWallet: rider.address, driverWallet: driver.address, amount: '12.0' })
+        .expect(201);
+      for (const action of ['accept', 'start', 'complete', 'release']) {
+        await request(app)
+          .post(`/api/escrow/${action}`)
+          .send(await signAction(driver, action, rideId))
+          .expect(200);
+      }
+    };
+
+    const trackReferral = async (newUserId, fields) => (await request(app)
+      .post('/api/referral/track')
+      .send({ referrerId: 'activity_ref', newUserId, ...fields })
+      .expect(201)).body.referral;
+
+    before(() => {
+      new ReferralCodeService().issueCode({ userId: 'activity_ref', wallet: ethers.Wallet.createRandom().address });
+    });
+
+    it('should count released rides and pay the referral when the criteria are met', async () => {
+      const referral = await trackReferral('activity_rider', { userType: 'rider', newUserWallet: rider.address });
+      expect(referral.eligibility).to.include({ requiredRides: 3, windowDays: 14 });
+
+      await completeRide('ride_referral_activity_1');
+      await completeRide('ride_referral_activity_2');
+
+      const progress = await request(app).get(`/api/referral/status/${referral.referralId}`).expect(200);
+      expect(progress.body.referral).to.include({ status: 'pending', rewardPaid: false });
+      expect(progress.body.referral.progress).to.deep.include({
+        completedRides: 2,
+        requiredRides: 3,
+        rideIds: ['ride_referral_activity_1', 'ride_referral_activity_2']
+      });
+
+      await completeRide('ride_referral_activity_3');
+
+      const completed = await request(app).get(`/api/referral/status/${referral.referralId}`).expect(200);
+      expect(completed.body.referral).to.include({ status: 'completed', eligibilityMet: true, rewardPaid: true });
+      expect(completed.body.referral.progress.completedRides).to.equal(3);
+    });
+
+    it('should expire a referral whose window lapses before the criteria are met', async () => {
+      const referral = await trackReferral('activity_driver', { userType: 'driver', newUserWallet: driver.address });
+      const referrals = createRepository('referrals');
+      const stored = referrals.get(referral.referralId);
+      referrals.set(referral.referralId, {
+        ...stored,
+        eligibility: { ...stored.eligibility, windowEndsAt: new Date(Date.now() - 1000).toISOString() }
+      });
+
+      const status = await request(app).get(`/api/referral/status/${referral.referralId}`).expect(200);
+      expect(status.body.referral.status).to.equal('expired');
+
+      const expired = await new ReferralEligibilityService().sweep();
+      expect(expired.map(ref => ref.referralId)).to.include(referral.referralId);
+
+      const response = await request(app)
+        .post('/api/referral/complete')
+        .send({ referralId: referral.referralId })
+        .expect(410);
+      expect(response.body).to.have.property('error', 'Referral Expired');
+    });
+
+    it('should reject a second referral for the same wallet', async () => {
+      const response = await request(app)
+        .post('/api/referral/track')
+        .send({ referrerId: 'other_ref', newUserId: 'activity_rider_alias', userType: 'rider', newUserWallet: rider.address })
+        .expect(409);
+      expect(response.body).to.have.property('error', 'User Already Referred');
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,107 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const RefundPolicyEngine = require('../src/services/refund-policy');
+
+describe('Refund Policy Engine', () => {
+  const now = new Date('2025-08-16T12:00:00.000Z');
+  const minutesAgo = (minutes) => new Date(now.getTime() - minutes * 60 * 1000).toISOString();
+
+  const buildEscrow = (overrides = {}) => ({
+    rideId: 'ride_policy',
+    amount: '25.50',
+    market: 'default',
+    milestones: {
+      initiated: true,
+      driverAccepted: false,
+      rideStarted: false,
+      rideCompleted: false,
+      paymentReleased: false
+    },
+    ...overrides
+  });
+
+  const engine = new RefundPolicyEngine(RefundPolicyEngine.DEFAULT_RULES);
+
+  it('should refund 90% when the rider cancels before acceptance', () => {
+    const breakdown = engine.calculate(buildEscrow(), 'rider', now);
+
+    expect(breakdown).to.include({
+      ruleId: 'rider-cancel-before-acceptance',
+      milestone: 'initiated',
+      riderRefund: '22.95',
+      driverFee: '0.0',
+      platformFee: '2.55'
+    });
+  });
+
+  it('should charge a driver fee once the grace period after acceptance has passed', () => {
+    const accepted = {
+      milestones: { initiated: true, driverAccepted: true, rideStarted: false },
+      acceptedAt: minutesAgo(1)
+    };
+
+    expect(engine.calculate(buildEscrow(accepted), 'rider', now).ruleId)
+      .to.equal('rider-cancel-grace-period');
+
+    const late = engine.calculate(buildEscrow({ ...accepted, acceptedAt: minutesAgo(10) }), 'rider', now);
+    expect(late).to.include({
+      ruleId: 'rider-cancel-after-acceptance',
+      minutesSinceAcceptance: 10,
+      riderRefund: '20.4',
+      driverFee: '3.825',
+      platformFee: '1.275'
+    });
+  });
+
+  it('should fully refund the rider when the driver cancels', () => {
+    const escrow = buildEscrow({
+      milestones: { initiated: true, driverAccepted: true, rideStarted: true },
+      acceptedAt: minutesAgo(15)
+    });
+
+    expect(engine.calculate(escrow, 'driver', now)).to.include({
+      ruleId: 'driver-cancel',
+      riderRefund: '25.5',
+      driverFee: '0.0',
+      platformFee: '0.0'
+    });
+  });
+
+  it('should match market-specific rules before generic ones', () => {
+    const marketEngine = new RefundPolicyEngine([
+      {
+        id: 'nyc-rider-cancel',
+        match: { market: 'nyc', cancelledBy: 'rider' },
+        riderRefundPercent: 70,
+        driverFeePercent: 25,
+        platformFeePercent: 5
+      },
+      ...RefundPolicyEngine.DEFAULT_RULES
+    ]);
+
+    expect(marketEngine.calculate(buildEscrow({ market: 'nyc' }), 'rider', now).ruleId)
+      .to.equal('nyc-rider-cancel');
+    expect(marketEngine.calculate(buildEscrow({ market: 'sf' }), 'rider', now).ruleId)
+      .to.equal('rider-cancel-before-acceptance');
+  });
+
+  it('should always split the full escrow amount', () => {
+    const escrow = buildEscrow({
+      amount: '0.000000000000000007',
+      milestones: { initiated: true, driverAccepted: true, rideStarted: true },
+      acceptedAt: minutesAgo(20)
+    });
+    const breakdown = engine.calculate(escrow, 'rider', now);
+
+    const total = ['riderRefund', 'driverFee', 'platformFee']
+      .map(key => ethers.parseUnits(breakdown[key], 18))
+      .reduce((sum, part) => sum + part, 0n);
+    expect(total).to.equal(7n);
+  });
+
+  it('should reject rules whose percentages do not add up to 100', () => {
+    expect(() => new RefundPolicyEngine([
+      { id: 'broken', match: {}, riderRefundPercent: 90, driverFeePercent: 20, platformFeePercent: 0 }
+    ])).to.throw(/add up to 100/);
+  });
+});
@@ -0,0 +1,112 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { MemoryStorage } = require('../src/storage/memory');
+const { SqliteStorage } = require('../src/storage/sqlite');
+const { migrations } = require('../src/storage/migrations');
+
+describe('Storage Layer', () => {
+  const backends = {
+    memory: () => new MemoryStorage(),
+    sqlite: () => new SqliteStorage(':memory:')
+  };
+
+  Object.entries(backends).forEach(([driver, createStorage]) => {
+    describe(`${driver} repository`, () => {
+      let storage;
+      let escrows;
+
+      beforeEach(() => {
+        storage = createStorage();
+        escrows = storage.repository('escrows');
+      });
+
+      afterEach(() => {
+        storage.close();
+      });
+
+      it('should store and retrieve records by id', () => {
+        escrows.set('ride_1', { rideId: 'ride_1', amount: '10.0', milestones: { initiated: true } });
+
+        expect(escrows.has('ride_1')).to.be.true;
+        expect(escrows.get('ride_1')).to.deep.equal({
+          rideId: 'ride_1',
+          amount: '10.0',
+          milestones: { initiated: true }
+        });
+        expect(escrows.get('missing')).to.be.undefined;
+      });
+
+      it('should only persist mutations that are saved', () => {
+        escrows.set('ride_2', { rideId: 'ride_2', status: 'active' });
+
+        const escrow = escrows.get('ride_2');
+        escrow.status = 'released';
+        expect(escrows.get('ride_2').status).to.equal('active');
+
+        escrows.set('ride_2', escrow);
+        expect(escrows.get('ride_2').status).to.equal('released');
+      });
+
+      it('should list, filter, count and delete records', () => {
+        escrows.set('ride_a', { rideId: 'ride_a', status: 'active' });
+        escrows.set('ride_b', { rideId: 'ride_b', status: 'cancelled' });
+        escrows.set('ride_c', { rideId: 'ride_c', status: 'active' });
+
+        expect(escrows.values().map(e => e.rideId)).to.deep.equal(['ride_a', 'ride_b', 'ride_c']);
+        expect(escrows.filter(e => e.status === 'active')).to.have.length(2);
+        expect(escrows.find(e => e.status === 'cancelled').rideId).to.equal('ride_b');
+        expect(escrows.count()).to.equal(3);
+
+        expect(escrows.delete('ride_b')).to.be.true;
+        expect(escrows.has('ride_b')).to.be.false;
+        expect(escrows.count()).to.equal(2);
+      });
+    });
+  });
+
+  describe('sqlite migrations', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-storage-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should apply every migration on a fresh database', () => {
+      const storage = new SqliteStorage(path.join(tmpDir, 'bridge.db'));
+      const latest = Math.max(...migrations.map(m => m.version));
+
+      expect(storage.getSchemaVersion()).to.equal(latest);
+      expect(storage.migrate(migrations)).to.deep.equal([]);
+      storage.close();
+    });
+
+    it('should keep records across restarts', () => {
+      const filename = path.join(tmpDir, 'nested', 'bridge.db');
+
+      const first = new SqliteStorage(filename);
+      first.repository('policies').set('pol_1', { policyId: 'pol_1', status: 'active' });
+      first.close();
+
+      const second = new SqliteStorage(filename);
+      expect(second.repository('policies').get('pol_1')).to.deep.equal({
+        policyId: 'pol_1',
+        status: 'active'
+      });
+      second.close();
+    });
+
+    it('should reject collections without a migration', () => {
+      const storage = new SqliteStorage(':memory:');
+
+      expect(() => storage.repository('not_a_table')).to.throw(/Unknown collection/);
+      expect(() => storage.repository('escrows; DROP TABLE escrows')).to.throw(/Invalid collection name/);
+      storage.close();
+    });
+  });
+});